@@ -0,0 +1,7 @@
+import { loadServerConfig } from "../server/config.js";
+import { createNodeHandler } from "../server/http.js";
+import { handleReport } from "../server/routes.js";
+
+const config = loadServerConfig(process.env);
+
+export default createNodeHandler(handleReport, () => config);
@@ -0,0 +1,38 @@
+/* =========================
+  PUSH SERVICE WORKER
+========================= */
+// Shows incident pages sent by /api/escalate (server/escalation.js pushMessage)
+// and brings the app to the front when one is tapped. Registered by
+// src/lib/push.js only when a supervisor enables push notifications.
+self.addEventListener("push", (event) => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch {
+    message = { body: event.data?.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(message.title || "OmniTech incident", {
+      body: message.body || "",
+      tag: message.tag,
+      renotify: true,
+      requireInteraction: true,
+      icon: "/android-chrome-192x192.png",
+      badge: "/favicon-32x32.png",
+      data: { incidentId: message.incidentId || null },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(`/?incident=${encodeURIComponent(event.notification.data?.incidentId || "")}`, self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,74 @@
+/* =========================
+  MOCK VISION SERVER
+========================= */
+// Local HTTP stand-in for the vision model. Returns canned SAFE / DANGER /
+// UNCERTAIN verdicts so the app runs fully offline (CI, sites where Gemini
+// is blocked). Pair with VISION_PROVIDER=mock (read by the API proxy, never
+// bundled into the client).
+//
+//   npm run mock:vision
+//   MOCK_STATUS=DANGER npm run mock:vision   # pin every verdict
+//   MOCK_FAIL=429 npm run mock:vision        # simulate quota errors
+import http from "node:http";
+import { getDemoResult, getDemoReport, DEMO_STATUSES } from "../server/providers/demo.js";
+
+const PORT = Number(process.env.MOCK_PORT || 8787);
+const PINNED_STATUS = (process.env.MOCK_STATUS || "").toUpperCase();
+const FAIL_STATUS = Number(process.env.MOCK_FAIL || 0);
+
+let step = 0;
+
+const pickStep = () => {
+  if (PINNED_STATUS && DEMO_STATUSES.includes(PINNED_STATUS)) {
+    return DEMO_STATUSES.indexOf(PINNED_STATUS);
+  }
+  return step++;
+};
+
+const readJson = (req) =>
+  new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(raw || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204, {});
+  if (req.method !== "POST") return send(res, 405, { error: "POST only" });
+
+  if (FAIL_STATUS) return send(res, FAIL_STATUS, { error: `Simulated HTTP ${FAIL_STATUS}` });
+
+  const body = await readJson(req);
+
+  if (req.url === "/analyze") {
+    const verdict = getDemoResult(body.mode || "safety_check", pickStep());
+    const turns = Array.isArray(body.history) ? body.history.length : 0;
+    console.log(`[mock] ${body.mode || "safety_check"} -> ${verdict.status}${turns ? ` (${turns} earlier turns)` : ""}`);
+    return send(res, 200, { verdict });
+  }
+
+  if (req.url === "/report") {
+    return send(res, 200, { report: getDemoReport(body.prompt) });
+  }
+
+  send(res, 404, { error: `Unknown route ${req.url}` });
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock] vision stand-in listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,14 @@
+/* =========================
+  VAPID KEY GENERATOR
+========================= */
+// Prints a fresh key pair for Web Push incident notifications. The public key
+// goes to both the app and the proxy; the private key only to the proxy.
+//
+//   npm run vapid:keys
+import { generateVapidKeys } from "../server/webpush.js";
+
+const { publicKey, privateKey } = generateVapidKeys();
+console.log(`VITE_VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log("VAPID_SUBJECT=mailto:safety@example.com");
@@ -0,0 +1,70 @@
+/* =========================
+  LOCAL WEBHOOK RECEIVER
+========================= */
+// Prints the incident events the /api proxy delivers, so escalation can be
+// tested without a real paging system. Point the proxy at it with
+// ESCALATION_WEBHOOK_URL=http://localhost:8788/incidents; when
+// ESCALATION_WEBHOOK_SECRET is set here too, every signature is checked.
+//
+//   npm run webhook:receiver
+//   WEBHOOK_FAIL=503 npm run webhook:receiver   # simulate an outage (the proxy retries once)
+import http from "node:http";
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+const PORT = Number(process.env.WEBHOOK_PORT || 8788);
+const SECRET = process.env.ESCALATION_WEBHOOK_SECRET || "";
+const FAIL_STATUS = Number(process.env.WEBHOOK_FAIL || 0);
+
+const readRaw = (req) =>
+  new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+
+const signatureValid = (raw, header) => {
+  const expected = Buffer.from(`sha256=${createHmac("sha256", SECRET).update(raw).digest("hex")}`);
+  const given = Buffer.from(String(header || ""));
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== "POST") return send(res, 405, { error: "POST only" });
+
+  const raw = await readRaw(req);
+  const delivery = req.headers["x-omnitech-delivery"];
+
+  if (SECRET && !signatureValid(raw, req.headers["x-omnitech-signature"])) {
+    console.log(`[webhook] ${delivery} REJECTED: bad signature`);
+    return send(res, 401, { error: "Bad signature" });
+  }
+  if (FAIL_STATUS) {
+    console.log(`[webhook] ${delivery} -> simulated HTTP ${FAIL_STATUS}`);
+    return send(res, FAIL_STATUS, { error: `Simulated HTTP ${FAIL_STATUS}` });
+  }
+
+  let event;
+  try {
+    event = JSON.parse(raw.toString("utf8"));
+  } catch {
+    return send(res, 400, { error: "Bad JSON body" });
+  }
+
+  const { incident } = event;
+  console.log(
+    `[webhook] ${new Date(event.at).toISOString()} ${event.type} ${incident.id}` +
+      ` — ${incident.verdict.status} / ${incident.rule.name}: ${incident.verdict.headline}` +
+      `${incident.assetId ? ` (asset ${incident.assetId})` : ""}${SECRET ? " [signature ok]" : ""}`
+  );
+  if (incident.resolution) console.log(`[webhook]   resolution: ${incident.resolution}`);
+  send(res, 200, { received: event.id });
+});
+
+server.listen(PORT, () => {
+  console.log(`[webhook] incident receiver listening on http://localhost:${PORT}/incidents`);
+});
@@ -0,0 +1,79 @@
+/* =========================
+  FIREBASE ID TOKEN VERIFICATION
+========================= */
+// Minimal RS256 verifier for Firebase Auth ID tokens, so the proxy can key
+// quotas on a trusted UID without pulling in firebase-admin.
+import { createVerify } from "node:crypto";
+
+const CERTS_URL =
+  "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+
+let certCache = { certs: null, expiresAt: 0 };
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+const getCerts = async () => {
+  if (certCache.certs && Date.now() < certCache.expiresAt) return certCache.certs;
+
+  // Network and parse failures are still auth failures (401), not proxy crashes
+  let response;
+  let certs;
+  try {
+    response = await fetch(CERTS_URL);
+    if (response.ok) certs = await response.json();
+  } catch {
+    throw new AuthError("Could not fetch token certs");
+  }
+  if (!response.ok) throw new AuthError(`Could not fetch token certs (HTTP ${response.status})`);
+
+  const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get("cache-control") || "")?.[1] || 3600);
+  certCache = { certs, expiresAt: Date.now() + maxAge * 1000 };
+  return certCache.certs;
+};
+
+// Bad base64url or JSON is the caller's fault: AuthError, never SyntaxError
+const decodeSegment = (segment) => {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw new AuthError("Malformed ID token");
+  }
+  if (!value || typeof value !== "object") throw new AuthError("Malformed ID token");
+  return value;
+};
+
+export const verifyIdToken = async (token, projectId) => {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new AuthError("Malformed ID token");
+
+  const [rawHeader, rawPayload, signature] = parts;
+  const header = decodeSegment(rawHeader);
+  const payload = decodeSegment(rawPayload);
+
+  if (header.alg !== "RS256") throw new AuthError("Unexpected token algorithm");
+
+  const certs = await getCerts();
+  const cert = certs?.[header.kid];
+  if (!cert) throw new AuthError("Unknown token key id");
+
+  const verifier = createVerify("RSA-SHA256");
+  verifier.update(`${rawHeader}.${rawPayload}`);
+  if (!verifier.verify(cert, Buffer.from(signature, "base64url"))) {
+    throw new AuthError("Bad token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.aud !== projectId) throw new AuthError("Token audience mismatch");
+  if (payload.iss !== `https://securetoken.google.com/${projectId}`) throw new AuthError("Token issuer mismatch");
+  if (!payload.sub) throw new AuthError("Token has no subject");
+  if (payload.exp <= now) throw new AuthError("Token expired");
+  if (payload.iat > now + 60) throw new AuthError("Token issued in the future");
+
+  return { uid: payload.sub, claims: payload };
+};
@@ -0,0 +1,73 @@
+/* =========================
+  SERVER CONFIG
+========================= */
+// Read once per process from plain (non-VITE_) env vars so secrets are never
+// bundled into the client. Vite dev passes loadEnv() output, Vercel passes
+// process.env.
+import { resolveProviderName } from "./providers/index.js";
+
+const toInt = (value, fallback) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// Like toInt, but 0 is a valid setting (VISION_RETRIES=0 turns retries off)
+const toCount = (value, fallback) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export const loadServerConfig = (env = {}) => {
+  const providers = {
+    gemini: {
+      apiKey: env.GEMINI_API_KEY,
+      model: env.GEMINI_MODEL || "gemini-2.5-flash-preview-09-2025",
+    },
+    openai: {
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL,
+      baseUrl: env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    },
+    mock: { baseUrl: env.MOCK_VISION_URL || "http://localhost:8787" },
+  };
+
+  const provider = resolveProviderName(env.VISION_PROVIDER, providers);
+  // Where requests go while the primary is down or rate limited. DEMO_FALLBACK=true
+  // is the older spelling of VISION_FALLBACK_PROVIDER=demo.
+  const fallback = (env.VISION_FALLBACK_PROVIDER || (env.DEMO_FALLBACK === "true" ? "demo" : "")).trim().toLowerCase();
+
+  return {
+    provider,
+    providers,
+    fallbackProvider: fallback && fallback !== provider ? fallback : "",
+    // Per upstream call; the breaker opens after `breakerFailures` outages in a row
+    resilience: {
+      timeoutMs: toInt(env.VISION_TIMEOUT_MS, 30_000),
+      retries: toCount(env.VISION_RETRIES, 2),
+      breakerFailures: toInt(env.BREAKER_FAILURES, 3),
+      breakerCooldownMs: toInt(env.BREAKER_COOLDOWN_MS, 30_000),
+    },
+    // Without a project id there is nothing to verify tokens against, so the
+    // proxy falls back to per-IP quotas (local dev only).
+    firebaseProjectId: env.FIREBASE_PROJECT_ID || env.VITE_FIREBASE_PROJECT_ID || "",
+    quota: {
+      perMinute: toInt(env.QUOTA_PER_MINUTE, 8),
+      perDay: toInt(env.QUOTA_PER_DAY, 300),
+    },
+    // Incident notifications; either channel may be left unset
+    escalation: {
+      webhookUrl: env.ESCALATION_WEBHOOK_URL || "",
+      webhookSecret: env.ESCALATION_WEBHOOK_SECRET || "",
+      vapid: {
+        publicKey: env.VAPID_PUBLIC_KEY || env.VITE_VAPID_PUBLIC_KEY || "",
+        privateKey: env.VAPID_PRIVATE_KEY || "",
+        subject: env.VAPID_SUBJECT || "mailto:safety@example.com",
+      },
+      // Separate from the vision quota: a DANGER must never be held back by scan volume
+      quota: {
+        perMinute: toInt(env.ESCALATION_PER_MINUTE, 20),
+        perDay: toInt(env.ESCALATION_PER_DAY, 500),
+      },
+    },
+  };
+};
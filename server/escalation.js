@@ -0,0 +1,121 @@
+/* =========================
+  INCIDENT NOTIFICATIONS
+========================= */
+// Fans an incident event out to the configured webhook and to the team's
+// supervisors over Web Push. The incident itself lives in Firestore (see
+// src/lib/incidents.js); this side only delivers, so a failed delivery never
+// loses the record. Webhook bodies are signed with HMAC-SHA256 when
+// ESCALATION_WEBHOOK_SECRET is set:
+//   X-OmniTech-Signature: sha256=<hex of hmac(secret, raw body)>
+import { createHmac, randomUUID } from "node:crypto";
+import { sendPush, pushEndpointAllowed, PushError } from "./webpush.js";
+
+export const INCIDENT_EVENTS = ["opened", "acknowledged", "resolved"];
+
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_FINDINGS = 10;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_RETRY_MS = 1000;
+
+const text = (v, max = 300) => String(v ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+const time = (v) => (Number.isFinite(v) ? v : null);
+const person = (p) => (p && typeof p === "object" ? { uid: text(p.uid, 128), name: text(p.name, 120), role: text(p.role, 20) } : null);
+
+// Only what a receiver needs; the client is not trusted to shape the payload
+export const sanitiseIncident = (raw) => {
+  if (!raw || typeof raw !== "object" || !raw.id) return null;
+  const verdict = raw.verdict || {};
+  return {
+    id: text(raw.id, 64),
+    teamId: text(raw.teamId, 64),
+    rule: { id: text(raw.ruleId, 64), name: text(raw.ruleName, 120) },
+    status: text(raw.status, 20),
+    openedAt: time(raw.openedAt),
+    openedBy: person(raw.openedBy),
+    occurrences: Number.isInteger(raw.occurrences) ? raw.occurrences : 1,
+    assetId: raw.assetId ? text(raw.assetId, 120) : null,
+    equipment: raw.equipment?.label ? text(raw.equipment.label, 200) : null,
+    verdict: {
+      status: text(verdict.status, 20),
+      headline: text(verdict.headline),
+      action_required: text(verdict.action_required),
+      findings: (Array.isArray(verdict.findings) ? verdict.findings : []).slice(0, MAX_FINDINGS).map((f) => ({
+        category: text(f?.category, 20),
+        severity: text(f?.severity, 20),
+        label: text(f?.label),
+      })),
+    },
+    acknowledgedAt: time(raw.acknowledgedAt),
+    acknowledgedBy: person(raw.acknowledgedBy),
+    resolvedAt: time(raw.resolvedAt),
+    resolvedBy: person(raw.resolvedBy),
+    resolution: text(raw.resolution, 1000),
+  };
+};
+
+const signBody = (secret, body) => `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+
+const postWebhook = async (url, headers, body) => {
+  try {
+    const response = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+    return { ok: response.ok, status: response.status };
+  } catch (e) {
+    return { ok: false, status: 0, error: e.name === "TimeoutError" ? "timeout" : e.message };
+  }
+};
+
+// One retry for network errors and 5xx; 4xx means the receiver rejected it
+export const deliverWebhook = async ({ webhookUrl, webhookSecret }, event) => {
+  const body = JSON.stringify(event);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "OmniTech-Escalation/1",
+    "X-OmniTech-Event": event.type,
+    "X-OmniTech-Delivery": event.id,
+  };
+  if (webhookSecret) headers["X-OmniTech-Signature"] = signBody(webhookSecret, body);
+
+  let result = await postWebhook(webhookUrl, headers, body);
+  if (!result.ok && (result.status === 0 || result.status >= 500)) {
+    await new Promise((resolve) => setTimeout(resolve, WEBHOOK_RETRY_MS));
+    result = { ...(await postWebhook(webhookUrl, headers, body)), retried: true };
+  }
+  return result;
+};
+
+// -> { sent, failed, expired: [endpoint] }
+export const pushToSubscribers = async (vapid, subscriptions, payload) => {
+  const targets = (Array.isArray(subscriptions) ? subscriptions : [])
+    .filter((s) => pushEndpointAllowed(s?.endpoint))
+    .slice(0, MAX_SUBSCRIPTIONS);
+
+  const results = await Promise.all(
+    targets.map((s) =>
+      sendPush(s, payload, vapid).catch((e) => {
+        if (!(e instanceof PushError)) console.warn("[omnitech-api] push failed:", e.message);
+        return { ok: false, expired: false };
+      })
+    )
+  );
+  return {
+    sent: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+    expired: targets.filter((_, i) => results[i].expired).map((s) => s.endpoint),
+  };
+};
+
+export const buildIncidentEvent = (type, incident, actor) => ({
+  id: randomUUID(),
+  type: `incident.${type}`,
+  at: Date.now(),
+  actor,
+  incident,
+});
+
+// What the supervisor's lock screen shows (see public/sw.js)
+export const pushMessage = (incident) => ({
+  title: `${incident.verdict.status}: ${incident.rule.name}`,
+  body: [incident.openedBy?.name, incident.assetId, incident.verdict.headline].filter(Boolean).join(" · "),
+  tag: incident.id,
+  incidentId: incident.id,
+});
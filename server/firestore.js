@@ -0,0 +1,93 @@
+/* =========================
+  FIRESTORE READS
+========================= */
+// The few documents the proxy has to see for itself (LOTO confirmations,
+// incidents, push subscriptions) are read over the Firestore REST API with the
+// caller's own ID token. firestore.rules therefore decide what the proxy may
+// read on someone's behalf, and no service account is needed — the same
+// trade-off as auth.js.
+
+const FIRESTORE_URL = "https://firestore.googleapis.com/v1";
+const READ_TIMEOUT_MS = 5000;
+const MAX_LIST = 100;
+
+export class FirestoreError extends Error {
+  // status: HTTP status from Firestore, 0 when it could not be reached
+  constructor(message, { status = 0 } = {}) {
+    super(message);
+    this.name = "FirestoreError";
+    this.status = status;
+  }
+}
+
+// One path segment: no slashes, and not "." or ".." (Firestore rejects those anyway)
+export const isDocumentId = (value) =>
+  typeof value === "string" && /^[^/]{1,128}$/.test(value) && value !== "." && value !== "..";
+
+const databasePath = (projectId) => `projects/${projectId}/databases/(default)/documents`;
+
+// REST Value -> plain JS; timestamps become epoch milliseconds
+export const decodeValue = (value) => {
+  if (!value || typeof value !== "object") return null;
+  if ("stringValue" in value) return value.stringValue;
+  if ("integerValue" in value) return Number(value.integerValue);
+  if ("doubleValue" in value) return Number(value.doubleValue);
+  if ("booleanValue" in value) return value.booleanValue;
+  if ("timestampValue" in value) return Date.parse(value.timestampValue);
+  if ("mapValue" in value) return decodeFields(value.mapValue.fields);
+  if ("arrayValue" in value) return (value.arrayValue.values || []).map(decodeValue);
+  if ("referenceValue" in value) return value.referenceValue;
+  if ("geoPointValue" in value) return value.geoPointValue;
+  if ("bytesValue" in value) return value.bytesValue;
+  return null;
+};
+
+const decodeFields = (fields = {}) =>
+  Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, decodeValue(value)]));
+
+// -> { id, ...fields }
+export const decodeDocument = (document) => ({ id: document.name.split("/").pop(), ...decodeFields(document.fields) });
+
+const request = async (url, idToken, init = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...init,
+      headers: { Authorization: `Bearer ${idToken}`, "Content-Type": "application/json" },
+      signal: AbortSignal.timeout(READ_TIMEOUT_MS),
+    });
+  } catch (e) {
+    throw new FirestoreError(`Firestore unreachable: ${e.name === "TimeoutError" ? "timeout" : e.message}`);
+  }
+  if (!response.ok) {
+    throw new FirestoreError(`Firestore read failed (HTTP ${response.status})`, { status: response.status });
+  }
+  try {
+    return await response.json();
+  } catch {
+    throw new FirestoreError("Firestore sent an unreadable response", { status: 502 });
+  }
+};
+
+// paths: ["artifacts/app/members/uid", ...] -> documents in the same order, null where missing
+export const getDocuments = async ({ projectId, idToken }, paths) => {
+  if (!paths.length) return [];
+  const root = databasePath(projectId);
+  const names = paths.map((path) => `${root}/${path}`);
+  const results = await request(`${FIRESTORE_URL}/${root}:batchGet`, idToken, {
+    method: "POST",
+    body: JSON.stringify({ documents: names }),
+  });
+
+  const found = new Map(
+    (Array.isArray(results) ? results : []).filter((r) => r.found).map((r) => [r.found.name, decodeDocument(r.found)])
+  );
+  return names.map((name) => found.get(name) || null);
+};
+
+// path: a collection, e.g. "artifacts/app/teams/t1/push_subscriptions" -> its first MAX_LIST documents
+export const listDocuments = async ({ projectId, idToken }, path) => {
+  const segments = path.split("/").map(encodeURIComponent).join("/");
+  const result = await request(`${FIRESTORE_URL}/${databasePath(projectId)}/${segments}?pageSize=${MAX_LIST}`, idToken);
+  return (result.documents || []).map(decodeDocument);
+};
@@ -0,0 +1,89 @@
+/* =========================
+  NODE HTTP ADAPTER
+========================= */
+// Wraps a route for both Vercel functions and Vite's connect middleware.
+const MAX_BODY_BYTES = 8 * 1024 * 1024; // a 1080p JPEG frame as base64 is ~1MB
+
+const readBody = (req) => {
+  // Vercel pre-parses JSON bodies; Vite hands us the raw stream.
+  if (req.body !== undefined) {
+    return Promise.resolve(typeof req.body === "string" ? JSON.parse(req.body || "{}") : req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Payload too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on("error", reject);
+  });
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Cache-Control", "no-store");
+  for (const [key, value] of Object.entries(headers)) res.setHeader(key, value);
+  res.end(JSON.stringify(body));
+};
+
+// result.stream(emit, signal): one JSON object per line, flushed as it is emitted.
+// signal aborts when the client goes away, so the upstream call can stop too.
+const sendStream = async (res, result) => {
+  const abort = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) abort.abort();
+  });
+
+  res.statusCode = result.status;
+  res.setHeader("Content-Type", "application/x-ndjson");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("X-Accel-Buffering", "no");
+  for (const [key, value] of Object.entries(result.headers || {})) res.setHeader(key, value);
+  res.flushHeaders?.();
+
+  try {
+    await result.stream((event) => {
+      if (!res.writableEnded) res.write(`${JSON.stringify(event)}\n`);
+    }, abort.signal);
+  } finally {
+    res.end();
+  }
+};
+
+export const createNodeHandler = (route, getConfig) => async (req, res) => {
+  if (req.method !== "POST") return send(res, 405, { error: "POST only" }, { Allow: "POST" });
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (e) {
+    return send(res, e.message === "Payload too large" ? 413 : 400, { error: e.message || "Bad JSON body" });
+  }
+
+  const ip = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() || req.socket?.remoteAddress;
+
+  try {
+    const result = await route(getConfig(), { body, headers: req.headers, ip });
+    if (result.stream) await sendStream(res, result);
+    else send(res, result.status, result.body, result.headers);
+  } catch (e) {
+    console.error("[omnitech-api] unhandled error:", e);
+    if (!res.headersSent) send(res, 500, { error: "Internal proxy error." });
+    else res.end();
+  }
+};
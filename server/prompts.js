@@ -0,0 +1,138 @@
+/* =========================
+  PROMPTS
+========================= */
+const BASE_INSTRUCTION = `
+You are OmniTech, an autonomous field agent responsible for human safety and system diagnosis.
+
+CORE PROTOCOLS:
+1. REFUSAL AUTHORITY: If a hazard is present (water, live wires, fire), you MUST refuse repair instructions.
+2. EPISTEMIC HUMILITY: If image is blurry/dark/obstructed, return status "UNCERTAIN". Do not guess.
+
+OUTPUT FORMAT (JSON ONLY):
+{
+  "status": "SAFE" | "DANGER" | "UNCERTAIN",
+  "headline": "Short 3-5 word alert",
+  "reasoning": "One concise sentence on visual evidence.",
+  "action_required": "Direct instruction to user.",
+  "question": "One clarifying question or camera request for the technician, or empty.",
+  "repair_steps": ["Step 1", "Step 2"],
+  "findings": [
+    {
+      "category": "electrical" | "water" | "fire" | "mechanical" | "chemical" | "ppe",
+      "severity": "info" | "caution" | "critical",
+      "label": "Short finding name",
+      "evidence": "What in the image shows this.",
+      "box": { "x": 0.0, "y": 0.0, "w": 0.0, "h": 0.0 }
+    }
+  ]
+}
+
+FINDINGS: List every visible issue separately (a wet floor AND an exposed conductor are two findings).
+"critical" means work must stop; any critical finding makes the status DANGER.
+"box" is optional: the bounding box normalised 0-1 to the image (x, y = top-left corner).
+Use [] when nothing is found.
+
+QUESTIONS: If you need another view or a fact only the technician knows to go further, ask for it in "question"
+(e.g. "Show me the rear panel." or "Does it click when you press the start button?"). Ask one thing at a time; use "" otherwise.
+`.trim();
+
+const MODE_TASKS = {
+  safety_check: "TASK: Scan for immediate hazards.",
+  diagnosis: "TASK: Diagnose likely failure. If hazard seen -> DANGER and stop.",
+  repair_guide:
+    "TASK: Provide step-by-step repair guide. " +
+    'Start any step that re-energises equipment with "[ENERGISE]" and any other step with a risk of shock, burns or moving parts with "[HAZARD]".',
+};
+
+// Locale codes the client may request; anything else answers in English
+export const ANSWER_LANGUAGES = {
+  en: "English",
+  fr: "French",
+  pt: "Portuguese",
+  sw: "Swahili",
+  ja: "Japanese",
+};
+
+// Free text follows the technician's language; the fields code branches on do not
+const languageDirective = (locale) =>
+  locale && locale !== "en" && ANSWER_LANGUAGES[locale]
+    ? `LANGUAGE: Write "headline", "reasoning", "action_required", "question", "repair_steps" and each finding's "label" and "evidence" in ${ANSWER_LANGUAGES[locale]}. ` +
+      'Keep JSON keys, "status", "category", "severity" and the "[ENERGISE]" / "[HAZARD]" step tags exactly as specified in English.'
+    : "";
+
+const VOLTAGE_DESCRIPTIONS = {
+  none: "no electrical supply",
+  elv: "extra-low voltage (< 50V AC / 120V DC)",
+  lv: "low voltage (50-1000V AC)",
+  mv: "medium voltage (1-36kV)",
+  hv: "high voltage (> 36kV)",
+};
+
+// equipment: sanitised profile from routes.js (see src/lib/equipment.js)
+const equipmentSection = (equipment, lotoDone) => {
+  if (!equipment) return "";
+  const lines = [
+    "EQUIPMENT PROFILE (the asset in frame, provided by the team):",
+    `- Type: ${equipment.type || "unspecified"}`,
+    `- Make / model: ${[equipment.manufacturer, equipment.model].filter(Boolean).join(" ") || "unspecified"}`,
+    `- Voltage class: ${VOLTAGE_DESCRIPTIONS[equipment.voltageClass] || "unspecified"}`,
+  ];
+  if (equipment.failureModes.length) {
+    lines.push("- Known failure modes:", ...equipment.failureModes.map((f) => `  * ${f}`));
+  }
+  if (equipment.lockoutProcedure.length) {
+    lines.push("- Manufacturer lockout procedure:", ...equipment.lockoutProcedure.map((step, i) => `  ${i + 1}. ${step}`));
+  }
+  lines.push(
+    "Judge hazards against this voltage class. Rank diagnoses against the known failure modes first and name the one you mean.",
+    lotoDone
+      ? "The lockout procedure has already been applied (see LOCKOUT / TAGOUT); repair steps must keep it in place until the final re-energise step."
+      : equipment.lockoutProcedure.length
+      ? 'Repair steps must start by applying the lockout procedure above, citing its step numbers (e.g. "Lockout step 2: ..."), and must not replace it with generic advice.'
+      : "No lockout procedure is on file: repair steps must start by isolating and verifying zero energy."
+  );
+  return lines.join("\n");
+};
+
+// loto: the technician's completed checklist; repair_guide is only served with one (see routes.js)
+const lotoSection = (loto) =>
+  loto
+    ? [
+        "LOCKOUT / TAGOUT: The technician completed and photo-verified this checklist before asking for repair steps:",
+        ...loto.steps.map((step, i) => `  ${i + 1}. ${step}`),
+        "Do not repeat these steps. If the image contradicts them (no lock or tag visible where expected, equipment running, indicators lit), return DANGER instead of repair steps.",
+      ].join("\n")
+    : "";
+
+// Sent when the request carries earlier turns of the diagnostic thread
+const THREAD_SECTION = [
+  "DIAGNOSTIC THREAD: The earlier turns of this conversation come before the current frame; your earlier answers are the JSON you returned.",
+  "Earlier frames are not re-sent: judge hazards from the current image only and never carry an earlier SAFE forward.",
+  "Use the thread to follow up on the technician's reports and on the questions you asked; do not repeat a question that was answered.",
+].join("\n");
+
+export const buildSystemInstruction = (mode, locale, equipment = null, loto = null, threaded = false) =>
+  [
+    BASE_INSTRUCTION,
+    MODE_TASKS[mode],
+    lotoSection(loto),
+    equipmentSection(equipment, Boolean(loto)),
+    threaded ? THREAD_SECTION : "",
+    languageDirective(locale),
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+export const buildAnalysisPrompt = (context = "") =>
+  context ? `User Context: ${context}` : "Analyze this scene.";
+
+const REPORT_SYSTEM_INSTRUCTION =
+  "You are a Senior Field Supervisor. Format the output as a clean report.";
+
+export const buildReportSystemInstruction = (locale) =>
+  locale && locale !== "en" && ANSWER_LANGUAGES[locale]
+    ? `${REPORT_SYSTEM_INSTRUCTION} Write the report in ${ANSWER_LANGUAGES[locale]}.`
+    : REPORT_SYSTEM_INSTRUCTION;
+
+export const buildReportPrompt = (logText) =>
+  `Generate a professional Field Incident Report based on these raw logs:\n\n${logText}`;
@@ -0,0 +1,57 @@
+/* =========================
+  CIRCUIT BREAKER
+========================= */
+// Stops sending traffic to a provider that keeps failing. After `failures`
+// consecutive outages the circuit opens and callers go to the fallback
+// provider (or fail fast) for `cooldownMs`. Then it is half-open: one trial
+// request goes through while everyone else stays on the fallback; its success
+// closes the circuit and an outage re-opens it for another cooldown. A trial
+// that never reports back frees the slot after another cooldown. Per process,
+// like the quota windows.
+
+// Failures that say the provider is down or saturated, not that the request was bad
+const OUTAGE_CATEGORIES = ["timeout", "network", "rate_limit", "provider"];
+
+export const isOutage = (error) => OUTAGE_CATEGORIES.includes(error?.category) || error?.name === "TimeoutError";
+
+export const createCircuitBreaker = ({ failures = 3, cooldownMs = 30_000 } = {}) => {
+  let consecutive = 0;
+  let openedAt = 0;
+  let trialAt = null; // when the half-open trial was let through
+
+  // "closed" | "open" | "half_open"
+  const state = (now = Date.now()) =>
+    consecutive < failures ? "closed" : now - openedAt < cooldownMs ? "open" : "half_open";
+
+  const trialRunning = (now) => trialAt !== null && now - trialAt < cooldownMs;
+
+  return {
+    state,
+    // Half-open: true for the caller that becomes the trial, false for the rest
+    allows: (now = Date.now()) => {
+      const current = state(now);
+      if (current !== "half_open") return current === "closed";
+      if (trialRunning(now)) return false;
+      trialAt = now;
+      return true;
+    },
+    // Seconds until the circuit lets requests through again
+    retryAfter: (now = Date.now()) => {
+      if (state(now) === "open") return Math.ceil((openedAt + cooldownMs - now) / 1000);
+      return state(now) === "half_open" && trialRunning(now) ? 1 : 0;
+    },
+    success: () => {
+      consecutive = 0;
+      trialAt = null;
+    },
+    failure: (now = Date.now()) => {
+      consecutive += 1;
+      trialAt = null;
+      if (consecutive >= failures) openedAt = now;
+    },
+    // The call ended without telling whether the provider is healthy (bad request, cancelled)
+    release: () => {
+      trialAt = null;
+    },
+  };
+};
@@ -0,0 +1,40 @@
+/* =========================
+  PROVIDER ERRORS
+========================= */
+// Thrown by every provider so callers can branch on HTTP status (429 etc.)
+// and on what kind of failure it was without knowing which backend produced it.
+//   timeout | network | rate_limit | provider (upstream 5xx or error body)
+//   rejected (other upstream 4xx) | bad_response | circuit_open
+export const categoryForStatus = (status) =>
+  status === 0 ? "network" : status === 429 ? "rate_limit" : status >= 500 ? "provider" : "rejected";
+
+export class ProviderError extends Error {
+  constructor(message, { status = 0, detail = "", provider = "", category = "", retryAfter = 0 } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.detail = detail;
+    this.provider = provider;
+    this.category = category || categoryForStatus(status);
+    this.retryAfter = retryAfter; // seconds, from the upstream Retry-After
+  }
+}
+
+export const readErrorDetail = async (response) =>
+  (await response.text().catch(() => "")).slice(0, 180);
+
+// Models sometimes wrap JSON in ```json fences even when asked not to.
+export const parseVerdictText = (text, provider) => {
+  if (!text) throw new ProviderError("No response from AI. Try again.", { provider, category: "bad_response" });
+
+  const cleanText = String(text).replace(/```json\s*|```/g, "").trim();
+  try {
+    return JSON.parse(cleanText);
+  } catch {
+    throw new ProviderError("AI response corrupted (bad JSON). Try again.", {
+      provider,
+      detail: cleanText.slice(0, 180),
+      category: "bad_response",
+    });
+  }
+};
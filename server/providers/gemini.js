@@ -0,0 +1,88 @@
+/* =========================
+  GEMINI PROVIDER
+========================= */
+import { ProviderError, parseVerdictText } from "./errors.js";
+import { requestUpstream } from "./request.js";
+import { readEventStream, parseEventData } from "./stream.js";
+
+const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+// policy: timeout / retry settings for requestUpstream
+export const createGeminiProvider = ({ apiKey, model, baseUrl = GEMINI_BASE_URL }, policy) => {
+  // Key travels in a header so it never lands in proxy/access logs.
+  const request = (method, body, signal) =>
+    requestUpstream(
+      `${baseUrl}/models/${model}:${method}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-goog-api-key": apiKey },
+        body: JSON.stringify(body),
+      },
+      { provider: "gemini", label: "Gemini", policy, signal }
+    );
+
+  const responseText = (data) => {
+    if (data?.error) {
+      throw new ProviderError(`Gemini error: ${data.error.message || "Unknown error"}`, {
+        provider: "gemini",
+        category: "provider",
+      });
+    }
+    return data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  };
+
+  const generate = async (body, signal) => {
+    const response = await request("generateContent", body, signal);
+    return responseText(await response.json());
+  };
+
+  // onText(text so far) after every streamed chunk; resolves with the whole text
+  const stream = async (body, onText, signal) => {
+    const response = await request("streamGenerateContent?alt=sse", body, signal);
+    let text = "";
+    await readEventStream(response, (data) => {
+      text += responseText(parseEventData(data, "gemini")) || "";
+      onText(text);
+    });
+    return text;
+  };
+
+  return {
+    name: "gemini",
+    configured: Boolean(apiKey),
+
+    // onText switches to the streaming endpoint; signal aborts the upstream call
+    analyze: async ({ systemInstruction, prompt, imageBase64, history = [], onText, signal }) => {
+      const body = {
+        contents: [
+          ...history.map((turn) => ({ role: turn.role, parts: [{ text: turn.text }] })),
+          {
+            role: "user",
+            parts: [
+              { text: prompt },
+              { inlineData: { mimeType: "image/jpeg", data: imageBase64 } },
+            ],
+          },
+        ],
+        generationConfig: {
+          responseMimeType: "application/json",
+          maxOutputTokens: 1000,
+          temperature: 0.4,
+        },
+        systemInstruction: { parts: [{ text: systemInstruction }] },
+      };
+      const text = onText ? await stream(body, onText, signal) : await generate(body, signal);
+      return parseVerdictText(text, "gemini");
+    },
+
+    report: async ({ systemInstruction, prompt, signal }) =>
+      generate(
+        {
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: { maxOutputTokens: 500, temperature: 0.7 },
+          systemInstruction: { parts: [{ text: systemInstruction }] },
+        },
+        signal
+      ),
+  };
+};
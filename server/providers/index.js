@@ -0,0 +1,44 @@
+/* =========================
+  VISION PROVIDERS
+========================= */
+// Every provider exposes the same surface:
+//   analyze({ mode, systemInstruction, prompt, imageBase64, history }) -> verdict object
+//     (history: earlier diagnostic-thread turns, [{ role: "user" | "model", text }])
+//     optional onText(text so far) streams the answer where the backend can, and
+//     signal (AbortSignal) cancels the upstream call
+//   report({ systemInstruction, prompt, signal }) -> report text
+// and throws ProviderError on failure. Network providers share requestUpstream
+// (request.js): per-call timeout and retries with backoff, set by `policy`.
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+import { createDemoProvider } from "./demo.js";
+
+export { ProviderError } from "./errors.js";
+export { DEFAULT_REQUEST_POLICY } from "./request.js";
+export { createCircuitBreaker, isOutage } from "./breaker.js";
+
+export const PROVIDER_NAMES = ["gemini", "openai", "mock", "demo"];
+
+// policy: { timeoutMs, retries, baseDelayMs, maxDelayMs }, defaults in request.js
+export const createProvider = (name, config = {}, policy) => {
+  switch (name) {
+    case "gemini":
+      return createGeminiProvider(config.gemini || {}, policy);
+    case "openai":
+      return createOpenAIProvider(config.openai || {}, policy);
+    case "mock":
+      return createMockProvider(config.mock || {}, policy);
+    case "demo":
+      return createDemoProvider();
+    default:
+      throw new Error(`Unknown vision provider "${name}". Use one of: ${PROVIDER_NAMES.join(", ")}`);
+  }
+};
+
+// Explicit choice wins; otherwise Gemini when a key exists, else demo.
+export const resolveProviderName = (requested, config = {}) => {
+  const name = (requested || "").trim().toLowerCase();
+  if (name) return name;
+  return config.gemini?.apiKey ? "gemini" : "demo";
+};
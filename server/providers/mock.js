@@ -0,0 +1,34 @@
+/* =========================
+  MOCK PROVIDER (local HTTP stand-in)
+========================= */
+// Talks to scripts/mock-vision-server.js so the full network path
+// (fetch, HTTP errors, JSON) is exercised without reaching Gemini.
+import { requestUpstream } from "./request.js";
+
+// policy: timeout / retry settings, so the mock exercises them too
+export const createMockProvider = ({ baseUrl }, policy) => {
+  const post = async (path, body, signal) => {
+    const response = await requestUpstream(
+      `${baseUrl.replace(/\/$/, "")}${path}`,
+      { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) },
+      { provider: "mock", label: "Mock", policy, signal }
+    );
+    return response.json();
+  };
+
+  return {
+    name: "mock",
+    configured: Boolean(baseUrl),
+
+    // No streaming: the whole verdict arrives at once
+    analyze: async ({ mode, prompt, history, signal }) => {
+      const data = await post("/analyze", { mode, prompt, history }, signal);
+      return data?.verdict;
+    },
+
+    report: async ({ prompt, signal }) => {
+      const data = await post("/report", { prompt }, signal);
+      return data?.report;
+    },
+  };
+};
@@ -0,0 +1,89 @@
+/* =========================
+  OPENAI-COMPATIBLE PROVIDER
+========================= */
+// Works with any /chat/completions endpoint that accepts image_url parts
+// (OpenAI, Azure OpenAI, vLLM, Ollama, LM Studio...).
+import { ProviderError, parseVerdictText } from "./errors.js";
+import { requestUpstream } from "./request.js";
+import { readEventStream, parseEventData } from "./stream.js";
+
+// policy: timeout / retry settings for requestUpstream
+export const createOpenAIProvider = ({ apiKey, model, baseUrl }, policy) => {
+  const request = (body, signal) => {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    return requestUpstream(
+      `${baseUrl.replace(/\/$/, "")}/chat/completions`,
+      { method: "POST", headers, body: JSON.stringify({ model, ...body }) },
+      { provider: "openai", label: "OpenAI-compatible", policy, signal }
+    );
+  };
+
+  const checkError = (data) => {
+    if (data?.error) {
+      throw new ProviderError(`OpenAI-compatible error: ${data.error.message || "Unknown error"}`, {
+        provider: "openai",
+        category: "provider",
+      });
+    }
+    return data;
+  };
+
+  const complete = async (body, signal) => {
+    const response = await request(body, signal);
+    return checkError(await response.json())?.choices?.[0]?.message?.content;
+  };
+
+  // onText(text so far) after every streamed delta; resolves with the whole text
+  const stream = async (body, onText, signal) => {
+    const response = await request({ ...body, stream: true }, signal);
+    let text = "";
+    await readEventStream(response, (data) => {
+      if (data === "[DONE]") return;
+      text += checkError(parseEventData(data, "openai"))?.choices?.[0]?.delta?.content || "";
+      onText(text);
+    });
+    return text;
+  };
+
+  return {
+    name: "openai",
+    configured: Boolean(baseUrl && model),
+
+    // onText switches to a streamed completion; signal aborts the upstream call
+    analyze: async ({ systemInstruction, prompt, imageBase64, history = [], onText, signal }) => {
+      const body = {
+        messages: [
+          { role: "system", content: systemInstruction },
+          ...history.map((turn) => ({ role: turn.role === "model" ? "assistant" : "user", content: turn.text })),
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              { type: "image_url", image_url: { url: `data:image/jpeg;base64,${imageBase64}` } },
+            ],
+          },
+        ],
+        response_format: { type: "json_object" },
+        max_tokens: 1000,
+        temperature: 0.4,
+      };
+      const text = onText ? await stream(body, onText, signal) : await complete(body, signal);
+      return parseVerdictText(text, "openai");
+    },
+
+    report: async ({ systemInstruction, prompt, signal }) =>
+      complete(
+        {
+          messages: [
+            { role: "system", content: systemInstruction },
+            { role: "user", content: prompt },
+          ],
+          max_tokens: 500,
+          temperature: 0.7,
+        },
+        signal
+      ),
+  };
+};
@@ -0,0 +1,77 @@
+/* =========================
+  UPSTREAM REQUESTS
+========================= */
+// The one fetch path every provider uses: a per-call timeout, retries with
+// exponential backoff for network errors, 429 and 5xx (a Retry-After from the
+// upstream wins over the computed delay), and every failure surfaced as a
+// categorised ProviderError. The caller's signal cancels the whole sequence.
+import { ProviderError, readErrorDetail } from "./errors.js";
+
+export const DEFAULT_REQUEST_POLICY = {
+  timeoutMs: 30_000,
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8_000, // a longer Retry-After is not waited out: the breaker / fallback take over
+};
+
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+// Seconds, from either form the header allows
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, Math.ceil((at - now) / 1000)) : 0;
+};
+
+// attempt 0 -> ~base, 1 -> ~2x base, ... with jitter so instances don't retry in step
+export const backoffDelay = (attempt, retryAfter, { baseDelayMs, maxDelayMs }) => {
+  const computed = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+  return Math.max(computed, retryAfter * 1000);
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+const retryable = (error, policy) =>
+  (error.category === "network" || RETRY_STATUSES.includes(error.status)) && error.retryAfter * 1000 <= policy.maxDelayMs;
+
+// -> the ok Response. label names the upstream in messages ("Gemini").
+// The timeout keeps running while the caller reads a streamed body.
+export const requestUpstream = async (url, init, { provider, label, policy = DEFAULT_REQUEST_POLICY, signal }) => {
+  for (let attempt = 0; ; attempt++) {
+    const timeout = AbortSignal.timeout(policy.timeoutMs);
+    let failure;
+    try {
+      const response = await fetch(url, { ...init, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+      if (response.ok) return response;
+      failure = new ProviderError(`${label} HTTP ${response.status}`, {
+        status: response.status,
+        detail: await readErrorDetail(response),
+        provider,
+        retryAfter: parseRetryAfter(response.headers.get("Retry-After")),
+      });
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      failure = timeout.aborted
+        ? new ProviderError(`${label} timed out after ${Math.round(policy.timeoutMs / 1000)}s`, { provider, category: "timeout" })
+        : new ProviderError(`${label} unreachable: ${e.cause?.code || e.message}`, { provider, category: "network" });
+    }
+
+    if (attempt >= policy.retries || !retryable(failure, policy)) throw failure;
+    const delay = backoffDelay(attempt, failure.retryAfter, policy);
+    console.warn(`[omnitech-api] ${failure.message}; retry ${attempt + 1}/${policy.retries} in ${Math.round(delay)}ms`);
+    await sleep(delay, signal);
+  }
+};
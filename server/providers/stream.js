@@ -0,0 +1,71 @@
+/* =========================
+  STREAMED RESPONSES
+========================= */
+// Gemini (streamGenerateContent?alt=sse) and OpenAI-compatible endpoints
+// (stream: true) both answer with server-sent events. The verdict JSON
+// arrives a few tokens at a time; readPartialVerdict pulls out whatever
+// top-level text fields are readable so far so the proxy can forward them.
+import { ProviderError } from "./errors.js";
+
+// onData(payload) for every `data:` event, in order
+export const readEventStream = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const flush = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trimStart())
+      .join("\n");
+    if (data) onData(data);
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(flush);
+  }
+  flush(buffer + decoder.decode());
+};
+
+// One event's JSON payload. A garbled chunk is a bad answer, not an outage:
+// it must not reach the client as a network error or count against the breaker.
+export const parseEventData = (data, provider) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    throw new ProviderError("AI stream corrupted (bad JSON chunk). Try again.", {
+      provider,
+      detail: String(data).slice(0, 180),
+      category: "bad_response",
+    });
+  }
+};
+
+const PARTIAL_FIELDS = ["status", "headline", "reasoning", "action_required"];
+
+// A string value that may still be open: "headline": "Exposed condu
+const fieldPattern = (key) => new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)(")?`);
+
+// -> { status?, headline?, reasoning?, action_required? } from incomplete JSON.
+// Status only counts once its string is closed; the rest may be cut mid-word.
+export const readPartialVerdict = (text) => {
+  const partial = {};
+  for (const key of PARTIAL_FIELDS) {
+    const match = fieldPattern(key).exec(text || "");
+    if (!match || (key === "status" && !match[2])) continue;
+    try {
+      // A chunk can end inside an escape sequence
+      const value = JSON.parse(`"${match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, "")}"`).trim();
+      if (value) partial[key] = value;
+    } catch {
+      // not readable yet
+    }
+  }
+  return partial;
+};
@@ -0,0 +1,31 @@
+/* =========================
+  PER-USER QUOTA
+========================= */
+// Sliding-window counters keyed on Firebase UID. In-memory on purpose: each
+// serverless instance enforces its own window, which is enough to stop a
+// single client from draining the shared key.
+const MINUTE_MS = 60_000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const windows = new Map(); // uid -> timestamps[]
+
+export const checkQuota = (uid, { perMinute, perDay }, now = Date.now()) => {
+  const recent = (windows.get(uid) || []).filter((t) => t > now - DAY_MS);
+
+  const lastMinute = recent.filter((t) => t > now - MINUTE_MS);
+  if (lastMinute.length >= perMinute) {
+    const retryAfter = Math.ceil((lastMinute[0] + MINUTE_MS - now) / 1000);
+    windows.set(uid, recent);
+    return { ok: false, retryAfter, reason: `Quota: ${perMinute} requests/min` };
+  }
+
+  if (recent.length >= perDay) {
+    const retryAfter = Math.ceil((recent[0] + DAY_MS - now) / 1000);
+    windows.set(uid, recent);
+    return { ok: false, retryAfter, reason: `Quota: ${perDay} requests/day` };
+  }
+
+  recent.push(now);
+  windows.set(uid, recent);
+  return { ok: true, remainingToday: perDay - recent.length };
+};
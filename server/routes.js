@@ -0,0 +1,435 @@
+/* =========================
+  OMNITECH API ROUTES
+========================= */
+// Framework-agnostic handlers: (config, { body, headers, ip }) -> { status, body, headers },
+// or { status, headers, stream(emit, signal) } for a newline-delimited JSON response.
+// The browser only ever sends a frame + mode; the system instruction, the
+// provider key and quota enforcement all live here.
+import {
+  createProvider,
+  createCircuitBreaker,
+  isOutage,
+  ProviderError,
+  DEFAULT_REQUEST_POLICY,
+} from "./providers/index.js";
+import {
+  buildSystemInstruction,
+  buildAnalysisPrompt,
+  buildReportSystemInstruction,
+  buildReportPrompt,
+  ANSWER_LANGUAGES,
+} from "./prompts.js";
+import { verifyIdToken, AuthError } from "./auth.js";
+import { getDocuments, listDocuments, isDocumentId, FirestoreError } from "./firestore.js";
+import { checkQuota } from "./quota.js";
+import {
+  INCIDENT_EVENTS,
+  sanitiseIncident,
+  buildIncidentEvent,
+  deliverWebhook,
+  pushToSubscribers,
+  pushMessage,
+} from "./escalation.js";
+import { readPartialVerdict } from "./providers/stream.js";
+import { validateVerdict, matchStatus } from "../src/lib/verdict.js";
+
+const ANALYSIS_MODES = ["safety_check", "diagnosis", "repair_guide"];
+const MAX_CONTEXT_CHARS = 2000;
+const MAX_HISTORY_TURNS = 12;
+const MAX_HISTORY_TURN_CHARS = 1500;
+const MAX_LOG_CHARS = 20_000;
+
+const json = (status, body, headers = {}) => ({ status, body, headers });
+
+const answerLocale = (value) => (Object.hasOwn(ANSWER_LANGUAGES, value) ? value : "en");
+
+const VOLTAGE_CLASSES = ["none", "elv", "lv", "mv", "hv"];
+const MAX_PROFILE_FIELD = 120;
+const MAX_PROFILE_ITEMS = 20;
+const MAX_PROFILE_ITEM = 300;
+
+// Profile text ends up in the system instruction: keep it short, flat and typed
+const sanitiseEquipment = (raw) => {
+  if (!raw || typeof raw !== "object") return null;
+  const field = (v, max = MAX_PROFILE_FIELD) => String(v ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+  const items = (v) =>
+    (Array.isArray(v) ? v : [])
+      .map((item) => field(item, MAX_PROFILE_ITEM))
+      .filter(Boolean)
+      .slice(0, MAX_PROFILE_ITEMS);
+
+  const profile = {
+    type: field(raw.type),
+    manufacturer: field(raw.manufacturer),
+    model: field(raw.model),
+    voltageClass: VOLTAGE_CLASSES.includes(raw.voltageClass) ? raw.voltageClass : null,
+    failureModes: items(raw.failureModes),
+    lockoutProcedure: items(raw.lockoutProcedure),
+  };
+  return profile.type || profile.model ? profile : null;
+};
+
+const MAX_LOTO_STEPS = 40;
+const MAX_LOTO_AGE_MS = 12 * 60 * 60 * 1000; // one shift
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Completed LOTO checklist sent with repair_guide (see lotoForRequest in src/lib/loto.js);
+// null unless every step carries a photo confirmation, in order, no later than the
+// run's completion, and the run is from this shift. checkLotoEvents then looks the
+// confirmations up in Firestore.
+export const sanitiseLoto = (raw, now = Date.now()) => {
+  if (!raw || typeof raw !== "object" || !isDocumentId(raw.id) || !Number.isFinite(raw.completedAt)) return null;
+  if (raw.completedAt > now + MAX_CLOCK_SKEW_MS || now - raw.completedAt > MAX_LOTO_AGE_MS) return null;
+  if (!Array.isArray(raw.steps) || !raw.steps.length || raw.steps.length > MAX_LOTO_STEPS) return null;
+
+  const steps = [];
+  const confirmations = [];
+  let previous = 0;
+  for (const step of raw.steps) {
+    const label = String(step?.label ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_PROFILE_ITEM);
+    const { confirmedAt } = step || {};
+    if (!label || !step.id || !isDocumentId(step.eventId)) return null;
+    if (!Number.isFinite(confirmedAt) || confirmedAt < previous || confirmedAt > raw.completedAt) return null;
+    previous = confirmedAt;
+    steps.push(label);
+    confirmations.push({ stepId: String(step.id), eventId: step.eventId });
+  }
+  return { id: raw.id, completedAt: raw.completedAt, steps, confirmations };
+};
+
+// Every confirmation must be a loto_events record the caller saved (src/lib/eventQueue.js)
+// for this run and step during this shift. firestore.rules stamp those records with
+// the server's time and never let them change. Without a Firebase project there is
+// no caller to read as, and only the checks in sanitiseLoto apply.
+// -> null when they all check out, otherwise the error response
+const checkLotoEvents = async (config, identity, appId, loto, now = Date.now()) => {
+  if (!identity.idToken) return null;
+
+  const events = await getDocuments(
+    { projectId: config.firebaseProjectId, idToken: identity.idToken },
+    loto.confirmations.map(({ eventId }) => `artifacts/${appId}/users/${identity.uid}/loto_events/${eventId}`)
+  );
+  const unconfirmed = events.findIndex(
+    (event, i) =>
+      !event ||
+      event.lotoId !== loto.id ||
+      event.stepId !== loto.confirmations[i].stepId ||
+      !(now - event.timestamp <= MAX_LOTO_AGE_MS)
+  );
+  if (unconfirmed < 0) return null;
+  return json(428, {
+    error: `LOTO step ${unconfirmed + 1} has no saved photo confirmation. Let it sync, then try again.`,
+  });
+};
+
+// Earlier turns of the diagnostic thread (see src/lib/thread.js) as alternating
+// user / model text, opening with the user: providers reject anything else
+const sanitiseHistory = (raw) => {
+  const turns = [];
+  for (const item of Array.isArray(raw) ? raw : []) {
+    const role = item?.role === "model" ? "model" : item?.role === "user" ? "user" : null;
+    const text = String(item?.text ?? "").trim().slice(0, MAX_HISTORY_TURN_CHARS);
+    if (!role || !text || (!turns.length && role === "model")) continue;
+    if (turns.at(-1)?.role === role) turns.at(-1).text += `\n${text}`;
+    else turns.push({ role, text });
+  }
+  // The current frame is the next user turn
+  if (turns.at(-1)?.role === "user") turns.pop();
+  const kept = turns.slice(-MAX_HISTORY_TURNS);
+  return kept[0]?.role === "model" ? kept.slice(1) : kept;
+};
+
+const providerCache = new WeakMap();
+
+// One breaker per config, guarding the primary; the fallback is used as-is
+const getProviders = (config) => {
+  if (!providerCache.has(config)) {
+    const { timeoutMs, retries, breakerFailures, breakerCooldownMs } = config.resilience;
+    const policy = { ...DEFAULT_REQUEST_POLICY, timeoutMs, retries };
+    providerCache.set(config, {
+      primary: createProvider(config.provider, config.providers, policy),
+      fallback: config.fallbackProvider ? createProvider(config.fallbackProvider, config.providers, policy) : null,
+      breaker: createCircuitBreaker({ failures: breakerFailures, cooldownMs: breakerCooldownMs }),
+    });
+  }
+  return providerCache.get(config);
+};
+
+// Shared by analysis and reports: call(provider) runs against the primary unless
+// its circuit is open (or half-open with the trial call already out), and an outage (timeout, network, 429, 5xx - after the
+// retries in requestUpstream) counts against the breaker and moves the call to
+// the fallback. canFallBack() lets a stream that already forwarded partials fail
+// instead of finishing with another provider's verdict.
+// -> { provider, value }
+const callProvider = async (config, call, { canFallBack = () => true } = {}) => {
+  const { primary, fallback, breaker } = getProviders(config);
+
+  const viaFallback = async (cause) => {
+    if (!fallback || !canFallBack()) throw cause;
+    console.warn(`[omnitech-api] ${primary.name} unavailable (${cause.category}); using ${fallback.name}`);
+    return { provider: fallback, value: await call(fallback) };
+  };
+
+  if (!breaker.allows()) {
+    return viaFallback(
+      new ProviderError(`${primary.name} paused after repeated failures`, {
+        provider: primary.name,
+        category: "circuit_open",
+        retryAfter: breaker.retryAfter(),
+      })
+    );
+  }
+
+  try {
+    const value = await call(primary);
+    breaker.success();
+    return { provider: primary, value };
+  } catch (e) {
+    if (!isOutage(e)) {
+      breaker.release();
+      throw e;
+    }
+    breaker.failure();
+    return viaFallback(e);
+  }
+};
+
+// -> { uid, idToken }; idToken is kept to read Firestore as the caller (server/firestore.js)
+const identify = async (config, { headers, ip }) => {
+  if (!config.firebaseProjectId) return { uid: `ip:${ip || "local"}`, idToken: null };
+
+  const token = /^Bearer\s+(.+)$/i.exec(headers?.authorization || "")?.[1];
+  if (!token) throw new AuthError("Missing ID token");
+  const { uid } = await verifyIdToken(token, config.firebaseProjectId);
+  return { uid, idToken: token };
+};
+
+const firestoreErrorResponse = (e) =>
+  e.status === 403
+    ? json(403, { error: "Not allowed to read that record.", category: "auth" })
+    : json(502, { error: "Could not check the record in Firestore.", detail: e.message, category: "network" });
+
+// Resolves the caller and charges one unit of quota, or returns the error response.
+// check(identity) may still refuse the request (-> response) before quota is charged.
+const authorize = async (config, req, { quota = config.quota, bucket = "", check } = {}) => {
+  let identity;
+  try {
+    identity = await identify(config, req);
+  } catch (e) {
+    if (e instanceof AuthError) return { response: json(401, { error: e.message, category: "auth" }) };
+    throw e;
+  }
+
+  if (check) {
+    try {
+      const refused = await check(identity);
+      if (refused) return { response: refused };
+    } catch (e) {
+      if (e instanceof FirestoreError) return { response: firestoreErrorResponse(e) };
+      throw e;
+    }
+  }
+
+  const charged = checkQuota(`${bucket}${identity.uid}`, quota);
+  if (!charged.ok) {
+    return {
+      response: json(
+        429,
+        { error: charged.reason, category: "quota", retryAfter: charged.retryAfter },
+        { "Retry-After": String(charged.retryAfter) }
+      ),
+    };
+  }
+  return identity;
+};
+
+// Anything not listed is a 502
+const CATEGORY_STATUS = { rate_limit: 429, circuit_open: 503, timeout: 504 };
+
+// The body's `category` is what the client shows in its log (see ProviderError)
+const providerErrorResponse = (e) => {
+  if (e instanceof ProviderError) {
+    return json(
+      CATEGORY_STATUS[e.category] || 502,
+      {
+        error: e.message,
+        detail: e.detail,
+        provider: e.provider,
+        category: e.category,
+        upstreamStatus: e.status,
+        retryAfter: e.retryAfter,
+      },
+      e.retryAfter ? { "Retry-After": String(e.retryAfter) } : {}
+    );
+  }
+  console.error("[omnitech-api] provider failure:", e);
+  return json(502, { error: "Vision provider unreachable.", category: "network" });
+};
+
+// Every handler validates the body before authorize charges quota: a rejected request costs nothing
+export const handleAnalyze = async (config, req) => {
+  const { mode, context, imageBase64, locale, equipment, appId } = req.body || {};
+  if (!ANALYSIS_MODES.includes(mode)) {
+    return json(400, { error: `Unknown mode. Use one of: ${ANALYSIS_MODES.join(", ")}` });
+  }
+
+  // Repair guidance is locked behind a completed lockout / tagout checklist
+  const loto = mode === "repair_guide" ? sanitiseLoto(req.body.loto) : null;
+  if (mode === "repair_guide" && !loto) {
+    return json(428, { error: "Complete the lockout / tagout checklist before requesting repair steps." });
+  }
+  if (loto && !isDocumentId(appId)) return json(400, { error: "Missing appId." });
+
+  const { primary } = getProviders(config);
+  if (!primary.offline && (typeof imageBase64 !== "string" || !imageBase64)) {
+    return json(400, { error: "Missing camera frame." });
+  }
+
+  const gate = await authorize(config, req, {
+    check: loto && ((identity) => checkLotoEvents(config, identity, appId, loto)),
+  });
+  if (gate.response) return gate.response;
+
+  const history = sanitiseHistory(req.body.history);
+  const request = {
+    mode,
+    systemInstruction: buildSystemInstruction(mode, answerLocale(locale), sanitiseEquipment(equipment), loto, history.length > 0),
+    prompt: buildAnalysisPrompt(String(context || "").slice(0, MAX_CONTEXT_CHARS).trim()),
+    imageBase64,
+    history,
+  };
+
+  // onText: streamed text so far, from providers that stream
+  const run = async ({ onText, canFallBack, signal } = {}) => {
+    const { provider, value } = await callProvider(
+      config,
+      (target) => target.analyze({ ...request, onText, signal }),
+      { canFallBack }
+    );
+
+    const { verdict, repairs } = validateVerdict(value);
+    return {
+      verdict,
+      repairs,
+      provider: provider.name,
+      offline: Boolean(provider.offline),
+      fallback: provider !== primary,
+    };
+  };
+
+  if (!req.body.stream) {
+    try {
+      return json(200, await run());
+    } catch (e) {
+      return providerErrorResponse(e);
+    }
+  }
+
+  // Streaming: { type: "partial", verdict } lines as fields become readable, then
+  // { type: "result", result } or { type: "error", status, error, detail }.
+  // A partial status is what the model wrote, so the final verdict can only be stricter.
+  return {
+    status: 200,
+    headers: {},
+    stream: async (emit, signal) => {
+      let last = "";
+      const onText = (text) => {
+        const { status, ...fields } = readPartialVerdict(text);
+        const partial = matchStatus(status) ? { status: matchStatus(status), ...fields } : fields;
+        const key = JSON.stringify(partial);
+        if (key === last || key === "{}") return;
+        last = key;
+        emit({ type: "partial", verdict: partial });
+      };
+
+      try {
+        // Once partials went out, switching to the fallback would change the verdict mid-answer
+        emit({ type: "result", result: await run({ onText, canFallBack: () => !last, signal }) });
+      } catch (e) {
+        if (signal.aborted) return;
+        const failure = providerErrorResponse(e);
+        emit({ type: "error", status: failure.status, ...failure.body });
+      }
+    },
+  };
+};
+
+export const handleReport = async (config, req) => {
+  const logText = String(req.body?.logText || "").slice(0, MAX_LOG_CHARS);
+  if (!logText.trim()) return json(400, { error: "No session logs to report on." });
+
+  const gate = await authorize(config, req);
+  if (gate.response) return gate.response;
+
+  const { primary } = getProviders(config);
+  try {
+    const { provider, value: report } = await callProvider(config, (target) =>
+      target.report({
+        systemInstruction: buildReportSystemInstruction(answerLocale(req.body?.locale)),
+        prompt: buildReportPrompt(logText),
+      })
+    );
+    return json(200, {
+      report,
+      provider: provider.name,
+      offline: Boolean(provider.offline),
+      fallback: provider !== primary,
+    });
+  } catch (e) {
+    return providerErrorResponse(e);
+  }
+};
+
+// Webhook for every incident event, Web Push to supervisors when one opens. The
+// client only names the incident: the proxy reads it and the team's push
+// subscriptions from Firestore as the caller, once it has checked the caller
+// belongs to that team.
+export const handleEscalate = async (config, req) => {
+  const { escalation } = config;
+  const { event, appId, teamId, incidentId } = req.body || {};
+  if (!INCIDENT_EVENTS.includes(event)) {
+    return json(400, { error: `Unknown event. Use one of: ${INCIDENT_EVENTS.join(", ")}` });
+  }
+  if (![appId, teamId, incidentId].every(isDocumentId)) return json(400, { error: "Missing incident." });
+  if (!config.firebaseProjectId) {
+    return json(503, { error: "Escalation needs FIREBASE_PROJECT_ID to read the incident.", category: "rejected" });
+  }
+
+  const pushReady = Boolean(escalation.vapid.publicKey && escalation.vapid.privateKey);
+  let incident = null;
+  let subscriptions = [];
+  const gate = await authorize(config, req, {
+    quota: escalation.quota,
+    bucket: "escalate:",
+    check: async ({ uid, idToken }) => {
+      const firestore = { projectId: config.firebaseProjectId, idToken };
+      // Non-members work in their own sandbox team (see demoTeamId in src/lib/account.js)
+      const [member] = await getDocuments(firestore, [`artifacts/${appId}/members/${uid}`]);
+      if ((member ? member.teamId : `demo-${uid}`) !== teamId) {
+        return json(403, { error: "Not a member of that team.", category: "auth" });
+      }
+
+      const teamPath = `artifacts/${appId}/teams/${teamId}`;
+      const [stored] = await getDocuments(firestore, [`${teamPath}/incidents/${incidentId}`]);
+      if (!stored) return json(404, { error: "Incident not found." });
+      incident = sanitiseIncident(stored);
+      if (pushReady && event === "opened") {
+        subscriptions = await listDocuments(firestore, `${teamPath}/push_subscriptions`);
+      }
+      return null;
+    },
+  });
+  if (gate.response) return gate.response;
+
+  const [webhook, push] = await Promise.all([
+    escalation.webhookUrl ? deliverWebhook(escalation, buildIncidentEvent(event, incident, gate.uid)) : null,
+    pushReady && event === "opened" ? pushToSubscribers(escalation.vapid, subscriptions, pushMessage(incident)) : null,
+  ]);
+  return json(200, { webhook, push });
+};
+
+export const API_ROUTES = {
+  "/api/analyze": handleAnalyze,
+  "/api/report": handleReport,
+  "/api/escalate": handleEscalate,
+};
@@ -0,0 +1,33 @@
+/* =========================
+  VITE DEV PROXY
+========================= */
+// Mounts the /api routes on `vite` and `vite preview` so local dev exercises
+// exactly the same code path as the Vercel functions in /api.
+import { loadEnv } from "vite";
+import { loadServerConfig } from "./config.js";
+import { createNodeHandler } from "./http.js";
+import { API_ROUTES } from "./routes.js";
+
+export const omnitechApi = () => {
+  let config;
+
+  const mount = (middlewares) => {
+    for (const [path, route] of Object.entries(API_ROUTES)) {
+      middlewares.use(path, createNodeHandler(route, () => config));
+    }
+  };
+
+  return {
+    name: "omnitech-api",
+    configResolved(resolved) {
+      // "" prefix: load every var, not just VITE_*, but only into this Node process.
+      config = loadServerConfig(loadEnv(resolved.mode, resolved.envDir || process.cwd(), ""));
+    },
+    configureServer(server) {
+      mount(server.middlewares);
+    },
+    configurePreviewServer(server) {
+      mount(server.middlewares);
+    },
+  };
+};
@@ -0,0 +1,126 @@
+/* =========================
+  WEB PUSH
+========================= */
+// Minimal Web Push sender (RFC 8291 aes128gcm payloads, RFC 8292 VAPID) on
+// node:crypto, in the same spirit as auth.js: no web-push dependency for a
+// single POST per subscriber. Keys come from `npm run vapid:keys`.
+import { createECDH, createPrivateKey, createCipheriv, hkdfSync, randomBytes, sign } from "node:crypto";
+
+const RECORD_SIZE = 4096;
+const JWT_TTL_S = 12 * 60 * 60;
+
+// Browsers' push services; anything else is refused so subscriptions can't point the proxy elsewhere.
+// Exact hosts where the service has one, the vendor's push-only subdomains otherwise.
+const PUSH_HOSTS = ["fcm.googleapis.com", "updates.push.services.mozilla.com"];
+const PUSH_HOST_SUFFIXES = [".push.apple.com", ".notify.windows.com"];
+
+export class PushError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PushError";
+  }
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const fromB64url = (text) => Buffer.from(String(text || ""), "base64url");
+const pad32 = (buf) => Buffer.concat([Buffer.alloc(Math.max(0, 32 - buf.length)), buf]);
+
+export const pushEndpointAllowed = (endpoint) => {
+  try {
+    const url = new URL(endpoint);
+    return (
+      url.protocol === "https:" &&
+      (PUSH_HOSTS.includes(url.hostname) || PUSH_HOST_SUFFIXES.some((suffix) => url.hostname.endsWith(suffix)))
+    );
+  } catch {
+    return false;
+  }
+};
+
+// Fresh P-256 key pair in the base64url form the browser's applicationServerKey takes
+export const generateVapidKeys = () => {
+  const ecdh = createECDH("prime256v1");
+  ecdh.generateKeys();
+  return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(pad32(ecdh.getPrivateKey())) };
+};
+
+const vapidKey = ({ publicKey, privateKey }) => {
+  const pub = fromB64url(publicKey);
+  return createPrivateKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      d: b64url(pad32(fromB64url(privateKey))),
+      x: b64url(pub.subarray(1, 33)),
+      y: b64url(pub.subarray(33, 65)),
+    },
+    format: "jwk",
+  });
+};
+
+const vapidHeader = (endpoint, vapid) => {
+  const header = b64url(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = b64url(
+    JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + JWT_TTL_S,
+      sub: vapid.subject,
+    })
+  );
+  const signature = sign("sha256", Buffer.from(`${header}.${claims}`), {
+    key: vapidKey(vapid),
+    dsaEncoding: "ieee-p1363",
+  });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${vapid.publicKey}`;
+};
+
+const hkdf = (salt, ikm, info, length) => Buffer.from(hkdfSync("sha256", ikm, salt, info, length));
+
+// One aes128gcm record: salt | record size | key id (our public key) | ciphertext
+export const encryptPayload = (payload, { p256dh, auth }) => {
+  const clientKey = fromB64url(p256dh);
+  const ecdh = createECDH("prime256v1");
+  ecdh.generateKeys();
+  const serverKey = ecdh.getPublicKey();
+
+  const ikm = hkdf(
+    fromB64url(auth),
+    ecdh.computeSecret(clientKey),
+    Buffer.concat([Buffer.from("WebPush: info\0"), clientKey, serverKey]),
+    32
+  );
+  const salt = randomBytes(16);
+  const cek = hkdf(salt, ikm, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const cipher = createCipheriv("aes-128-gcm", cek, nonce);
+  const body = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverKey.length, 20);
+  return Buffer.concat([header, serverKey, body, cipher.getAuthTag()]);
+};
+
+// subscription: { endpoint, keys: { p256dh, auth } } as produced by PushManager.subscribe()
+// -> { ok, status, expired } — expired subscriptions (404 / 410) should be forgotten
+export const sendPush = async (subscription, payload, vapid, { ttl = 3600, urgency = "high", timeoutMs = 5000 } = {}) => {
+  const { endpoint, keys } = subscription || {};
+  if (!pushEndpointAllowed(endpoint)) throw new PushError("Push endpoint not allowed");
+  if (!keys?.p256dh || !keys?.auth) throw new PushError("Push subscription has no keys");
+
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      Authorization: vapidHeader(endpoint, vapid),
+      "Content-Encoding": "aes128gcm",
+      "Content-Type": "application/octet-stream",
+      TTL: String(ttl),
+      Urgency: urgency,
+    },
+    body: encryptPayload(JSON.stringify(payload), keys),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  return { ok: response.ok, status: response.status, expired: response.status === 404 || response.status === 410 };
+};
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from "react";
 import {
   Camera,
   Mic,
+  MicOff,
   ShieldAlert,
   ShieldCheck,
   Activity,
@@ -11,8 +12,27 @@ import {
   ListChecks,
   X,
   Loader2,
+  Eye,
+  EyeOff,
+  Crop,
+  CloudOff,
+  History,
   AlertTriangle,
   CheckCircle2,
+  Volume2,
+  SkipForward,
+  XCircle,
+  Languages,
+  Cpu,
+  QrCode,
+  Lock,
+  UserCheck,
+  CircleUser,
+  Users,
+  Siren,
+  MessagesSquare,
+  MessageCircleQuestionMark,
+  ScanLine,
 } from "lucide-react";
 
 import { initializeApp } from "firebase/app";
@@ -21,26 +41,146 @@ import {
   signInAnonymously,
   onAuthStateChanged,
   signInWithCustomToken,
+  connectAuthEmulator,
 } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { getStorage } from "firebase/storage";
+
+import { analyzeFrame, requestReport, notifyIncident, takeAnalysisToken, ApiError } from "./lib/omnitechApi.js";
+import { lockFindingIndex } from "./lib/verdict.js";
+import { computeSignature, isSameScene } from "./lib/frameDiff.js";
+import {
+  preprocessFrame,
+  isBlurry,
+  describeQuality,
+  displayRectToRoi,
+  boxToDisplayStyle,
+  regionBoxToFrame,
+} from "./lib/framePreprocess.js";
+import HazardOverlay from "./components/HazardOverlay.jsx";
+import { createEventQueue } from "./lib/eventQueue.js";
+import {
+  fetchSessionLogs,
+  fetchSessionProtocols,
+  fetchSessionLotos,
+  logToTimelineEntry,
+  eventToTimelineEntry,
+  eventToReportEvent,
+} from "./lib/history.js";
+import HistoryPanel from "./components/HistoryPanel.jsx";
+import { makeThumbnail } from "./lib/evidence.js";
+import {
+  buildReportModel,
+  renderReportHtml,
+  renderReportJson,
+  renderReportPdf,
+  canRenderPdf,
+  reportForStorage,
+  reportLogText,
+  downloadBlob,
+  reportFilename,
+} from "./lib/report.js";
+import {
+  createProtocol,
+  currentStep,
+  needsVerification,
+  markVerified,
+  recordStep,
+  abortProtocol,
+  describeStep,
+} from "./lib/repairProtocol.js";
+import { parseVoiceCommand, parseWakePhrases } from "./lib/voiceCommands.js";
+import { LOCALES, DEFAULT_LOCALE, matchLocale, detectLocale, createTranslator, speechLang } from "./lib/i18n.js";
+import { loadLocalPreferences, fetchPreferences, savePreferences } from "./lib/preferences.js";
+import EquipmentPanel from "./components/EquipmentPanel.jsx";
+import { normaliseProfile, profileLabel, profileForRequest } from "./lib/equipment.js";
+import { createAssetScanner, confirmAssetScan } from "./lib/assetTag.js";
+import LotoPanel from "./components/LotoPanel.jsx";
+import OverridePanel from "./components/OverridePanel.jsx";
+import {
+  requestOverride,
+  watchOverride,
+  watchPendingOverrides,
+  decideOverride,
+  cancelOverride,
+  overrideActive,
+  overrideCovers,
+} from "./lib/overrides.js";
+import {
+  DEFAULT_LOTO_STEPS,
+  fetchLotoSteps,
+  saveLotoSteps,
+  buildChecklist,
+  createLoto,
+  currentLotoStep,
+  confirmLotoStep,
+  lotoComplete,
+  lotoStepLabel,
+  voidLoto,
+  lotoForRequest,
+} from "./lib/loto.js";
+import AccountPanel from "./components/AccountPanel.jsx";
+import { loadAccount, hasRole, authorOf, signOutAccount } from "./lib/account.js";
+import DashboardPanel from "./components/DashboardPanel.jsx";
+import {
+  HEARTBEAT_MS,
+  publishUnit,
+  leaveRoster,
+  watchUnits,
+  unitAlerts,
+  unitSilent,
+  unitName,
+} from "./lib/units.js";
+import IncidentPanel from "./components/IncidentPanel.jsx";
 import {
-  getFirestore,
-  collection,
-  addDoc,
-  serverTimestamp,
-} from "firebase/firestore";
+  DEFAULT_ESCALATION_RULES,
+  fetchEscalationRules,
+  saveEscalationRules,
+  recordVerdict,
+  matchEscalation,
+  openIncident,
+  repeatIncident,
+  watchActiveIncidents,
+  acknowledgeIncident,
+  resolveIncident,
+  recordDelivery,
+} from "./lib/incidents.js";
+import { forgetPushTargets } from "./lib/push.js";
+import ThreadPanel from "./components/ThreadPanel.jsx";
+import {
+  createThread,
+  techTurn,
+  modelTurn,
+  addTechTurn,
+  answerTurn,
+  failTurn,
+  openQuestion,
+  historyForRequest,
+} from "./lib/thread.js";
 
 /* =========================
   CONFIG
 ========================= */
-// App will automatically fall back to demo outputs on 429.
-const DEMO_MODE = false;
+// Frame preprocessing (longest side in px; smaller = faster uploads, fewer tokens)
+const FRAME_MAX_DIMENSION = Number(import.meta.env.VITE_FRAME_MAX_DIMENSION) || 1280;
+const BLUR_CONFIRM_MS = 5000; // second tap within this window sends a blurry frame anyway
+
+// Watch mode: periodic safety re-scan of the live feed
+const WATCH_INTERVAL_MS = 5000;
+const WATCH_CHANGE_RATIO = 0.04; // fraction of the frame that must change to re-scan
+
+// Verdict cache: reuse the last verdict while the scene is effectively unchanged
+const VERDICT_CACHE_TTL_MS = 60_000; // never trust a cached verdict longer than this
+
+// Asset tags: background QR / Data Matrix / Code 128 scan of the live feed
+const ASSET_SCAN_INTERVAL_MS = 1500;
 
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY; // real key from Vercel/Vite env
-const GEMINI_MODEL = "gemini-2.5-flash-preview-09-2025";
+// Team dashboard: how often the roster re-checks for units that went silent
+const ROSTER_TICK_MS = 15_000;
 
-// Anti-spam / rate protection (helps prevent 429 from user tapping)
-const COOLDOWN_MS = 2500; // minimum time between requests
-const MAX_CALLS_PER_MIN = 8; // soft cap (client-side)
+// Hands-free voice commands
+const WAKE_PHRASES = parseWakePhrases(import.meta.env.VITE_WAKE_PHRASE);
+const WAKE_ARMED_MS = 8000; // saying just the wake phrase arms the next utterance for this long
 
 // Firebase from env (Vercel)
 const firebaseConfig = {
@@ -55,15 +195,35 @@ const firebaseConfig = {
 // Optional: stable appId for Firestore paths
 const appId = import.meta.env.VITE_FIREBASE_APP_ID || "default-app-id";
 
+// Optional single sign-on next to email / password: "google.com", "microsoft.com", "oidc.<id>", "saml.<id>"
+const SSO = import.meta.env.VITE_SSO_PROVIDER
+  ? { providerId: import.meta.env.VITE_SSO_PROVIDER, label: import.meta.env.VITE_SSO_LABEL || "" }
+  : null;
+
+// Optional: Web Push for incident pages (public half of `npm run vapid:keys`)
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY || "";
+
+// Optional: local Firebase emulators, e.g. "localhost:8080" / "http://localhost:9099"
+const FIRESTORE_EMULATOR_HOST = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+const AUTH_EMULATOR_URL = import.meta.env.VITE_AUTH_EMULATOR_URL;
+
 /* =========================
   FIREBASE INIT
 ========================= */
-let auth, db;
+let auth, db, storage;
 try {
   if (firebaseConfig?.apiKey) {
     const app = initializeApp(firebaseConfig);
     auth = getAuth(app);
     db = getFirestore(app);
+    // Evidence frames go to Storage when a bucket is configured, inline otherwise
+    if (firebaseConfig.storageBucket) storage = getStorage(app);
+
+    if (FIRESTORE_EMULATOR_HOST) {
+      const [host, port] = FIRESTORE_EMULATOR_HOST.split(":");
+      connectFirestoreEmulator(db, host, Number(port) || 8080);
+    }
+    if (AUTH_EMULATOR_URL) connectAuthEmulator(auth, AUTH_EMULATOR_URL, { disableWarnings: true });
   } else {
     console.warn("Firebase env vars missing. App will run without auth/logging.");
   }
@@ -71,10 +231,37 @@ try {
   console.error("Firebase init error:", e);
 }
 
+/* =========================
+  OFFLINE QUEUE
+========================= */
+// One id per page load; groups every queued record of this working session
+const SESSION_ID = crypto.randomUUID();
+
+const SYNC_RETRY_MS = 30_000;
+
+const eventQueue = db
+  ? createEventQueue({ db, storage, appId, getUid: () => auth?.currentUser?.uid })
+  : null;
+
+/* =========================
+  REPORT HEADER
+========================= */
+// Site and technician rarely change between sessions on the same device
+const REPORT_HEADER_KEY = "omnitech.reportHeader";
+
+const loadReportHeader = () => {
+  try {
+    return { site: "", location: "", technician: "", ...JSON.parse(localStorage.getItem(REPORT_HEADER_KEY)) };
+  } catch {
+    return { site: "", location: "", technician: "" };
+  }
+};
+
 /* =========================
   TTS
 ========================= */
 let OMNI_VOICE = null;
+let OMNI_LANG = speechLang(DEFAULT_LOCALE); // BCP-47, follows the UI locale
 
 const pickBestVoice = () => {
   const voices = window.speechSynthesis?.getVoices?.() || [];
@@ -83,16 +270,22 @@ const pickBestVoice = () => {
   const preferred = [
     /Google (US )?English/i,
     /Microsoft (Aria|Jenny|Guy|Ryan|Zira|David)/i,
+    /Google/i,
     /Natural/i,
     /Neural/i,
     /English/i,
   ];
 
-  const englishVoices = voices.filter(
-    (v) => /^en(-|_)?/i.test(v.lang) || /english/i.test(v.name)
-  );
+  // Exact region first (pt-BR over pt-PT), then any voice for the language
+  const lang = OMNI_LANG.toLowerCase().replace("_", "-");
+  const primary = lang.split("-")[0];
+  const normalised = (v) => String(v.lang).toLowerCase().replace("_", "-");
+  const exact = voices.filter((v) => normalised(v) === lang);
+  const sameLanguage = voices.filter((v) => normalised(v).split("-")[0] === primary);
 
-  const pool = englishVoices.length ? englishVoices : voices;
+  // No installed voice for the language: let the engine pick from u.lang
+  const pool = exact.length ? exact : sameLanguage;
+  if (!pool.length) return null;
 
   for (const rx of preferred) {
     const match = pool.find((v) => rx.test(v.name));
@@ -101,6 +294,12 @@ const pickBestVoice = () => {
   return pool[0] || null;
 };
 
+const setSpeechLanguage = (lang) => {
+  if (lang === OMNI_LANG) return;
+  OMNI_LANG = lang;
+  OMNI_VOICE = pickBestVoice();
+};
+
 const ensureVoiceReady = () => {
   if (!window.speechSynthesis) return;
   if (!OMNI_VOICE) OMNI_VOICE = pickBestVoice();
@@ -109,16 +308,18 @@ const ensureVoiceReady = () => {
   };
 };
 
+// opts.queue: play after whatever is being said instead of cutting it off
 const speak = (text, opts = {}) => {
   if (!window.speechSynthesis || !text) return;
 
   ensureVoiceReady();
-  window.speechSynthesis.cancel();
+  if (!opts.queue) window.speechSynthesis.cancel();
 
   const u = new SpeechSynthesisUtterance(
     String(text).replace(/\.\s+/g, ". … ")
   );
 
+  u.lang = OMNI_LANG;
   if (OMNI_VOICE) u.voice = OMNI_VOICE;
 
   u.rate = opts.rate ?? 1.02;
@@ -128,6 +329,10 @@ const speak = (text, opts = {}) => {
   window.speechSynthesis.speak(u);
 };
 
+// What OmniTech says about a verdict: headline, instruction, then any question it has
+const verdictSpeech = (verdict) =>
+  `${verdict.headline}. ${verdict.action_required}${verdict.question ? ` ${verdict.question}` : ""}`;
+
 /* =========================
   TOAST UI
 ========================= */
@@ -156,84 +361,13 @@ const Toast = ({ message, type, onClose }) => {
   );
 };
 
-/* =========================
-  DEMO FALLBACK (for recording)
-========================= */
-const getDemoResult = (mode, step = 0) => {
-  const demo = [
-    {
-      status: "DANGER",
-      headline: "Liquid Hazard Near Electronics",
-      reasoning:
-        "A container of liquid is placed close to exposed electronics, increasing spill and short-circuit risk.",
-      action_required:
-        "Move the liquid away and dry the area before continuing.",
-      repair_steps: [],
-    },
-    {
-      status: "UNCERTAIN",
-      headline: "Image Quality Too Poor",
-      reasoning:
-        "The image is too blurry/low-detail to confirm cable condition or hazards.",
-      action_required:
-        "Move closer, improve lighting, and hold still for a clear frame.",
-      repair_steps: [],
-    },
-    {
-      status: "SAFE",
-      headline: "Environment Appears Clear",
-      reasoning:
-        "No immediate hazards are visible; workspace looks stable and dry.",
-      action_required:
-        "Proceed with diagnosis. Keep hands dry and avoid exposed contacts.",
-      repair_steps: [
-        "Power off the device and unplug it (if safe).",
-        "Inspect connectors for looseness or debris.",
-        "Reseat the cable firmly and check for damage.",
-        "Power on and re-test the system behavior.",
-        "If issue persists, replace the cable/component.",
-      ],
-    },
-  ];
-
-  const pick = demo[step % demo.length];
-
-  if (mode === "repair_guide") {
-    return {
-      status: "SAFE",
-      headline: "Repair Protocol Ready",
-      reasoning: "Safety confirmed. Providing step-by-step repair guidance.",
-      action_required: "Follow steps carefully. Stop if heat/smoke appears.",
-      repair_steps: pick.repair_steps?.length
-        ? pick.repair_steps
-        : demo[2].repair_steps,
-    };
-  }
-
-  if (mode === "diagnosis") {
-    // Slightly different “diagnosis” flavor
-    return {
-      ...pick,
-      headline:
-        pick.status === "SAFE"
-          ? "Fault Likely: Loose Connection"
-          : pick.headline,
-      reasoning:
-        pick.status === "SAFE"
-          ? "Visual cues suggest an intermittent connection; reseating and inspection is recommended."
-          : pick.reasoning,
-    };
-  }
-
-  // safety_check
-  return pick;
-};
-
 /* =========================
   MAIN APP
 ========================= */
 export default function App() {
   const [user, setUser] = useState(null);
+  const [accountState, setAccountState] = useState(null); // role + team of `user`, see src/lib/account.js
+  const [showAccount, setShowAccount] = useState(false);
 
   const [isStreamActive, setIsStreamActive] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
@@ -242,30 +376,130 @@ export default function App() {
   const [logs, setLogs] = useState([]);
   const [currentAnalysis, setCurrentAnalysis] = useState(null);
 
-  const [repairSteps, setRepairSteps] = useState(null);
+  const [protocols, setProtocols] = useState([]); // repair protocol runs this session, latest last
   const [showRepairModal, setShowRepairModal] = useState(false);
 
-  const [generatedReport, setGeneratedReport] = useState(null);
+  const [lotoSteps, setLotoSteps] = useState(DEFAULT_LOTO_STEPS); // team checklist
+  const [lotos, setLotos] = useState([]); // lockout / tagout runs this session, latest last; the latest gates repair_guide
+  const [showLoto, setShowLoto] = useState(false);
+
+  const [overrideRequest, setOverrideRequest] = useState(null); // this technician's live override request
+  const [pendingOverrides, setPendingOverrides] = useState([]); // requests awaiting this device as supervisor
+  const [showOverrides, setShowOverrides] = useState(false);
+
+  const [units, setUnits] = useState([]); // team roster, supervisors only (see src/lib/units.js)
+  const [rosterNow, setRosterNow] = useState(Date.now); // roster clock for silence
+  const [showDashboard, setShowDashboard] = useState(false);
+
+  const [incidents, setIncidents] = useState([]); // open / acknowledged team incidents (see src/lib/incidents.js)
+  const [escalationRules, setEscalationRules] = useState(DEFAULT_ESCALATION_RULES);
+  // A tapped incident notification opens the app with ?incident=<id>
+  const [showIncidents, setShowIncidents] = useState(() => new URLSearchParams(window.location.search).has("incident"));
+
+  const [thread, setThread] = useState(createThread); // diagnostic conversation (see src/lib/thread.js)
+  const [showThread, setShowThread] = useState(() => window.matchMedia?.("(min-width: 768px)").matches ?? false);
+  const [dismissedQuestionId, setDismissedQuestionId] = useState(null); // open question hidden from the video
+
+  const [reportDraft, setReportDraft] = useState(null); // buildReportModel input + summaryNote (string key) / regeneratedFrom
   const [showReportModal, setShowReportModal] = useState(false);
-  const [generatingReport, setGeneratingReport] = useState(false);
+  const [generatingReport, setGeneratingReport] = useState(false); // AI summary in flight
+  const [reportHeader, setReportHeader] = useState(loadReportHeader); // site / technician, remembered per device
+
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyAssetId, setHistoryAssetId] = useState(""); // opens the history panel on one asset
+
+  const [asset, setAsset] = useState(null); // { assetId, format, at } — tag attached to this session
+
+  // Asset being worked on; grounds every analysis request (null = generic)
+  const [equipment, setEquipment] = useState(() => {
+    const saved = loadLocalPreferences().equipment;
+    return saved ? normaliseProfile(saved) : null;
+  });
+  const [showEquipment, setShowEquipment] = useState(false);
+
+  const [sessionEvents, setSessionEvents] = useState([]); // verdicts of this session, for the report
+  const [evidencePreview, setEvidencePreview] = useState(null);
 
   const [activeTab, setActiveTab] = useState("safety");
-  const [demoStep, setDemoStep] = useState(0);
+
+  const [locale, setLocale] = useState(() => matchLocale(loadLocalPreferences().locale) || detectLocale());
+  const t = createTranslator(locale);
 
   const [userContext, setUserContext] = useState("");
   const [isListening, setIsListening] = useState(false);
+  const [handsFree, setHandsFree] = useState(false); // continuous wake-phrase command mode
 
   const [toast, setToast] = useState(null);
 
+  const [watchActive, setWatchActive] = useState(false);
+
+  const [pendingSync, setPendingSync] = useState(0);
+
+  const [roi, setRoi] = useState(null); // { x, y, w, h } normalised + display style
+  const [drawingRoi, setDrawingRoi] = useState(false);
+  const [roiDraft, setRoiDraft] = useState(null);
+
+  const [findingOverlays, setFindingOverlays] = useState([]); // persists until the next scan
+  const [liveVerdict, setLiveVerdict] = useState(null); // fields of the verdict streaming in
+
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
   const recognitionRef = useRef(null);
 
   // Anti-spam refs
-  const inFlightRef = useRef(false);
-  const lastCallAtRef = useRef(0);
-  const callTimestampsRef = useRef([]); // for MAX_CALLS_PER_MIN
+  const inFlightRef = useRef(null); // AbortController of the analysis in flight
+
+  // Watch mode refs
+  const lastAnalysedSignatureRef = useRef(null);
+  const verdictCacheRef = useRef({}); // mode -> { verdict, signature, at }
+  const watchTickRef = useRef(null);
+  const wakeLockRef = useRef(null);
+
+  // Preprocessing refs
+  const blurWarnedAtRef = useRef(0);
+  const roiStartRef = useRef(null);
+
+  // Repair protocol ref
+  const protocolRef = useRef(null);
+
+  // LOTO ref: mirrors `loto` synchronously so the repair_guide gate never reads a stale run
+  const lotoRef = useRef(null);
+
+  // Account ref: author / team stamped on queued records
+  const accountRef = useRef(null);
+  const accountHandlerRef = useRef(null); // latest refreshAccount for the auth effect
+
+  // Override refs
+  const overrideRef = useRef(null); // mirrors `overrideRequest` for scan results landing after an await
+  const overrideHandlersRef = useRef({}); // latest snapshot / timer callbacks
+  const lastVerdictFrameRef = useRef(null); // thumbnail of the frame behind the current verdict
+  const pendingCountRef = useRef(0);
+
+  // Team roster
+  const unitHandlersRef = useRef({}); // latest publish / snapshot / tick callbacks
+  const rosterSeenRef = useRef({}); // uid -> { danger, silent } already announced
+
+  // Incident escalation
+  const escalationRef = useRef({ history: [], opening: new Set() }); // recent verdicts; rules being opened
+  const incidentStatusRef = useRef({}); // id -> status at the last snapshot
+  const incidentHandlersRef = useRef({}); // latest escalate / snapshot callbacks
+
+  // Diagnostic thread
+  const threadRef = useRef(null); // mirrors `thread` for requests sent from stale closures
+  const threadInputRef = useRef(null);
+
+  // Asset tag refs
+  const assetRef = useRef(null); // mirrors `asset` synchronously for log/event stamping
+  const assetScannerRef = useRef(null); // Promise<scanner>, created on first scan
+  const assetScanBusyRef = useRef(false);
+  const pendingAssetRef = useRef(null); // a new tag still being confirmed (see confirmAssetScan)
+  const assetTickRef = useRef(null);
+
+  // Hands-free voice refs
+  const handsFreeRef = useRef(false);
+  const voiceHandlerRef = useRef(null);
+  const wakeArmedUntilRef = useRef(0);
 
   // Ensure voices load
   useEffect(() => {
@@ -277,10 +511,12 @@ export default function App() {
   /* -------------------------
     AUTH INIT
   ------------------------- */
+  // A restored named session is kept; otherwise (first visit, sign-out) the
+  // device continues as an anonymous demo user.
   useEffect(() => {
     if (!auth) return;
 
-    const initAuth = async () => {
+    const startGuest = async () => {
       try {
         if (typeof __initial_auth_token !== "undefined" && __initial_auth_token) {
           await signInWithCustomToken(auth, __initial_auth_token);
@@ -292,19 +528,199 @@ export default function App() {
       }
     };
 
-    initAuth();
-    const unsub = onAuthStateChanged(auth, setUser);
+    const unsub = onAuthStateChanged(auth, (next) => {
+      setUser(next);
+      if (!next) startGuest();
+    });
     return () => unsub();
   }, []);
 
+  /* -------------------------
+    ACCOUNT
+  ------------------------- */
+  const applyAccount = (next) => {
+    accountRef.current = next;
+    setAccountState(next);
+  };
+
+  // Membership of the current user only; null while it loads
+  const account = user && accountState?.uid === user.uid ? accountState : null;
+  const teamId = account?.teamId;
+  const supervisor = hasRole(account, "supervisor");
+  // Named accounts sign with their own name; demo use falls back to the typed one
+  const authorName = account?.email ? account.name : reportHeader.technician.trim();
+
+  const refreshAccount = async (current = auth?.currentUser) => {
+    if (!current) return;
+    try {
+      const next = await loadAccount(db, appId, current);
+      if (auth.currentUser?.uid !== current.uid) return;
+      const prev = accountRef.current;
+      applyAccount(next);
+      if (next.uid !== prev?.uid || next.role !== prev?.role || next.teamId !== prev?.teamId) {
+        addLog(
+          "SYSTEM",
+          next.email
+            ? `Signed in as ${next.name} (${next.demo ? "demo sandbox" : `${next.role}, team ${next.teamId}`}).`
+            : "Anonymous demo session."
+        );
+      }
+    } catch (e) {
+      console.error("Account unavailable:", e);
+    }
+  };
+
+  useEffect(() => {
+    accountHandlerRef.current = refreshAccount;
+  });
+
+  useEffect(() => {
+    if (user) accountHandlerRef.current(user);
+  }, [user]);
+
+  // Email verification: the fresh ID token carries email_verified for the rules
+  const recheckAccount = async () => {
+    const current = auth?.currentUser;
+    if (!current) return;
+    await current.reload();
+    await current.getIdToken(true);
+    await refreshAccount(current);
+  };
+
+  // Records queued under the old account should leave before the switch
+  const beforeAccountSwitch = async () => {
+    await eventQueue?.flush();
+    if (db && user && teamId) {
+      await leaveRoster(db, appId, teamId, user.uid).catch((e) => console.warn("Roster leave failed:", e));
+    }
+  };
+
+  const signOut = async () => {
+    setShowAccount(false);
+    addLog("SYSTEM", `${account?.name || "User"} signed out.`);
+    endOverride("signed out");
+    await beforeAccountSwitch();
+    try {
+      await signOutAccount(auth);
+      setToast({ message: t("toast.signedOut"), type: "success" });
+    } catch (e) {
+      console.error("Sign-out failed:", e);
+    }
+  };
+
+  /* -------------------------
+    OFFLINE SYNC
+  ------------------------- */
+  useEffect(() => {
+    if (!eventQueue) return;
+
+    const unsubscribe = eventQueue.subscribe(setPendingSync);
+    const onOnline = () => eventQueue.flush();
+    const id = setInterval(() => eventQueue.flush(), SYNC_RETRY_MS);
+    window.addEventListener("online", onOnline);
+
+    return () => {
+      unsubscribe();
+      clearInterval(id);
+      window.removeEventListener("online", onOnline);
+    };
+  }, []);
+
+  // Records queued before sign-in completed can sync as soon as we have a UID
+  useEffect(() => {
+    if (user) eventQueue?.flush();
+  }, [user]);
+
+  /* -------------------------
+    LOCALE
+  ------------------------- */
+  // The signed-in user's saved locale wins over this device's last choice
+  useEffect(() => {
+    if (!db || !user) return;
+    fetchPreferences(db, appId, user.uid)
+      .then((prefs) => {
+        const saved = matchLocale(prefs.locale);
+        if (saved) setLocale(saved);
+        if (prefs.equipment !== undefined) setEquipment(prefs.equipment ? normaliseProfile(prefs.equipment) : null);
+      })
+      .catch((e) => console.warn("Preferences unavailable:", e));
+  }, [user]);
+
+  // Team checklist follows the membership
+  useEffect(() => {
+    if (!db || !teamId) return;
+    fetchLotoSteps(db, appId, teamId)
+      .then(setLotoSteps)
+      .catch((e) => console.warn("LOTO checklist unavailable, using defaults:", e));
+  }, [teamId]);
+
+  useEffect(() => {
+    setSpeechLanguage(speechLang(locale));
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const changeLocale = (next) => {
+    if (!LOCALES[next] || next === locale) return;
+    setLocale(next);
+    savePreferences(db, appId, user?.uid, { locale: next }).catch((e) => console.warn("Locale not saved:", e));
+    addLog("SYSTEM", `Language set to ${LOCALES[next].label}.`);
+
+    // Hands-free restarts itself on end; switch its language for the next round
+    if (handsFreeRef.current && recognitionRef.current) {
+      recognitionRef.current.lang = speechLang(next);
+      stopRecognition();
+    }
+  };
+
+  /* -------------------------
+    EQUIPMENT
+  ------------------------- */
+  const selectEquipment = (profile) => {
+    const next = profile ? normaliseProfile(profile) : null;
+    setEquipment(next);
+    // Cached verdicts were grounded in the previous asset
+    verdictCacheRef.current = {};
+    savePreferences(db, appId, user?.uid, { equipment: profileForRequest(next) }).catch((e) =>
+      console.warn("Equipment selection not saved:", e)
+    );
+    addLog("SYSTEM", next ? `Equipment profile: ${profileLabel(next)}.` : "Equipment profile cleared.");
+    discardLoto("Equipment profile changed");
+    closeThread("equipment profile changed");
+  };
+
+  // extra: { id, attachment } — see eventQueue.enqueue. Records carry the
+  // author and team they were made under (checked by firestore.rules).
+  const queueEvent = (kind, collectionName, data, extra = {}) => {
+    const current = accountRef.current;
+    const stamped = current ? { ...data, teamId: current.teamId, author: authorOf(current) } : data;
+    return eventQueue?.enqueue({ kind, collection: collectionName, data: stamped, sessionId: SESSION_ID, ...extra });
+  };
+
   /* -------------------------
     LOGGING
   ------------------------- */
-  const addLog = (source, message, type = "info") => {
+  // extra.evidence: thumbnail shown next to the entry; extra.evidenceId links the saved event;
+  // extra.category: failure kind from an ApiError (timeout, quota, circuit_open...), shown as a badge
+  const addLog = (source, message, type = "info", extra = {}) => {
     setLogs((prev) => [
-      { source, message, time: new Date().toLocaleTimeString() },
+      {
+        source,
+        message,
+        at: Date.now(),
+        time: new Date().toLocaleTimeString(),
+        evidence: extra.evidence || null,
+        category: extra.category || "",
+      },
       ...prev,
     ]);
+    queueEvent("log", "session_logs", {
+      source,
+      message,
+      type,
+      ...(extra.category ? { category: extra.category } : {}),
+      ...(extra.evidenceId ? { evidenceId: extra.evidenceId } : {}),
+      ...(assetRef.current ? { assetId: assetRef.current.assetId } : {}),
+    });
 
     if (type === "error" || source === "ERROR") {
       setToast({ message, type: "error" });
@@ -366,50 +782,124 @@ export default function App() {
     } catch {}
   };
 
+  // -> { imageBase64, quality } after crop / downscale / enhancement, or null
   const captureFrame = () => {
     if (!videoRef.current || !canvasRef.current) return null;
-    const canvas = canvasRef.current;
-    const video = videoRef.current;
-    if (!video.videoWidth || !video.videoHeight) return null;
+    return preprocessFrame(videoRef.current, canvasRef.current, {
+      maxDimension: FRAME_MAX_DIMENSION,
+      roi,
+    });
+  };
+
+  /* -------------------------
+    REGION OF INTEREST
+  ------------------------- */
+  const toClientPoint = (e) => ({ x: e.clientX, y: e.clientY });
+
+  const handleRoiPointerDown = (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    roiStartRef.current = toClientPoint(e);
+    setRoiDraft(null);
+  };
+
+  const handleRoiPointerMove = (e) => {
+    const start = roiStartRef.current;
+    if (!start) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const end = toClientPoint(e);
+    setRoiDraft({
+      left: Math.min(start.x, end.x) - rect.left,
+      top: Math.min(start.y, end.y) - rect.top,
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y),
+    });
+  };
 
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
+  const handleRoiPointerUp = (e) => {
+    e.stopPropagation();
+    const start = roiStartRef.current;
+    roiStartRef.current = null;
+    setRoiDraft(null);
+    if (!start) return;
+
+    const region = displayRectToRoi(videoRef.current, videoRef.current, start, toClientPoint(e));
+    // Ignore taps and slivers; they would starve the model of context
+    if (!region || region.w < 0.05 || region.h < 0.05) return;
+
+    setRoi({ ...region, style: layoutBox(region) });
+    setDrawingRoi(false);
+    verdictCacheRef.current = {};
+    addLog("SYSTEM", `Region of interest set (${Math.round(region.w * 100)}% x ${Math.round(region.h * 100)}% of frame).`);
+  };
 
-    const ctx = canvas.getContext("2d");
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-    return canvas.toDataURL("image/jpeg", 0.8).split(",")[1];
+  const clearRoi = () => {
+    setRoi(null);
+    setDrawingRoi(false);
+    verdictCacheRef.current = {};
+    addLog("SYSTEM", "Region of interest cleared. Analysing full frame.");
   };
 
+  // Intrinsic-frame box -> on-screen position over the object-cover video
+  const layoutBox = (box) => boxToDisplayStyle(videoRef.current, videoRef.current, box);
+
+  // Keep the ROI outline and hazard boxes glued to the video across rotation / resize
+  useEffect(() => {
+    const onResize = () => {
+      const layout = (box) => boxToDisplayStyle(videoRef.current, videoRef.current, box);
+      setRoi((r) => r && { ...r, style: layout(r) });
+      setFindingOverlays((list) => list.map((f) => (f.frameBox ? { ...f, style: layout(f.frameBox) } : f)));
+    };
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
   /* -------------------------
     VOICE INPUT
   ------------------------- */
-  const toggleListening = () => {
+  const getSpeechRecognition = () => {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) {
-      setToast({ message: "Voice input not supported in this browser.", type: "error" });
-      return;
+    if (!SpeechRecognition) setToast({ message: t("toast.voiceUnsupported"), type: "error" });
+    return SpeechRecognition;
+  };
+
+  const stopRecognition = () => {
+    try {
+      recognitionRef.current?.stop?.();
+    } catch {
+      // already stopped
     }
+  };
+
+  // Single tap-to-talk utterance: commands work without the wake phrase, anything else is diagnosed
+  const toggleListening = () => {
+    const SpeechRecognition = getSpeechRecognition();
+    if (!SpeechRecognition) return;
 
     if (isListening) {
       setIsListening(false);
-      try { recognitionRef.current?.stop?.(); } catch {}
+      stopRecognition();
       return;
     }
 
+    if (handsFree) stopHandsFree();
+
     setIsListening(true);
     const recognition = new SpeechRecognition();
     recognitionRef.current = recognition;
 
     recognition.continuous = false;
     recognition.interimResults = false;
-    recognition.lang = "en-US";
+    recognition.lang = speechLang(locale);
 
     recognition.onresult = (event) => {
       const transcript = (event.results?.[0]?.[0]?.transcript || "").trim();
       if (!transcript) return;
 
-      setToast({ message: `Heard: "${transcript}"`, type: "success" });
-      callOmniTech("diagnosis", transcript);
+      setToast({ message: t("toast.heard", { text: transcript }), type: "success" });
+      const parsed = parseVoiceCommand(transcript, { wakePhrases: WAKE_PHRASES, locale });
+      if (parsed.command === "context") callOmniTech("diagnosis", transcript);
+      else runVoiceCommand(parsed);
 
       setIsListening(false);
       setUserContext("");
@@ -417,7 +907,7 @@ export default function App() {
 
     recognition.onerror = () => {
       setIsListening(false);
-      setToast({ message: "Voice input failed. Try again.", type: "error" });
+      setToast({ message: t("toast.voiceFailed"), type: "error" });
     };
 
     recognition.onend = () => setIsListening(false);
@@ -425,334 +915,1367 @@ export default function App() {
     try { recognition.start(); } catch { setIsListening(false); }
   };
 
-  /* -------------------------
-    CLIENT-SIDE RATE GUARD
-  ------------------------- */
-  const canCallNow = () => {
-    const now = Date.now();
+  // { command, argument } from parseVoiceCommand -> the same actions the buttons trigger
+  const runVoiceCommand = ({ command, argument }) => {
+    switch (command) {
+      case "safety_check":
+        callOmniTech("safety_check");
+        break;
+      case "diagnose":
+        callOmniTech("diagnosis", argument);
+        break;
+      case "next_step":
+        if (showLoto && currentLotoStep(lotoRef.current)) confirmLoto();
+        else if (runningProtocol) recordProtocolStep("done");
+        else speak(t("speech.noProtocol"));
+        break;
+      case "repeat":
+        if (showLoto && currentLotoStep(lotoRef.current)) announceLotoStep(lotoRef.current);
+        else if (runningProtocol) announceStep(runningProtocol);
+        else if (currentAnalysis) speak(verdictSpeech(currentAnalysis));
+        else speak(t("speech.nothingToRepeat"));
+        break;
+      case "report":
+        if (logs.length < 2) speak(t("speech.noReport"));
+        else openLiveReport();
+        break;
+      case "stop":
+        window.speechSynthesis?.cancel();
+        if (handsFree) stopHandsFree();
+        break;
+      case "context":
+        // Not a command: keep it as context for the next diagnosis
+        setUserContext((prev) => (prev ? `${prev} ${argument}` : argument));
+        addLog("VOICE", `Context noted: "${argument}"`);
+        speak(t("speech.noted"));
+        break;
+      default:
+        break;
+    }
+  };
 
-    // In-flight lock: prevent double-tap flooding
-    if (inFlightRef.current) return { ok: false, reason: "Request in progress..." };
+  const handleHandsFreeTranscript = (transcript) => {
+    const armed = Date.now() < wakeArmedUntilRef.current;
+    const parsed = parseVoiceCommand(transcript, { requireWake: !armed, wakePhrases: WAKE_PHRASES, locale });
 
-    // Cooldown
-    const delta = now - lastCallAtRef.current;
-    if (delta < COOLDOWN_MS) {
-      const wait = Math.ceil((COOLDOWN_MS - delta) / 1000);
-      return { ok: false, reason: `Cooldown: wait ${wait}s` };
+    if (parsed.woke && !parsed.command) {
+      wakeArmedUntilRef.current = Date.now() + WAKE_ARMED_MS;
+      speak(t("speech.listening"));
+      return;
     }
+    if (!parsed.command) return; // conversation not addressed to OmniTech
+
+    wakeArmedUntilRef.current = 0;
+    if (parsed.command !== "context") addLog("VOICE", `Command: ${parsed.command.replace("_", " ")}${parsed.argument ? ` — "${parsed.argument}"` : ""}`);
+    runVoiceCommand(parsed);
+  };
+
+  // Recognition callbacks outlive renders; route them to the latest handler
+  useEffect(() => {
+    voiceHandlerRef.current = handleHandsFreeTranscript;
+  });
+
+  const stopHandsFree = () => {
+    handsFreeRef.current = false;
+    setHandsFree(false);
+    stopRecognition();
+    addLog("SYSTEM", "Hands-free voice commands off.");
+  };
 
-    // Per-minute soft cap
-    const oneMinAgo = now - 60_000;
-    callTimestampsRef.current = callTimestampsRef.current.filter((t) => t > oneMinAgo);
+  const startHandsFree = () => {
+    const SpeechRecognition = getSpeechRecognition();
+    if (!SpeechRecognition) return;
 
-    if (callTimestampsRef.current.length >= MAX_CALLS_PER_MIN) {
-      return { ok: false, reason: "Rate limit: too many requests/min" };
+    if (isListening) {
+      stopRecognition();
+      setIsListening(false);
     }
 
-    return { ok: true };
+    const recognition = new SpeechRecognition();
+    recognitionRef.current = recognition;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    recognition.lang = speechLang(locale);
+
+    recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        const transcript = result.isFinal ? (result[0]?.transcript || "").trim() : "";
+        if (transcript) voiceHandlerRef.current?.(transcript);
+      }
+    };
+
+    recognition.onerror = (event) => {
+      // Permission problems won't fix themselves; silence / network blips just restart
+      if (event.error === "not-allowed" || event.error === "service-not-allowed") {
+        handsFreeRef.current = false;
+        setHandsFree(false);
+        setToast({ message: t("toast.micDenied"), type: "error" });
+      }
+    };
+
+    // Browsers end continuous sessions after a pause; keep listening until stopped
+    recognition.onend = () => {
+      if (!handsFreeRef.current) return;
+      try { recognition.start(); } catch (e) { console.warn("Voice restart failed:", e); }
+    };
+
+    try {
+      recognition.start();
+      handsFreeRef.current = true;
+      setHandsFree(true);
+      addLog("SYSTEM", `Hands-free voice commands on. Say "${WAKE_PHRASES[0]}" followed by a command.`);
+    } catch (e) {
+      console.error(e);
+      setToast({ message: t("toast.voiceFailed"), type: "error" });
+    }
   };
 
+  const toggleHandsFree = () => (handsFree ? stopHandsFree() : startHandsFree());
+
+  // Don't leave the mic open after unmount
+  useEffect(
+    () => () => {
+      handsFreeRef.current = false;
+      try {
+        recognitionRef.current?.stop?.();
+      } catch {
+        // already stopped
+      }
+    },
+    []
+  );
+
   /* -------------------------
     GEMINI CALL
   ------------------------- */
-  const callOmniTech = async (mode = "safety_check", manualContext = "") => {
-    // Rate guard first
-    const guard = canCallNow();
-    if (!guard.ok) {
-      setToast({ message: guard.reason, type: "error" });
+  // opts.watch: background re-scan — no toasts, no spinner, no context consumed.
+  // opts.fresh: never answer from the verdict cache.
+  const callOmniTech = async (mode = "safety_check", manualContext = "", opts = {}) => {
+    if (inFlightRef.current) {
+      if (!opts.watch) setToast({ message: t("toast.inProgress"), type: "error" });
       return;
     }
 
-    lastCallAtRef.current = Date.now();
-    callTimestampsRef.current.push(lastCallAtRef.current);
-
-    setAnalyzing(true);
-    inFlightRef.current = true;
+    // Under a DANGER / UNCERTAIN lock a diagnosis, whether typed or spoken, goes out
+    // as a safety check instead, the same as a thread reply (replyMode)
+    if (mode === "diagnosis" && locked) {
+      speak(t("speech.diagnoseLocked"));
+      mode = "safety_check";
+    }
 
-    // If no key, demo fallback (helps recording)
-    if (!API_KEY) {
-      addLog("ERROR", "Missing VITE_GEMINI_API_KEY. Using demo output.", "error");
-      const demo = getDemoResult(mode, demoStep);
-      setDemoStep((s) => s + 1);
-      handleAnalysisResult(demo, mode, { skipSave: true });
-      setAnalyzing(false);
-      inFlightRef.current = false;
+    // Repair guidance only on a scene last verdicted SAFE, whichever control asked for it
+    if (mode === "repair_guide" && systemState !== "SAFE") {
+      setToast({ message: t("toast.repairNeedsSafe"), type: "error" });
+      return;
+    }
+    // ...and only after lockout / tagout (the proxy also refuses a missing or incomplete checklist)
+    if (mode === "repair_guide" && !lotoComplete(lotoRef.current)) {
+      setToast({ message: t("toast.lotoRequired"), type: "error" });
+      openLoto();
       return;
     }
 
-    const imageBase64 = captureFrame();
-    if (!imageBase64) {
+    const frame = opts.frame || captureFrame();
+    if (!frame) {
       addLog("ERROR", "Camera not ready yet. Wait 1–2 seconds after Initialize Optics.", "error");
-      setAnalyzing(false);
-      inFlightRef.current = false;
+      return;
+    }
+    const signature = opts.signature || computeSignature(canvasRef.current);
+    const finalContext = (manualContext || (opts.watch ? "" : userContext) || "").trim();
+
+    // Same scene, same question: answer from cache instead of burning quota.
+    // Repair guides, context-driven questions and protocol re-verification always go to the model.
+    const cacheable = mode !== "repair_guide" && !finalContext && !opts.fresh;
+    const cached = verdictCacheRef.current[mode];
+    if (
+      cacheable &&
+      cached &&
+      Date.now() - cached.at < VERDICT_CACHE_TTL_MS &&
+      isSameScene(signature, cached.signature, WATCH_CHANGE_RATIO)
+    ) {
+      addLog("SYSTEM", "Scene unchanged — reused cached verdict (no API call).");
+      handleAnalysisResult(cached.verdict, mode, {
+        skipSave: true,
+        watch: opts.watch,
+        cachedAt: cached.at,
+        region: cached.region,
+        equipment: cached.equipment,
+      });
       return;
     }
 
-    const finalContext = (manualContext || userContext || "").trim();
-
-    let systemInstruction = `
-You are OmniTech, an autonomous field agent responsible for human safety and system diagnosis.
+    // Blurry frames almost always come back UNCERTAIN: warn once, send on second tap
+    if (!opts.watch && isBlurry(frame.quality) && Date.now() - blurWarnedAtRef.current > BLUR_CONFIRM_MS) {
+      blurWarnedAtRef.current = Date.now();
+      addLog("FRAME", describeQuality(frame.quality));
+      setToast({ message: t("toast.blurry"), type: "error" });
+      return;
+    }
+    blurWarnedAtRef.current = 0;
 
-CORE PROTOCOLS:
-1. REFUSAL AUTHORITY: If a hazard is present (water, live wires, fire), you MUST refuse repair instructions.
-2. EPISTEMIC HUMILITY: If image is blurry/dark/obstructed, return status "UNCERTAIN". Do not guess.
+    // Rate guard: paced by the request client's token bucket (one-at-a-time is checked on entry)
+    const slot = takeAnalysisToken();
+    if (!slot.ok) {
+      if (!opts.watch) setToast({ message: t("toast.cooldown", { seconds: Math.ceil(slot.waitMs / 1000) }), type: "error" });
+      return;
+    }
 
-OUTPUT FORMAT (JSON ONLY):
-{
-  "status": "SAFE" | "DANGER" | "UNCERTAIN",
-  "headline": "Short 3-5 word alert",
-  "reasoning": "One concise sentence on visual evidence.",
-  "action_required": "Direct instruction to user.",
-  "repair_steps": ["Step 1", "Step 2"]
-}
-`.trim();
-
-    if (mode === "safety_check") {
-      systemInstruction += `\nTASK: Scan for immediate hazards.`;
-    } else if (mode === "diagnosis") {
-      systemInstruction += `\nTASK: Diagnose likely failure. If hazard seen -> DANGER and stop.`;
-    } else if (mode === "repair_guide") {
-      systemInstruction += `\nTASK: Provide step-by-step repair guide. Assume safety confirmed.`;
+    if (!opts.watch) setAnalyzing(true);
+    const controller = new AbortController();
+    inFlightRef.current = controller;
+
+    // Canvas still holds the analysed frame; keep a small copy as evidence
+    const thumbnail = makeThumbnail(canvasRef.current);
+
+    // Manual scans are turns of the diagnostic thread and carry the earlier exchanges
+    let turn = null;
+    let history = [];
+    if (!opts.watch) {
+      const current = threadRef.current || thread;
+      const next = techTurn({ mode, text: finalContext, frameSrc: thumbnail?.dataUrl || null });
+      history = historyForRequest(current);
+      turn = { threadId: current.id, turnId: next.id };
+      updateThread((latest) => addTechTurn(latest, next));
     }
 
+    let alerted = false;
     try {
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${API_KEY}`;
-
-      const response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          contents: [
-            {
-              parts: [
-                { text: finalContext ? `User Context: ${finalContext}` : "Analyze this scene." },
-                { inlineData: { mimeType: "image/jpeg", data: imageBase64 } },
-              ],
-            },
-          ],
-          generationConfig: {
-            responseMimeType: "application/json",
-            maxOutputTokens: 1000,
-            temperature: 0.4,
-          },
-          systemInstruction: { parts: [{ text: systemInstruction }] },
-        }),
+      const idToken = await user?.getIdToken?.();
+      // The proxy looks the LOTO photo confirmations up in Firestore: send any still queued
+      if (mode === "repair_guide") await eventQueue?.flush();
+      const response = await analyzeFrame({
+        mode,
+        context: finalContext,
+        imageBase64: frame.imageBase64,
+        locale,
+        equipment: profileForRequest(equipment),
+        loto: mode === "repair_guide" ? lotoForRequest(lotoRef.current) : null,
+        appId,
+        history,
+        idToken,
+        onPartial: (partial) => {
+          // The model's DANGER stands whatever follows (the validator only escalates): act on it now
+          if (partial.status === "DANGER" && !alerted && !(opts.watch && systemState === "DANGER")) {
+            alerted = true;
+            speak(t("speech.dangerEarly"));
+            addLog("OMNITECH", "DANGER reported — full verdict still arriving.", "error");
+            lockOnEarlyDanger();
+          }
+          if (!opts.watch) setLiveVerdict(partial);
+        },
+        signal: controller.signal,
+        // A missed watch tick is retried by the next one
+        retries: opts.watch ? 0 : 1,
+        onRetry: (error, attempt) =>
+          addLog("SYSTEM", `${error.message} — retrying (${attempt}).`, "info", { category: error.category }),
       });
 
-      // If quota/rate limit hit — switch to demo
-      if (response.status === 429) {
-        const errText = await response.text().catch(() => "");
-        addLog("ERROR", `Gemini HTTP 429 (quota/rate limit). Switching to demo output.`, "error");
-        addLog("SYSTEM", `Tip: reduce clicks / disable report / or increase quota in Google billing.`, "info");
-
-        if (DEMO_MODE) {
-          const demo = getDemoResult(mode, demoStep);
-          setDemoStep((s) => s + 1);
-          handleAnalysisResult(demo, mode, { skipSave: true });
-          setToast({ message: "Quota hit — demo fallback enabled.", type: "success" });
-          setAnalyzing(false);
-          inFlightRef.current = false;
-          return;
-        }
-
-        // If not demo mode, still show readable error
-        addLog("ERROR", `Gemini HTTP 429 details: ${errText.slice(0, 160)}`, "error");
-        setAnalyzing(false);
-        inFlightRef.current = false;
-        return;
+      if (response.fallback) {
+        addLog(
+          "ERROR",
+          `Vision provider unavailable. Proxy answered with ${response.offline ? "demo output" : response.provider}.`,
+          "error",
+          { category: "fallback" }
+        );
+        setToast({ message: t("toast.providerFallback", { provider: response.provider }), type: "success" });
       }
 
-      if (!response.ok) {
-        const errText = await response.text();
-        addLog("ERROR", `Gemini HTTP ${response.status}: ${errText.slice(0, 180)}`, "error");
-        setAnalyzing(false);
-        inFlightRef.current = false;
-        return;
+      // Demo output is canned, never persist it as a real safety event
+      handleAnalysisResult(response.verdict, mode, {
+        repairs: response.repairs,
+        skipSave: response.offline,
+        watch: opts.watch,
+        frameQuality: frame.quality,
+        region: frame.region,
+        thumbnail,
+        equipment,
+        turn,
+        alerted,
+      });
+      lastAnalysedSignatureRef.current = signature;
+      // A fresh hazard invalidates every other mode's cached all-clear
+      if (response.verdict.status === "DANGER") verdictCacheRef.current = {};
+      if (cacheable) {
+        verdictCacheRef.current[mode] = {
+          verdict: response.verdict,
+          signature,
+          region: frame.region,
+          equipment,
+          at: Date.now(),
+        };
       }
-
-      const data = await response.json();
-
-      if (data?.error) {
-        addLog("ERROR", `Gemini error: ${data.error.message || "Unknown error"}`, "error");
-        setAnalyzing(false);
-        inFlightRef.current = false;
+      if (!opts.watch) setUserContext("");
+    } catch (e) {
+      if (turn) updateThread((latest) => failTurn(latest, turn));
+      if (controller.signal.aborted) {
+        addLog("SYSTEM", alerted ? "Analysis cancelled after a DANGER report; treat the scene as unsafe." : "Analysis cancelled.");
         return;
       }
-
-      const resultText = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (!resultText) {
-        addLog("ERROR", "No response from AI. Try again.", "error");
-        setAnalyzing(false);
-        inFlightRef.current = false;
+      if (!(e instanceof ApiError)) {
+        console.error(e);
+        addLog("ERROR", "Connection to OmniTech Core failed. Check network.", "error", { category: "network" });
         return;
       }
 
-      const cleanText = String(resultText).replace(/```json\s*|```/g, "").trim();
-
-      let result;
-      try {
-        result = JSON.parse(cleanText);
-      } catch (parseErr) {
-        console.error("JSON Parse Error:", parseErr, "Raw:", resultText);
-        addLog("ERROR", "AI response corrupted (bad JSON). Try again.", "error");
-        setAnalyzing(false);
-        inFlightRef.current = false;
-        return;
+      const { category } = e;
+      addLog("ERROR", e.detail ? `${e.message}: ${e.detail}` : e.message, "error", { category });
+      if (category === "quota") {
+        addLog("SYSTEM", "Tip: reduce clicks / disable report, or raise QUOTA_PER_MINUTE on the proxy.", "info");
+      } else if (category === "rate_limit") {
+        addLog("SYSTEM", "Tip: increase the provider quota in its billing console, or set VISION_FALLBACK_PROVIDER.", "info");
+      } else if (category === "circuit_open" && e.retryAfter) {
+        addLog("SYSTEM", `Provider paused after repeated failures; retry in ${e.retryAfter}s.`, "info");
       }
-
-      handleAnalysisResult(result, mode);
-      setUserContext("");
-    } catch (e) {
-      console.error(e);
-      addLog("ERROR", "Connection to OmniTech Core failed. Check network.", "error");
     } finally {
       setAnalyzing(false);
-      inFlightRef.current = false;
+      setLiveVerdict(null);
+      inFlightRef.current = null;
     }
   };
 
+  // Stops the analysis in flight; callOmniTech logs it
+  const cancelAnalysis = () => inFlightRef.current?.abort();
+
+  // result: verdict the proxy already validated; opts.repairs: what its validator fixed
   const handleAnalysisResult = (result, mode, opts = {}) => {
-    if (mode === "repair_guide" && result?.repair_steps) {
-      setRepairSteps(result.repair_steps);
-      setShowRepairModal(true);
+    const repairs = opts.repairs || [];
+    if (repairs.length) {
+      addLog("VALIDATOR", `Repaired AI verdict: ${repairs.join("; ")}`);
+    }
+    if (opts.turn) updateThread((latest) => answerTurn(latest, opts.turn, modelTurn(result, mode)));
+
+    if (mode === "repair_guide" && result.status === "SAFE" && result.repair_steps.length) {
+      startProtocol(result.repair_steps);
       return;
     }
 
-    setCurrentAnalysis(result);
-    setSystemState(result?.status || "UNCERTAIN");
+    // Watch re-scans only speak when something actually changed
+    const repeated =
+      opts.watch && result.status === systemState && result.headline === currentAnalysis?.headline;
+
+    setCurrentAnalysis(opts.cachedAt ? { ...result, cachedAt: opts.cachedAt } : result);
+    setSystemState(result.status);
+
+    // Model boxes are relative to the analysed crop; map them back onto the full frame
+    const region = opts.region || { x: 0, y: 0, w: 1, h: 1 };
+    setFindingOverlays(
+      result.findings.map((f) => {
+        if (!f.box) return f;
+        const frameBox = regionBoxToFrame(f.box, region);
+        return { ...f, frameBox, style: layoutBox(frameBox) };
+      })
+    );
+
+    const eventId = crypto.randomUUID();
+    const saved = !opts.skipSave;
+    const thumbnail = opts.thumbnail;
+    const equipmentTag = opts.equipment ? { id: opts.equipment.id, label: profileLabel(opts.equipment) } : null;
+    const assetId = assetRef.current?.assetId || null;
+    if (thumbnail) lastVerdictFrameRef.current = thumbnail;
+
+    // After an early DANGER alert the full verdict follows it rather than cutting it off
+    if (!repeated) speak(verdictSpeech(result), { queue: opts.alerted });
+    addLog("OMNITECH", result.reasoning, "info", {
+      evidence: thumbnail,
+      evidenceId: saved && thumbnail ? eventId : null,
+    });
+    setSessionEvents((prev) => [
+      ...prev,
+      {
+        eventId,
+        at: Date.now(),
+        mode,
+        ...result,
+        evidenceSrc: thumbnail?.dataUrl || null,
+        equipment: equipmentTag,
+        assetId,
+        author: authorOf(accountRef.current),
+      },
+    ]);
+    if (!repeated) {
+      if (result.question) addLog("OMNITECH", `Question: ${result.question}`);
+      result.findings.forEach((f) =>
+        addLog(
+          "FINDING",
+          `[${f.severity.toUpperCase()}/${f.category}] ${f.label}${f.evidence ? ` — ${f.evidence}` : ""}`
+        )
+      );
+    }
 
-    speak(`${result?.headline || "Update"}. ${result?.action_required || ""}`);
-    addLog("OMNITECH", result?.reasoning || "No reasoning returned.");
+    // Explain inconclusive verdicts with what the camera actually delivered
+    const quality = opts.frameQuality;
+    if (quality && (result.status === "UNCERTAIN" || quality.warnings.length)) {
+      addLog("FRAME", describeQuality(quality));
+    }
 
-    if (!opts.skipSave && user && db) {
-      try {
-        addDoc(collection(db, "artifacts", appId, "users", user.uid, "safety_events"), {
-          timestamp: serverTimestamp(),
+    if (saved) {
+      queueEvent(
+        "safety_event",
+        "safety_events",
+        {
           mode,
           ...result,
-        });
-      } catch (e) {
-        console.error("Save failed", e);
-      }
+          ...(repairs.length ? { validation_repairs: repairs } : {}),
+          ...(quality ? { frame_quality: quality } : {}),
+          ...(equipmentTag ? { equipment: equipmentTag } : {}),
+          ...(assetId ? { assetId } : {}),
+        },
+        { id: eventId, attachment: thumbnail ? { field: "evidence", ...thumbnail } : null }
+      );
+    }
+
+    checkProtocolScan(result, mode, { fresh: !opts.cachedAt });
+    if (result.status === "DANGER") discardLoto(`DANGER: ${result.headline}`);
+
+    // An override only covers the hazards the supervisor looked at
+    const override = overrideRef.current;
+    if (overrideActive(override) && result.status === "DANGER" && !overrideCovers(override, result)) {
+      endOverride(`new hazard: ${result.headline}`);
+      speak(t("speech.overrideVoided"));
+    }
+
+    // A cached verdict is not a new observation
+    if (!opts.cachedAt) {
+      incidentHandlersRef.current.escalate(result, { eventId: saved ? eventId : null, thumbnail, equipmentTag, assetId });
     }
   };
 
   /* -------------------------
-    REPORT GENERATION
+    DIAGNOSTIC THREAD
   ------------------------- */
-  const generateFieldReport = async () => {
-    if (logs.length === 0) return;
-
-    // If API is missing or demo mode, generate local report (no tokens)
-    if (!API_KEY || DEMO_MODE) {
-      const local = [
-        "FIELD INCIDENT REPORT",
-        "--------------------",
-        `Generated: ${new Date().toLocaleString()}`,
-        "",
-        "SESSION LOGS:",
-        ...logs
-          .slice(0, 30)
-          .reverse()
-          .map((l) => `[${l.time}] ${l.source}: ${l.message}`),
-        "",
-        "Summary:",
-        "- OmniTech recorded safety/diagnostic events.",
-        "- Review recommended actions before proceeding.",
-      ].join("\n");
-
-      setGeneratedReport(local);
-      setShowReportModal(true);
-      addLog("SYSTEM", "Local report generated (demo / no-quota mode).");
-      return;
-    }
+  // change(thread) -> thread; answers land after an await, so always build on the latest
+  const updateThread = (change) => {
+    threadRef.current = change(threadRef.current || thread);
+    setThread(threadRef.current);
+  };
 
-    setGeneratingReport(true);
-    const logText = logs.map((l) => `[${l.time}] ${l.source}: ${l.message}`).join("\n");
+  // A different asset or profile is a different conversation
+  const closeThread = (reason) => {
+    const current = threadRef.current || thread;
+    if (!current.turns.length) return;
+    updateThread(() => createThread());
+    addLog("SYSTEM", `Diagnostic thread closed after ${current.turns.length} turns: ${reason}.`);
+  };
 
-    try {
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${API_KEY}`;
-
-      const response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          contents: [
-            { parts: [{ text: `Generate a professional Field Incident Report based on these raw logs:\n\n${logText}` }] },
-          ],
-          generationConfig: { maxOutputTokens: 500, temperature: 0.7 },
-          systemInstruction: {
-            parts: [{ text: "You are a Senior Field Supervisor. Format the output as a clean report." }],
-          },
-        }),
-      });
+  /* -------------------------
+    REPAIR PROTOCOL
+  ------------------------- */
+  const latestProtocol = protocols.at(-1) || null;
+  const runningProtocol = latestProtocol?.status === "active" ? latestProtocol : null;
 
-      if (response.status === 429) {
-        addLog("ERROR", "Report HTTP 429 (quota). Using local report instead.", "error");
-        const local = [
-          "FIELD INCIDENT REPORT (LOCAL FALLBACK)",
-          "-------------------------------------",
-          `Generated: ${new Date().toLocaleString()}`,
-          "",
-          "SESSION LOGS:",
-          ...logs
-            .slice(0, 30)
-            .reverse()
-            .map((l) => `[${l.time}] ${l.source}: ${l.message}`),
-        ].join("\n");
-
-        setGeneratedReport(local);
-        setShowReportModal(true);
-        setGeneratingReport(false);
-        return;
-      }
+  // Replaces the latest run; every change is re-saved under the same id
+  const saveProtocol = (next) => {
+    setProtocols((prev) => [...prev.slice(0, -1), next]);
+    queueEvent("repair_protocol", "repair_protocols", next, { id: next.id });
+  };
 
-      if (!response.ok) {
-        const errText = await response.text();
-        addLog("ERROR", `Report HTTP ${response.status}: ${errText.slice(0, 180)}`, "error");
-        setGeneratingReport(false);
-        return;
-      }
+  const announceStep = (protocol, prefix = "") => {
+    const step = currentStep(protocol);
+    if (!step) return;
+    const line = t("speech.step", { n: protocol.current + 1, total: protocol.steps.length, text: step.text });
+    speak(`${prefix}${line}${needsVerification(protocol) ? ` ${t("speech.verifyBeforeStep")}` : ""}`);
+  };
 
-      const data = await response.json();
-      const report = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-      setGeneratedReport(report || "No report generated.");
-      setShowReportModal(true);
-      addLog("SYSTEM", "Field Report generated.");
-    } catch (e) {
-      console.error(e);
-      addLog("ERROR", "Failed to generate report.", "error");
-    } finally {
-      setGeneratingReport(false);
+  const startProtocol = (repairSteps) => {
+    if (runningProtocol) {
+      saveProtocol(abortProtocol(runningProtocol, "Superseded by a new repair guide"));
     }
+    const protocol = createProtocol(repairSteps);
+    setProtocols((prev) => [...prev, protocol]);
+    queueEvent("repair_protocol", "repair_protocols", protocol, { id: protocol.id });
+    addLog("PROTOCOL", `Repair protocol started (${protocol.steps.length} steps).`);
+    setShowRepairModal(true);
+    announceStep(protocol);
   };
 
-  /* -------------------------
-    UI helpers
-  ------------------------- */
-  const getStatusColor = () => {
-    switch (systemState) {
-      case "DANGER":
-        return "border-red-500 shadow-[0_0_80px_rgba(239,68,68,0.6)]";
-      case "SAFE":
-        return "border-emerald-500 shadow-[0_0_80px_rgba(16,185,129,0.4)]";
-      case "UNCERTAIN":
-        return "border-amber-500 shadow-[0_0_80px_rgba(245,158,11,0.4)]";
-      default:
-        return "border-slate-800";
+  const recordProtocolStep = (outcome) => {
+    const step = currentStep(runningProtocol);
+    if (!step) return;
+
+    if (outcome === "done" && needsVerification(runningProtocol)) {
+      setToast({ message: t("toast.verifyFirst"), type: "error" });
+      speak(t("speech.verifyFirst"));
+      return;
     }
-  };
+
+    const next = recordStep(runningProtocol, outcome);
+    saveProtocol(next);
+    addLog(
+      "PROTOCOL",
+      `${describeStep(runningProtocol, step)} — ${outcome.toUpperCase()}`,
+      outcome === "failed" ? "error" : "info"
+    );
+
+    if (next.status === "complete") {
+      addLog("PROTOCOL", "Repair protocol complete.");
+      speak(t("speech.protocolComplete"));
+    } else if (next.status === "aborted") {
+      addLog("PROTOCOL", `Repair protocol aborted: ${next.abortReason}.`, "error");
+      speak(t("speech.protocolAborted"));
+    } else {
+      announceStep(next);
+    }
+  };
+
+  const verifyProtocolStep = () => callOmniTech("safety_check", "", { fresh: true });
+
+  // Scan results land after an await; read the protocol as it is now, not as it was when the scan started
+  useEffect(() => {
+    protocolRef.current = runningProtocol;
+  });
+
+  // A streamed DANGER locks the scene before the full verdict arrives, and stays even if
+  // the analysis is then cancelled or fails; the verdict itself fills in the details
+  const lockOnEarlyDanger = () => {
+    const reason = "DANGER reported during analysis";
+    setSystemState("DANGER");
+    setCurrentAnalysis(null);
+    setFindingOverlays([]);
+    verdictCacheRef.current = {};
+    discardLoto(reason);
+
+    const protocol = protocolRef.current;
+    if (protocol) {
+      saveProtocol(abortProtocol(protocol, reason));
+      protocolRef.current = null;
+      addLog("PROTOCOL", `Repair protocol aborted — ${reason}.`, "error");
+      setShowRepairModal(true);
+    }
+  };
+
+  // Any DANGER stops the walkthrough; a fresh SAFE safety_check clears a flagged step
+  const checkProtocolScan = (result, mode, { fresh }) => {
+    const protocol = protocolRef.current;
+    if (!protocol) return;
+
+    if (result.status === "DANGER") {
+      saveProtocol(abortProtocol(protocol, `DANGER: ${result.headline}`));
+      addLog("PROTOCOL", `Repair protocol aborted — scan returned DANGER (${result.headline}).`, "error");
+      setShowRepairModal(true);
+      speak(`${t("speech.dangerAbort")} ${result.headline}. ${result.action_required}`);
+      return;
+    }
+
+    if (mode === "safety_check" && result.status === "SAFE" && fresh && needsVerification(protocol)) {
+      const next = markVerified(protocol);
+      saveProtocol(next);
+      addLog("PROTOCOL", `Scene re-verified SAFE for step ${next.current + 1}.`);
+      announceStep(next, `${t("speech.sceneVerified")} `);
+    }
+  };
+
+  /* -------------------------
+    WATCH MODE
+  ------------------------- */
+  const watchTick = () => {
+    if (!isStreamActive || inFlightRef.current) return;
+
+    const frame = captureFrame();
+    // Blurry frames (camera moving) are skipped; the next tick retries
+    if (!frame || isBlurry(frame.quality)) return;
+
+    const signature = computeSignature(canvasRef.current);
+    if (isSameScene(signature, lastAnalysedSignatureRef.current, WATCH_CHANGE_RATIO)) return;
+
+    callOmniTech("safety_check", "", { watch: true, frame, signature });
+  };
+
+  // Interval always calls the latest render's tick (fresh state in closure)
+  useEffect(() => {
+    watchTickRef.current = watchTick;
+  });
+
+  useEffect(() => {
+    if (!watchActive) return;
+
+    const id = setInterval(() => watchTickRef.current?.(), WATCH_INTERVAL_MS);
+
+    // Keep the screen (and so the guard) awake while hands are busy
+    const acquireWakeLock = async () => {
+      try {
+        wakeLockRef.current = await navigator.wakeLock?.request?.("screen");
+      } catch (e) {
+        console.warn("Wake lock unavailable:", e);
+      }
+    };
+    const onVisible = () => {
+      if (document.visibilityState === "visible") acquireWakeLock();
+    };
+
+    acquireWakeLock();
+    document.addEventListener("visibilitychange", onVisible);
+
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", onVisible);
+      wakeLockRef.current?.release?.().catch(() => {});
+      wakeLockRef.current = null;
+    };
+  }, [watchActive]);
+
+  const toggleWatch = () => {
+    const next = !watchActive;
+    setWatchActive(next);
+    // Force a fresh scan on enable rather than trusting the last verdict
+    if (next) lastAnalysedSignatureRef.current = null;
+    addLog(
+      "SYSTEM",
+      next
+        ? `Watch mode enabled: re-scanning every ${WATCH_INTERVAL_MS / 1000}s when the scene changes.`
+        : "Watch mode disabled."
+    );
+  };
+
+  /* -------------------------
+    LOCKOUT / TAGOUT
+  ------------------------- */
+  const loto = lotos.at(-1) || null;
+
+  // Every change is re-saved under the run id; runs with nothing confirmed stay local
+  const saveLoto = (next) => {
+    lotoRef.current = next;
+    setLotos((prev) => (prev.at(-1)?.id === next.id ? [...prev.slice(0, -1), next] : [...prev, next]));
+    if (next.steps.some((s) => s.confirmedAt)) {
+      queueEvent("loto_checklist", "loto_checklists", next, { id: next.id });
+    }
+  };
+
+  const dropLoto = () => {
+    lotoRef.current = null;
+    setLotos((prev) => prev.slice(0, -1));
+  };
+
+  const newLoto = (teamSteps = lotoSteps) =>
+    createLoto(buildChecklist(teamSteps, equipment), {
+      assetId: assetRef.current?.assetId || null,
+      equipment: equipment ? { id: equipment.id, label: profileLabel(equipment) } : null,
+    });
+
+  const announceLotoStep = (run) => {
+    const step = currentLotoStep(run);
+    if (step) speak(t("speech.lotoStep", { n: run.current + 1, total: run.steps.length, text: lotoStepLabel(step, t) }));
+  };
+
+  const openLoto = () => {
+    const current = lotoRef.current;
+    if (!current || current.status === "void") {
+      const next = newLoto();
+      saveLoto(next);
+      announceLotoStep(next);
+    }
+    setShowLoto(true);
+  };
+
+  // Isolation can't be trusted any more: a started run is voided, an untouched one dropped
+  const discardLoto = (reason) => {
+    const current = lotoRef.current;
+    if (!current || current.status === "void") return;
+    if (!current.steps.some((s) => s.confirmedAt)) {
+      dropLoto();
+      return;
+    }
+    saveLoto(voidLoto(current, reason));
+    addLog("LOTO", `Lockout / tagout voided: ${reason}. Repair guidance locked.`, "error");
+  };
+
+  const restartLoto = () => {
+    discardLoto("Restarted by technician");
+    const next = newLoto();
+    saveLoto(next);
+    announceLotoStep(next);
+  };
+
+  // Each confirmation is its own audit record with the photo taken at that moment
+  const confirmLoto = () => {
+    const run = lotoRef.current;
+    const step = currentLotoStep(run);
+    if (!step) return;
+
+    const frame = captureFrame();
+    if (!frame) {
+      addLog("ERROR", "Camera not ready yet. Wait 1–2 seconds after Initialize Optics.", "error");
+      return;
+    }
+    if (isBlurry(frame.quality)) {
+      setToast({ message: t("toast.lotoBlurry"), type: "error" });
+      return;
+    }
+
+    const thumbnail = makeThumbnail(canvasRef.current);
+    const eventId = crypto.randomUUID();
+    const index = run.current;
+    queueEvent(
+      "loto_step",
+      "loto_events",
+      {
+        lotoId: run.id,
+        stepId: step.id,
+        label: step.label,
+        index,
+        total: run.steps.length,
+        ...(run.assetId ? { assetId: run.assetId } : {}),
+        ...(run.equipment ? { equipment: run.equipment } : {}),
+      },
+      { id: eventId, attachment: thumbnail ? { field: "evidence", ...thumbnail } : null }
+    );
+
+    const next = confirmLotoStep(run, eventId);
+    saveLoto(next);
+    addLog("LOTO", `Step ${index + 1}/${run.steps.length} confirmed: ${step.label}`, "info", {
+      evidence: thumbnail,
+      evidenceId: thumbnail ? eventId : null,
+    });
+
+    if (lotoComplete(next)) {
+      addLog("LOTO", "Lockout / tagout complete. Repair guidance unlocked.");
+      speak(t("speech.lotoComplete"));
+    } else {
+      announceLotoStep(next);
+    }
+  };
+
+  const updateLotoSteps = async (labels) => {
+    try {
+      const steps = await saveLotoSteps(db, appId, teamId, labels, user?.uid);
+      setLotoSteps(steps);
+      addLog("LOTO", `Team LOTO checklist updated (${steps.length} steps).`);
+      // A run nobody has started yet picks up the new checklist
+      if (lotoRef.current && !lotoRef.current.steps.some((s) => s.confirmedAt)) {
+        dropLoto();
+        saveLoto(newLoto(steps));
+      }
+    } catch (e) {
+      console.error("LOTO checklist save failed:", e);
+      setToast({ message: t("toast.lotoConfigFailed"), type: "error" });
+    }
+  };
+
+  /* -------------------------
+    SUPERVISOR OVERRIDE
+  ------------------------- */
+  const setOverride = (next) => {
+    overrideRef.current = next;
+    setOverrideRequest(next);
+  };
+
+  const requestSupervisorOverride = async () => {
+    if (!db || !account || !currentAnalysis) return;
+    try {
+      const request = await requestOverride(db, appId, teamId, {
+        uid: account.uid,
+        requesterName: authorName,
+        requesterRole: authorOf(account).role,
+        sessionId: SESSION_ID,
+        assetId: assetRef.current?.assetId,
+        equipment: equipment ? { id: equipment.id, label: profileLabel(equipment) } : null,
+        verdict: currentAnalysis,
+        frame: lastVerdictFrameRef.current,
+        note: userContext.trim(),
+      });
+      setOverride(request);
+      addLog("OVERRIDE", `Supervisor override requested for ${currentAnalysis.status}: ${currentAnalysis.headline}.`);
+      speak(t("speech.overrideRequested"));
+    } catch (e) {
+      console.error("Override request failed:", e);
+      setToast({ message: t("toast.overrideFailed"), type: "error" });
+    }
+  };
+
+  const cancelOverrideRequest = async () => {
+    const request = overrideRef.current;
+    if (!request) return;
+    setOverride(null);
+    addLog("OVERRIDE", "Override request cancelled by technician.");
+    try {
+      await cancelOverride(db, appId, request.teamId, request.id);
+    } catch (e) {
+      console.warn("Override cancel not recorded:", e);
+    }
+  };
+
+  const endOverride = (reason) => {
+    if (!overrideRef.current) return;
+    addLog("OVERRIDE", `Override ended (${reason}). DANGER / UNCERTAIN locks apply again.`);
+    setOverride(null);
+  };
+
+  // Decision made on the supervisor's device arrives through the snapshot
+  const onOverrideUpdate = (next) => {
+    const prev = overrideRef.current;
+    if (!next || !prev || next.id !== prev.id || next.status === prev.status) return;
+    const name = next.deciderName || next.decidedBy?.slice(0, 8) || "supervisor";
+
+    if (next.status === "approved") {
+      setOverride(next);
+      addLog(
+        "OVERRIDE",
+        `Override APPROVED by ${name} until ${new Date(next.expiresAt).toLocaleTimeString()}: ${next.reason}`
+      );
+      setToast({ message: t("toast.overrideApproved", { name }), type: "success" });
+      speak(t("speech.overrideApproved", { name }));
+    } else if (next.status === "rejected") {
+      setOverride(null);
+      addLog("OVERRIDE", `Override REJECTED by ${name}: ${next.reason}`, "error");
+      speak(`${t("speech.overrideRejected", { name })} ${next.reason}`);
+    }
+  };
+
+  // Time-boxed: the lock comes back on its own
+  const expireOverride = () => {
+    endOverride("expired");
+    speak(t("speech.overrideExpired"));
+  };
+
+  // Supervisor side: announce new requests from the rest of the team
+  const onPendingOverrides = (requests) => {
+    if (requests.length > pendingCountRef.current) {
+      const latest = requests.at(-1);
+      setToast({
+        message: t("toast.overridePending", { name: latest.requesterName || latest.requestedBy.slice(0, 8) }),
+        type: "error",
+      });
+    }
+    pendingCountRef.current = requests.length;
+    setPendingOverrides(requests);
+  };
+
+  useEffect(() => {
+    overrideHandlersRef.current = { update: onOverrideUpdate, expire: expireOverride, pending: onPendingOverrides };
+  });
+
+  useEffect(() => {
+    if (!db || !overrideRequest?.id) return;
+    return watchOverride(
+      db,
+      appId,
+      overrideRequest.teamId,
+      overrideRequest.id,
+      (next) => overrideHandlersRef.current.update(next),
+      (e) => console.warn("Override watch failed:", e)
+    );
+  }, [overrideRequest?.id, overrideRequest?.teamId]);
+
+  useEffect(() => {
+    if (!overrideActive(overrideRequest)) return;
+    const id = setTimeout(() => overrideHandlersRef.current.expire(), overrideRequest.expiresAt - Date.now());
+    return () => clearTimeout(id);
+  }, [overrideRequest]);
+
+  // Only supervisors see the team's queue
+  useEffect(() => {
+    if (!db || !user || !teamId || !supervisor) return;
+    return watchPendingOverrides(db, appId, teamId, user.uid, (list) => overrideHandlersRef.current.pending(list), (e) =>
+      console.warn("Override queue unavailable:", e)
+    );
+  }, [user, teamId, supervisor]);
+
+  const approvals = supervisor ? pendingOverrides : [];
+
+  const decideOverrideRequest = async (request, { approve, reason, durationMin }) => {
+    await decideOverride(db, appId, teamId, request.id, {
+      approve,
+      reason,
+      durationMin,
+      uid: account.uid,
+      deciderName: authorName,
+      deciderRole: authorOf(account).role,
+    });
+    addLog(
+      "OVERRIDE",
+      `${approve ? `Approved (${durationMin} min)` : "Rejected"} override for ${request.requesterName || request.requestedBy.slice(0, 8)} — ${request.verdict.headline}: ${reason.trim()}`
+    );
+  };
+
+  const overridden = overrideActive(overrideRequest);
+  const locked = (systemState === "DANGER" || systemState === "UNCERTAIN") && !overridden;
+
+  /* -------------------------
+    TEAM ROSTER
+  ------------------------- */
+  const lastScanAt = sessionEvents.at(-1)?.at || null;
+
+  const publishStatus = () => {
+    publishUnit(db, appId, teamId, user.uid, {
+      author: { ...authorOf(account), name: authorName },
+      sessionId: SESSION_ID,
+      systemState,
+      headline: currentAnalysis?.headline || "",
+      lastScanAt,
+      assetId: asset?.assetId || null,
+      equipment: equipment ? profileLabel(equipment) : null,
+      camera: isStreamActive,
+      overridden,
+      foreground: document.visibilityState === "visible",
+    }).catch((e) => console.warn("Unit status not published:", e));
+  };
+
+  // Supervisor side: announce other units entering DANGER or going quiet
+  const checkRoster = (list, now) => {
+    const { alerts, seen } = unitAlerts(
+      list.filter((u) => u.uid !== user?.uid),
+      rosterSeenRef.current,
+      now
+    );
+    rosterSeenRef.current = seen;
+    for (const { kind, unit } of alerts) {
+      const name = unitName(unit);
+      if (kind === "danger") {
+        addLog("TEAM", `${name} entered DANGER${unit.assetId ? ` on ${unit.assetId}` : ""}: ${unit.headline}`);
+        setToast({ message: t("toast.unitDanger", { name, headline: unit.headline }), type: "error" });
+        speak(t("speech.unitDanger", { name }));
+      } else {
+        addLog("TEAM", `${name} stopped reporting (last seen ${new Date(unit.heartbeatAt).toLocaleTimeString()}).`);
+        setToast({ message: t("toast.unitSilent", { name }), type: "error" });
+        speak(t("speech.unitSilent", { name }));
+      }
+    }
+  };
+
+  const onUnits = (list) => {
+    setUnits(list);
+    checkRoster(list, Date.now());
+  };
+
+  const tickRoster = () => {
+    const now = Date.now();
+    setRosterNow(now);
+    checkRoster(units, now);
+  };
+
+  useEffect(() => {
+    unitHandlersRef.current = { publish: publishStatus, units: onUnits, tick: tickRoster };
+  });
+
+  // Heartbeat while in a team. Hiding the app is published too, so a phone in a
+  // pocket is not mistaken for a silent unit; pagehide is best effort.
+  useEffect(() => {
+    if (!db || !user || !teamId) return;
+    const uid = user.uid;
+    const publish = () => unitHandlersRef.current.publish();
+    const leave = () => leaveRoster(db, appId, teamId, uid).catch((e) => console.warn("Roster leave failed:", e));
+    const id = setInterval(publish, HEARTBEAT_MS);
+    document.addEventListener("visibilitychange", publish);
+    window.addEventListener("pagehide", leave);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", publish);
+      window.removeEventListener("pagehide", leave);
+      leave();
+    };
+  }, [user, teamId]);
+
+  // State changes go out at once rather than on the next heartbeat
+  useEffect(() => {
+    if (!db || !user || !teamId) return;
+    unitHandlersRef.current.publish();
+  }, [
+    user,
+    teamId,
+    systemState,
+    currentAnalysis?.headline,
+    lastScanAt,
+    asset?.assetId,
+    equipment?.id,
+    isStreamActive,
+    overridden,
+    authorName,
+  ]);
+
+  // Only supervisors watch the roster
+  useEffect(() => {
+    if (!db || !user || !teamId || !supervisor) return;
+    rosterSeenRef.current = {};
+    const unsubscribe = watchUnits(
+      db,
+      appId,
+      teamId,
+      (list) => unitHandlersRef.current.units(list),
+      (e) => console.warn("Team roster unavailable:", e)
+    );
+    const id = setInterval(() => unitHandlersRef.current.tick(), ROSTER_TICK_MS);
+    return () => {
+      unsubscribe();
+      clearInterval(id);
+    };
+  }, [user, teamId, supervisor]);
+
+  const roster = supervisor ? units : [];
+  const rosterAlerts = roster.filter(
+    (u) => u.uid !== user?.uid && (u.systemState === "DANGER" || unitSilent(u, rosterNow))
+  ).length;
+
+  /* -------------------------
+    INCIDENT ESCALATION
+  ------------------------- */
+  // Team rules follow the membership, like the LOTO checklist
+  useEffect(() => {
+    if (!db || !teamId) return;
+    fetchEscalationRules(db, appId, teamId)
+      .then(setEscalationRules)
+      .catch((e) => console.warn("Escalation rules unavailable, using defaults:", e));
+  }, [teamId]);
+
+  const incidentAuthor = () => ({ ...authorOf(account), name: authorName });
+
+  // Delivery never holds up the record: the incident exists whether or not anyone was paged
+  const notifyIncidentEvent = async (event, incident) => {
+    let result;
+    try {
+      const idToken = await user?.getIdToken?.();
+      result = await notifyIncident({ event, appId, teamId: incident.teamId, incidentId: incident.id, idToken });
+    } catch (e) {
+      console.warn("Incident notification failed:", e);
+      result = { error: e.message || "Escalation proxy unreachable" };
+      addLog("INCIDENT", `Could not send the ${event} notification: ${result.error}`, "info", { category: e.category });
+    }
+
+    if (result.webhook && !result.webhook.ok) {
+      addLog("INCIDENT", `Webhook delivery failed (${result.webhook.status || result.webhook.error}).`);
+    }
+    if (result.push?.expired.length) {
+      forgetPushTargets(db, appId, incident.teamId, result.push.expired).catch((e) =>
+        console.warn("Expired push subscriptions not removed:", e)
+      );
+    }
+    recordDelivery(db, appId, incident.teamId, incident.id, event, result).catch((e) =>
+      console.warn("Incident delivery not recorded:", e)
+    );
+  };
+
+  // One incident per rule per session; later matches are counted on it
+  const escalate = async (result, { eventId, thumbnail, equipmentTag, assetId }) => {
+    const escalation = escalationRef.current;
+    escalation.history = recordVerdict(escalation.history, result);
+    if (!db || !teamId) return;
+
+    for (const rule of matchEscalation(escalationRules, escalation.history)) {
+      const existing = incidents.find((i) => i.ruleId === rule.id && i.sessionId === SESSION_ID);
+      if (existing) {
+        repeatIncident(db, appId, teamId, existing.id).catch((e) => console.warn("Incident repeat not recorded:", e));
+        continue;
+      }
+      if (escalation.opening.has(rule.id)) continue;
+
+      escalation.opening.add(rule.id);
+      try {
+        const incident = await openIncident(db, appId, teamId, {
+          rule,
+          author: incidentAuthor(),
+          sessionId: SESSION_ID,
+          eventId,
+          assetId,
+          equipment: equipmentTag,
+          verdict: result,
+          frame: thumbnail,
+        });
+        addLog("INCIDENT", `Incident opened (${rule.name}): ${result.headline}. Notifying supervisors.`);
+        setToast({ message: t("toast.incidentOpened"), type: "error" });
+        notifyIncidentEvent("opened", incident);
+      } catch (e) {
+        console.error("Incident not opened:", e);
+        setToast({ message: t("toast.incidentFailed"), type: "error" });
+      } finally {
+        escalation.opening.delete(rule.id);
+      }
+    }
+  };
+
+  // Supervisors hear about new incidents; the technician hears when theirs is picked up
+  const onIncidents = (list) => {
+    const before = incidentStatusRef.current;
+    for (const incident of list) {
+      const mine = incident.openedBy?.uid === user?.uid;
+      if (!before[incident.id] && !mine && supervisor && incident.status === "open") {
+        const name = incident.openedBy?.name || incident.openedBy?.uid?.slice(0, 8) || "?";
+        addLog("INCIDENT", `Incident from ${name} (${incident.ruleName}): ${incident.verdict.headline}`);
+        setToast({ message: t("toast.incidentAlert", { name, headline: incident.verdict.headline }), type: "error" });
+        speak(t("speech.incidentAlert", { name }));
+      } else if (mine && before[incident.id] === "open" && incident.status === "acknowledged") {
+        const name = incident.acknowledgedBy?.name || "supervisor";
+        addLog("INCIDENT", `Incident acknowledged by ${name}.`);
+        setToast({ message: t("toast.incidentAcknowledged", { name }), type: "success" });
+        speak(t("speech.incidentAcknowledged", { name }));
+      }
+    }
+    incidentStatusRef.current = Object.fromEntries(list.map((i) => [i.id, i.status]));
+    setIncidents(list);
+  };
+
+  useEffect(() => {
+    incidentHandlersRef.current = { escalate, incidents: onIncidents };
+  });
+
+  useEffect(() => {
+    if (!db || !user || !teamId) return;
+    incidentStatusRef.current = {};
+    return watchActiveIncidents(
+      db,
+      appId,
+      teamId,
+      (list) => incidentHandlersRef.current.incidents(list),
+      (e) => console.warn("Incidents unavailable:", e)
+    );
+  }, [user, teamId]);
+
+  const openIncidents = incidents.filter((i) => i.status === "open").length;
+
+  const acknowledgeTeamIncident = async (incident) => {
+    const next = await acknowledgeIncident(db, appId, teamId, incident.id, incidentAuthor());
+    addLog("INCIDENT", `Acknowledged incident (${incident.ruleName}): ${incident.verdict.headline}.`);
+    notifyIncidentEvent("acknowledged", next);
+  };
+
+  const resolveTeamIncident = async (incident, resolution) => {
+    const next = await resolveIncident(db, appId, teamId, incident.id, incidentAuthor(), resolution);
+    addLog("INCIDENT", `Resolved incident (${incident.ruleName}): ${next.resolution}`);
+    notifyIncidentEvent("resolved", next);
+  };
+
+  const updateEscalationRules = async (rules) => {
+    try {
+      const saved = await saveEscalationRules(db, appId, teamId, rules, user?.uid);
+      setEscalationRules(saved);
+      addLog("INCIDENT", `Escalation rules updated (${saved.filter((r) => r.enabled).length} active).`);
+    } catch (e) {
+      console.error("Escalation rules save failed:", e);
+      setToast({ message: t("toast.escalationConfigFailed"), type: "error" });
+    }
+  };
+
+  /* -------------------------
+    ASSET TAGS
+  ------------------------- */
+  const attachAsset = (next) => {
+    assetRef.current = next;
+    setAsset(next);
+    if (next) {
+      addLog("SYSTEM", `Asset tag scanned: ${next.assetId} (${next.format}). Events are now tagged with this asset.`);
+      setToast({ message: t("toast.assetTagged", { id: next.assetId }), type: "success" });
+    } else {
+      addLog("SYSTEM", "Asset tag cleared.");
+    }
+    discardLoto("Asset changed");
+    closeThread("asset changed");
+  };
+
+  // A different tag, read on several scans in a row, means the technician moved to another unit
+  const assetTick = async () => {
+    if (assetScanBusyRef.current || document.visibilityState !== "visible") return;
+    assetScanBusyRef.current = true;
+    try {
+      if (!assetScannerRef.current) assetScannerRef.current = createAssetScanner();
+      const found = await (await assetScannerRef.current).scan(videoRef.current);
+      const { pending, confirmed } = confirmAssetScan(pendingAssetRef.current, found, assetRef.current?.assetId);
+      pendingAssetRef.current = pending;
+      if (confirmed) attachAsset({ assetId: confirmed.assetId, format: confirmed.format, at: Date.now() });
+    } catch (e) {
+      console.warn("Asset tag scan failed:", e);
+    } finally {
+      assetScanBusyRef.current = false;
+    }
+  };
+
+  useEffect(() => {
+    assetTickRef.current = assetTick;
+  });
+
+  useEffect(() => {
+    if (!isStreamActive) return;
+    const id = setInterval(() => assetTickRef.current?.(), ASSET_SCAN_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [isStreamActive]);
+
+  const openAssetHistory = () => {
+    setHistoryAssetId(asset?.assetId || "");
+    setShowHistory(true);
+  };
+
+  /* -------------------------
+    REPORT GENERATION
+  ------------------------- */
+  // Everything in the report comes from recorded session data; the AI summary is opt-in
+  const openReport = ({ session, events, logs: entries, protocols: runs = [], lotos: lockouts = [], regeneratedFrom }) => {
+    setReportDraft({
+      session,
+      events,
+      logs: entries,
+      protocols: runs,
+      lotos: lockouts,
+      generatedAt: Date.now(),
+      summary: null,
+      summaryNote: null,
+      signOff: null,
+      regeneratedFrom: regeneratedFrom || null,
+    });
+    setShowReportModal(true);
+  };
+
+  const openLiveReport = () =>
+    openReport({
+      session: { id: SESSION_ID },
+      events: sessionEvents,
+      protocols,
+      lotos,
+      logs: [...logs].reverse().map(({ at, source, message }) => ({ at, source, message })),
+    });
+
+  const reportModel = reportDraft
+    ? buildReportModel({
+        ...reportDraft,
+        site: { name: reportHeader.site, location: reportHeader.location },
+        technician: { name: authorName, unit: user?.uid?.slice(0, 8) || "", role: authorOf(account)?.role || "" },
+      })
+    : null;
+  // The built-in PDF font is Latin-only: Japanese (and similar) reports are offered as print / HTML / JSON
+  const exportFormats =
+    reportModel && canRenderPdf(reportModel) ? ["print", "pdf", "json", "html"] : ["print", "json", "html"];
+
+  const updateReportHeader = (patch) => setReportHeader((prev) => ({ ...prev, ...patch }));
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(REPORT_HEADER_KEY, JSON.stringify(reportHeader));
+    } catch (e) {
+      console.warn("Report header not persisted:", e);
+    }
+  }, [reportHeader]);
+
+  const addReportSummary = async () => {
+    if (!reportModel) return;
+    setGeneratingReport(true);
+    try {
+      const idToken = await user?.getIdToken?.();
+      const { report, provider, offline } = await requestReport({
+        logText: reportLogText(reportModel),
+        locale,
+        idToken,
+        onRetry: (error, attempt) =>
+          addLog("SYSTEM", `AI summary: ${error.message} — retrying (${attempt}).`, "info", { category: error.category }),
+      });
+      setReportDraft((prev) => ({
+        ...prev,
+        summary: report ? { text: report, provider: offline ? "offline demo" : provider } : null,
+        summaryNote: report ? null : "report.summaryEmpty",
+      }));
+    } catch (e) {
+      const category = e instanceof ApiError ? e.category : "";
+      const quota = category === "quota" || category === "rate_limit";
+      if (!(e instanceof ApiError)) console.error(e);
+      setReportDraft((prev) => ({ ...prev, summaryNote: quota ? "report.summaryQuota" : "report.summaryFailed" }));
+      addLog("SYSTEM", `AI summary ${quota ? "unavailable (quota)" : `failed: ${e.message}`}; report kept without it.`, "info", {
+        category,
+      });
+    } finally {
+      setGeneratingReport(false);
+    }
+  };
+
+  const signOffReport = () => {
+    if (!reportModel) return;
+    const signOff = { technician: authorName, supervisor: "", signedAt: Date.now() };
+    setReportDraft((prev) => ({ ...prev, signOff }));
+
+    const saved = reportForStorage({ ...reportModel, signOff });
+    queueEvent(
+      "report",
+      "field_reports",
+      { ...saved, ...(reportDraft.regeneratedFrom ? { regeneratedFrom: reportDraft.regeneratedFrom } : {}) },
+      { id: saved.reportId }
+    );
+    addLog("SYSTEM", `Field report ${saved.reportId} signed off and saved.`);
+  };
+
+  const exportReport = async (format) => {
+    if (!reportModel) return;
+    try {
+      if (format === "print") {
+        const win = window.open("", "_blank");
+        if (!win) {
+          setToast({ message: t("toast.popups"), type: "error" });
+          return;
+        }
+        win.document.write(renderReportHtml(reportModel));
+        win.document.close();
+        win.onload = () => win.print();
+        return;
+      }
+      if (format === "pdf") {
+        downloadBlob(await renderReportPdf(reportModel), reportFilename(reportModel, "pdf"));
+      } else if (format === "json") {
+        downloadBlob(new Blob([renderReportJson(reportModel)], { type: "application/json" }), reportFilename(reportModel, "json"));
+      } else {
+        downloadBlob(new Blob([renderReportHtml(reportModel)], { type: "text/html" }), reportFilename(reportModel, "html"));
+      }
+      setToast({ message: t("toast.exported", { format: format.toUpperCase() }), type: "success" });
+    } catch (e) {
+      console.error(e);
+      addLog("ERROR", `Report export (${format}) failed.`, "error");
+    }
+  };
+
+  // Reopen a past session: prefer its full log, fall back to its verdicts
+  const regenerateSessionReport = async (session) => {
+    let entries;
+    let runs;
+    let lockouts;
+    // Asset history can surface sessions recorded by other technicians
+    const ownerUid = session.ownerUid || user.uid;
+    try {
+      const [stored, storedRuns, storedLotos] = await Promise.all([
+        fetchSessionLogs(db, appId, ownerUid, session.sessionId),
+        fetchSessionProtocols(db, appId, ownerUid, session.sessionId),
+        fetchSessionLotos(db, appId, ownerUid, session.sessionId),
+      ]);
+      entries = stored.length ? stored.map(logToTimelineEntry) : session.events.map(eventToTimelineEntry);
+      runs = storedRuns;
+      lockouts = storedLotos;
+    } catch (e) {
+      console.error(e);
+      addLog("ERROR", "Could not load session logs for report.", "error");
+      return;
+    }
+
+    setShowHistory(false);
+    addLog("SYSTEM", `Regenerating report for session ${session.sessionId.slice(0, 8)}.`);
+    openReport({
+      session: { id: session.sessionId },
+      events: session.events.map(eventToReportEvent),
+      logs: entries,
+      protocols: runs,
+      lotos: lockouts,
+      regeneratedFrom: session.sessionId,
+    });
+  };
+
+  /* -------------------------
+    UI helpers
+  ------------------------- */
+  const getStatusColor = () => {
+    // Supervisor-released lock: still not SAFE, but no longer blocking
+    if (overridden && (systemState === "DANGER" || systemState === "UNCERTAIN")) {
+      return "border-violet-500 shadow-[0_0_80px_rgba(139,92,246,0.5)]";
+    }
+    switch (systemState) {
+      case "DANGER":
+        return "border-red-500 shadow-[0_0_80px_rgba(239,68,68,0.6)]";
+      case "SAFE":
+        return "border-emerald-500 shadow-[0_0_80px_rgba(16,185,129,0.4)]";
+      case "UNCERTAIN":
+        return "border-amber-500 shadow-[0_0_80px_rgba(245,158,11,0.4)]";
+      default:
+        return "border-slate-800";
+    }
+  };
 
   const getStatusText = () => {
     switch (systemState) {
       case "DANGER":
-        return "HAZARD DETECTED";
       case "SAFE":
-        return "SYSTEM SECURE";
       case "UNCERTAIN":
-        return "ANALYSIS INCONCLUSIVE";
+        return t(`status.${systemState}`);
       default:
-        return "STANDBY";
+        return t("status.IDLE");
     }
   };
 
@@ -761,10 +2284,30 @@ OUTPUT FORMAT (JSON ONLY):
   const sheen =
     "relative overflow-hidden before:content-[''] before:absolute before:inset-0 before:opacity-0 hover:before:opacity-100 before:transition-opacity before:bg-[radial-gradient(circle_at_50%_0%,rgba(255,255,255,0.2),transparent_60%)]";
 
+  // The finding the DANGER lock points at
+  const lockIndex = systemState === "DANGER" ? lockFindingIndex(findingOverlays) : -1;
+
+  // The model's open question, shown over the video until answered or dismissed
+  const threadQuestion = openQuestion(thread);
+  const promptQuestion = threadQuestion && threadQuestion.id !== dismissedQuestionId ? threadQuestion : null;
+  const threadExchanges = thread.turns.filter((turn) => turn.role === "tech").length;
+  // Replies can't unlock DIAGNOSE: under a DANGER / UNCERTAIN lock they go out as safety checks
+  const replyMode = locked ? "safety_check" : "diagnosis";
+
+  const replyInThread = (text) => callOmniTech(replyMode, text, { fresh: true });
+  const showForQuestion = () => callOmniTech(replyMode, "", { fresh: true });
+
+  const answerQuestion = () => {
+    setShowThread(true);
+    requestAnimationFrame(() => threadInputRef.current?.focus());
+  };
+
+  const startNewThread = () => closeThread("new thread started by technician");
+
   const submitTextDiagnosis = () => {
     const clean = userContext.trim();
     if (!clean) return;
-    setToast({ message: "Context sent.", type: "success" });
+    setToast({ message: t("toast.contextSent"), type: "success" });
     callOmniTech("diagnosis", clean);
     setUserContext("");
   };
@@ -806,95 +2349,526 @@ OUTPUT FORMAT (JSON ONLY):
             <Activity className="w-6 h-6 animate-pulse" /> OMNI<span className="text-white">TECH</span>
           </h1>
           <p className="text-xs text-slate-400 font-mono mt-1">
-            UNIT: {user ? user.uid.slice(0, 6) : "OFFLINE"} // V.3.3.2
+            {t("header.unit")}: {user ? user.uid.slice(0, 6) : t("header.offline")} // V.3.3.2
+            {watchActive && <span className="ml-2 text-cyan-400 animate-pulse">● {t("header.watch")}</span>}
           </p>
+          {eventQueue && (
+            <p
+              className={`text-xs font-mono mt-1 flex items-center gap-1 ${
+                pendingSync ? "text-amber-400" : "text-slate-600"
+              }`}
+              title={t("header.syncTitle")}
+            >
+              {pendingSync ? (
+                <>
+                  <CloudOff className="w-3 h-3" /> {t("header.syncPending", { count: pendingSync })}
+                </>
+              ) : (
+                t("header.syncDone")
+              )}
+            </p>
+          )}
         </div>
 
-        <div
-          className={`px-4 py-2 rounded-sm border backdrop-blur-md font-mono font-bold tracking-widest shadow-lg ${
-            systemState === "DANGER"
-              ? "bg-red-900/50 border-red-500 text-red-100 animate-pulse shadow-red-500/20"
-              : systemState === "SAFE"
-              ? "bg-emerald-900/50 border-emerald-500 text-emerald-100 shadow-emerald-500/20"
-              : systemState === "UNCERTAIN"
-              ? "bg-amber-900/50 border-amber-500 text-amber-100 shadow-amber-500/20"
-              : "bg-slate-900/50 border-slate-700 text-slate-400"
-          }`}
-        >
-          {getStatusText()}
-        </div>
-      </div>
-
-      {/* Main Viewport */}
-      <div className="flex-1 relative bg-black flex items-center justify-center overflow-hidden z-10" onClick={handleTapToFocus}>
-        {!isStreamActive && (
-          <div className="absolute inset-0 flex flex-col items-center justify-center z-10 bg-slate-900/80 backdrop-blur-sm">
-            <div className="relative">
-              <button onClick={startCamera} className={btnPrimary + " " + sheen}>
-                <Camera className="w-6 h-6" /> Initialize Optics
+        <div className="flex items-start gap-2">
+          <label className="px-2 py-2 rounded-sm border border-slate-700 bg-slate-900/50 backdrop-blur-md text-slate-400 font-mono text-xs font-bold flex items-center gap-1">
+            <Languages className="w-4 h-4" />
+            <select
+              value={locale}
+              onChange={(e) => changeLocale(e.target.value)}
+              className="bg-transparent text-slate-300 focus:outline-none"
+              aria-label={t("header.language")}
+            >
+              {Object.entries(LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code} className="bg-slate-900">
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => setShowAccount(true)}
+            className={`max-w-[12rem] px-3 py-2 rounded-sm border backdrop-blur-md font-mono text-xs font-bold flex items-center gap-1 ${
+              account?.email
+                ? "border-cyan-700 bg-cyan-900/40 text-cyan-200"
+                : "border-slate-700 bg-slate-900/50 text-slate-400 hover:text-cyan-300"
+            }`}
+            title={account?.email || t("account.title")}
+          >
+            <CircleUser className="w-4 h-4 flex-shrink-0" />
+            <span className="truncate">
+              {account?.email ? `${account.name} · ${t(`role.${account.demo ? "demo" : account.role}`)}` : t("header.signIn")}
+            </span>
+          </button>
+          <button
+            onClick={() => setShowEquipment(true)}
+            className={`max-w-[14rem] px-3 py-2 rounded-sm border backdrop-blur-md font-mono text-xs font-bold flex items-center gap-1 ${
+              equipment
+                ? "border-cyan-700 bg-cyan-900/40 text-cyan-200"
+                : "border-slate-700 bg-slate-900/50 text-slate-400 hover:text-cyan-300"
+            }`}
+            title={equipment ? t(`voltage.${equipment.voltageClass}`) : t("equipment.title")}
+          >
+            <Cpu className="w-4 h-4 flex-shrink-0" />
+            <span className="truncate">{equipment ? profileLabel(equipment) : t("header.equipment")}</span>
+          </button>
+          {overridden && (
+            <div
+              className="px-3 py-2 rounded-sm border border-violet-500 bg-violet-900/50 backdrop-blur-md text-violet-100 font-mono text-xs font-bold flex items-center gap-1 animate-pulse"
+              title={overrideRequest.reason}
+            >
+              <UserCheck className="w-4 h-4" />{" "}
+              {t("header.override", { time: new Date(overrideRequest.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) })}
+            </div>
+          )}
+          {thread.turns.length > 0 && (
+            <button
+              onClick={() => setShowThread((open) => !open)}
+              className={`px-3 py-2 rounded-sm border backdrop-blur-md font-mono text-xs font-bold flex items-center gap-1 ${
+                promptQuestion && !showThread
+                  ? "border-cyan-500 bg-cyan-900/60 text-cyan-100 animate-pulse"
+                  : showThread
+                  ? "border-cyan-700 bg-cyan-950/60 text-cyan-300"
+                  : "border-slate-700 bg-slate-900/50 text-slate-400 hover:text-cyan-300"
+              }`}
+            >
+              <MessagesSquare className="w-4 h-4" /> {t("header.thread", { count: threadExchanges })}
+            </button>
+          )}
+          {db && supervisor && (
+            <button
+              onClick={() => setShowDashboard(true)}
+              className={`px-3 py-2 rounded-sm border backdrop-blur-md font-mono text-xs font-bold flex items-center gap-1 ${
+                rosterAlerts
+                  ? "border-red-600 bg-red-900/60 text-red-100 animate-pulse"
+                  : "border-slate-700 bg-slate-900/50 text-slate-400 hover:text-cyan-300"
+              }`}
+            >
+              <Users className="w-4 h-4" /> {t("header.team", { count: roster.length })}
+            </button>
+          )}
+          {db && (supervisor || incidents.length > 0) && (
+            <button
+              onClick={() => setShowIncidents(true)}
+              className={`px-3 py-2 rounded-sm border backdrop-blur-md font-mono text-xs font-bold flex items-center gap-1 ${
+                openIncidents
+                  ? "border-red-600 bg-red-900/60 text-red-100 animate-pulse"
+                  : incidents.length
+                  ? "border-amber-600 bg-amber-900/50 text-amber-100"
+                  : "border-slate-700 bg-slate-900/50 text-slate-400 hover:text-cyan-300"
+              }`}
+            >
+              <Siren className="w-4 h-4" /> {t("header.incidents", { count: incidents.length })}
+            </button>
+          )}
+          {approvals.length > 0 && (
+            <button
+              onClick={() => setShowOverrides(true)}
+              className="px-3 py-2 rounded-sm border border-violet-600 bg-violet-900/50 backdrop-blur-md text-violet-200 hover:text-white font-mono text-xs font-bold flex items-center gap-1"
+            >
+              <UserCheck className="w-4 h-4" /> {t("header.approvals", { count: approvals.length })}
+            </button>
+          )}
+          {asset && (
+            <div className="px-2 py-2 rounded-sm border border-cyan-700 bg-cyan-900/40 backdrop-blur-md text-cyan-200 font-mono text-xs font-bold flex items-center gap-1">
+              <button
+                onClick={openAssetHistory}
+                className="flex items-center gap-1 hover:text-white"
+                title={t("header.assetHistory")}
+              >
+                <QrCode className="w-4 h-4" /> {asset.assetId}
+              </button>
+              <button onClick={() => attachAsset(null)} className="text-cyan-400 hover:text-white" aria-label={t("header.assetClear")}>
+                <X className="w-3 h-3" />
               </button>
             </div>
-            <p className="mt-4 text-slate-500 font-mono text-sm">Waiting for visual input...</p>
+          )}
+          {eventQueue && (
+            <button
+              onClick={() => {
+                setHistoryAssetId("");
+                setShowHistory(true);
+              }}
+              className="px-3 py-2 rounded-sm border border-slate-700 bg-slate-900/50 backdrop-blur-md text-slate-400 hover:text-cyan-300 font-mono text-xs font-bold flex items-center gap-1"
+              aria-label={t("history.title")}
+            >
+              <History className="w-4 h-4" /> {t("header.history")}
+            </button>
+          )}
+          <div
+            className={`px-4 py-2 rounded-sm border backdrop-blur-md font-mono font-bold tracking-widest shadow-lg ${
+              systemState === "DANGER"
+                ? "bg-red-900/50 border-red-500 text-red-100 animate-pulse shadow-red-500/20"
+                : systemState === "SAFE"
+                ? "bg-emerald-900/50 border-emerald-500 text-emerald-100 shadow-emerald-500/20"
+                : systemState === "UNCERTAIN"
+                ? "bg-amber-900/50 border-amber-500 text-amber-100 shadow-amber-500/20"
+                : "bg-slate-900/50 border-slate-700 text-slate-400"
+            }`}
+          >
+            {getStatusText()}
           </div>
-        )}
+        </div>
+      </div>
 
-        <video
-          ref={videoRef}
-          autoPlay
-          playsInline
-          muted
-          className={`w-full h-full object-cover transition-opacity duration-700 ${isStreamActive ? "opacity-100" : "opacity-20"}`}
-        />
-        <canvas ref={canvasRef} className="hidden" />
-
-        {analyzing && (
-          <div className="absolute inset-0 z-20 flex items-center justify-center bg-cyan-900/10 backdrop-blur-[2px]">
-            <div className="relative">
-              <div className="w-24 h-24 border-4 border-cyan-400 border-t-transparent rounded-full animate-spin" />
-              <div className="absolute inset-0 flex items-center justify-center font-mono text-xs text-cyan-300 animate-pulse">
-                ANALYZING
+      {/* Main Viewport + Diagnostic Thread */}
+      <div className="flex-1 flex relative overflow-hidden z-10">
+        <div className="flex-1 relative bg-black flex items-center justify-center overflow-hidden z-10" onClick={handleTapToFocus}>
+          {!isStreamActive && (
+            <div className="absolute inset-0 flex flex-col items-center justify-center z-10 bg-slate-900/80 backdrop-blur-sm">
+              <div className="relative">
+                <button onClick={startCamera} className={btnPrimary + " " + sheen}>
+                  <Camera className="w-6 h-6" /> {t("camera.start")}
+                </button>
               </div>
+              <p className="mt-4 text-slate-500 font-mono text-sm">{t("camera.waiting")}</p>
             </div>
-          </div>
-        )}
-
-        {currentAnalysis && !analyzing && (
-          <div className="absolute top-1/4 left-4 right-4 md:left-auto md:right-10 md:w-80 bg-black/80 border border-slate-600 backdrop-blur-md p-4 z-30 shadow-2xl animate-in fade-in slide-in-from-bottom-4">
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-xs font-mono text-slate-400">ANALYSIS_RESULT</span>
-              {currentAnalysis.status === "DANGER" && <ShieldAlert className="w-5 h-5 text-red-500" />}
-              {currentAnalysis.status === "SAFE" && <ShieldCheck className="w-5 h-5 text-emerald-500" />}
-              {currentAnalysis.status === "UNCERTAIN" && <ScanEye className="w-5 h-5 text-amber-500" />}
+          )}
+
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            className={`w-full h-full object-cover transition-opacity duration-700 ${isStreamActive ? "opacity-100" : "opacity-20"}`}
+          />
+          <canvas ref={canvasRef} className="hidden" />
+
+          {isStreamActive && (
+            <HazardOverlay
+              findings={findingOverlays}
+              lockIndex={lockIndex}
+            />
+          )}
+
+          {roi?.style && !drawingRoi && (
+            <div
+              className="absolute z-10 pointer-events-none border-2 border-dashed border-cyan-400/80 shadow-[0_0_0_9999px_rgba(0,0,0,0.35)]"
+              style={roi.style}
+            >
+              <span className="absolute -top-5 left-0 text-[10px] font-mono text-cyan-300">ROI</span>
             </div>
+          )}
 
-            <h3 className="text-lg font-bold text-white mb-1 leading-tight">{currentAnalysis.headline}</h3>
-            <p className="text-sm text-slate-300 mb-3">{currentAnalysis.reasoning}</p>
-
+          {drawingRoi && (
             <div
-              className={`p-3 rounded border-l-4 mb-3 ${
-                currentAnalysis.status === "DANGER"
-                  ? "bg-red-900/30 border-red-500"
-                  : currentAnalysis.status === "UNCERTAIN"
-                  ? "bg-amber-900/30 border-amber-500"
-                  : "bg-cyan-900/30 border-cyan-500"
-              }`}
+              className="absolute inset-0 z-20 cursor-crosshair bg-black/20 touch-none"
+              onClick={(e) => e.stopPropagation()}
+              onPointerDown={handleRoiPointerDown}
+              onPointerMove={handleRoiPointerMove}
+              onPointerUp={handleRoiPointerUp}
             >
-              <span className="block text-xs font-bold uppercase opacity-70 mb-1">Recommended Action</span>
-              <p className="text-sm font-medium text-white">{currentAnalysis.action_required}</p>
+              <p className="absolute top-24 left-0 right-0 text-center text-xs font-mono text-cyan-300">
+                {t("roi.drag")}
+              </p>
+              {roiDraft && (
+                <div className="absolute border-2 border-cyan-400 bg-cyan-400/10" style={roiDraft} />
+              )}
             </div>
+          )}
 
-            {currentAnalysis.status === "SAFE" && (
+          {isStreamActive && (
+            <div className="absolute bottom-4 left-4 z-30 flex gap-2">
               <button
                 onClick={(e) => {
                   e.stopPropagation();
-                  callOmniTech("repair_guide");
+                  setDrawingRoi((d) => !d);
                 }}
-                className="w-full py-2 bg-emerald-900/40 hover:bg-emerald-900/60 border border-emerald-700 rounded text-emerald-100 text-sm font-bold flex items-center justify-center gap-2 transition-colors"
+                className={`px-3 py-1.5 rounded-full border text-xs font-mono font-bold flex items-center gap-1 backdrop-blur-md transition-colors ${
+                  drawingRoi
+                    ? "bg-cyan-900/60 border-cyan-500 text-cyan-100"
+                    : "bg-black/60 border-slate-600 text-slate-300 hover:text-white"
+                }`}
               >
-                <ListChecks className="w-4 h-4" /> ✨ View Repair Steps
+                <Crop className="w-3 h-3" /> {drawingRoi ? t("roi.cancel") : t("roi.region")}
               </button>
-            )}
-          </div>
+              {roi && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    clearRoi();
+                  }}
+                  className="px-3 py-1.5 rounded-full border bg-black/60 border-slate-600 text-slate-300 hover:text-white text-xs font-mono font-bold flex items-center gap-1 backdrop-blur-md"
+                >
+                  <X className="w-3 h-3" /> {t("roi.fullFrame")}
+                </button>
+              )}
+            </div>
+          )}
+
+          {analyzing && !liveVerdict && (
+            <div className="absolute inset-0 z-20 flex items-center justify-center bg-cyan-900/10 backdrop-blur-[2px]">
+              <div className="relative">
+                <div className="w-24 h-24 border-4 border-cyan-400 border-t-transparent rounded-full animate-spin" />
+                <div className="absolute inset-0 flex items-center justify-center font-mono text-xs text-cyan-300 animate-pulse">
+                  {t("camera.analyzing")}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Verdict as it streams in: provisional until the full payload is validated */}
+          {analyzing && liveVerdict && (
+            <div
+              className={`absolute top-1/4 left-4 right-4 md:left-auto md:right-10 md:w-80 bg-black/80 border backdrop-blur-md p-4 z-30 shadow-2xl ${
+                liveVerdict.status === "DANGER"
+                  ? "border-red-500"
+                  : liveVerdict.status === "UNCERTAIN"
+                  ? "border-amber-500"
+                  : "border-slate-600"
+              }`}
+            >
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-xs font-mono text-slate-400 flex items-center gap-2">
+                  {t("result.title")}
+                  <span className="px-1.5 py-0.5 rounded-sm bg-cyan-900/60 border border-cyan-700 text-[10px] text-cyan-300 animate-pulse">
+                    {t("result.streaming")}
+                  </span>
+                </span>
+                {liveVerdict.status === "DANGER" ? (
+                  <ShieldAlert className="w-5 h-5 text-red-500 animate-pulse" />
+                ) : (
+                  <Loader2 className="w-5 h-5 text-cyan-400 animate-spin" />
+                )}
+              </div>
+
+              {/* A streamed SAFE can still turn stricter once validated: pending, never green */}
+              {liveVerdict.status && (
+                <p
+                  className={`text-xs font-mono font-bold mb-1 ${
+                    liveVerdict.status === "DANGER"
+                      ? "text-red-400"
+                      : liveVerdict.status === "UNCERTAIN"
+                      ? "text-amber-400"
+                      : "text-slate-400"
+                  }`}
+                >
+                  {liveVerdict.status === "SAFE" ? t("result.safePending") : t(`status.${liveVerdict.status}`)}
+                </p>
+              )}
+              <h3 className="text-lg font-bold text-white mb-1 leading-tight">{liveVerdict.headline || "…"}</h3>
+              {liveVerdict.reasoning && (
+                <p className="text-sm text-slate-300 mb-3">
+                  {liveVerdict.reasoning}
+                  {!liveVerdict.action_required && <span className="animate-pulse">▍</span>}
+                </p>
+              )}
+              {liveVerdict.action_required && (
+                <div className="p-3 rounded border-l-4 bg-slate-900/60 border-slate-500">
+                  <span className="block text-xs font-bold uppercase opacity-70 mb-1">{t("result.action")}</span>
+                  <p className="text-sm font-medium text-white">{liveVerdict.action_required}</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {analyzing && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                cancelAnalysis();
+              }}
+              className="absolute bottom-16 left-1/2 -translate-x-1/2 z-30 px-4 py-2 rounded-full border border-slate-500 bg-black/70 text-slate-200 hover:text-white text-xs font-mono font-bold flex items-center gap-2 backdrop-blur-md"
+            >
+              <XCircle className="w-4 h-4" /> {t("camera.cancel")}
+            </button>
+          )}
+
+          {promptQuestion && isStreamActive && !analyzing && (
+            <div
+              className="absolute bottom-16 left-4 right-4 md:right-auto md:w-96 z-30 bg-cyan-950/90 border border-cyan-600 rounded p-3 backdrop-blur-md shadow-2xl animate-in fade-in slide-in-from-bottom-4"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <div className="flex items-start justify-between gap-2 mb-2">
+                <p className="text-sm font-bold text-white flex items-start gap-2">
+                  <MessageCircleQuestionMark className="w-5 h-5 text-cyan-300 flex-shrink-0" />
+                  <span>
+                    <span className="block text-[10px] font-mono text-cyan-400">{t("thread.asks")}</span>
+                    {promptQuestion.question}
+                  </span>
+                </p>
+                <button
+                  onClick={() => setDismissedQuestionId(promptQuestion.id)}
+                  className="text-cyan-400 hover:text-white"
+                  aria-label={t("thread.dismiss")}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="grid grid-cols-2 gap-2 text-xs font-bold">
+                <button
+                  onClick={showForQuestion}
+                  className="py-2 rounded bg-cyan-700 hover:bg-cyan-600 text-white flex items-center justify-center gap-1"
+                >
+                  <ScanLine className="w-4 h-4" /> {t("thread.showNow")}
+                </button>
+                <button
+                  onClick={answerQuestion}
+                  className="py-2 rounded border border-cyan-700 text-cyan-100 hover:bg-cyan-900/50 flex items-center justify-center gap-1"
+                >
+                  <MessagesSquare className="w-4 h-4" /> {t("thread.answer")}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {currentAnalysis && !analyzing && (
+            <div className="absolute top-1/4 left-4 right-4 md:left-auto md:right-10 md:w-80 bg-black/80 border border-slate-600 backdrop-blur-md p-4 z-30 shadow-2xl animate-in fade-in slide-in-from-bottom-4">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-xs font-mono text-slate-400 flex items-center gap-2">
+                  {t("result.title")}
+                  {currentAnalysis.cachedAt && (
+                    <span
+                      className="px-1.5 py-0.5 rounded-sm bg-slate-800 border border-slate-600 text-[10px] text-slate-300"
+                      title={t("result.cachedSince", { time: new Date(currentAnalysis.cachedAt).toLocaleTimeString() })}
+                    >
+                      {t("result.cached")}
+                    </span>
+                  )}
+                </span>
+                {currentAnalysis.status === "DANGER" && <ShieldAlert className="w-5 h-5 text-red-500" />}
+                {currentAnalysis.status === "SAFE" && <ShieldCheck className="w-5 h-5 text-emerald-500" />}
+                {currentAnalysis.status === "UNCERTAIN" && <ScanEye className="w-5 h-5 text-amber-500" />}
+              </div>
+
+              <h3 className="text-lg font-bold text-white mb-1 leading-tight">{currentAnalysis.headline}</h3>
+              <p className="text-sm text-slate-300 mb-3">{currentAnalysis.reasoning}</p>
+
+              {currentAnalysis.findings?.length > 0 && (
+                <ul className="mb-3 space-y-1 max-h-32 overflow-y-auto">
+                  {currentAnalysis.findings.map((f, idx) => (
+                    <li key={`${f.label}-${idx}`} className="flex items-start gap-2 text-xs">
+                      <span
+                        className={`flex-shrink-0 px-1.5 py-0.5 rounded-sm font-mono font-bold uppercase ${
+                          f.severity === "critical"
+                            ? "bg-red-600 text-white"
+                            : f.severity === "caution"
+                            ? "bg-amber-500 text-black"
+                            : "bg-cyan-700 text-white"
+                        }`}
+                      >
+                        #{idx + 1} {t(`category.${f.category}`)}
+                      </span>
+                      <span className="text-slate-300">
+                        <span className="font-bold text-white">{f.label}</span>
+                        {f.evidence && <span className="block text-slate-400">{f.evidence}</span>}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div
+                className={`p-3 rounded border-l-4 mb-3 ${
+                  currentAnalysis.status === "DANGER"
+                    ? "bg-red-900/30 border-red-500"
+                    : currentAnalysis.status === "UNCERTAIN"
+                    ? "bg-amber-900/30 border-amber-500"
+                    : "bg-cyan-900/30 border-cyan-500"
+                }`}
+              >
+                <span className="block text-xs font-bold uppercase opacity-70 mb-1">{t("result.action")}</span>
+                <p className="text-sm font-medium text-white">{currentAnalysis.action_required}</p>
+              </div>
+
+              {currentAnalysis.status !== "SAFE" && db && user && (
+                <div className="flex flex-col gap-1">
+                  {!overrideRequest ? (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        requestSupervisorOverride();
+                      }}
+                      className="w-full py-2 bg-violet-900/40 hover:bg-violet-900/60 border border-violet-700 rounded text-violet-100 text-sm font-bold flex items-center justify-center gap-2 transition-colors"
+                    >
+                      <UserCheck className="w-4 h-4" /> {t("override.request")}
+                    </button>
+                  ) : overrideRequest.status === "pending" ? (
+                    <div className="w-full py-2 px-3 bg-violet-900/30 border border-violet-800 rounded text-violet-200 text-xs font-mono flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-2">
+                        <Loader2 className="w-3 h-3 animate-spin" /> {t("override.waiting")}
+                      </span>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          cancelOverrideRequest();
+                        }}
+                        className="text-violet-300 hover:text-white"
+                      >
+                        {t("override.cancel")}
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="w-full py-2 px-3 bg-violet-900/30 border border-violet-600 rounded text-violet-100 text-xs flex items-center justify-between gap-2">
+                      <span>
+                        {t("override.active", {
+                          name: overrideRequest.deciderName || overrideRequest.decidedBy.slice(0, 8),
+                          time: new Date(overrideRequest.expiresAt).toLocaleTimeString(),
+                        })}{" "}
+                        <span className="text-violet-300">— {overrideRequest.reason}</span>
+                      </span>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          endOverride("ended by technician");
+                        }}
+                        className="text-violet-300 hover:text-white font-mono whitespace-nowrap"
+                      >
+                        {t("override.end")}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {currentAnalysis.status === "SAFE" && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (runningProtocol) setShowRepairModal(true);
+                    else if (lotoComplete(loto)) callOmniTech("repair_guide");
+                    else openLoto();
+                  }}
+                  className="w-full py-2 bg-emerald-900/40 hover:bg-emerald-900/60 border border-emerald-700 rounded text-emerald-100 text-sm font-bold flex items-center justify-center gap-2 transition-colors"
+                >
+                  {runningProtocol ? (
+                    <>
+                      <ListChecks className="w-4 h-4" /> {t("result.resumeRepair")}
+                    </>
+                  ) : lotoComplete(loto) ? (
+                    <>
+                      <ListChecks className="w-4 h-4" /> {t("result.viewRepair")}
+                    </>
+                  ) : (
+                    <>
+                      <Lock className="w-4 h-4" /> {t("result.completeLoto")}
+                    </>
+                  )}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {showThread && thread.turns.length > 0 && (
+          <ThreadPanel
+            thread={thread}
+            question={threadQuestion}
+            busy={analyzing}
+            canSend={isStreamActive}
+            inputRef={threadInputRef}
+            t={t}
+            onSend={replyInThread}
+            onRescan={showForQuestion}
+            onNewThread={startNewThread}
+            onEvidence={(turn) =>
+              setEvidencePreview({
+                src: turn.frameSrc,
+                caption: `[${new Date(turn.at).toLocaleTimeString()}] ${turn.text || t("thread.frameOnly")}`,
+              })
+            }
+            onClose={() => setShowThread(false)}
+          />
         )}
       </div>
 
@@ -905,28 +2879,50 @@ OUTPUT FORMAT (JSON ONLY):
           {/* Logs (mobile visible) */}
           <div className="flex flex-col h-32 md:h-40 bg-slate-900/50 p-2 rounded border border-slate-800 backdrop-blur-md order-3 md:order-1">
             <div className="flex justify-between items-center mb-2 pb-2 border-b border-slate-800">
-              <span className="text-xs font-mono text-slate-500">SESSION LOGS</span>
+              <span className="text-xs font-mono text-slate-500">{t("logs.title")}</span>
               <button
                 onClick={(e) => {
                   e.stopPropagation();
-                  generateFieldReport();
+                  openLiveReport();
                 }}
-                disabled={logs.length < 2 || generatingReport}
+                disabled={logs.length < 2}
                 className="text-xs bg-slate-800 hover:bg-slate-700 text-cyan-400 px-2 py-1 rounded flex items-center gap-1 transition-colors disabled:opacity-50"
               >
-                {generatingReport ? <Activity className="w-3 h-3 animate-spin" /> : <FileText className="w-3 h-3" />}{" "}
-                Report
+                <FileText className="w-3 h-3" /> {t("logs.report")}
               </button>
             </div>
 
             <div className="flex-1 overflow-y-auto font-mono text-xs text-slate-400 space-y-1">
               {logs.map((log, i) => (
-                <div key={i}>
-                  <span className="text-slate-600">[{log.time}]</span>{" "}
-                  <span className={log.source === "OMNITECH" ? "text-cyan-400" : "text-slate-300"}>
-                    {log.source}:
-                  </span>{" "}
-                  {log.message}
+                <div key={i} className="flex items-start gap-2">
+                  {log.evidence && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEvidencePreview({ src: log.evidence.dataUrl, caption: `[${log.time}] ${log.message}` });
+                      }}
+                      className="flex-shrink-0"
+                      aria-label={t("logs.viewEvidence")}
+                    >
+                      <img
+                        src={log.evidence.dataUrl}
+                        alt={t("evidence.alt")}
+                        className="w-10 h-7 object-cover rounded-sm border border-slate-700 hover:border-cyan-500"
+                      />
+                    </button>
+                  )}
+                  <div>
+                    <span className="text-slate-600">[{log.time}]</span>{" "}
+                    <span className={log.source === "OMNITECH" ? "text-cyan-400" : "text-slate-300"}>
+                      {log.source}:
+                    </span>{" "}
+                    {log.category && (
+                      <span className="px-1 mr-1 rounded bg-slate-800 text-amber-400 text-[10px] uppercase">
+                        {log.category.replace("_", " ")}
+                      </span>
+                    )}
+                    {log.message}
+                  </div>
                 </div>
               ))}
             </div>
@@ -952,7 +2948,7 @@ OUTPUT FORMAT (JSON ONLY):
                   activeTab === "safety" ? "text-white" : "text-slate-400 hover:text-slate-200"
                 }`}
               >
-                <ShieldCheck className="w-5 h-5" /> SAFETY
+                <ShieldCheck className="w-5 h-5" /> {t("controls.safety")}
               </button>
 
               <button
@@ -961,26 +2957,64 @@ OUTPUT FORMAT (JSON ONLY):
                   setActiveTab("diagnose");
                   callOmniTech("diagnosis");
                 }}
-                disabled={!isStreamActive || analyzing || systemState === "DANGER" || systemState === "UNCERTAIN"}
+                disabled={!isStreamActive || analyzing || locked}
                 className={`flex-1 relative z-10 flex items-center justify-center gap-2 font-bold tracking-wide transition-colors duration-200 ${
-                  systemState === "DANGER" || systemState === "UNCERTAIN"
+                  locked
                     ? "opacity-30 cursor-not-allowed"
                     : activeTab === "diagnose"
                     ? "text-white"
                     : "text-slate-400 hover:text-slate-200"
                 }`}
               >
-                {systemState === "DANGER" ? <ShieldAlert className="w-5 h-5 text-red-400" /> : <Zap className="w-5 h-5" />}
-                DIAGNOSE
+                {locked && systemState === "DANGER" ? (
+                  <ShieldAlert className="w-5 h-5 text-red-400" />
+                ) : overridden && (systemState === "DANGER" || systemState === "UNCERTAIN") ? (
+                  <UserCheck className="w-5 h-5 text-violet-300" />
+                ) : (
+                  <Zap className="w-5 h-5" />
+                )}
+                {t("controls.diagnose")}
               </button>
             </div>
 
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                toggleWatch();
+              }}
+              disabled={!isStreamActive}
+              className={`w-full py-2 rounded-full border text-xs font-mono font-bold tracking-widest flex items-center justify-center gap-2 transition-colors disabled:opacity-40 ${
+                watchActive
+                  ? "bg-cyan-900/40 border-cyan-500 text-cyan-200 animate-pulse"
+                  : "bg-slate-900/80 border-slate-700 text-slate-400 hover:text-slate-200"
+              }`}
+            >
+              {watchActive ? <Eye className="w-4 h-4" /> : <EyeOff className="w-4 h-4" />}
+              {watchActive ? t("controls.watchOn") : t("controls.watchOff")}
+            </button>
+
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                toggleHandsFree();
+              }}
+              className={`w-full py-2 rounded-full border text-xs font-mono font-bold tracking-widest flex items-center justify-center gap-2 transition-colors ${
+                handsFree
+                  ? "bg-emerald-900/40 border-emerald-500 text-emerald-200 animate-pulse"
+                  : "bg-slate-900/80 border-slate-700 text-slate-400 hover:text-slate-200"
+              }`}
+              title={t("controls.handsFreeHint", { wake: WAKE_PHRASES[0] })}
+            >
+              {handsFree ? <Mic className="w-4 h-4" /> : <MicOff className="w-4 h-4" />}
+              {handsFree ? t("controls.handsFreeOn", { wake: WAKE_PHRASES[0].toUpperCase() }) : t("controls.handsFreeOff")}
+            </button>
+
             <div className="relative" onClick={(e) => e.stopPropagation()}>
               <input
                 type="text"
                 value={userContext}
                 onChange={(e) => setUserContext(e.target.value)}
-                placeholder={isListening ? "Listening..." : "Describe issue (or use voice)..." }
+                placeholder={isListening ? t("controls.listening") : t("controls.placeholder")}
                 className={`w-full bg-slate-900 border ${
                   isListening ? "border-emerald-500 animate-pulse" : "border-slate-700"
                 } rounded px-4 py-3 text-sm focus:outline-none focus:border-cyan-500 transition-colors shadow-inner`}
@@ -997,7 +3031,7 @@ OUTPUT FORMAT (JSON ONLY):
                 className={`absolute right-2 top-2 p-1 rounded-full hover:bg-slate-800 transition-colors ${
                   isListening ? "text-emerald-500" : "text-slate-500 hover:text-cyan-400"
                 }`}
-                aria-label="Voice input"
+                aria-label={t("controls.voiceInput")}
               >
                 {isListening ? <Loader2 className="w-5 h-5 animate-spin" /> : <Mic className="w-5 h-5" />}
               </button>
@@ -1007,95 +3041,361 @@ OUTPUT FORMAT (JSON ONLY):
           {/* Metrics */}
           <div className="hidden md:flex flex-col gap-2 justify-center pl-4 border-l border-slate-800 order-2 md:order-3">
             <div className="flex items-center justify-between text-xs font-mono text-slate-500">
-              <span>INFERENCE</span>
-              <span className="text-cyan-400 animate-pulse">LIVE REAL-TIME</span>
+              <span>{t("metrics.inference")}</span>
+              <span className="text-cyan-400 animate-pulse">{t("metrics.live")}</span>
             </div>
             <div className="flex items-center justify-between text-xs font-mono text-slate-500">
-              <span>PROTECTION</span>
-              <span className="text-emerald-500">ACTIVE GUARD</span>
+              <span>{t("metrics.protection")}</span>
+              <span className={watchActive ? "text-cyan-400 animate-pulse" : "text-emerald-500"}>
+                {watchActive ? t("metrics.watching") : t("metrics.guard")}
+              </span>
             </div>
             <div className="flex items-center justify-between text-xs font-mono text-slate-500">
-              <span>VOICE</span>
-              <span className="text-slate-400">{isListening ? "LISTENING" : "READY"}</span>
+              <span>{t("metrics.voice")}</span>
+              <span className={handsFree ? "text-emerald-400" : "text-slate-400"}>
+                {handsFree ? t("metrics.handsFree") : isListening ? t("metrics.listening") : t("metrics.ready")}
+              </span>
             </div>
           </div>
         </div>
       </div>
 
       {/* Alert Banner */}
-      {systemState === "DANGER" && (
+      {systemState === "DANGER" && overridden && (
+        <div className="absolute bottom-32 left-0 right-0 flex justify-center pointer-events-none z-50">
+          <div className="bg-violet-700/90 text-white px-6 py-3 rounded-md font-bold text-sm shadow-[0_0_30px_rgba(139,92,246,0.5)] flex items-center gap-3 max-w-md text-center">
+            <UserCheck className="w-6 h-6 flex-shrink-0" />
+            <span>
+              {t("banner.overridden", {
+                name: overrideRequest.deciderName || overrideRequest.decidedBy.slice(0, 8),
+                time: new Date(overrideRequest.expiresAt).toLocaleTimeString(),
+              })}
+              <span className="block text-xs font-mono mt-1 opacity-90">{overrideRequest.reason}</span>
+            </span>
+          </div>
+        </div>
+      )}
+      {systemState === "DANGER" && !overridden && (
         <div className="absolute bottom-32 left-0 right-0 flex justify-center pointer-events-none z-50">
           <div className="bg-red-600/90 text-white px-6 py-3 rounded-md font-bold text-sm shadow-[0_0_30px_rgba(220,38,38,0.5)] flex items-center gap-3 max-w-md text-center animate-bounce">
             <ShieldAlert className="w-6 h-6 flex-shrink-0" />
-            <span>PROTOCOL LOCKED: {currentAnalysis?.action_required || "Resolve hazard before proceeding."}</span>
+            <span>
+              {t("banner.locked", { action: currentAnalysis?.action_required || t("banner.resolve") })}
+              {lockIndex !== -1 && (
+                <span className="block text-xs font-mono mt-1 opacity-90">
+                  ▲ {findingOverlays[lockIndex].style ? t("banner.seeBox") : t("banner.finding")} #{lockIndex + 1}:{" "}
+                  {findingOverlays[lockIndex].label}
+                </span>
+              )}
+            </span>
           </div>
         </div>
       )}
 
       {/* Repair Modal */}
-      {showRepairModal && (
+      {showRepairModal && latestProtocol && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
           <div className="bg-slate-900 border border-slate-700 w-full max-w-lg rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[80vh]">
             <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center">
               <h3 className="text-lg font-bold text-white flex items-center gap-2">
-                <ListChecks className="w-5 h-5 text-emerald-400" /> Repair Protocol
+                <ListChecks className="w-5 h-5 text-emerald-400" /> {t("protocol.title")}
               </h3>
               <button onClick={() => setShowRepairModal(false)} className="text-slate-400 hover:text-white">
                 <X className="w-5 h-5" />
               </button>
             </div>
+
+            {latestProtocol.status !== "active" && (
+              <div
+                className={`px-4 py-2 text-xs font-mono font-bold ${
+                  latestProtocol.status === "aborted" ? "bg-red-900/60 text-red-200" : "bg-emerald-900/60 text-emerald-200"
+                }`}
+              >
+                {latestProtocol.status === "aborted"
+                  ? t("protocol.aborted", { reason: latestProtocol.abortReason })
+                  : t("protocol.complete")}
+              </div>
+            )}
+
             <div className="p-6 overflow-y-auto space-y-4">
-              {repairSteps?.map((step, idx) => (
-                <div key={idx} className="flex gap-3">
-                  <div className="flex-shrink-0 w-6 h-6 rounded-full bg-cyan-900 text-cyan-300 flex items-center justify-center font-mono text-xs border border-cyan-700">
-                    {idx + 1}
+              {latestProtocol.steps.map((step, idx) => {
+                const isCurrent = runningProtocol && idx === runningProtocol.current;
+                return (
+                  <div key={idx} className={`flex gap-3 ${step.outcome || isCurrent ? "" : "opacity-50"}`}>
+                    <div
+                      className={`flex-shrink-0 w-6 h-6 rounded-full flex items-center justify-center font-mono text-xs border ${
+                        step.outcome === "done"
+                          ? "bg-emerald-900 text-emerald-300 border-emerald-700"
+                          : step.outcome === "failed"
+                          ? "bg-red-900 text-red-300 border-red-700"
+                          : step.outcome === "skipped"
+                          ? "bg-slate-800 text-slate-400 border-slate-600"
+                          : isCurrent
+                          ? "bg-cyan-600 text-white border-cyan-400"
+                          : "bg-cyan-900 text-cyan-300 border-cyan-700"
+                      }`}
+                    >
+                      {idx + 1}
+                    </div>
+                    <div className="flex-1">
+                      <p className={`text-sm ${isCurrent ? "text-white font-medium" : "text-slate-300"}`}>{step.text}</p>
+                      <div className="flex flex-wrap gap-2 mt-1 text-[10px] font-mono">
+                        {step.flag && (
+                          <span className="px-1.5 py-0.5 rounded bg-amber-900/60 text-amber-300 uppercase">
+                            {t(`protocol.flag.${step.flag}`)}
+                          </span>
+                        )}
+                        {step.outcome && <span className="text-slate-500 uppercase">{t(`protocol.outcome.${step.outcome}`)}</span>}
+                        {isCurrent && step.flag && (
+                          <span className={runningProtocol.verifiedAt ? "text-emerald-400" : "text-amber-400"}>
+                            {runningProtocol.verifiedAt ? t("protocol.verified") : t("protocol.verifyRequired")}
+                          </span>
+                        )}
+                      </div>
+                    </div>
                   </div>
-                  <p className="text-slate-300 text-sm">{step}</p>
-                </div>
-              ))}
+                );
+              })}
             </div>
+
+            {runningProtocol && (
+              <div className="p-4 bg-slate-950 border-t border-slate-800 grid grid-cols-2 md:grid-cols-5 gap-2 text-xs font-bold">
+                <button
+                  onClick={() => announceStep(runningProtocol)}
+                  className="py-2 rounded bg-slate-800 hover:bg-slate-700 text-slate-200 flex items-center justify-center gap-1"
+                >
+                  <Volume2 className="w-4 h-4" /> {t("protocol.read")}
+                </button>
+                <button
+                  onClick={verifyProtocolStep}
+                  disabled={analyzing}
+                  className="py-2 rounded bg-slate-800 hover:bg-slate-700 text-cyan-300 flex items-center justify-center gap-1 disabled:opacity-50"
+                >
+                  {analyzing ? <Loader2 className="w-4 h-4 animate-spin" /> : <ScanEye className="w-4 h-4" />} {t("protocol.verify")}
+                </button>
+                <button
+                  onClick={() => recordProtocolStep("done")}
+                  disabled={needsVerification(runningProtocol)}
+                  className="py-2 rounded bg-emerald-700 hover:bg-emerald-600 text-white flex items-center justify-center gap-1 disabled:opacity-40"
+                >
+                  <CheckCircle2 className="w-4 h-4" /> {t("protocol.done")}
+                </button>
+                <button
+                  onClick={() => recordProtocolStep("skipped")}
+                  className="py-2 rounded bg-slate-800 hover:bg-slate-700 text-slate-300 flex items-center justify-center gap-1"
+                >
+                  <SkipForward className="w-4 h-4" /> {t("protocol.skip")}
+                </button>
+                <button
+                  onClick={() => recordProtocolStep("failed")}
+                  className="py-2 rounded bg-red-900/70 hover:bg-red-800 text-red-100 flex items-center justify-center gap-1"
+                >
+                  <XCircle className="w-4 h-4" /> {t("protocol.failed")}
+                </button>
+              </div>
+            )}
+
             <div className="p-4 bg-slate-950 border-t border-slate-800 text-xs text-center text-slate-500 font-mono">
-              GENERATED BY OMNITECH CORE // VERIFY BEFORE ACTING
+              {t("protocol.footer")}
             </div>
           </div>
         </div>
       )}
 
       {/* Report Modal */}
-      {showReportModal && (
+      {showReportModal && reportModel && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
-          <div className="bg-slate-900 border border-slate-700 w-full max-w-2xl rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[80vh]">
+          <div className="bg-slate-900 border border-slate-700 w-full max-w-3xl rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[90vh]">
             <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center">
               <h3 className="text-lg font-bold text-white flex items-center gap-2">
-                <FileText className="w-5 h-5 text-cyan-400" /> Incident Report Preview
+                <FileText className="w-5 h-5 text-cyan-400" /> {t("report.title")}
               </h3>
               <button onClick={() => setShowReportModal(false)} className="text-slate-400 hover:text-white">
                 <X className="w-5 h-5" />
               </button>
             </div>
 
-            <div className="p-6 overflow-y-auto bg-white text-slate-900 font-mono text-sm leading-relaxed whitespace-pre-wrap">
-              {generatedReport}
+            <div className="p-4 grid grid-cols-1 md:grid-cols-3 gap-2 bg-slate-900 border-b border-slate-800">
+              {["site", "location", "technician"].map((key) => (
+                <label key={key} className="text-[10px] font-mono text-slate-500 flex flex-col gap-1 uppercase">
+                  {t(`report.${key}`)}
+                  {/* A named account always signs as itself */}
+                  <input
+                    value={key === "technician" ? (account?.email ? account.name : reportHeader.technician) : reportHeader[key]}
+                    onChange={(e) => updateReportHeader({ [key]: e.target.value })}
+                    disabled={Boolean(reportDraft.signOff) || (key === "technician" && Boolean(account?.email))}
+                    className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sm text-white font-sans disabled:opacity-60"
+                  />
+                </label>
+              ))}
+              <div className="md:col-span-3 flex items-center gap-3 text-xs font-mono">
+                <button
+                  onClick={addReportSummary}
+                  disabled={generatingReport || Boolean(reportDraft.signOff)}
+                  className="px-2 py-1 bg-slate-800 hover:bg-slate-700 text-cyan-400 rounded flex items-center gap-1 disabled:opacity-50"
+                >
+                  {generatingReport ? <Loader2 className="w-3 h-3 animate-spin" /> : <Zap className="w-3 h-3" />}
+                  {reportDraft.summary ? t("report.refreshSummary") : t("report.addSummary")}
+                </button>
+                {reportDraft.summaryNote && <span className="text-amber-400">{t(reportDraft.summaryNote)}</span>}
+              </div>
             </div>
 
-            <div className="p-4 bg-slate-950 border-t border-slate-800 flex justify-end gap-2">
+            <iframe
+              title={t("report.previewTitle")}
+              srcDoc={renderReportHtml(reportModel)}
+              sandbox=""
+              className="flex-1 min-h-[40vh] w-full bg-white"
+            />
+
+            <div className="p-4 bg-slate-950 border-t border-slate-800 flex flex-wrap justify-end gap-2">
               <button onClick={() => setShowReportModal(false)} className="px-4 py-2 text-slate-400 hover:text-white text-sm">
-                Close
+                {t("report.close")}
               </button>
+              {!exportFormats.includes("pdf") && (
+                <span className="self-center text-xs text-slate-500">{t("report.pdfUnavailable")}</span>
+              )}
+              {exportFormats.map((format) => (
+                <button
+                  key={format}
+                  onClick={() => exportReport(format)}
+                  className="px-3 py-2 bg-slate-800 hover:bg-slate-700 text-slate-200 text-sm font-bold rounded"
+                >
+                  {format === "print" ? t("report.print") : format.toUpperCase()}
+                </button>
+              ))}
               <button
-                onClick={() => {
-                  navigator.clipboard.writeText(generatedReport || "");
-                  alert("Report copied to clipboard");
-                }}
-                className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 text-white text-sm font-bold rounded"
+                onClick={signOffReport}
+                disabled={Boolean(reportDraft.signOff) || !authorName}
+                title={authorName ? "" : t("report.signOffHint")}
+                className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 text-white text-sm font-bold rounded disabled:opacity-50"
               >
-                Copy to Clipboard
+                {reportDraft.signOff ? t("report.signedOff") : t("report.signOff")}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* Evidence Preview */}
+      {evidencePreview && (
+        <div
+          className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/90 backdrop-blur-sm"
+          onClick={() => setEvidencePreview(null)}
+        >
+          <figure className="max-w-3xl w-full">
+            <img src={evidencePreview.src} alt={t("evidence.alt")} className="w-full rounded border border-slate-700" />
+            <figcaption className="mt-2 text-xs font-mono text-slate-300">{evidencePreview.caption}</figcaption>
+          </figure>
+        </div>
+      )}
+
+      {/* History Panel */}
+      {showHistory && (
+        <HistoryPanel
+          db={db}
+          appId={appId}
+          uid={user?.uid}
+          teamId={teamId}
+          t={t}
+          initialAssetId={historyAssetId}
+          onClose={() => setShowHistory(false)}
+          onRegenerateReport={regenerateSessionReport}
+          regenerating={generatingReport}
+        />
+      )}
+
+      {/* Override Approvals */}
+      {showOverrides && (
+        <OverridePanel
+          requests={approvals}
+          t={t}
+          onDecide={decideOverrideRequest}
+          onClose={() => setShowOverrides(false)}
+        />
+      )}
+
+      {/* Incidents */}
+      {showIncidents && (
+        <IncidentPanel
+          db={db}
+          appId={appId}
+          teamId={teamId}
+          incidents={incidents}
+          rules={escalationRules}
+          canManage={Boolean(db) && supervisor}
+          author={account ? incidentAuthor() : null}
+          vapidKey={VAPID_PUBLIC_KEY}
+          t={t}
+          onAcknowledge={acknowledgeTeamIncident}
+          onResolve={resolveTeamIncident}
+          onSaveRules={updateEscalationRules}
+          onClose={() => setShowIncidents(false)}
+        />
+      )}
+
+      {/* Team Dashboard */}
+      {showDashboard && (
+        <DashboardPanel
+          units={roster}
+          now={rosterNow}
+          selfUid={user?.uid}
+          teamId={teamId}
+          t={t}
+          onClose={() => setShowDashboard(false)}
+        />
+      )}
+
+      {/* LOTO Checklist */}
+      {showLoto && (
+        <LotoPanel
+          loto={loto}
+          teamSteps={lotoSteps}
+          t={t}
+          canEdit={Boolean(db) && supervisor}
+          cameraReady={isStreamActive}
+          onConfirm={confirmLoto}
+          onRestart={restartLoto}
+          onSaveSteps={updateLotoSteps}
+          onRequestRepair={() => {
+            setShowLoto(false);
+            callOmniTech("repair_guide");
+          }}
+          onClose={() => setShowLoto(false)}
+        />
+      )}
+
+      {/* Equipment Profiles */}
+      {showEquipment && (
+        <EquipmentPanel
+          db={db}
+          appId={appId}
+          teamId={teamId}
+          uid={account?.uid}
+          canEdit={supervisor}
+          t={t}
+          selectedId={equipment?.id}
+          onSelect={selectEquipment}
+          onClose={() => setShowEquipment(false)}
+        />
+      )}
+
+      {/* Account */}
+      {showAccount && (
+        <AccountPanel
+          auth={auth}
+          db={db}
+          appId={appId}
+          account={account}
+          sso={SSO}
+          t={t}
+          onBeforeSwitch={beforeAccountSwitch}
+          onSignOut={signOut}
+          onRefresh={recheckAccount}
+          onClose={() => setShowAccount(false)}
+        />
+      )}
+
       {/* Global Animation Styles */}
       <style>{`
         @keyframes scan {
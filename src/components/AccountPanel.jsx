@@ -0,0 +1,393 @@
+/* =========================
+  ACCOUNT & TEAM PANEL
+========================= */
+import { useEffect, useState } from "react";
+import { CircleUser, X, Loader2, LogIn, LogOut, Mail, KeyRound, UserPlus, Users, Trash2 } from "lucide-react";
+import {
+  ROLES,
+  hasRole,
+  isEmail,
+  authErrorKey,
+  signInWithEmail,
+  createAccount,
+  resetPassword,
+  resendVerification,
+  signInWithSso,
+  fetchTeamMembers,
+  fetchInvites,
+  inviteMember,
+  cancelInvite,
+  setMemberRole,
+  removeMember,
+} from "../lib/account.js";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded px-2 py-1 text-sm text-slate-200 focus:outline-none focus:border-cyan-500";
+const labelClass = "flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase";
+
+// mode: "signIn" | "create" | "reset"
+function SignInForm({ auth, sso, t, onBeforeSwitch }) {
+  const [mode, setMode] = useState("signIn");
+  const [form, setForm] = useState({ name: "", email: "", password: "" });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(""); // locale key
+  const [notice, setNotice] = useState("");
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value })),
+  });
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await action();
+    } catch (e) {
+      console.warn("Sign-in failed:", e);
+      setError(authErrorKey(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!isEmail(form.email)) {
+      setError("account.error.email");
+      return;
+    }
+    if (mode === "reset") {
+      run(async () => {
+        await resetPassword(auth, form.email);
+        setNotice(t("account.resetSent", { email: form.email.trim() }));
+      });
+      return;
+    }
+    run(async () => {
+      await onBeforeSwitch();
+      if (mode === "create") await createAccount(auth, form);
+      else await signInWithEmail(auth, form.email, form.password);
+    });
+  };
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError("");
+    setNotice("");
+  };
+
+  return (
+    <form onSubmit={submit} className="flex flex-col gap-3">
+      <p className="text-xs text-slate-400">{t("account.demoIntro")}</p>
+
+      {sso && mode !== "reset" && (
+        <>
+          <button
+            type="button"
+            onClick={() =>
+              run(async () => {
+                await onBeforeSwitch();
+                await signInWithSso(auth, sso.providerId);
+              })
+            }
+            disabled={busy}
+            className="py-2 rounded bg-slate-800 hover:bg-slate-700 text-white text-sm font-bold flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            <KeyRound className="w-4 h-4" /> {t("account.ssoButton", { provider: sso.label || t("account.sso") })}
+          </button>
+          <p className="text-center text-[10px] font-mono text-slate-600 uppercase">{t("account.or")}</p>
+        </>
+      )}
+
+      {mode === "create" && (
+        <label className={labelClass}>
+          {t("account.name")}
+          <input {...field("name")} autoComplete="name" className={inputClass} />
+        </label>
+      )}
+      <label className={labelClass}>
+        {t("account.email")}
+        <input {...field("email")} type="email" autoComplete="email" className={inputClass} />
+      </label>
+      {mode !== "reset" && (
+        <label className={labelClass}>
+          {t("account.password")}
+          <input
+            {...field("password")}
+            type="password"
+            autoComplete={mode === "create" ? "new-password" : "current-password"}
+            className={inputClass}
+          />
+        </label>
+      )}
+
+      {error && <p className="text-sm text-red-400">{t(error)}</p>}
+      {notice && <p className="text-sm text-emerald-400">{notice}</p>}
+
+      <button
+        type="submit"
+        disabled={busy}
+        className="py-2 rounded bg-cyan-600 hover:bg-cyan-500 text-white text-sm font-bold flex items-center justify-center gap-2 disabled:opacity-50"
+      >
+        {busy ? (
+          <Loader2 className="w-4 h-4 animate-spin" />
+        ) : mode === "create" ? (
+          <UserPlus className="w-4 h-4" />
+        ) : mode === "reset" ? (
+          <Mail className="w-4 h-4" />
+        ) : (
+          <LogIn className="w-4 h-4" />
+        )}
+        {mode === "create" ? t("account.create") : mode === "reset" ? t("account.sendReset") : t("account.signIn")}
+      </button>
+
+      <div className="flex justify-between text-xs">
+        {mode === "signIn" ? (
+          <>
+            <button type="button" onClick={() => switchMode("create")} className="text-cyan-400 hover:text-cyan-300">
+              {t("account.toCreate")}
+            </button>
+            <button type="button" onClick={() => switchMode("reset")} className="text-slate-400 hover:text-white">
+              {t("account.forgot")}
+            </button>
+          </>
+        ) : (
+          <button type="button" onClick={() => switchMode("signIn")} className="text-cyan-400 hover:text-cyan-300">
+            {t("account.toSignIn")}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+function TeamAdmin({ db, appId, account, t }) {
+  const [members, setMembers] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [invite, setInvite] = useState({ email: "", role: "technician" });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(""); // locale key
+
+  const { teamId, uid } = account;
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([fetchTeamMembers(db, appId, teamId), fetchInvites(db, appId, teamId)])
+      .then(([list, pending]) => {
+        if (cancelled) return;
+        setMembers(list);
+        setInvites(pending);
+      })
+      .catch((e) => {
+        console.error("Team query failed:", e);
+        if (!cancelled) setError("team.loadFailed");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [db, appId, teamId]);
+
+  const change = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (e) {
+      console.error("Team update failed:", e);
+      setError(e.name === "AccountError" ? "account.error.email" : "team.saveFailed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const sendInvite = (e) => {
+    e.preventDefault();
+    change(async () => {
+      const saved = await inviteMember(db, appId, teamId, invite, uid);
+      setInvites((prev) => [...prev.filter((i) => i.email !== saved.email), saved]);
+      setInvite((prev) => ({ ...prev, email: "" }));
+    });
+  };
+
+  const updateRole = (member, role) =>
+    change(async () => {
+      await setMemberRole(db, appId, member.uid, role, uid);
+      setMembers((prev) => prev.map((m) => (m.uid === member.uid ? { ...m, role } : m)));
+    });
+
+  const remove = (member) => {
+    if (!window.confirm(t("team.confirmRemove", { name: member.name || member.email }))) return;
+    change(async () => {
+      await removeMember(db, appId, member.uid);
+      setMembers((prev) => prev.filter((m) => m.uid !== member.uid));
+    });
+  };
+
+  const withdraw = (pending) =>
+    change(async () => {
+      await cancelInvite(db, appId, pending.email);
+      setInvites((prev) => prev.filter((i) => i.email !== pending.email));
+    });
+
+  const roleSelect = (value, onChange, disabled = false) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled || busy} className={inputClass}>
+      {ROLES.map((role) => (
+        <option key={role} value={role}>
+          {t(`role.${role}`)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="border-t border-slate-800 pt-4 flex flex-col gap-3">
+      <h4 className="text-sm font-bold text-white flex items-center gap-2">
+        <Users className="w-4 h-4 text-cyan-400" /> {t("team.title", { team: teamId })}
+      </h4>
+      {error && <p className="text-sm text-red-400">{t(error)}</p>}
+      {!members && !error && <Loader2 className="w-5 h-5 animate-spin text-cyan-400" />}
+
+      {members?.map((member) => (
+        <div key={member.uid} className="flex items-center gap-2">
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-white truncate">
+              {member.name || member.email} {member.uid === uid && <span className="text-slate-500">{t("team.you")}</span>}
+            </p>
+            <p className="text-[10px] font-mono text-slate-500 truncate">{member.email}</p>
+          </div>
+          {roleSelect(member.role, (role) => updateRole(member, role), member.uid === uid)}
+          {member.uid !== uid && (
+            <button onClick={() => remove(member)} disabled={busy} className="text-slate-500 hover:text-red-400" aria-label={t("team.remove")}>
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {invites.map((pending) => (
+        <div key={pending.email} className="flex items-center gap-2 text-slate-400">
+          <p className="flex-1 min-w-0 text-sm truncate">
+            {pending.email} <span className="text-[10px] font-mono text-amber-400">{t("team.invited", { role: t(`role.${pending.role}`) })}</span>
+          </p>
+          <button onClick={() => withdraw(pending)} disabled={busy} className="text-slate-500 hover:text-red-400" aria-label={t("team.cancelInvite")}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      <form onSubmit={sendInvite} className="flex flex-wrap items-end gap-2">
+        <label className={`${labelClass} flex-1 min-w-[12rem]`}>
+          {t("team.inviteEmail")}
+          <input
+            value={invite.email}
+            onChange={(e) => setInvite((prev) => ({ ...prev, email: e.target.value }))}
+            type="email"
+            className={inputClass}
+          />
+        </label>
+        {roleSelect(invite.role, (role) => setInvite((prev) => ({ ...prev, role })))}
+        <button
+          type="submit"
+          disabled={busy || !invite.email.trim()}
+          className="px-3 py-1.5 bg-cyan-600 hover:bg-cyan-500 text-white text-xs font-bold rounded flex items-center gap-1 disabled:opacity-50"
+        >
+          <UserPlus className="w-3 h-3" /> {t("team.invite")}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// account: see loadAccount in src/lib/account.js; sso: { providerId, label } | null
+export default function AccountPanel({ auth, db, appId, account, sso, t, onBeforeSwitch, onSignOut, onRefresh, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState("");
+
+  const named = Boolean(account?.email);
+
+  const refresh = async () => {
+    setBusy(true);
+    try {
+      await onRefresh();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const resend = async () => {
+    try {
+      await resendVerification(auth);
+      setNotice(t("account.verificationSent"));
+    } catch (e) {
+      console.warn("Verification email failed:", e);
+      setNotice(t(authErrorKey(e)));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+      <div className="bg-slate-900 border border-slate-700 w-full max-w-lg rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center">
+          <h3 className="text-lg font-bold text-white flex items-center gap-2">
+            <CircleUser className="w-5 h-5 text-cyan-400" /> {t("account.title")}
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 flex flex-col gap-4">
+          {!auth || !account ? (
+            <p className="text-sm text-slate-400 font-mono">{t("account.unavailable")}</p>
+          ) : !named ? (
+            <SignInForm auth={auth} sso={sso} t={t} onBeforeSwitch={onBeforeSwitch} />
+          ) : (
+            <>
+              <div className="flex flex-col gap-1">
+                <p className="text-sm text-white font-bold">{account.name}</p>
+                <p className="text-xs font-mono text-slate-400">{account.email}</p>
+                <p className="text-xs font-mono text-cyan-300">
+                  {account.demo
+                    ? t("account.demoTeam")
+                    : t("account.membership", { role: t(`role.${account.role}`), team: account.teamId })}
+                </p>
+              </div>
+
+              {account.pending && (
+                <div className="px-3 py-2 rounded bg-amber-900/40 border border-amber-800 text-amber-100 text-xs flex flex-col gap-2">
+                  <p>
+                    {account.verified
+                      ? t("account.notInvited", { email: account.email })
+                      : t("account.verifyEmail", { email: account.email })}
+                  </p>
+                  <div className="flex gap-3 font-bold">
+                    {!account.verified && (
+                      <button onClick={resend} className="text-amber-300 hover:text-white">
+                        {t("account.resendVerification")}
+                      </button>
+                    )}
+                    <button onClick={refresh} disabled={busy} className="text-amber-300 hover:text-white flex items-center gap-1">
+                      {busy && <Loader2 className="w-3 h-3 animate-spin" />} {t("account.checkAgain")}
+                    </button>
+                  </div>
+                  {notice && <p className="text-emerald-300">{notice}</p>}
+                </div>
+              )}
+
+              <button
+                onClick={onSignOut}
+                className="self-start px-3 py-2 rounded bg-slate-800 hover:bg-slate-700 text-slate-300 text-xs font-bold flex items-center gap-2"
+              >
+                <LogOut className="w-4 h-4" /> {t("account.signOut")}
+              </button>
+
+              {hasRole(account, "admin") && db && <TeamAdmin db={db} appId={appId} account={account} t={t} />}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+/* =========================
+  TEAM DASHBOARD PANEL
+========================= */
+import { Users, X, ShieldAlert, ShieldCheck, ScanEye, Activity, WifiOff, Camera, QrCode, UserCheck } from "lucide-react";
+import { sortUnits, unitSilent, unitName } from "../lib/units.js";
+
+const STATE_STYLE = {
+  DANGER: { icon: ShieldAlert, className: "text-red-400 border-red-700 bg-red-950/40" },
+  UNCERTAIN: { icon: ScanEye, className: "text-amber-400 border-amber-700 bg-amber-950/30" },
+  SAFE: { icon: ShieldCheck, className: "text-emerald-400 border-emerald-800 bg-emerald-950/30" },
+};
+const IDLE_STYLE = { icon: Activity, className: "text-slate-400 border-slate-800 bg-slate-950/40" };
+
+const ago = (ms, t) =>
+  ms < 60_000
+    ? t("dashboard.secondsAgo", { count: Math.max(0, Math.round(ms / 1000)) })
+    : t("dashboard.minutesAgo", { count: Math.round(ms / 60_000) });
+
+function UnitRow({ unit, now, self, t }) {
+  const silent = unitSilent(unit, now);
+  const { icon: StateIcon, className } = STATE_STYLE[unit.systemState] || IDLE_STYLE;
+  const stateKey = STATE_STYLE[unit.systemState] ? unit.systemState : "IDLE";
+
+  return (
+    <div className={`border rounded p-3 flex gap-3 ${silent ? "border-orange-600 bg-orange-950/30" : className}`}>
+      <StateIcon className="w-6 h-6 flex-shrink-0 mt-0.5" />
+      <div className="flex-1 min-w-0">
+        <p className="text-sm font-bold text-white flex flex-wrap items-center gap-2">
+          {unitName(unit)}
+          {unit.author?.role && <span className="text-[10px] font-mono text-slate-400">{t(`role.${unit.author.role}`)}</span>}
+          <span className="text-[10px] font-mono text-slate-500">
+            {t("header.unit")}: {unit.uid.slice(0, 6)}
+            {self && ` ${t("dashboard.you")}`}
+          </span>
+        </p>
+        <p className="text-xs font-mono font-bold">
+          {t(`status.${stateKey}`)}
+          {unit.headline && <span className="font-normal text-slate-300"> — {unit.headline}</span>}
+        </p>
+        <p className="text-[10px] font-mono text-slate-500 flex flex-wrap gap-x-3 mt-1">
+          <span>
+            {unit.lastScanAt
+              ? t("dashboard.lastScan", { time: new Date(unit.lastScanAt).toLocaleTimeString() })
+              : t("dashboard.noScan")}
+          </span>
+          {unit.assetId && (
+            <span className="flex items-center gap-1">
+              <QrCode className="w-3 h-3" /> {unit.assetId}
+            </span>
+          )}
+          {unit.equipment && <span>{unit.equipment}</span>}
+          {unit.camera && (
+            <span className="flex items-center gap-1">
+              <Camera className="w-3 h-3" /> {t("dashboard.camera")}
+            </span>
+          )}
+          {unit.overridden && (
+            <span className="flex items-center gap-1 text-violet-400">
+              <UserCheck className="w-3 h-3" /> {t("dashboard.overridden")}
+            </span>
+          )}
+        </p>
+      </div>
+      <div className="text-right flex-shrink-0">
+        {silent ? (
+          <p className="text-xs font-mono font-bold text-orange-400 flex items-center gap-1 animate-pulse">
+            <WifiOff className="w-3 h-3" /> {t("dashboard.silent")}
+          </p>
+        ) : (
+          !unit.foreground && <p className="text-[10px] font-mono text-slate-500">{t("dashboard.background")}</p>
+        )}
+        <p className="text-[10px] font-mono text-slate-500">{t("dashboard.seen", { ago: ago(now - unit.heartbeatAt, t) })}</p>
+      </div>
+    </div>
+  );
+}
+
+// units: live roster from watchUnits; now: the roster clock, so silence shows up without a new snapshot
+export default function DashboardPanel({ units, now, selfUid, teamId, t, onClose }) {
+  const sorted = sortUnits(units, now);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+      <div className="bg-slate-900 border border-slate-700 w-full max-w-3xl rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center">
+          <h3 className="text-lg font-bold text-white flex items-center gap-2">
+            <Users className="w-5 h-5 text-cyan-400" /> {t("dashboard.title")}
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-2">
+          <p className="text-xs text-slate-400">{t("dashboard.intro", { team: teamId })}</p>
+          {!sorted.length && <p className="text-sm text-slate-500 font-mono">{t("dashboard.empty")}</p>}
+          {sorted.map((unit) => (
+            <UnitRow key={unit.uid} unit={unit} now={now} self={unit.uid === selfUid} t={t} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
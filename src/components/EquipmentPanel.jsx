@@ -0,0 +1,226 @@
+/* =========================
+  EQUIPMENT PANEL
+========================= */
+import { useState, useEffect } from "react";
+import { Cpu, X, Loader2, Plus, Pencil, Trash2, Check } from "lucide-react";
+import {
+  VOLTAGE_CLASSES,
+  normaliseProfile,
+  profileLabel,
+  fetchEquipmentProfiles,
+  saveEquipmentProfile,
+  deleteEquipmentProfile,
+} from "../lib/equipment.js";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded px-2 py-1 text-sm text-slate-200 focus:outline-none focus:border-cyan-500";
+
+const labelClass = "flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase";
+
+// Form state keeps list fields as one-per-line text
+const toForm = (profile) => ({
+  ...profile,
+  failureModes: profile.failureModes.join("\n"),
+  lockoutProcedure: profile.lockoutProcedure.join("\n"),
+});
+
+const EMPTY_FORM = { type: "", manufacturer: "", model: "", voltageClass: "lv", failureModes: "", lockoutProcedure: "" };
+
+// selectedId / onSelect(profile | null): the profile attached to analysis requests
+// canEdit: supervisors maintain the team's profiles, everyone can select one
+export default function EquipmentPanel({ db, appId, teamId, uid, canEdit, t, selectedId, onSelect, onClose }) {
+  const [profiles, setProfiles] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(""); // locale key
+  const [form, setForm] = useState(null); // null = list view
+
+  useEffect(() => {
+    if (!db || !uid) return;
+    let cancelled = false;
+    fetchEquipmentProfiles(db, appId, teamId)
+      .then((list) => !cancelled && setProfiles(list))
+      .catch((e) => {
+        console.error("Equipment profiles query failed:", e);
+        if (!cancelled) setError("equipment.loadFailed");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [db, appId, teamId, uid]);
+
+  const save = async () => {
+    const draft = normaliseProfile(form);
+    if (!draft.type && !draft.model) {
+      setError("equipment.nameRequired");
+      return;
+    }
+    setSaving(true);
+    setError("");
+    try {
+      const saved = await saveEquipmentProfile(db, appId, teamId, draft, uid);
+      setProfiles((prev) =>
+        [...(prev || []).filter((p) => p.id !== saved.id), saved].sort((a, b) =>
+          profileLabel(a).localeCompare(profileLabel(b))
+        )
+      );
+      if (saved.id === selectedId) onSelect(saved);
+      setForm(null);
+    } catch (e) {
+      console.error("Equipment profile save failed:", e);
+      setError("equipment.saveFailed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (profile) => {
+    if (!window.confirm(t("equipment.confirmDelete", { name: profileLabel(profile) }))) return;
+    try {
+      await deleteEquipmentProfile(db, appId, teamId, profile.id);
+      setProfiles((prev) => prev.filter((p) => p.id !== profile.id));
+      if (profile.id === selectedId) onSelect(null);
+    } catch (e) {
+      console.error("Equipment profile delete failed:", e);
+      setError("equipment.saveFailed");
+    }
+  };
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm((f) => ({ ...f, [key]: e.target.value })),
+  });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+      <div className="bg-slate-900 border border-slate-700 w-full max-w-2xl rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center">
+          <h3 className="text-lg font-bold text-white flex items-center gap-2">
+            <Cpu className="w-5 h-5 text-cyan-400" /> {t("equipment.title")}
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!db || !uid ? (
+          <p className="p-6 text-sm text-slate-400 font-mono">{t("equipment.needsSignIn")}</p>
+        ) : form ? (
+          <div className="flex-1 overflow-y-auto p-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className={labelClass}>
+              {t("equipment.type")}
+              <input {...field("type")} placeholder={t("equipment.typeHint")} className={inputClass} />
+            </label>
+            <label className={labelClass}>
+              {t("equipment.voltageClass")}
+              <select {...field("voltageClass")} className={inputClass}>
+                {VOLTAGE_CLASSES.map((code) => (
+                  <option key={code} value={code}>
+                    {t(`voltage.${code}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className={labelClass}>
+              {t("equipment.manufacturer")}
+              <input {...field("manufacturer")} className={inputClass} />
+            </label>
+            <label className={labelClass}>
+              {t("equipment.model")}
+              <input {...field("model")} className={inputClass} />
+            </label>
+            <label className={`${labelClass} md:col-span-2`}>
+              {t("equipment.failureModes")}
+              <textarea {...field("failureModes")} rows={4} className={inputClass} />
+            </label>
+            <label className={`${labelClass} md:col-span-2`}>
+              {t("equipment.lockoutProcedure")}
+              <textarea {...field("lockoutProcedure")} rows={5} className={inputClass} />
+            </label>
+            {error && <p className="md:col-span-2 text-sm text-red-400">{t(error)}</p>}
+            <div className="md:col-span-2 flex justify-end gap-2">
+              <button onClick={() => setForm(null)} className="px-4 py-2 text-slate-400 hover:text-white text-sm">
+                {t("equipment.cancel")}
+              </button>
+              <button
+                onClick={save}
+                disabled={saving}
+                className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 text-white text-sm font-bold rounded flex items-center gap-2 disabled:opacity-50"
+              >
+                {saving && <Loader2 className="w-4 h-4 animate-spin" />} {t("equipment.save")}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-4 space-y-3">
+            {error && <p className="text-sm text-red-400">{t(error)}</p>}
+            {!profiles && !error && <Loader2 className="w-5 h-5 animate-spin text-cyan-400" />}
+            {profiles && !profiles.length && (
+              <p className="text-sm text-slate-500 font-mono">{t("equipment.empty")}</p>
+            )}
+
+            {profiles?.map((profile) => {
+              const selected = profile.id === selectedId;
+              return (
+                <div
+                  key={profile.id}
+                  className={`border rounded p-3 flex gap-3 ${selected ? "border-cyan-500 bg-cyan-900/20" : "border-slate-800"}`}
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-bold text-white">{profileLabel(profile)}</p>
+                    <p className="text-xs font-mono text-amber-300">{t(`voltage.${profile.voltageClass}`)}</p>
+                    {profile.failureModes.length > 0 && (
+                      <p className="text-xs text-slate-400 mt-1">
+                        {t("equipment.failureModes")}: {profile.failureModes.join(" · ")}
+                      </p>
+                    )}
+                    <p className="text-xs text-slate-500 mt-1">
+                      {t("equipment.lockoutSteps", { count: profile.lockoutProcedure.length })}
+                    </p>
+                  </div>
+                  <div className="flex flex-col gap-1">
+                    <button
+                      onClick={() => onSelect(selected ? null : profile)}
+                      className={`px-2 py-1 rounded text-xs font-bold flex items-center gap-1 ${
+                        selected ? "bg-cyan-600 text-white" : "bg-slate-800 hover:bg-slate-700 text-cyan-400"
+                      }`}
+                    >
+                      <Check className="w-3 h-3" /> {selected ? t("equipment.selected") : t("equipment.select")}
+                    </button>
+                    {canEdit && (
+                      <>
+                        <button
+                          onClick={() => setForm(toForm(profile))}
+                          className="px-2 py-1 rounded text-xs bg-slate-800 hover:bg-slate-700 text-slate-300 flex items-center gap-1"
+                        >
+                          <Pencil className="w-3 h-3" /> {t("equipment.edit")}
+                        </button>
+                        <button
+                          onClick={() => remove(profile)}
+                          className="px-2 py-1 rounded text-xs bg-slate-800 hover:bg-red-900 text-slate-400 flex items-center gap-1"
+                          aria-label={t("equipment.delete")}
+                        >
+                          <Trash2 className="w-3 h-3" /> {t("equipment.delete")}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+
+            {canEdit ? (
+              <button
+                onClick={() => setForm({ ...EMPTY_FORM })}
+                className="w-full py-2 border border-dashed border-slate-700 rounded text-sm text-slate-400 hover:text-cyan-300 hover:border-cyan-600 flex items-center justify-center gap-2"
+              >
+                <Plus className="w-4 h-4" /> {t("equipment.new")}
+              </button>
+            ) : (
+              <p className="text-xs text-slate-500 font-mono">{t("equipment.readOnly")}</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
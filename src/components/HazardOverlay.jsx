@@ -0,0 +1,41 @@
+/* =========================
+  HAZARD OVERLAY
+========================= */
+// Bounding boxes from the last verdict's findings, laid over the live <video>.
+// Findings with a box carry a precomputed `style` (CSS % of the viewport);
+// numbering follows the full findings list so "#2" matches the result card.
+const SEVERITY_STYLES = {
+  critical: { box: "border-red-500 bg-red-500/10", tag: "bg-red-600 text-white" },
+  caution: { box: "border-amber-400 bg-amber-400/10", tag: "bg-amber-500 text-black" },
+  info: { box: "border-cyan-400 bg-cyan-400/5", tag: "bg-cyan-600 text-white" },
+};
+
+export default function HazardOverlay({ findings, lockIndex = -1 }) {
+  if (!findings?.some((f) => f.style)) return null;
+
+  return (
+    <div className="absolute inset-0 z-10 pointer-events-none">
+      {findings.map((finding, idx) => {
+        if (!finding.style) return null;
+        const look = SEVERITY_STYLES[finding.severity] || SEVERITY_STYLES.caution;
+        const isLock = idx === lockIndex;
+
+        return (
+          <div
+            key={`${finding.label}-${idx}`}
+            className={`absolute rounded-sm ${look.box} ${
+              isLock ? "border-4 animate-pulse shadow-[0_0_30px_rgba(239,68,68,0.7)]" : "border-2"
+            }`}
+            style={finding.style}
+          >
+            <span
+              className={`absolute -top-6 left-0 whitespace-nowrap px-1.5 py-0.5 rounded-sm text-[10px] font-mono font-bold uppercase ${look.tag}`}
+            >
+              #{idx + 1} {finding.label}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
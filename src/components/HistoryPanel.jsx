@@ -0,0 +1,216 @@
+/* =========================
+  HISTORY PANEL
+========================= */
+import { useState } from "react";
+import { History, X, Loader2, FileText, ShieldAlert, ShieldCheck, ScanEye, QrCode } from "lucide-react";
+import { fetchSafetyEvents, fetchAssetEvents, groupBySession } from "../lib/history.js";
+import { evidenceSrc } from "../lib/evidence.js";
+
+const STATUS_OPTIONS = ["ALL", "SAFE", "DANGER", "UNCERTAIN"];
+const MODE_OPTIONS = ["ALL", "safety_check", "diagnosis", "repair_guide"];
+
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60_000);
+  return local.toISOString().slice(0, 10);
+};
+
+const STATUS_LOOK = {
+  DANGER: { Icon: ShieldAlert, className: "text-red-400 border-red-700 bg-red-900/30" },
+  SAFE: { Icon: ShieldCheck, className: "text-emerald-400 border-emerald-700 bg-emerald-900/30" },
+  UNCERTAIN: { Icon: ScanEye, className: "text-amber-400 border-amber-700 bg-amber-900/30" },
+};
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded px-2 py-1 text-xs font-mono text-slate-200 focus:outline-none focus:border-cyan-500";
+
+// t: translator from src/lib/i18n.js
+// initialAssetId: open straight into one asset's maintenance history (all technicians)
+export default function HistoryPanel({
+  db,
+  appId,
+  uid,
+  teamId,
+  t,
+  initialAssetId = "",
+  onClose,
+  onRegenerateReport,
+  regenerating,
+}) {
+  const [from, setFrom] = useState(() => toDateInput(new Date(Date.now() - 7 * 24 * 60 * 60_000)));
+  const [to, setTo] = useState(() => toDateInput(new Date()));
+  const [status, setStatus] = useState("ALL");
+  const [mode, setMode] = useState("ALL");
+  const [assetId, setAssetId] = useState(initialAssetId);
+
+  const [sessions, setSessions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const search = async () => {
+    if (!db || !uid) return;
+    setLoading(true);
+    setError("");
+
+    try {
+      const range = { from: new Date(`${from}T00:00:00`), to: new Date(`${to}T23:59:59.999`), status, mode };
+      const asset = assetId.trim();
+      // Asset history spans the whole team; the other filters apply on the client
+      const events = asset
+        ? (await fetchAssetEvents(db, appId, teamId, asset)).filter(
+            (e) =>
+              e.clientTimestamp >= range.from.getTime() &&
+              e.clientTimestamp <= range.to.getTime() &&
+              (status === "ALL" || e.status === status) &&
+              (mode === "ALL" || e.mode === mode)
+          )
+        : await fetchSafetyEvents(db, appId, uid, range);
+      setSessions(groupBySession(events));
+    } catch (e) {
+      console.error("History query failed:", e);
+      setError(t("history.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+      <div className="bg-slate-900 border border-slate-700 w-full max-w-3xl rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center">
+          <h3 className="text-lg font-bold text-white flex items-center gap-2">
+            <History className="w-5 h-5 text-cyan-400" /> {t("history.title")}
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!db || !uid ? (
+          <p className="p-6 text-sm text-slate-400 font-mono">{t("history.needsSignIn")}</p>
+        ) : (
+          <>
+            <div className="p-4 border-b border-slate-800 flex flex-wrap items-end gap-3">
+              <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500">
+                {t("history.from")}
+                <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+              </label>
+              <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500">
+                {t("history.to")}
+                <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+              </label>
+              <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500">
+                {t("history.status")}
+                <select value={status} onChange={(e) => setStatus(e.target.value)} className={inputClass}>
+                  {STATUS_OPTIONS.map((o) => (
+                    <option key={o} value={o}>
+                      {o === "ALL" ? t("history.all") : o}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500">
+                {t("history.mode")}
+                <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClass}>
+                  {MODE_OPTIONS.map((o) => (
+                    <option key={o} value={o}>
+                      {o === "ALL" ? t("history.all") : t(`mode.${o}`)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500">
+                {t("history.asset")}
+                <input
+                  value={assetId}
+                  onChange={(e) => setAssetId(e.target.value)}
+                  placeholder={t("history.assetHint")}
+                  className={`${inputClass} w-32`}
+                />
+              </label>
+              <button
+                onClick={search}
+                disabled={loading}
+                className="px-4 py-1.5 bg-cyan-600 hover:bg-cyan-500 text-white text-xs font-bold rounded flex items-center gap-2 disabled:opacity-50"
+              >
+                {loading && <Loader2 className="w-3 h-3 animate-spin" />} {t("history.search")}
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-4">
+              {error && <p className="text-sm text-red-400">{error}</p>}
+              {sessions && !sessions.length && (
+                <p className="text-sm text-slate-500 font-mono">{t("history.empty")}</p>
+              )}
+
+              {sessions?.map((session) => (
+                <div key={session.sessionId} className="border border-slate-800 rounded">
+                  <div className="px-3 py-2 bg-slate-800/60 flex items-center justify-between gap-2">
+                    <span className="text-xs font-mono text-slate-400">
+                      {t("history.session", { id: session.sessionId.slice(0, 8) })} //{" "}
+                      {new Date(session.startedAt).toLocaleString()} // {t("history.events", { count: session.events.length })}
+                    </span>
+                    <button
+                      onClick={() => onRegenerateReport(session)}
+                      disabled={regenerating}
+                      className="text-xs bg-slate-800 hover:bg-slate-700 text-cyan-400 px-2 py-1 rounded flex items-center gap-1 transition-colors disabled:opacity-50"
+                    >
+                      <FileText className="w-3 h-3" /> {t("history.regenerate")}
+                    </button>
+                  </div>
+
+                  <ul className="divide-y divide-slate-800">
+                    {session.events.map((event) => {
+                      const look = STATUS_LOOK[event.status] || STATUS_LOOK.UNCERTAIN;
+                      const evidence = evidenceSrc(event.evidence);
+                      return (
+                        <li key={event.id} className="px-3 py-2 flex gap-3">
+                          {evidence &&
+                            (event.evidence.url ? (
+                              <a href={event.evidence.url} target="_blank" rel="noreferrer" className="flex-shrink-0">
+                                <img
+                                  src={evidence}
+                                  alt={t("evidence.alt")}
+                                  className="w-20 h-14 object-cover rounded-sm border border-slate-700 hover:border-cyan-500"
+                                />
+                              </a>
+                            ) : (
+                              // Inline data: URLs can't be opened in a new tab
+                              <img
+                                src={evidence}
+                                alt={t("evidence.alt")}
+                                className="flex-shrink-0 w-20 h-14 object-cover rounded-sm border border-slate-700"
+                              />
+                            ))}
+                          <span
+                            className={`h-fit flex items-center gap-1 px-1.5 py-0.5 rounded-sm border text-[10px] font-mono font-bold ${look.className}`}
+                          >
+                            <look.Icon className="w-3 h-3" /> {event.status}
+                          </span>
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-bold text-white">{event.headline}</p>
+                            {event.assetId && (
+                              <p className="text-[10px] font-mono text-cyan-500 flex items-center gap-1">
+                                <QrCode className="w-3 h-3" /> {event.assetId}
+                              </p>
+                            )}
+                            <p className="text-xs text-slate-400">{event.reasoning}</p>
+                            <p className="text-xs text-cyan-300 mt-1">→ {event.action_required}</p>
+                          </div>
+                          <span className="text-[10px] font-mono text-slate-500 whitespace-nowrap">
+                            {new Date(event.clientTimestamp).toLocaleTimeString()}
+                            <span className="block text-right">{t(`mode.${event.mode}`)}</span>
+                            {event.author?.name && <span className="block text-right text-slate-400">{event.author.name}</span>}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
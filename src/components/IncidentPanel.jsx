@@ -0,0 +1,388 @@
+/* =========================
+  INCIDENTS PANEL
+========================= */
+import { useState, useEffect } from "react";
+import { Siren, X, Loader2, Check, CheckCheck, Settings, Bell, BellOff, Plus, Trash2, Webhook } from "lucide-react";
+import { ESCALATION_STATUSES, ruleLabel } from "../lib/incidents.js";
+import { FINDING_CATEGORIES } from "../lib/verdict.js";
+import { pushSupported, currentPushSubscription, enablePush, disablePush } from "../lib/push.js";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded px-2 py-1 text-sm text-slate-200 focus:outline-none focus:border-cyan-500";
+
+const SEVERITY_CLASS = {
+  critical: "text-red-400",
+  caution: "text-amber-400",
+  info: "text-slate-400",
+};
+
+const who = (person) => person?.name || person?.uid?.slice(0, 8) || "?";
+
+// Delivery summary for the incident's "opened" event
+function Deliveries({ notifications, t }) {
+  const opened = notifications?.opened;
+  if (!opened) return <p className="text-[10px] font-mono text-slate-500">{t("incident.notifying")}</p>;
+  if (opened.error) return <p className="text-[10px] font-mono text-red-400">{t("incident.deliveryFailed")}</p>;
+  return (
+    <p className="text-[10px] font-mono text-slate-500 flex flex-wrap gap-x-3">
+      {opened.webhook && (
+        <span className={`flex items-center gap-1 ${opened.webhook.ok ? "text-emerald-500" : "text-red-400"}`}>
+          <Webhook className="w-3 h-3" />
+          {opened.webhook.ok ? t("incident.webhookOk") : t("incident.webhookFailed", { status: opened.webhook.status || opened.webhook.error })}
+        </span>
+      )}
+      {opened.push && (
+        <span className="flex items-center gap-1">
+          <Bell className="w-3 h-3" /> {t("incident.pushed", { count: opened.push.sent })}
+        </span>
+      )}
+      {!opened.webhook && !opened.push && <span>{t("incident.noChannels")}</span>}
+    </p>
+  );
+}
+
+function IncidentCard({ incident, rule, canManage, t, onAcknowledge, onResolve }) {
+  const [resolution, setResolution] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+      setBusy(false);
+    }
+  };
+
+  const resolve = () => {
+    if (!resolution.trim()) {
+      setError(t("incident.resolutionRequired"));
+      return;
+    }
+    run(() => onResolve(incident, resolution));
+  };
+
+  const { verdict } = incident;
+  const open = incident.status === "open";
+
+  return (
+    <div className={`border rounded p-3 flex flex-col gap-3 ${open ? "border-red-700 bg-red-950/30" : "border-amber-800 bg-amber-950/20"}`}>
+      <div className="flex gap-3">
+        {incident.frame?.dataUrl && (
+          <img
+            src={incident.frame.dataUrl}
+            alt={t("evidence.alt")}
+            className="w-40 h-28 object-cover rounded-sm border border-slate-700 flex-shrink-0"
+          />
+        )}
+        <div className="flex-1 min-w-0">
+          <p className="text-[10px] font-mono font-bold uppercase flex flex-wrap gap-2">
+            <span className={open ? "text-red-400 animate-pulse" : "text-amber-400"}>{t(`incident.status.${incident.status}`)}</span>
+            <span className="text-slate-400">{rule ? ruleLabel(rule, t) : incident.ruleName}</span>
+            {incident.occurrences > 1 && <span className="text-slate-500">×{incident.occurrences}</span>}
+          </p>
+          <p className={`text-sm font-bold ${verdict.status === "DANGER" ? "text-red-300" : "text-amber-300"}`}>
+            {verdict.status} — {verdict.headline}
+          </p>
+          <p className="text-xs text-slate-400">{verdict.action_required}</p>
+          <ul className="mt-1 space-y-0.5">
+            {verdict.findings.map((f, i) => (
+              <li key={i} className={`text-[11px] font-mono ${SEVERITY_CLASS[f.severity] || "text-slate-400"}`}>
+                [{f.severity.toUpperCase()}/{f.category}] {f.label}
+              </li>
+            ))}
+          </ul>
+          <p className="text-[10px] font-mono text-slate-500 mt-1">
+            {t("incident.openedBy", { name: who(incident.openedBy), time: new Date(incident.openedAt).toLocaleTimeString() })}
+            {incident.assetId && ` // ${incident.assetId}`}
+            {incident.equipment && ` // ${incident.equipment.label}`}
+          </p>
+          {incident.acknowledgedAt && (
+            <p className="text-[10px] font-mono text-amber-400">
+              {t("incident.acknowledgedBy", {
+                name: who(incident.acknowledgedBy),
+                time: new Date(incident.acknowledgedAt).toLocaleTimeString(),
+              })}
+            </p>
+          )}
+          <Deliveries notifications={incident.notifications} t={t} />
+        </div>
+      </div>
+
+      {canManage && (
+        <div className="flex flex-wrap items-end gap-2">
+          {open && (
+            <button
+              onClick={() => run(() => onAcknowledge(incident))}
+              disabled={busy}
+              className="px-3 py-1.5 bg-amber-700 hover:bg-amber-600 text-white text-xs font-bold rounded flex items-center gap-1 disabled:opacity-50"
+            >
+              {busy ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />} {t("incident.acknowledge")}
+            </button>
+          )}
+          <label className="flex-1 min-w-[12rem] flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase">
+            {t("incident.resolution")}
+            <input value={resolution} onChange={(e) => setResolution(e.target.value)} className={inputClass} />
+          </label>
+          <button
+            onClick={resolve}
+            disabled={busy}
+            className="px-3 py-1.5 bg-emerald-700 hover:bg-emerald-600 text-white text-xs font-bold rounded flex items-center gap-1 disabled:opacity-50"
+          >
+            <CheckCheck className="w-3 h-3" /> {t("incident.resolve")}
+          </button>
+        </div>
+      )}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+function RuleEditor({ rules, t, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => rules.map((rule) => ({ ...rule, label: ruleLabel(rule, t) })));
+  const [saving, setSaving] = useState(false);
+
+  const update = (i, patch) => setDraft((prev) => prev.map((rule, j) => (j === i ? { ...rule, ...patch } : rule)));
+  const toggleCategory = (i, category) =>
+    update(i, {
+      categories: draft[i].categories.includes(category)
+        ? draft[i].categories.filter((c) => c !== category)
+        : [...draft[i].categories, category],
+    });
+
+  const save = async (next) => {
+    setSaving(true);
+    try {
+      // A translated built-in name that was not edited keeps its English audit name
+      await onSave(next.map(({ label, ...rule }) => ({ ...rule, name: label === ruleLabel(rule, t) ? rule.name : label })));
+      onCancel();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4 flex flex-col gap-3">
+      <p className="text-xs text-slate-400">{t("escalation.hint")}</p>
+      {draft.map((rule, i) => (
+        <div key={i} className="border border-slate-800 rounded p-3 flex flex-col gap-2">
+          <div className="flex items-center gap-2">
+            <input type="checkbox" checked={rule.enabled} onChange={(e) => update(i, { enabled: e.target.checked })} />
+            <input
+              value={rule.label}
+              onChange={(e) => update(i, { label: e.target.value })}
+              className={`${inputClass} flex-1`}
+              aria-label={t("escalation.name")}
+            />
+            <button
+              onClick={() => setDraft((prev) => prev.filter((_, j) => j !== i))}
+              className="text-slate-500 hover:text-red-400"
+              aria-label={t("escalation.remove")}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex flex-wrap items-end gap-2">
+            <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase">
+              {t("escalation.status")}
+              <select value={rule.status} onChange={(e) => update(i, { status: e.target.value })} className={inputClass}>
+                {ESCALATION_STATUSES.map((status) => (
+                  <option key={status} value={status}>
+                    {status}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase">
+              {t("escalation.count")}
+              <input
+                type="number"
+                min={1}
+                value={rule.count}
+                onChange={(e) => update(i, { count: e.target.value })}
+                className={`${inputClass} w-20`}
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase">
+              {t("escalation.window")}
+              <input
+                type="number"
+                min={0}
+                value={rule.windowMin}
+                onChange={(e) => update(i, { windowMin: e.target.value })}
+                className={`${inputClass} w-20`}
+              />
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-1">
+            <span className="text-[10px] font-mono text-slate-500 uppercase mr-1">{t("escalation.categories")}</span>
+            {FINDING_CATEGORIES.map((category) => (
+              <button
+                key={category}
+                onClick={() => toggleCategory(i, category)}
+                className={`px-2 py-0.5 rounded-full text-[10px] font-mono border ${
+                  rule.categories.includes(category)
+                    ? "border-cyan-500 bg-cyan-900/50 text-cyan-200"
+                    : "border-slate-700 text-slate-500 hover:text-slate-300"
+                }`}
+              >
+                {t(`category.${category}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button
+        onClick={() =>
+          setDraft((prev) => [
+            ...prev,
+            { id: `rule-${Date.now()}`, name: "", label: "", enabled: true, status: "DANGER", categories: [], count: 1, windowMin: 0 },
+          ])
+        }
+        className="self-start px-3 py-1.5 text-xs font-bold text-cyan-300 hover:text-white flex items-center gap-1"
+      >
+        <Plus className="w-3 h-3" /> {t("escalation.add")}
+      </button>
+      <div className="flex justify-between gap-2">
+        <button onClick={() => save([])} disabled={saving} className="px-3 py-2 text-slate-400 hover:text-white text-sm">
+          {t("loto.resetDefaults")}
+        </button>
+        <div className="flex gap-2">
+          <button onClick={onCancel} className="px-4 py-2 text-slate-400 hover:text-white text-sm">
+            {t("loto.cancel")}
+          </button>
+          <button
+            onClick={() => save(draft)}
+            disabled={saving}
+            className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 text-white text-sm font-bold rounded flex items-center gap-2 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="w-4 h-4 animate-spin" />} {t("loto.save")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Push is per device: the toggle reflects this browser's subscription
+function PushToggle({ db, appId, teamId, author, vapidKey, t }) {
+  const [enabled, setEnabled] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    currentPushSubscription()
+      .then((subscription) => setEnabled(Boolean(subscription)))
+      .catch(() => setEnabled(false));
+  }, []);
+
+  const toggle = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      if (enabled) {
+        await disablePush(db, appId, teamId);
+        setEnabled(false);
+      } else {
+        const subscription = await enablePush(db, appId, teamId, author, vapidKey);
+        if (!subscription) setError(t("incident.pushDenied"));
+        setEnabled(Boolean(subscription));
+      }
+    } catch (e) {
+      console.error("Push subscription failed:", e);
+      setError(t("incident.pushFailed"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const Icon = enabled ? Bell : BellOff;
+  return (
+    <div className="flex items-center gap-2">
+      {error && <span className="text-[10px] font-mono text-red-400">{error}</span>}
+      <button
+        onClick={toggle}
+        disabled={busy || enabled === null}
+        className={`text-xs font-mono font-bold flex items-center gap-1 disabled:opacity-50 ${
+          enabled ? "text-cyan-300 hover:text-white" : "text-slate-400 hover:text-white"
+        }`}
+        title={t("incident.pushHint")}
+      >
+        {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Icon className="w-4 h-4" />}
+        {enabled ? t("incident.pushOn") : t("incident.pushOff")}
+      </button>
+    </div>
+  );
+}
+
+// incidents: open / acknowledged incidents of the team (see watchActiveIncidents)
+export default function IncidentPanel({
+  db,
+  appId,
+  teamId,
+  incidents,
+  rules,
+  canManage,
+  author,
+  vapidKey,
+  t,
+  onAcknowledge,
+  onResolve,
+  onSaveRules,
+  onClose,
+}) {
+  const [editingRules, setEditingRules] = useState(false);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+      <div className="bg-slate-900 border border-slate-700 w-full max-w-2xl rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center gap-3">
+          <h3 className="text-lg font-bold text-white flex items-center gap-2">
+            <Siren className="w-5 h-5 text-red-400" /> {editingRules ? t("escalation.title") : t("incident.title")}
+          </h3>
+          <div className="flex items-center gap-3">
+            {canManage && vapidKey && pushSupported() && (
+              <PushToggle db={db} appId={appId} teamId={teamId} author={author} vapidKey={vapidKey} t={t} />
+            )}
+            {canManage && !editingRules && (
+              <button
+                onClick={() => setEditingRules(true)}
+                className="text-slate-400 hover:text-white"
+                aria-label={t("escalation.title")}
+                title={t("escalation.title")}
+              >
+                <Settings className="w-5 h-5" />
+              </button>
+            )}
+            <button onClick={onClose} className="text-slate-400 hover:text-white">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {editingRules ? (
+          <RuleEditor rules={rules} t={t} onSave={onSaveRules} onCancel={() => setEditingRules(false)} />
+        ) : (
+          <div className="flex-1 overflow-y-auto p-4 space-y-3">
+            <p className="text-xs text-slate-400">{t("incident.intro")}</p>
+            {!incidents.length && <p className="text-sm text-slate-500 font-mono">{t("incident.empty")}</p>}
+            {incidents.map((incident) => (
+              <IncidentCard
+                key={incident.id}
+                incident={incident}
+                rule={rules.find((r) => r.id === incident.ruleId && r.name === incident.ruleName)}
+                canManage={canManage}
+                t={t}
+                onAcknowledge={onAcknowledge}
+                onResolve={onResolve}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+/* =========================
+  LOTO CHECKLIST PANEL
+========================= */
+import { useState } from "react";
+import { Lock, X, Camera, CheckCircle2, RotateCcw, Settings, ListChecks, Loader2 } from "lucide-react";
+import { currentLotoStep, lotoComplete, lotoStepLabel } from "../lib/loto.js";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded px-2 py-1 text-sm text-slate-200 focus:outline-none focus:border-cyan-500";
+
+// loto: run from src/lib/loto.js; teamSteps: the team's configured checklist
+export default function LotoPanel({
+  loto,
+  teamSteps,
+  t,
+  canEdit,
+  cameraReady,
+  onConfirm,
+  onRestart,
+  onSaveSteps,
+  onRequestRepair,
+  onClose,
+}) {
+  const [editing, setEditing] = useState(null); // textarea text while configuring
+  const [saving, setSaving] = useState(false);
+
+  const step = currentLotoStep(loto);
+  const complete = lotoComplete(loto);
+
+  const saveSteps = async () => {
+    setSaving(true);
+    try {
+      await onSaveSteps(editing.split("\n"));
+      setEditing(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+      <div className="bg-slate-900 border border-slate-700 w-full max-w-lg rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center">
+          <h3 className="text-lg font-bold text-white flex items-center gap-2">
+            <Lock className="w-5 h-5 text-amber-400" /> {t("loto.title")}
+          </h3>
+          <div className="flex items-center gap-3">
+            {canEdit && editing === null && (
+              <button
+                onClick={() => setEditing(teamSteps.map((s) => s.label).join("\n"))}
+                className="text-slate-400 hover:text-white"
+                aria-label={t("loto.configure")}
+                title={t("loto.configure")}
+              >
+                <Settings className="w-5 h-5" />
+              </button>
+            )}
+            <button onClick={onClose} className="text-slate-400 hover:text-white">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {editing !== null ? (
+          <div className="flex-1 overflow-y-auto p-4 flex flex-col gap-3">
+            <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase">
+              {t("loto.configureHint")}
+              <textarea value={editing} onChange={(e) => setEditing(e.target.value)} rows={8} className={inputClass} />
+            </label>
+            <div className="flex justify-between gap-2">
+              <button onClick={() => setEditing("")} className="px-3 py-2 text-slate-400 hover:text-white text-sm">
+                {t("loto.resetDefaults")}
+              </button>
+              <div className="flex gap-2">
+                <button onClick={() => setEditing(null)} className="px-4 py-2 text-slate-400 hover:text-white text-sm">
+                  {t("loto.cancel")}
+                </button>
+                <button
+                  onClick={saveSteps}
+                  disabled={saving}
+                  className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 text-white text-sm font-bold rounded flex items-center gap-2 disabled:opacity-50"
+                >
+                  {saving && <Loader2 className="w-4 h-4 animate-spin" />} {t("loto.save")}
+                </button>
+              </div>
+            </div>
+          </div>
+        ) : (
+          <>
+            <p className="px-4 pt-4 text-xs text-slate-400">{t("loto.intro")}</p>
+
+            {loto?.status === "void" && (
+              <div className="mx-4 mt-3 px-3 py-2 rounded text-xs font-mono bg-red-900/60 text-red-200">
+                {t("loto.voided", { reason: loto.voidReason })}
+              </div>
+            )}
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+              {loto?.steps.map((s, idx) => {
+                const isCurrent = step && idx === loto.current;
+                return (
+                  <div key={s.id} className={`flex gap-3 p-2 rounded ${isCurrent ? "bg-slate-800/80 ring-1 ring-amber-500/50" : ""}`}>
+                    <div
+                      className={`flex-shrink-0 w-6 h-6 rounded-full flex items-center justify-center font-mono text-xs border ${
+                        s.confirmedAt
+                          ? "bg-emerald-900 text-emerald-300 border-emerald-700"
+                          : isCurrent
+                          ? "bg-amber-600 text-white border-amber-400"
+                          : "bg-slate-800 text-slate-400 border-slate-600"
+                      }`}
+                    >
+                      {s.confirmedAt ? <CheckCircle2 className="w-4 h-4" /> : idx + 1}
+                    </div>
+                    <div className="flex-1">
+                      <p className={`text-sm ${isCurrent ? "text-white font-medium" : "text-slate-300"}`}>{lotoStepLabel(s, t)}</p>
+                      {s.confirmedAt && (
+                        <p className="text-[10px] font-mono text-emerald-400">
+                          {t("loto.confirmedAt", { time: new Date(s.confirmedAt).toLocaleTimeString() })}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="p-4 bg-slate-950 border-t border-slate-800 flex flex-col gap-2 text-xs font-bold">
+              {step && (
+                <button
+                  onClick={onConfirm}
+                  disabled={!cameraReady}
+                  className="py-3 rounded bg-amber-600 hover:bg-amber-500 text-white flex items-center justify-center gap-2 disabled:opacity-40"
+                >
+                  <Camera className="w-4 h-4" /> {t("loto.confirm")}
+                </button>
+              )}
+              {complete && (
+                <button
+                  onClick={onRequestRepair}
+                  className="py-3 rounded bg-emerald-700 hover:bg-emerald-600 text-white flex items-center justify-center gap-2"
+                >
+                  <ListChecks className="w-4 h-4" /> {t("result.viewRepair")}
+                </button>
+              )}
+              {(loto?.status === "void" || loto?.steps.some((s) => s.confirmedAt)) && (
+                <button
+                  onClick={onRestart}
+                  className="py-2 rounded bg-slate-800 hover:bg-slate-700 text-slate-300 flex items-center justify-center gap-2"
+                >
+                  <RotateCcw className="w-4 h-4" /> {t("loto.restart")}
+                </button>
+              )}
+              {!cameraReady && step && <p className="text-center text-slate-500 font-mono">{t("loto.needsCamera")}</p>}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
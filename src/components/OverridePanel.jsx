@@ -0,0 +1,134 @@
+/* =========================
+  OVERRIDE APPROVALS PANEL
+========================= */
+import { useState } from "react";
+import { UserCheck, X, Loader2, ShieldAlert, ScanEye, Check, Ban } from "lucide-react";
+import { OVERRIDE_DURATIONS_MIN, DEFAULT_OVERRIDE_MIN } from "../lib/overrides.js";
+
+const inputClass =
+  "bg-slate-950 border border-slate-700 rounded px-2 py-1 text-sm text-slate-200 focus:outline-none focus:border-cyan-500";
+
+const SEVERITY_CLASS = {
+  critical: "text-red-400",
+  caution: "text-amber-400",
+  info: "text-slate-400",
+};
+
+function RequestCard({ request, t, onDecide }) {
+  const [reason, setReason] = useState("");
+  const [durationMin, setDurationMin] = useState(DEFAULT_OVERRIDE_MIN);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const decide = async (approve) => {
+    if (!reason.trim()) {
+      setError(t("override.reasonRequired"));
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      await onDecide(request, { approve, reason, durationMin });
+    } catch (e) {
+      setError(e.message);
+      setBusy(false);
+    }
+  };
+
+  const { verdict } = request;
+  const StatusIcon = verdict.status === "DANGER" ? ShieldAlert : ScanEye;
+
+  return (
+    <div className="border border-slate-800 rounded p-3 flex flex-col gap-3">
+      <div className="flex gap-3">
+        {request.frame?.dataUrl && (
+          <img
+            src={request.frame.dataUrl}
+            alt={t("evidence.alt")}
+            className="w-40 h-28 object-cover rounded-sm border border-slate-700 flex-shrink-0"
+          />
+        )}
+        <div className="flex-1 min-w-0">
+          <p className={`text-sm font-bold flex items-center gap-1 ${verdict.status === "DANGER" ? "text-red-400" : "text-amber-400"}`}>
+            <StatusIcon className="w-4 h-4" /> {verdict.status} — {verdict.headline}
+          </p>
+          <p className="text-xs text-slate-400">{verdict.reasoning}</p>
+          <ul className="mt-1 space-y-0.5">
+            {verdict.findings.map((f, i) => (
+              <li key={i} className={`text-[11px] font-mono ${SEVERITY_CLASS[f.severity] || "text-slate-400"}`}>
+                [{f.severity.toUpperCase()}/{f.category}] {f.label}
+              </li>
+            ))}
+          </ul>
+          <p className="text-[10px] font-mono text-slate-500 mt-1">
+            {t("override.requestedBy", {
+              name: request.requesterName || request.requestedBy.slice(0, 8),
+              time: new Date(request.requestedAt).toLocaleTimeString(),
+            })}
+            {request.assetId && ` // ${request.assetId}`}
+            {request.equipment && ` // ${request.equipment.label}`}
+          </p>
+          {request.note && <p className="text-xs text-cyan-300 mt-1">“{request.note}”</p>}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-2">
+        <label className="flex-1 min-w-[12rem] flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase">
+          {t("override.reason")}
+          <input value={reason} onChange={(e) => setReason(e.target.value)} className={inputClass} />
+        </label>
+        <label className="flex flex-col gap-1 text-[10px] font-mono text-slate-500 uppercase">
+          {t("override.duration")}
+          <select value={durationMin} onChange={(e) => setDurationMin(Number(e.target.value))} className={inputClass}>
+            {OVERRIDE_DURATIONS_MIN.map((min) => (
+              <option key={min} value={min}>
+                {t("override.minutes", { count: min })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={() => decide(true)}
+          disabled={busy}
+          className="px-3 py-1.5 bg-emerald-700 hover:bg-emerald-600 text-white text-xs font-bold rounded flex items-center gap-1 disabled:opacity-50"
+        >
+          {busy ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />} {t("override.approve")}
+        </button>
+        <button
+          onClick={() => decide(false)}
+          disabled={busy}
+          className="px-3 py-1.5 bg-red-900/70 hover:bg-red-800 text-red-100 text-xs font-bold rounded flex items-center gap-1 disabled:opacity-50"
+        >
+          <Ban className="w-3 h-3" /> {t("override.reject")}
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
+
+// requests: pending override requests from other technicians (see watchPendingOverrides)
+export default function OverridePanel({ requests, t, onDecide, onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+      <div className="bg-slate-900 border border-slate-700 w-full max-w-2xl rounded-lg shadow-2xl overflow-hidden flex flex-col max-h-[85vh]">
+        <div className="p-4 bg-slate-800 border-b border-slate-700 flex justify-between items-center">
+          <h3 className="text-lg font-bold text-white flex items-center gap-2">
+            <UserCheck className="w-5 h-5 text-violet-400" /> {t("override.title")}
+          </h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          <p className="text-xs text-slate-400">{t("override.intro")}</p>
+          {!requests.length && <p className="text-sm text-slate-500 font-mono">{t("override.empty")}</p>}
+          {requests.map((request) => (
+            <RequestCard key={request.id} request={request} t={t} onDecide={onDecide} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
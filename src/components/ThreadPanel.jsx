@@ -0,0 +1,177 @@
+/* =========================
+  DIAGNOSTIC THREAD PANEL
+========================= */
+import { useEffect, useRef, useState } from "react";
+import {
+  MessagesSquare,
+  X,
+  Send,
+  ScanLine,
+  SquarePen,
+  Loader2,
+  ShieldAlert,
+  ShieldCheck,
+  ScanEye,
+  MessageCircleQuestionMark,
+} from "lucide-react";
+
+const STATUS_STYLE = {
+  DANGER: { icon: ShieldAlert, className: "border-red-700 bg-red-950/40 text-red-300" },
+  UNCERTAIN: { icon: ScanEye, className: "border-amber-700 bg-amber-950/30 text-amber-300" },
+  SAFE: { icon: ShieldCheck, className: "border-emerald-800 bg-emerald-950/30 text-emerald-300" },
+};
+
+const time = (at) => new Date(at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+function TechBubble({ turn, t, onEvidence }) {
+  return (
+    <div className="self-end max-w-[85%] flex flex-col items-end gap-1">
+      <div
+        className={`rounded-lg rounded-br-sm px-3 py-2 text-sm flex gap-2 ${
+          turn.state === "failed" ? "bg-slate-800/60 text-slate-500 line-through" : "bg-cyan-900/50 text-cyan-50"
+        }`}
+      >
+        {turn.frameSrc && (
+          <button onClick={() => onEvidence(turn)} className="flex-shrink-0" aria-label={t("logs.viewEvidence")}>
+            <img src={turn.frameSrc} alt={t("evidence.alt")} className="w-12 h-9 object-cover rounded-sm border border-cyan-800" />
+          </button>
+        )}
+        <span>{turn.text || <span className="italic text-cyan-300/70">{t("thread.frameOnly")}</span>}</span>
+      </div>
+      <span className="text-[10px] font-mono text-slate-500 flex items-center gap-1">
+        {turn.state === "pending" && <Loader2 className="w-3 h-3 animate-spin" />}
+        {turn.state === "failed" && <span className="text-red-400">{t("thread.failed")}</span>}
+        {t(`mode.${turn.mode}`)} · {time(turn.at)}
+      </span>
+    </div>
+  );
+}
+
+function ModelBubble({ turn, open }) {
+  const { icon: StatusIcon, className } = STATUS_STYLE[turn.status] || STATUS_STYLE.UNCERTAIN;
+  return (
+    <div className="self-start max-w-[90%] flex flex-col gap-1">
+      <div className={`rounded-lg rounded-bl-sm border px-3 py-2 text-sm ${className}`}>
+        <p className="font-bold flex items-center gap-1">
+          <StatusIcon className="w-4 h-4 flex-shrink-0" /> {turn.headline}
+        </p>
+        <p className="text-xs text-slate-300 mt-1">{turn.reasoning}</p>
+        {turn.findings.length > 0 && (
+          <p className="text-[11px] font-mono text-slate-400 mt-1">{turn.findings.join(" · ")}</p>
+        )}
+        <p className="text-xs text-white mt-1">→ {turn.action_required}</p>
+        {turn.question && (
+          <p
+            className={`mt-2 pt-2 border-t border-white/10 text-sm font-medium flex items-start gap-1 ${
+              open ? "text-cyan-200" : "text-slate-400"
+            }`}
+          >
+            <MessageCircleQuestionMark className="w-4 h-4 flex-shrink-0 mt-0.5" /> {turn.question}
+          </p>
+        )}
+      </div>
+      <span className="text-[10px] font-mono text-slate-500">OMNITECH · {time(turn.at)}</span>
+    </div>
+  );
+}
+
+// thread: see src/lib/thread.js; question: the open model turn from openQuestion, if any.
+// onSend(text) continues the thread with a new frame; onRescan() sends the frame alone.
+export default function ThreadPanel({
+  thread,
+  question,
+  busy,
+  canSend,
+  inputRef,
+  t,
+  onSend,
+  onRescan,
+  onNewThread,
+  onEvidence,
+  onClose,
+}) {
+  const [draft, setDraft] = useState("");
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "end" });
+  }, [thread.turns.length]);
+
+  const send = () => {
+    const clean = draft.trim();
+    if (!clean || busy || !canSend) return;
+    onSend(clean);
+    setDraft("");
+  };
+
+  return (
+    <aside
+      className="absolute inset-0 z-20 md:static md:z-10 md:w-96 flex flex-col bg-slate-950/95 md:bg-slate-950 border-l border-slate-800 pt-28"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="px-4 pb-2 flex items-center justify-between border-b border-slate-800">
+        <span className="text-xs font-mono font-bold text-cyan-400 flex items-center gap-2">
+          <MessagesSquare className="w-4 h-4" /> {t("thread.title")}
+        </span>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={onNewThread}
+            disabled={busy || !thread.turns.length}
+            className="px-2 py-1 rounded text-[11px] font-mono text-slate-400 hover:text-white hover:bg-slate-800 flex items-center gap-1 disabled:opacity-40"
+            title={t("thread.newHint")}
+          >
+            <SquarePen className="w-3 h-3" /> {t("thread.new")}
+          </button>
+          <button onClick={onClose} className="p-1 text-slate-400 hover:text-white" aria-label={t("thread.close")}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-3">
+        {thread.turns.length === 0 && <p className="text-xs font-mono text-slate-500 text-center mt-8">{t("thread.empty")}</p>}
+        {thread.turns.map((turn) =>
+          turn.role === "tech" ? (
+            <TechBubble key={turn.id} turn={turn} t={t} onEvidence={onEvidence} />
+          ) : (
+            <ModelBubble key={turn.id} turn={turn} open={turn === question} />
+          )
+        )}
+        <div ref={endRef} />
+      </div>
+
+      <div className="p-3 border-t border-slate-800 flex flex-col gap-2">
+        {question && (
+          <button
+            onClick={onRescan}
+            disabled={busy || !canSend}
+            className="w-full py-2 rounded border border-cyan-700 bg-cyan-900/30 hover:bg-cyan-900/50 text-cyan-100 text-xs font-bold flex items-center justify-center gap-2 disabled:opacity-40"
+          >
+            <ScanLine className="w-4 h-4" /> {t("thread.showNow")}
+          </button>
+        )}
+        <div className="flex gap-2">
+          <input
+            ref={inputRef}
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") send();
+            }}
+            placeholder={question ? question.question : t("thread.placeholder")}
+            className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded px-3 py-2 text-sm focus:outline-none focus:border-cyan-500"
+          />
+          <button
+            onClick={send}
+            disabled={busy || !canSend || !draft.trim()}
+            className="px-3 rounded bg-cyan-700 hover:bg-cyan-600 text-white disabled:opacity-40"
+            aria-label={t("thread.send")}
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+          </button>
+        </div>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,228 @@
+/* =========================
+  ACCOUNTS, ROLES & TEAMS
+========================= */
+// Named sign-in (email / password or the configured SSO provider) with a role
+// and a team. Membership lives in artifacts/{appId}/members/{uid} and is what
+// firestore.rules checks; admins add people by address through an invite
+// (artifacts/{appId}/invites/{email}) that becomes a membership the first time
+// that verified address signs in. Anonymous sign-in still works for demos:
+// those devices share the demo team and record nothing under a name.
+import {
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  updateProfile,
+  signInWithPopup,
+  signOut,
+  GoogleAuthProvider,
+  OAuthProvider,
+  SAMLAuthProvider,
+} from "firebase/auth";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  runTransaction,
+} from "firebase/firestore";
+
+// Lowest to highest; each role can do everything the previous one can
+export const ROLES = ["technician", "supervisor", "admin"];
+
+// Anonymous and not-yet-invited accounts each get a private sandbox team, so
+// nobody can read or approve another demo user's records; must match firestore.rules
+export const demoTeamId = (uid) => `demo-${uid}`;
+
+const LOCAL_KEY = "omnitech.account";
+
+const membersCollection = (db, appId) => collection(db, "artifacts", appId, "members");
+const invitesCollection = (db, appId) => collection(db, "artifacts", appId, "invites");
+
+export class AccountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AccountError";
+  }
+}
+
+const normaliseEmail = (email) => String(email ?? "").trim().toLowerCase();
+
+export const isEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normaliseEmail(email));
+
+const displayName = (user) => user.displayName || user.email?.split("@")[0] || "";
+
+/* -------------------------
+  SIGN-IN
+------------------------- */
+// providerId: "google.com", "microsoft.com", "apple.com", "oidc.<id>" or "saml.<id>"
+export const ssoProvider = (providerId) => {
+  if (!providerId) return null;
+  if (providerId === "google.com") return new GoogleAuthProvider();
+  if (providerId.startsWith("saml.")) return new SAMLAuthProvider(providerId);
+  return new OAuthProvider(providerId);
+};
+
+export const signInWithEmail = (auth, email, password) => signInWithEmailAndPassword(auth, normaliseEmail(email), password);
+
+// The address has to be verified before an invite can be accepted
+export const createAccount = async (auth, { email, password, name }) => {
+  const { user } = await createUserWithEmailAndPassword(auth, normaliseEmail(email), password);
+  if (name?.trim()) await updateProfile(user, { displayName: name.trim() });
+  await sendEmailVerification(user);
+  return user;
+};
+
+export const resendVerification = (auth) => sendEmailVerification(auth.currentUser);
+
+export const resetPassword = (auth, email) => sendPasswordResetEmail(auth, normaliseEmail(email));
+
+export const signInWithSso = (auth, providerId) => signInWithPopup(auth, ssoProvider(providerId));
+
+// Auth state listener signs the device back in anonymously afterwards
+export const signOutAccount = (auth) => signOut(auth);
+
+// Firebase auth error -> locale key ("account.error.<reason>")
+const AUTH_ERRORS = {
+  "auth/invalid-credential": "credentials",
+  "auth/wrong-password": "credentials",
+  "auth/user-not-found": "credentials",
+  "auth/invalid-email": "email",
+  "auth/email-already-in-use": "exists",
+  "auth/weak-password": "weakPassword",
+  "auth/popup-closed-by-user": "cancelled",
+  "auth/cancelled-popup-request": "cancelled",
+  "auth/popup-blocked": "popup",
+  "auth/too-many-requests": "tooMany",
+  "auth/network-request-failed": "network",
+};
+
+export const authErrorKey = (e) => `account.error.${AUTH_ERRORS[e?.code] || "generic"}`;
+
+/* -------------------------
+  MEMBERSHIP
+------------------------- */
+// account: { uid, name, email, role, teamId, demo, pending, verified }
+// demo: no membership (anonymous, or named but not invited / not verified yet)
+const demoAccount = (user, extra = {}) => ({
+  uid: user.uid,
+  name: user.isAnonymous ? "" : displayName(user),
+  email: user.email || "",
+  role: "technician",
+  teamId: demoTeamId(user.uid),
+  demo: true,
+  pending: false,
+  verified: Boolean(user.emailVerified),
+  ...extra,
+});
+
+// Invite -> membership in one transaction so an invite is only ever used once
+const acceptInvite = (db, appId, user) => {
+  const email = normaliseEmail(user.email);
+  const inviteRef = doc(invitesCollection(db, appId), email);
+  const memberRef = doc(membersCollection(db, appId), user.uid);
+
+  return runTransaction(db, async (tx) => {
+    const invite = await tx.get(inviteRef);
+    if (!invite.exists()) return null;
+    const { teamId, role, invitedBy } = invite.data();
+    const member = {
+      uid: user.uid,
+      email,
+      name: displayName(user),
+      role,
+      teamId,
+      invitedBy: invitedBy || null,
+      joinedAt: Date.now(),
+      updatedAt: Date.now(),
+      updatedBy: user.uid,
+    };
+    tx.set(memberRef, member);
+    tx.delete(inviteRef);
+    return member;
+  });
+};
+
+const fetchAccount = async (db, appId, user) => {
+  const snap = await getDoc(doc(membersCollection(db, appId), user.uid));
+  let member = snap.exists() ? snap.data() : null;
+  if (!member && user.email && user.emailVerified) member = await acceptInvite(db, appId, user);
+  if (!member) return demoAccount(user, { pending: true });
+
+  return {
+    uid: user.uid,
+    name: member.name || displayName(user),
+    email: user.email || member.email,
+    role: ROLES.includes(member.role) ? member.role : "technician",
+    teamId: member.teamId,
+    demo: false,
+    pending: false,
+    verified: true,
+  };
+};
+
+// The last membership seen on this device covers a start without connectivity
+export const loadAccount = async (db, appId, user) => {
+  if (!db || user.isAnonymous) return demoAccount(user);
+  try {
+    const account = await fetchAccount(db, appId, user);
+    localStorage.setItem(LOCAL_KEY, JSON.stringify(account));
+    return account;
+  } catch (e) {
+    let cached = null;
+    try {
+      cached = JSON.parse(localStorage.getItem(LOCAL_KEY));
+    } catch {
+      // fall through to the original error
+    }
+    if (cached?.uid === user.uid) return cached;
+    throw e;
+  }
+};
+
+// The demo team is a sandbox: everyone in it can try the supervisor features
+export const hasRole = (account, role) =>
+  Boolean(account) && (account.demo ? role !== "admin" : ROLES.indexOf(account.role) >= ROLES.indexOf(role));
+
+// Stored on every record and request: who did it, in what capacity
+export const authorOf = (account) =>
+  account ? { uid: account.uid, name: account.name || "", role: account.demo ? "demo" : account.role } : null;
+
+/* -------------------------
+  TEAM ADMINISTRATION
+------------------------- */
+const byName = (a, b) => (a.name || a.email).localeCompare(b.name || b.email);
+
+export const fetchTeamMembers = async (db, appId, teamId) => {
+  const snap = await getDocs(query(membersCollection(db, appId), where("teamId", "==", teamId)));
+  return snap.docs.map((d) => d.data()).sort(byName);
+};
+
+export const fetchInvites = async (db, appId, teamId) => {
+  const snap = await getDocs(query(invitesCollection(db, appId), where("teamId", "==", teamId)));
+  return snap.docs.map((d) => d.data()).sort((a, b) => a.email.localeCompare(b.email));
+};
+
+export const inviteMember = async (db, appId, teamId, { email, role }, uid) => {
+  const address = normaliseEmail(email);
+  if (!isEmail(address)) throw new AccountError("Enter a valid email address.");
+  if (!ROLES.includes(role)) throw new AccountError(`Unknown role: ${role}`);
+
+  const invite = { email: address, teamId, role, invitedAt: Date.now(), invitedBy: uid };
+  await setDoc(doc(invitesCollection(db, appId), address), invite);
+  return invite;
+};
+
+export const cancelInvite = (db, appId, email) => deleteDoc(doc(invitesCollection(db, appId), normaliseEmail(email)));
+
+export const setMemberRole = (db, appId, memberUid, role, uid) => {
+  if (!ROLES.includes(role)) return Promise.reject(new AccountError(`Unknown role: ${role}`));
+  return updateDoc(doc(membersCollection(db, appId), memberUid), { role, updatedAt: Date.now(), updatedBy: uid });
+};
+
+export const removeMember = (db, appId, memberUid) => deleteDoc(doc(membersCollection(db, appId), memberUid));
@@ -0,0 +1,125 @@
+/* =========================
+  ASSET TAGS
+========================= */
+// On-device decoding of the QR / Data Matrix / Code 128 asset tags stuck on
+// equipment, straight from the live <video>. Uses the browser BarcodeDetector
+// where it supports all three formats and falls back to ZXing (loaded on first
+// use, like jsPDF) everywhere else. Nothing leaves the device.
+
+// BarcodeDetector format names; also what gets stored with the asset
+export const ASSET_FORMATS = ["qr_code", "data_matrix", "code_128"];
+
+const FALLBACK_MAX_DIMENSION = 960; // ZXing is pure JS; keep the scan cheap
+const MAX_ASSET_ID = 64;
+
+// Scans in a row that must read the same new tag before the session switches to it
+export const ASSET_CONFIRM_SCANS = 3;
+
+// Tags are either a bare ID, "ASSET:<id>" or a URL to an asset page
+export const parseAssetId = (raw) => {
+  let value = String(raw ?? "").trim();
+  if (!value) return null;
+
+  if (/^https?:\/\//i.test(value)) {
+    try {
+      const url = new URL(value);
+      value =
+        url.searchParams.get("asset") ||
+        url.searchParams.get("id") ||
+        url.pathname.split("/").filter(Boolean).at(-1) ||
+        "";
+    } catch {
+      return null;
+    }
+  }
+
+  value = value.replace(/^asset\s*[:=#]\s*/i, "").trim();
+  // Firestore-safe and readable in logs; anything else is not an asset tag
+  if (!/^[\w.\-/]+$/.test(value)) return null;
+  return value.slice(0, MAX_ASSET_ID);
+};
+
+const nativeDetector = async () => {
+  if (typeof window === "undefined" || !("BarcodeDetector" in window)) return null;
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    if (!ASSET_FORMATS.every((f) => supported.includes(f))) return null;
+    const detector = new window.BarcodeDetector({ formats: ASSET_FORMATS });
+    return async (video) => {
+      const codes = await detector.detect(video);
+      return codes.map((c) => ({ rawValue: c.rawValue, format: c.format }));
+    };
+  } catch (e) {
+    console.warn("BarcodeDetector unavailable:", e);
+    return null;
+  }
+};
+
+const zxingDetector = async () => {
+  const {
+    MultiFormatReader,
+    BarcodeFormat,
+    DecodeHintType,
+    BinaryBitmap,
+    HybridBinarizer,
+    HTMLCanvasElementLuminanceSource,
+  } = await import("@zxing/library");
+
+  const formatNames = {
+    [BarcodeFormat.QR_CODE]: "qr_code",
+    [BarcodeFormat.DATA_MATRIX]: "data_matrix",
+    [BarcodeFormat.CODE_128]: "code_128",
+  };
+  const reader = new MultiFormatReader();
+  reader.setHints(
+    new Map([[DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.QR_CODE, BarcodeFormat.DATA_MATRIX, BarcodeFormat.CODE_128]]])
+  );
+  const canvas = document.createElement("canvas");
+
+  return async (video) => {
+    const scale = Math.min(1, FALLBACK_MAX_DIMENSION / Math.max(video.videoWidth, video.videoHeight));
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext("2d", { willReadFrequently: true }).drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    try {
+      const result = reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(new HTMLCanvasElementLuminanceSource(canvas))));
+      return [{ rawValue: result.getText(), format: formatNames[result.getBarcodeFormat()] || "unknown" }];
+    } catch {
+      // NotFoundException: no tag in this frame
+      return [];
+    } finally {
+      reader.reset();
+    }
+  };
+};
+
+// Switching assets voids LOTO and closes the thread, so a tag glimpsed in passing
+// (a neighbouring unit, a misread) must not do it: the same tag has to be read on
+// ASSET_CONFIRM_SCANS consecutive scans. pending: the previous call's result.
+// -> { pending: { ...found, count } | null, confirmed: found | null }
+export const confirmAssetScan = (pending, found, currentId) => {
+  if (!found || found.assetId === currentId) return { pending: null, confirmed: null };
+  const count = pending?.assetId === found.assetId ? pending.count + 1 : 1;
+  if (count >= ASSET_CONFIRM_SCANS) return { pending: null, confirmed: found };
+  return { pending: { ...found, count }, confirmed: null };
+};
+
+// -> { engine: "native" | "zxing", scan(video) -> { assetId, format, rawValue } | null }
+export const createAssetScanner = async () => {
+  const native = await nativeDetector();
+  const detect = native || (await zxingDetector());
+
+  return {
+    engine: native ? "native" : "zxing",
+    scan: async (video) => {
+      if (!video?.videoWidth || video.readyState < 2) return null;
+      const codes = await detect(video);
+      for (const code of codes) {
+        const assetId = parseAssetId(code.rawValue);
+        if (assetId) return { assetId, format: code.format, rawValue: code.rawValue };
+      }
+      return null;
+    },
+  };
+};
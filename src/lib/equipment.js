@@ -0,0 +1,66 @@
+/* =========================
+  EQUIPMENT PROFILES
+========================= */
+// Team-shared descriptions of the assets crews work on. The selected profile
+// travels with every analysis request so the model diagnoses the actual unit
+// (a 48V rectifier is not a washing machine) and its repair steps follow the
+// manufacturer's lockout procedure.
+import { collection, doc, getDocs, setDoc, deleteDoc } from "firebase/firestore";
+
+// Codes only; display labels live in the locale catalogs ("voltage.<code>")
+export const VOLTAGE_CLASSES = ["none", "elv", "lv", "mv", "hv"];
+
+const MAX_FIELD = 120;
+const MAX_ITEMS = 20;
+const MAX_ITEM = 300;
+
+const text = (value, max = MAX_FIELD) => String(value ?? "").trim().slice(0, max);
+
+// Textarea (one per line) or array -> trimmed list
+const list = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split("\n"))
+    .map((item) => text(item, MAX_ITEM))
+    .filter(Boolean)
+    .slice(0, MAX_ITEMS);
+
+export const normaliseProfile = (raw = {}) => ({
+  id: raw.id || crypto.randomUUID(),
+  type: text(raw.type),
+  manufacturer: text(raw.manufacturer),
+  model: text(raw.model),
+  voltageClass: VOLTAGE_CLASSES.includes(raw.voltageClass) ? raw.voltageClass : "lv",
+  failureModes: list(raw.failureModes),
+  lockoutProcedure: list(raw.lockoutProcedure),
+});
+
+export const profileLabel = (profile) =>
+  [profile.type, [profile.manufacturer, profile.model].filter(Boolean).join(" ")].filter(Boolean).join(" · ");
+
+// What the /api proxy needs; keeps Firestore bookkeeping fields off the wire
+export const profileForRequest = (profile) => {
+  if (!profile) return null;
+  const { id, type, manufacturer, model, voltageClass, failureModes, lockoutProcedure } = normaliseProfile(profile);
+  return { id, type, manufacturer, model, voltageClass, failureModes, lockoutProcedure };
+};
+
+const profilesCollection = (db, appId, teamId) =>
+  collection(db, "artifacts", appId, "teams", teamId, "equipment_profiles");
+
+export const fetchEquipmentProfiles = async (db, appId, teamId) => {
+  const snap = await getDocs(profilesCollection(db, appId, teamId));
+  return snap.docs
+    .map((d) => normaliseProfile({ ...d.data(), id: d.id }))
+    .sort((a, b) => profileLabel(a).localeCompare(profileLabel(b)));
+};
+
+export const saveEquipmentProfile = async (db, appId, teamId, profile, uid) => {
+  const clean = normaliseProfile(profile);
+  await setDoc(doc(profilesCollection(db, appId, teamId), clean.id), {
+    ...clean,
+    updatedAt: Date.now(),
+    updatedBy: uid || null,
+  });
+  return clean;
+};
+
+export const deleteEquipmentProfile = (db, appId, teamId, id) => deleteDoc(doc(profilesCollection(db, appId, teamId), id));
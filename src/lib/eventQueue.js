@@ -0,0 +1,195 @@
+/* =========================
+  OFFLINE EVENT QUEUE
+========================= */
+// Every verdict, log entry and report is written to an IndexedDB outbox
+// first and synced to Firestore when connectivity allows. Records carry a
+// client-generated id so a retried write lands on the same document instead
+// of duplicating it, and nothing leaves the outbox until Firestore confirms.
+// An optional image attachment (evidence frame) waits in the outbox too and is
+// uploaded to Storage right before its document is written. A record the
+// rules reject, or one that keeps failing, moves to a dead-letter store
+// instead of being retried on every flush.
+import { doc, setDoc, serverTimestamp } from "firebase/firestore";
+import { ref as storageRef, uploadString, getDownloadURL } from "firebase/storage";
+
+const DB_NAME = "omnitech-offline";
+const DB_VERSION = 2;
+const STORE = "outbox";
+const DEAD_LETTER_STORE = "dead_letter";
+const WRITE_TIMEOUT_MS = 15_000; // Firestore never rejects offline writes, it just waits
+const MAX_SYNC_ATTEMPTS = 5;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (event) => {
+        if (event.oldVersion < 1) {
+          const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+          store.createIndex("clientTimestamp", "clientTimestamp");
+        }
+        if (event.oldVersion < 2) req.result.createObjectStore(DEAD_LETTER_STORE, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+};
+
+// fn(store) for one store, or fn(...stores) for several in one transaction
+const run = async (mode, fn, storeNames = [STORE]) => {
+  const idb = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(storeNames, mode);
+    const req = fn(...storeNames.map((name) => tx.objectStore(name)));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+class OfflineError extends Error {}
+
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new OfflineError("Write timed out")), ms)),
+  ]);
+
+const isOfflineError = (e) =>
+  e instanceof OfflineError ||
+  e?.code === "unavailable" ||
+  e?.code === "deadline-exceeded" ||
+  e?.code === "storage/retry-limit-exceeded";
+
+// Retrying cannot help: the rules (or a missing sign-in) will refuse it every time
+const isPermissionError = (e) =>
+  e?.code === "permission-denied" || e?.code === "storage/unauthorized" || e?.code === "storage/unauthenticated";
+
+// kind: "safety_event" | "log" | "report"; collection: Firestore sub-collection under the user
+export const createEventQueue = ({ db, storage, appId, getUid }) => {
+  let flushing = false;
+  const listeners = new Set();
+
+  const count = () => run("readonly", (store) => store.count()).catch(() => 0);
+
+  const notify = async () => {
+    const pending = await count();
+    listeners.forEach((fn) => fn(pending));
+  };
+
+  // fn(pendingCount) on every change; returns unsubscribe
+  const subscribe = (fn) => {
+    listeners.add(fn);
+    count().then(fn);
+    return () => listeners.delete(fn);
+  };
+
+  // attachment: { field, dataUrl, width, height } -> doc[field] = { storagePath, url, width, height }
+  // Without a Storage bucket the (small) image is stored inline as dataUrl.
+  const resolveAttachment = async (record, uid) => {
+    const { attachment } = record;
+    if (!attachment) return {};
+
+    const { field, dataUrl, width, height } = attachment;
+    if (!storage) return { [field]: { dataUrl, width, height } };
+
+    let { storagePath, url } = attachment;
+    if (!url) {
+      storagePath = `artifacts/${appId}/users/${uid}/evidence/${record.id}.jpg`;
+      const fileRef = storageRef(storage, storagePath);
+      await withTimeout(uploadString(fileRef, dataUrl, "data_url", { contentType: "image/jpeg" }), WRITE_TIMEOUT_MS);
+      url = await withTimeout(getDownloadURL(fileRef), WRITE_TIMEOUT_MS);
+      // Remember the upload so a failed doc write doesn't re-upload the image
+      record.attachment = { ...attachment, storagePath, url };
+      await run("readwrite", (store) => store.put(record));
+    }
+    return { [field]: { storagePath, url, width, height } };
+  };
+
+  const writeRecord = async (record) => {
+    const uid = record.uid || getUid();
+    if (!db || !uid) throw new OfflineError("Not signed in yet");
+
+    const attachmentFields = await resolveAttachment(record, uid);
+
+    await withTimeout(
+      setDoc(doc(db, "artifacts", appId, "users", uid, record.collection, record.id), {
+        ...record.data,
+        ...attachmentFields,
+        appId, // lets collection-group queries (asset history) stay inside this app
+        sessionId: record.sessionId,
+        clientTimestamp: record.clientTimestamp,
+        timestamp: serverTimestamp(),
+      }),
+      WRITE_TIMEOUT_MS
+    );
+  };
+
+  const flush = async () => {
+    if (flushing || (typeof navigator !== "undefined" && navigator.onLine === false)) return;
+    flushing = true;
+
+    try {
+      const records = await run("readonly", (store) => store.index("clientTimestamp").getAll());
+      for (const record of records || []) {
+        try {
+          await writeRecord(record);
+          await run("readwrite", (store) => store.delete(record.id));
+        } catch (e) {
+          if (isOfflineError(e)) break;
+          // Keep it for the audit trail; surface the reason for whoever inspects the outbox
+          console.error("Queued event sync failed:", record.kind, e);
+          const failed = { ...record, attempts: (record.attempts || 0) + 1, lastError: String(e?.message || e) };
+          if (isPermissionError(e) || failed.attempts >= MAX_SYNC_ATTEMPTS) {
+            await run(
+              "readwrite",
+              (outbox, deadLetter) => {
+                outbox.delete(record.id);
+                return deadLetter.put({ ...failed, deadLetteredAt: Date.now() });
+              },
+              [STORE, DEAD_LETTER_STORE]
+            );
+          } else {
+            await run("readwrite", (store) => store.put(failed));
+          }
+        }
+      }
+    } finally {
+      flushing = false;
+      notify();
+    }
+  };
+
+  const enqueue = async ({ id, kind, collection, data, attachment, sessionId }) => {
+    const record = {
+      id: id || crypto.randomUUID(),
+      kind,
+      collection,
+      data,
+      attachment: attachment || null,
+      sessionId,
+      uid: getUid() || null,
+      clientTimestamp: Date.now(),
+      attempts: 0,
+    };
+
+    try {
+      await run("readwrite", (store) => store.put(record));
+    } catch (e) {
+      // IndexedDB unavailable (private mode etc.): best effort direct write
+      console.error("Outbox unavailable, writing directly:", e);
+      writeRecord(record).catch((err) => console.error("Save failed", err));
+      return record.id;
+    }
+
+    notify();
+    flush();
+    return record.id;
+  };
+
+  return { enqueue, flush, count, subscribe };
+};
@@ -0,0 +1,29 @@
+/* =========================
+  EVIDENCE THUMBNAILS
+========================= */
+// What the model saw, kept small enough to live in the offline outbox and,
+// without a Storage bucket, inline in the Firestore event doc (< 1 MB).
+const THUMB_MAX_DIMENSION = 320;
+const THUMB_QUALITY = 0.6;
+
+let scratch = null;
+
+// -> { dataUrl, width, height } from the canvas holding the analysed frame
+export const makeThumbnail = (canvas) => {
+  if (!canvas?.width || !canvas?.height) return null;
+  if (!scratch) scratch = document.createElement("canvas");
+
+  const scale = Math.min(1, THUMB_MAX_DIMENSION / Math.max(canvas.width, canvas.height));
+  scratch.width = Math.round(canvas.width * scale);
+  scratch.height = Math.round(canvas.height * scale);
+  scratch.getContext("2d").drawImage(canvas, 0, 0, scratch.width, scratch.height);
+
+  return {
+    dataUrl: scratch.toDataURL("image/jpeg", THUMB_QUALITY),
+    width: scratch.width,
+    height: scratch.height,
+  };
+};
+
+// Stored docs link to Storage when available, otherwise carry the image inline
+export const evidenceSrc = (evidence) => evidence?.url || evidence?.dataUrl || null;
@@ -0,0 +1,71 @@
+/* =========================
+  FRAME CHANGE DETECTION
+========================= */
+// Cheap "did the scene change?" check, run on-device before any API call.
+// Two complementary fingerprints of the same frame:
+//  - luma grid: tiny grayscale thumbnail; counting changed cells (instead of
+//    averaging) keeps small local changes like a new spark from washing out.
+//  - dHash: 64-bit perceptual hash, robust to exposure drift and sensor noise.
+// A scene counts as unchanged only when BOTH agree.
+const GRID_W = 32;
+const GRID_H = 18;
+const PIXEL_NOISE = 24; // 0-255 luma delta treated as sensor noise
+const HASH_MAX_DISTANCE = 6; // of 64 bits
+
+let scratch = null;
+
+const readLuma = (source, width, height) => {
+  if (!scratch) scratch = document.createElement("canvas");
+
+  scratch.width = width;
+  scratch.height = height;
+  const ctx = scratch.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const luma = new Uint8Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    const o = i * 4;
+    luma[i] = (data[o] * 299 + data[o + 1] * 587 + data[o + 2] * 114) / 1000;
+  }
+  return luma;
+};
+
+// Difference hash: each bit = "is this pixel brighter than its right neighbour".
+const computeDHash = (source) => {
+  const px = readLuma(source, 9, 8);
+  const bits = new Uint8Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits[y * 8 + x] = px[y * 9 + x] > px[y * 9 + x + 1] ? 1 : 0;
+    }
+  }
+  return bits;
+};
+
+export const computeSignature = (source) => {
+  if (!source) return null;
+  return { luma: readLuma(source, GRID_W, GRID_H), hash: computeDHash(source) };
+};
+
+// Fraction (0-1) of grid cells that changed between two signatures.
+export const changedRatio = (a, b) => {
+  if (!a?.luma || !b?.luma || a.luma.length !== b.luma.length) return 1;
+
+  let changed = 0;
+  for (let i = 0; i < a.luma.length; i++) {
+    if (Math.abs(a.luma[i] - b.luma[i]) > PIXEL_NOISE) changed++;
+  }
+  return changed / a.luma.length;
+};
+
+export const hashDistance = (a, b) => {
+  if (!a?.hash || !b?.hash) return 64;
+
+  let distance = 0;
+  for (let i = 0; i < 64; i++) distance += a.hash[i] !== b.hash[i] ? 1 : 0;
+  return distance;
+};
+
+export const isSameScene = (a, b, maxChangedRatio) =>
+  changedRatio(a, b) < maxChangedRatio && hashDistance(a, b) <= HASH_MAX_DISTANCE;
@@ -0,0 +1,193 @@
+/* =========================
+  FRAME PREPROCESSING
+========================= */
+// Runs on the hidden canvas before a frame leaves the device:
+//   1. crop to the user's region of interest (if any)
+//   2. downscale so the longest side fits maxDimension
+//   3. measure brightness / contrast / sharpness
+//   4. stretch levels when the scene is dark or flat
+// The metrics travel with the verdict so an UNCERTAIN can be explained.
+
+const LOW_LIGHT = 70; // mean luma (0-255) below which the frame counts as dark
+const LOW_CONTRAST = 28; // luma std-dev below which the frame counts as flat
+const TARGET_MEAN = 120;
+const TARGET_STD = 55;
+const MAX_GAIN = 3;
+const BLUR_THRESHOLD = 60; // Laplacian variance; lower = blurrier
+const BLUR_SAMPLE_WIDTH = 320;
+
+const luma = (d, o) => (d[o] * 299 + d[o + 1] * 587 + d[o + 2] * 114) / 1000;
+
+const measureLevels = (data) => {
+  let sum = 0;
+  let sumSq = 0;
+  const n = data.length / 4;
+  for (let o = 0; o < data.length; o += 4) {
+    const y = luma(data, o);
+    sum += y;
+    sumSq += y * y;
+  }
+  const mean = sum / n;
+  return { mean, std: Math.sqrt(Math.max(0, sumSq / n - mean * mean)) };
+};
+
+// Linear levels stretch towards a well-exposed mean/contrast.
+const enhanceLevels = (data, { mean, std }) => {
+  const gain = Math.min(MAX_GAIN, Math.max(1, TARGET_STD / Math.max(std, 1)));
+  const offset = TARGET_MEAN - mean * gain;
+  for (let o = 0; o < data.length; o += 4) {
+    data[o] = data[o] * gain + offset;
+    data[o + 1] = data[o + 1] * gain + offset;
+    data[o + 2] = data[o + 2] * gain + offset;
+  }
+  return gain;
+};
+
+// Variance of the 4-neighbour Laplacian on a downsampled luma copy.
+const measureSharpness = (canvas) => {
+  const scale = Math.min(1, BLUR_SAMPLE_WIDTH / canvas.width);
+  const w = Math.max(3, Math.round(canvas.width * scale));
+  const h = Math.max(3, Math.round(canvas.height * scale));
+
+  const sample = document.createElement("canvas");
+  sample.width = w;
+  sample.height = h;
+  const ctx = sample.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const y = new Float32Array(w * h);
+  for (let i = 0; i < y.length; i++) y[i] = luma(data, i * 4);
+
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let r = 1; r < h - 1; r++) {
+    for (let c = 1; c < w - 1; c++) {
+      const i = r * w + c;
+      const lap = y[i - 1] + y[i + 1] + y[i - w] + y[i + w] - 4 * y[i];
+      sum += lap;
+      sumSq += lap * lap;
+      n++;
+    }
+  }
+  const mean = sum / n;
+  return sumSq / n - mean * mean;
+};
+
+// roi is normalised to the video's intrinsic frame: { x, y, w, h } in 0-1.
+export const preprocessFrame = (video, canvas, { maxDimension = 1280, roi = null, enhance = true } = {}) => {
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  if (!vw || !vh) return null;
+
+  const sx = roi ? Math.round(roi.x * vw) : 0;
+  const sy = roi ? Math.round(roi.y * vh) : 0;
+  const sw = roi ? Math.max(1, Math.round(roi.w * vw)) : vw;
+  const sh = roi ? Math.max(1, Math.round(roi.h * vh)) : vh;
+
+  const scale = Math.min(1, maxDimension / Math.max(sw, sh));
+  canvas.width = Math.round(sw * scale);
+  canvas.height = Math.round(sh * scale);
+
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(video, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const levels = measureLevels(image.data);
+  const dark = levels.mean < LOW_LIGHT;
+  const flat = levels.std < LOW_CONTRAST;
+
+  let gain = 1;
+  if (enhance && (dark || flat)) {
+    gain = enhanceLevels(image.data, levels);
+    ctx.putImageData(image, 0, 0);
+  }
+
+  const blurScore = measureSharpness(canvas);
+  const warnings = [];
+  if (dark) warnings.push("low light");
+  if (flat) warnings.push("low contrast");
+  if (blurScore < BLUR_THRESHOLD) warnings.push("blurry");
+
+  return {
+    imageBase64: canvas.toDataURL("image/jpeg", 0.8).split(",")[1],
+    // Where this image sits in the full video frame; model boxes are relative to it
+    region: roi ? { x: roi.x, y: roi.y, w: roi.w, h: roi.h } : { x: 0, y: 0, w: 1, h: 1 },
+    quality: {
+      width: canvas.width,
+      height: canvas.height,
+      brightness: Math.round(levels.mean),
+      contrast: Math.round(levels.std),
+      blurScore: Math.round(blurScore),
+      enhanced: gain > 1,
+      roi: Boolean(roi),
+      warnings,
+    },
+  };
+};
+
+export const isBlurry = (quality) => quality?.warnings?.includes("blurry");
+
+export const describeQuality = (q) =>
+  `${q.width}x${q.height}${q.roi ? " ROI" : ""}, brightness ${q.brightness}/255, contrast ${q.contrast}, ` +
+  `sharpness ${q.blurScore}${q.enhanced ? ", enhanced" : ""}${q.warnings.length ? ` (${q.warnings.join(", ")})` : ""}`;
+
+/* -------------------------
+  REGION OF INTEREST
+------------------------- */
+// The <video> uses object-cover, so on-screen pixels are a scaled, centred
+// crop of the intrinsic frame. These map between the two spaces.
+const coverTransform = (el, video) => {
+  const rect = el.getBoundingClientRect();
+  const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+  return {
+    rect,
+    scale,
+    ox: (rect.width - video.videoWidth * scale) / 2,
+    oy: (rect.height - video.videoHeight * scale) / 2,
+  };
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// Client-space drag rectangle -> normalised intrinsic ROI.
+export const displayRectToRoi = (el, video, a, b) => {
+  if (!video?.videoWidth) return null;
+  const { rect, scale, ox, oy } = coverTransform(el, video);
+
+  const toSource = (p) => ({
+    x: clamp01((p.x - rect.left - ox) / scale / video.videoWidth),
+    y: clamp01((p.y - rect.top - oy) / scale / video.videoHeight),
+  });
+  const p1 = toSource(a);
+  const p2 = toSource(b);
+
+  return {
+    x: Math.min(p1.x, p2.x),
+    y: Math.min(p1.y, p2.y),
+    w: Math.abs(p2.x - p1.x),
+    h: Math.abs(p2.y - p1.y),
+  };
+};
+
+// Normalised intrinsic box -> CSS percentages of the displayed element.
+export const boxToDisplayStyle = (el, video, box) => {
+  if (!el || !video?.videoWidth || !box) return null;
+  const { rect, scale, ox, oy } = coverTransform(el, video);
+
+  return {
+    left: `${((ox + box.x * video.videoWidth * scale) / rect.width) * 100}%`,
+    top: `${((oy + box.y * video.videoHeight * scale) / rect.height) * 100}%`,
+    width: `${((box.w * video.videoWidth * scale) / rect.width) * 100}%`,
+    height: `${((box.h * video.videoHeight * scale) / rect.height) * 100}%`,
+  };
+};
+
+// Box relative to an analysed (possibly cropped) image -> box in the full frame.
+export const regionBoxToFrame = (box, region) => ({
+  x: region.x + box.x * region.w,
+  y: region.y + box.y * region.h,
+  w: box.w * region.w,
+  h: box.h * region.h,
+});
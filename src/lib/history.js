@@ -0,0 +1,111 @@
+/* =========================
+  SESSION HISTORY
+========================= */
+// Read side of the offline queue: everything here queries the per-user
+// collections written by eventQueue.js. Only single-field range filters are
+// pushed to Firestore so no composite indexes are required; status / mode
+// filtering happens on the client.
+import { collection, collectionGroup, query, where, orderBy, limit, getDocs } from "firebase/firestore";
+import { evidenceSrc } from "./evidence.js";
+
+const MAX_EVENTS = 300;
+
+const userCollection = (db, appId, uid, name) => collection(db, "artifacts", appId, "users", uid, name);
+
+const toRecord = (snap) => ({ id: snap.id, ...snap.data() });
+
+// from / to: Date (inclusive); status / mode: "ALL" or a value
+export const fetchSafetyEvents = async (db, appId, uid, { from, to, status = "ALL", mode = "ALL" }) => {
+  const q = query(
+    userCollection(db, appId, uid, "safety_events"),
+    where("clientTimestamp", ">=", from.getTime()),
+    where("clientTimestamp", "<=", to.getTime()),
+    orderBy("clientTimestamp", "desc"),
+    limit(MAX_EVENTS)
+  );
+
+  const snap = await getDocs(q);
+  return snap.docs
+    .map(toRecord)
+    .filter((e) => (status === "ALL" || e.status === status) && (mode === "ALL" || e.mode === mode));
+};
+
+export const fetchSessionLogs = async (db, appId, uid, sessionId) => {
+  const q = query(userCollection(db, appId, uid, "session_logs"), where("sessionId", "==", sessionId));
+  const snap = await getDocs(q);
+  return snap.docs.map(toRecord).sort((a, b) => a.clientTimestamp - b.clientTimestamp);
+};
+
+export const fetchSessionProtocols = async (db, appId, uid, sessionId) => {
+  const q = query(userCollection(db, appId, uid, "repair_protocols"), where("sessionId", "==", sessionId));
+  const snap = await getDocs(q);
+  return snap.docs.map(toRecord).sort((a, b) => a.startedAt - b.startedAt);
+};
+
+export const fetchSessionLotos = async (db, appId, uid, sessionId) => {
+  const q = query(userCollection(db, appId, uid, "loto_checklists"), where("sessionId", "==", sessionId));
+  const snap = await getDocs(q);
+  return snap.docs.map(toRecord).sort((a, b) => a.startedAt - b.startedAt);
+};
+
+// Maintenance history of one tagged asset across the team. Needs the
+// collection-group indexes on safety_events (firestore.indexes.json), and
+// firestore.rules only allows the query with the app and team filters.
+export const fetchAssetEvents = async (db, appId, teamId, assetId) => {
+  const q = query(
+    collectionGroup(db, "safety_events"),
+    where("appId", "==", appId),
+    where("teamId", "==", teamId),
+    where("assetId", "==", assetId),
+    limit(MAX_EVENTS)
+  );
+  const snap = await getDocs(q);
+  return snap.docs
+    .map((d) => ({ ...toRecord(d), ownerUid: d.ref.parent.parent.id }))
+    .sort((a, b) => b.clientTimestamp - a.clientTimestamp);
+};
+
+// Events -> [{ sessionId, ownerUid, startedAt, events }] newest session first
+// (ownerUid is only known for cross-user asset queries)
+export const groupBySession = (events) => {
+  const sessions = new Map();
+  for (const event of events) {
+    const key = event.sessionId || "unknown";
+    if (!sessions.has(key)) sessions.set(key, { sessionId: key, ownerUid: event.ownerUid || null, startedAt: event.clientTimestamp, events: [] });
+    const session = sessions.get(key);
+    session.events.push(event);
+    session.startedAt = Math.min(session.startedAt, event.clientTimestamp);
+  }
+  return [...sessions.values()].sort((a, b) => b.startedAt - a.startedAt);
+};
+
+// Stored docs -> the { at, source, message } timeline entries the report uses
+export const logToTimelineEntry = (entry) => ({
+  at: entry.clientTimestamp,
+  source: entry.source,
+  message: entry.message,
+});
+
+// Sessions recorded before logs were queued only have their verdicts
+export const eventToTimelineEntry = (event) => ({
+  at: event.clientTimestamp,
+  source: "OMNITECH",
+  message: `(${event.mode}) ${event.status} — ${event.headline}. ${event.reasoning} Action: ${event.action_required}`,
+});
+
+// Stored safety_event -> report event (see buildReportModel)
+export const eventToReportEvent = (event) => ({
+  eventId: event.id,
+  at: event.clientTimestamp,
+  mode: event.mode,
+  status: event.status,
+  headline: event.headline,
+  reasoning: event.reasoning,
+  action_required: event.action_required,
+  findings: event.findings || [],
+  repair_steps: event.repair_steps || [],
+  evidenceSrc: evidenceSrc(event.evidence),
+  equipment: event.equipment || null,
+  assetId: event.assetId || null,
+  author: event.author || null,
+});
@@ -0,0 +1,42 @@
+/* =========================
+  LOCALES
+========================= */
+// One locale drives the UI strings, speech recognition, the TTS voice and the
+// language the model answers in. Verdict status / category / severity values
+// stay canonical English everywhere; only their display text is translated.
+import en from "../locales/en.js";
+import fr from "../locales/fr.js";
+import pt from "../locales/pt.js";
+import sw from "../locales/sw.js";
+import ja from "../locales/ja.js";
+
+// speech: BCP-47 tag for SpeechRecognition / voice matching
+export const LOCALES = {
+  en: { label: "English", speech: "en-US", strings: en },
+  fr: { label: "Français", speech: "fr-FR", strings: fr },
+  pt: { label: "Português", speech: "pt-BR", strings: pt },
+  sw: { label: "Kiswahili", speech: "sw-KE", strings: sw },
+  ja: { label: "日本語", speech: "ja-JP", strings: ja },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+// "pt-BR" -> "pt"; unsupported values -> null
+export const matchLocale = (value) => {
+  const code = String(value || "").toLowerCase().split(/[-_]/)[0];
+  return LOCALES[code] ? code : null;
+};
+
+// First visit: follow the browser, otherwise English
+export const detectLocale = () =>
+  (typeof navigator !== "undefined" && (navigator.languages || [navigator.language]).map(matchLocale).find(Boolean)) ||
+  DEFAULT_LOCALE;
+
+// t("header.syncPending", { count: 3 }); missing keys fall back to English, then to the key
+export const createTranslator = (locale) => {
+  const strings = LOCALES[locale]?.strings || en;
+  return (key, vars = {}) =>
+    (strings[key] ?? en[key] ?? key).replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+};
+
+export const speechLang = (locale) => LOCALES[locale]?.speech || LOCALES[DEFAULT_LOCALE].speech;
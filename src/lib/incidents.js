@@ -0,0 +1,260 @@
+/* =========================
+  INCIDENT ESCALATION
+========================= */
+// A DANGER verdict is more than a red banner when it matches one of the
+// team's escalation rules: the technician's device opens an incident in
+// artifacts/{appId}/teams/{teamId}/incidents, the /api/escalate proxy pages
+// supervisors (Web Push) and the configured webhook, and supervisors
+// acknowledge and then resolve it with a note. The document is the audit
+// record; delivery results are written back onto it. One incident per rule
+// per session: further matches only bump its occurrence count.
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  onSnapshot,
+  query,
+  where,
+  runTransaction,
+  increment,
+} from "firebase/firestore";
+import { FINDING_CATEGORIES } from "./verdict.js";
+
+// Verdicts a rule can escalate on. Incidents go "open" -> "acknowledged" -> "resolved".
+export const ESCALATION_STATUSES = ["DANGER", "UNCERTAIN"];
+
+// Built-in rules are labelled through the locale catalogs ("escalation.rule.<id>");
+// `name` is the English text kept in the audit trail and sent to receivers.
+// windowMin 0: the verdict on its own is enough.
+export const DEFAULT_ESCALATION_RULES = [
+  {
+    id: "electrical_fire",
+    name: "Electrical or fire hazard",
+    enabled: true,
+    status: "DANGER",
+    categories: ["electrical", "fire"],
+    count: 1,
+    windowMin: 0,
+    builtin: true,
+  },
+  {
+    id: "repeated_uncertain",
+    name: "Repeated UNCERTAIN verdicts",
+    enabled: true,
+    status: "UNCERTAIN",
+    categories: [],
+    count: 3,
+    windowMin: 10,
+    builtin: true,
+  },
+];
+
+const MAX_RULES = 20;
+const MAX_NAME = 120;
+const MAX_COUNT = 20;
+const MAX_WINDOW_MIN = 240;
+const MAX_RESOLUTION = 1000;
+
+const incidentsCollection = (db, appId, teamId) => collection(db, "artifacts", appId, "teams", teamId, "incidents");
+const rulesDoc = (db, appId, teamId) => doc(db, "artifacts", appId, "teams", teamId, "settings", "escalation");
+
+export class IncidentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "IncidentError";
+  }
+}
+
+const clampInt = (value, min, max, fallback) => {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+/* -------------------------
+  RULES
+------------------------- */
+// An empty or missing list means the defaults
+export const parseEscalationRules = (raw) => {
+  const rules = (Array.isArray(raw) ? raw : [])
+    .filter((r) => r && typeof r === "object" && String(r.name ?? "").trim())
+    .slice(0, MAX_RULES)
+    .map((r, i) => {
+      const builtin = DEFAULT_ESCALATION_RULES.find((d) => d.id === r.id);
+      return {
+        id: String(r.id || `rule-${i + 1}`).slice(0, 64),
+        name: String(r.name).trim().slice(0, MAX_NAME),
+        enabled: r.enabled !== false,
+        status: ESCALATION_STATUSES.includes(r.status) ? r.status : "DANGER",
+        categories: (Array.isArray(r.categories) ? r.categories : []).filter((c) => FINDING_CATEGORIES.includes(c)),
+        count: clampInt(r.count, 1, MAX_COUNT, 1),
+        windowMin: clampInt(r.windowMin, 0, MAX_WINDOW_MIN, 0),
+        // Renamed built-ins are the team's own wording, not a translation
+        builtin: Boolean(builtin) && builtin.name === String(r.name).trim(),
+      };
+    });
+  return rules.length ? rules : DEFAULT_ESCALATION_RULES;
+};
+
+export const fetchEscalationRules = async (db, appId, teamId) => {
+  const snap = await getDoc(rulesDoc(db, appId, teamId));
+  return parseEscalationRules(snap.exists() ? snap.data().rules : null);
+};
+
+// rules: [] restores the defaults
+export const saveEscalationRules = async (db, appId, teamId, rules, uid) => {
+  const parsed = parseEscalationRules(rules);
+  await setDoc(rulesDoc(db, appId, teamId), {
+    rules:
+      parsed === DEFAULT_ESCALATION_RULES
+        ? []
+        : parsed.map(({ id, name, enabled, status, categories, count, windowMin }) => ({
+            id,
+            name,
+            enabled,
+            status,
+            categories,
+            count,
+            windowMin,
+          })),
+    updatedAt: Date.now(),
+    updatedBy: uid || null,
+  });
+  return parsed;
+};
+
+export const ruleLabel = (rule, t) => (rule.builtin ? t(`escalation.rule.${rule.id}`) : rule.name);
+
+/* -------------------------
+  MATCHING
+------------------------- */
+const HISTORY_MS = MAX_WINDOW_MIN * 60_000;
+
+// history: this session's recent fresh verdicts, oldest first
+export const recordVerdict = (history, verdict, now = Date.now()) => [
+  ...history.filter((entry) => now - entry.at <= HISTORY_MS),
+  { at: now, status: verdict.status, categories: [...new Set(verdict.findings.map((f) => f.category))] },
+];
+
+const entryMatches = (rule, entry) =>
+  entry.status === rule.status && (!rule.categories.length || entry.categories.some((c) => rule.categories.includes(c)));
+
+// Rules the latest verdict trips: it matches, and enough matches fall inside the window
+export const matchEscalation = (rules, history, now = Date.now()) => {
+  const latest = history.at(-1);
+  if (!latest) return [];
+  return rules.filter(
+    (rule) =>
+      rule.enabled &&
+      entryMatches(rule, latest) &&
+      history.filter((entry) => (entry === latest || now - entry.at <= rule.windowMin * 60_000) && entryMatches(rule, entry))
+        .length >= rule.count
+  );
+};
+
+/* -------------------------
+  INCIDENTS
+------------------------- */
+const verdictSummary = (verdict) => ({
+  status: verdict.status,
+  headline: verdict.headline,
+  reasoning: verdict.reasoning,
+  action_required: verdict.action_required,
+  findings: (verdict.findings || []).map(({ category, severity, label, evidence }) => ({ category, severity, label, evidence })),
+});
+
+// author: authorOf(account); frame: thumbnail from makeThumbnail (inline, like override requests)
+export const openIncident = async (
+  db,
+  appId,
+  teamId,
+  { rule, author, sessionId, eventId, assetId, equipment, verdict, frame }
+) => {
+  const now = Date.now();
+  const incident = {
+    id: crypto.randomUUID(),
+    teamId,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    status: "open",
+    openedAt: now,
+    openedBy: author,
+    sessionId,
+    eventId: eventId || null,
+    assetId: assetId || null,
+    equipment: equipment || null,
+    verdict: verdictSummary(verdict),
+    frame: frame ? { dataUrl: frame.dataUrl, width: frame.width, height: frame.height } : null,
+    occurrences: 1,
+    lastSeenAt: now,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null,
+    resolvedBy: null,
+    resolution: "",
+    notifications: {},
+  };
+  await setDoc(doc(incidentsCollection(db, appId, teamId), incident.id), incident);
+  return incident;
+};
+
+export const repeatIncident = (db, appId, teamId, id) =>
+  updateDoc(doc(incidentsCollection(db, appId, teamId), id), { occurrences: increment(1), lastSeenAt: Date.now() });
+
+// Open and acknowledged incidents, newest first; onChange(incidents)
+export const watchActiveIncidents = (db, appId, teamId, onChange, onError) =>
+  onSnapshot(
+    query(incidentsCollection(db, appId, teamId), where("status", "in", ["open", "acknowledged"])),
+    (snap) => onChange(snap.docs.map((d) => d.data()).sort((a, b) => b.openedAt - a.openedAt)),
+    onError
+  );
+
+const transition = (db, appId, teamId, id, change) => {
+  const ref = doc(incidentsCollection(db, appId, teamId), id);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new IncidentError("Incident no longer exists.");
+    const incident = snap.data();
+    const update = change(incident);
+    tx.update(ref, update);
+    return { ...incident, ...update };
+  });
+};
+
+// Supervisors only (firestore.rules enforces the role)
+export const acknowledgeIncident = (db, appId, teamId, id, author) =>
+  transition(db, appId, teamId, id, (incident) => {
+    if (incident.status !== "open") throw new IncidentError(`Incident already ${incident.status}.`);
+    return { status: "acknowledged", acknowledgedAt: Date.now(), acknowledgedBy: author };
+  });
+
+// Resolving an incident nobody acknowledged acknowledges it at the same time
+export const resolveIncident = (db, appId, teamId, id, author, resolution) => {
+  const clean = String(resolution || "").trim().slice(0, MAX_RESOLUTION);
+  if (!clean) return Promise.reject(new IncidentError("A resolution note is required."));
+
+  return transition(db, appId, teamId, id, (incident) => {
+    if (incident.status === "resolved") throw new IncidentError("Incident already resolved.");
+    const now = Date.now();
+    return {
+      status: "resolved",
+      acknowledgedAt: incident.acknowledgedAt || now,
+      acknowledgedBy: incident.acknowledgedBy || author,
+      resolvedAt: now,
+      resolvedBy: author,
+      resolution: clean,
+    };
+  });
+};
+
+// result: /api/escalate response ({ webhook, push }) for one event, or { error } if the proxy was unreachable
+export const recordDelivery = (db, appId, teamId, id, event, result) =>
+  updateDoc(doc(incidentsCollection(db, appId, teamId), id), {
+    [`notifications.${event}`]: {
+      at: Date.now(),
+      webhook: result.webhook || null,
+      push: result.push || null,
+      error: result.error || null,
+    },
+  });
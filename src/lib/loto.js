@@ -0,0 +1,111 @@
+/* =========================
+  LOCKOUT / TAGOUT CHECKLIST
+========================= */
+// The gate in front of repair guidance: every step of the team's LOTO
+// checklist must be confirmed, in order, with a photo before repair_guide can
+// be requested. Confirmations are stored as individual events for audit; the
+// run itself is re-saved under one id like a repair protocol. Checklist
+// helpers are pure and return a new run.
+import { doc, getDoc, setDoc } from "firebase/firestore";
+
+// Built-in steps are labelled through the locale catalogs ("loto.step.<id>");
+// `label` is the English text kept in the audit trail.
+export const DEFAULT_LOTO_STEPS = [
+  { id: "isolate", label: "Isolate every energy source (electrical, stored, mechanical, hydraulic)", builtin: true },
+  { id: "lock", label: "Apply a personal lock to each isolation point", builtin: true },
+  { id: "tag", label: "Attach a danger tag with name, date and reason", builtin: true },
+  { id: "verify_zero", label: "Verify zero energy: test before touch and try to start", builtin: true },
+  { id: "ppe", label: "Wear the PPE required for the voltage class", builtin: true },
+];
+
+const MAX_STEPS = 20;
+const MAX_LABEL = 300;
+
+const lotoConfigDoc = (db, appId, teamId) => doc(db, "artifacts", appId, "teams", teamId, "settings", "loto");
+
+// Stored config is a list of labels; an empty or missing list means the defaults
+export const parseLotoSteps = (labels) => {
+  const custom = (Array.isArray(labels) ? labels : [])
+    .map((label) => String(label ?? "").trim().slice(0, MAX_LABEL))
+    .filter(Boolean)
+    .slice(0, MAX_STEPS);
+  if (!custom.length) return DEFAULT_LOTO_STEPS;
+  // Unedited default lines keep their translations
+  return custom.map(
+    (label, i) => DEFAULT_LOTO_STEPS.find((d) => d.label === label) || { id: `step-${i + 1}`, label, builtin: false }
+  );
+};
+
+export const fetchLotoSteps = async (db, appId, teamId) => {
+  const snap = await getDoc(lotoConfigDoc(db, appId, teamId));
+  return parseLotoSteps(snap.exists() ? snap.data().steps : null);
+};
+
+// labels: [] restores the defaults
+export const saveLotoSteps = async (db, appId, teamId, labels, uid) => {
+  const steps = parseLotoSteps(labels);
+  await setDoc(lotoConfigDoc(db, appId, teamId), {
+    steps: steps === DEFAULT_LOTO_STEPS ? [] : steps.map((step) => step.label),
+    updatedAt: Date.now(),
+    updatedBy: uid || null,
+  });
+  return steps;
+};
+
+// The manufacturer's lockout procedure (equipment profile) is checked off
+// right after isolation, before the team's lock / tag / verify steps.
+export const buildChecklist = (teamSteps, equipment) => {
+  const procedure = (equipment?.lockoutProcedure || []).map((label, i) => ({
+    id: `mfr-${i + 1}`,
+    label: `Manufacturer lockout step ${i + 1}: ${label}`,
+    builtin: false,
+  }));
+  if (!procedure.length) return teamSteps;
+  const at = teamSteps[0]?.id === "isolate" ? 1 : 0;
+  return [...teamSteps.slice(0, at), ...procedure, ...teamSteps.slice(at)];
+};
+
+// status: "open" | "complete" | "void"
+export const createLoto = (steps, { assetId = null, equipment = null } = {}, now = Date.now()) => ({
+  id: crypto.randomUUID(),
+  startedAt: now,
+  completedAt: null,
+  status: "open",
+  voidReason: null,
+  voidedAt: null,
+  assetId,
+  equipment,
+  current: 0,
+  steps: steps.map(({ id, label, builtin }) => ({ id, label, builtin, confirmedAt: null, eventId: null })),
+});
+
+export const currentLotoStep = (loto) => (loto?.status === "open" ? loto.steps[loto.current] || null : null);
+
+export const lotoComplete = (loto) => loto?.status === "complete";
+
+// Built-in steps follow the UI language; team and manufacturer steps are shown as written
+export const lotoStepLabel = (step, t) => (step.builtin ? t(`loto.step.${step.id}`) : step.label);
+
+// eventId: the loto_events record holding the photo for this confirmation
+export const confirmLotoStep = (loto, eventId, now = Date.now()) => {
+  if (!currentLotoStep(loto)) return loto;
+  const steps = loto.steps.map((s, i) => (i === loto.current ? { ...s, confirmedAt: now, eventId } : s));
+  const next = loto.current + 1;
+  return next >= steps.length
+    ? { ...loto, steps, current: next, status: "complete", completedAt: now }
+    : { ...loto, steps, current: next };
+};
+
+// Isolation can no longer be trusted (hazard seen, different asset): start over
+export const voidLoto = (loto, reason, now = Date.now()) =>
+  loto && loto.status !== "void" ? { ...loto, status: "void", voidReason: reason, voidedAt: now } : loto;
+
+// What /api/analyze needs to unlock repair_guide: every step with its photo confirmation
+export const lotoForRequest = (loto) =>
+  lotoComplete(loto)
+    ? {
+        id: loto.id,
+        completedAt: loto.completedAt,
+        steps: loto.steps.map(({ id, label, confirmedAt, eventId }) => ({ id, label, confirmedAt, eventId })),
+      }
+    : null;
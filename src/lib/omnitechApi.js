@@ -0,0 +1,113 @@
+/* =========================
+  OMNITECH API CLIENT
+========================= */
+// The browser never talks to a model directly: every analysis and report
+// goes through the /api proxy, which holds the provider keys. Timeouts,
+// retries and pacing live in the shared request client (requestClient.js).
+import { createRequestClient, createTokenBucket, ApiError, toApiError } from "./requestClient.js";
+
+export { ApiError } from "./requestClient.js";
+
+// Matches the proxy's default per-minute quota, with room for a quick follow-up
+const client = createRequestClient({ bucket: createTokenBucket({ capacity: 3, perMinute: 8 }) });
+
+// A streamed verdict can take a while after the first partial
+const ANALYSIS_TIMEOUT_MS = 45_000;
+const REPORT_TIMEOUT_MS = 60_000;
+const ESCALATE_TIMEOUT_MS = 15_000;
+
+const post = async (path, body, options) => {
+  const response = await client.request(path, body, options);
+  try {
+    return await response.json();
+  } catch (e) {
+    // An empty body is null; a timeout or drop while reading it is still a failure
+    if (e instanceof SyntaxError) return null;
+    throw toApiError(e);
+  }
+};
+
+// -> { ok, waitMs }: take before every analysis request; refused means wait waitMs
+export const takeAnalysisToken = () => client.acquire();
+
+// Newline-delimited JSON from a streamed route (see handleAnalyze): partial
+// events go to onPartial, the final result is returned, an error event throws.
+const readStream = async (response, onPartial) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let result = null;
+
+  const handle = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    if (event.type === "partial") onPartial(event.verdict);
+    else if (event.type === "result") result = event.result;
+    else if (event.type === "error") {
+      throw new ApiError(event.error || "Analysis failed.", {
+        status: event.status || 502,
+        detail: event.detail || "",
+        retryAfter: event.retryAfter || 0,
+        category: event.category,
+      });
+    }
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach(handle);
+    }
+    handle(buffer + decoder.decode());
+  } catch (e) {
+    reader.cancel().catch(() => {});
+    throw toApiError(e);
+  }
+
+  if (!result) throw new ApiError("Analysis stream ended before a verdict.", { status: 502 });
+  return result;
+};
+
+// -> { verdict, repairs, provider, offline, fallback }
+// locale: answer language for the free-text fields (see src/lib/i18n.js)
+// equipment: selected profile (see profileForRequest in src/lib/equipment.js)
+// loto: completed checklist, required for repair_guide (see lotoForRequest in src/lib/loto.js);
+// appId: where the proxy looks up its loto_events confirmations
+// history: earlier turns of the diagnostic thread (see historyForRequest in src/lib/thread.js)
+// onPartial(fields so far): stream the verdict ({ status?, headline?, reasoning?, action_required? });
+// a partial status can only get stricter in the final verdict. signal: AbortSignal to cancel.
+// retries / onRetry: see createRequestClient (watch re-scans pass retries: 0)
+export const analyzeFrame = async ({
+  mode,
+  context,
+  imageBase64,
+  locale,
+  equipment,
+  loto,
+  appId,
+  history,
+  idToken,
+  onPartial,
+  signal,
+  retries,
+  onRetry,
+}) => {
+  const body = { mode, context, imageBase64, locale, equipment, loto, appId, history };
+  const options = { idToken, signal, timeoutMs: ANALYSIS_TIMEOUT_MS, retries, onRetry };
+  if (!onPartial) return post("/api/analyze", body, options);
+  return readStream(await client.request("/api/analyze", { ...body, stream: true }, options), onPartial);
+};
+
+// -> { report, provider, offline, fallback }
+export const requestReport = ({ logText, locale, idToken, onRetry }) =>
+  post("/api/report", { logText, locale }, { idToken, timeoutMs: REPORT_TIMEOUT_MS, onRetry });
+
+// -> { webhook, push } delivery results (null for a channel that isn't configured)
+// event: "opened" | "acknowledged" | "resolved"; the proxy reads the incident itself from
+// artifacts/{appId}/teams/{teamId}/incidents/{incidentId}
+export const notifyIncident = ({ event, appId, teamId, incidentId, idToken }) =>
+  post("/api/escalate", { event, appId, teamId, incidentId }, { idToken, timeoutMs: ESCALATE_TIMEOUT_MS });
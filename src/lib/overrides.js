@@ -0,0 +1,150 @@
+/* =========================
+  SUPERVISOR OVERRIDES
+========================= */
+// Two-person release of a DANGER / UNCERTAIN lock. The technician files a
+// request carrying the analysed frame and verdict; a supervisor on another
+// device approves or rejects it with a reason. Requests live in a team
+// collection (artifacts/{appId}/teams/{teamId}/override_requests) so both
+// devices see them live, and the document doubles as the audit record.
+// An approval is time-boxed and only covers the hazards the supervisor saw.
+import {
+  collection,
+  doc,
+  setDoc,
+  onSnapshot,
+  query,
+  where,
+  runTransaction,
+  updateDoc,
+} from "firebase/firestore";
+
+// status: "pending" | "approved" | "rejected" | "cancelled"
+// firestore.rules caps an approval at the longest of these
+export const OVERRIDE_DURATIONS_MIN = [5, 15, 30];
+export const DEFAULT_OVERRIDE_MIN = 15;
+
+const requestsCollection = (db, appId, teamId) => collection(db, "artifacts", appId, "teams", teamId, "override_requests");
+
+export class OverrideError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "OverrideError";
+  }
+}
+
+const verdictSummary = (verdict) => ({
+  status: verdict.status,
+  headline: verdict.headline,
+  reasoning: verdict.reasoning,
+  action_required: verdict.action_required,
+  findings: (verdict.findings || []).map(({ category, severity, label, evidence }) => ({ category, severity, label, evidence })),
+});
+
+// frame: thumbnail from makeThumbnail (inline; the request must be readable at once)
+export const requestOverride = async (
+  db,
+  appId,
+  teamId,
+  { uid, requesterName, requesterRole, sessionId, assetId, equipment, verdict, frame, note }
+) => {
+  const request = {
+    id: crypto.randomUUID(),
+    teamId,
+    status: "pending",
+    requestedAt: Date.now(),
+    requestedBy: uid,
+    requesterName: requesterName || "",
+    requesterRole: requesterRole || "",
+    sessionId,
+    assetId: assetId || null,
+    equipment: equipment || null,
+    verdict: verdictSummary(verdict),
+    frame: frame ? { dataUrl: frame.dataUrl, width: frame.width, height: frame.height } : null,
+    note: note || "",
+    decidedAt: null,
+    decidedBy: null,
+    deciderName: "",
+    deciderRole: "",
+    reason: "",
+    expiresAt: null,
+  };
+  await setDoc(doc(requestsCollection(db, appId, teamId), request.id), request);
+  return request;
+};
+
+// onChange(request | null); returns the unsubscribe function
+export const watchOverride = (db, appId, teamId, id, onChange, onError) =>
+  onSnapshot(
+    doc(requestsCollection(db, appId, teamId), id),
+    (snap) => onChange(snap.exists() ? snap.data() : null),
+    onError
+  );
+
+// Pending requests from other team members, oldest first
+export const watchPendingOverrides = (db, appId, teamId, uid, onChange, onError) =>
+  onSnapshot(
+    query(requestsCollection(db, appId, teamId), where("status", "==", "pending")),
+    (snap) =>
+      onChange(
+        snap.docs
+          .map((d) => d.data())
+          .filter((r) => r.requestedBy !== uid)
+          .sort((a, b) => a.requestedAt - b.requestedAt)
+      ),
+    onError
+  );
+
+// Two people, one decision: the requester can't approve their own lock, and
+// a request someone else already decided is left alone. Only supervisors get
+// here (firestore.rules enforces the role).
+export const decideOverride = (db, appId, teamId, id, { approve, reason, durationMin, uid, deciderName, deciderRole }) => {
+  const clean = String(reason || "").trim();
+  if (!clean) return Promise.reject(new OverrideError("A reason is required."));
+
+  const ref = doc(requestsCollection(db, appId, teamId), id);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new OverrideError("Request no longer exists.");
+    const request = snap.data();
+    if (request.status !== "pending") throw new OverrideError(`Request already ${request.status}.`);
+    if (request.requestedBy === uid) throw new OverrideError("You cannot decide your own override request.");
+
+    const now = Date.now();
+    const decision = {
+      status: approve ? "approved" : "rejected",
+      decidedAt: now,
+      decidedBy: uid,
+      deciderName: deciderName || "",
+      deciderRole: deciderRole || "",
+      reason: clean,
+      expiresAt: approve ? now + Math.min(durationMin || DEFAULT_OVERRIDE_MIN, Math.max(...OVERRIDE_DURATIONS_MIN)) * 60_000 : null,
+    };
+    tx.update(ref, decision);
+    return { ...request, ...decision };
+  });
+};
+
+export const cancelOverride = (db, appId, teamId, id) =>
+  updateDoc(doc(requestsCollection(db, appId, teamId), id), { status: "cancelled", decidedAt: Date.now() });
+
+export const overrideActive = (request, now = Date.now()) =>
+  request?.status === "approved" && now < request.expiresAt;
+
+// A critical finding the supervisor never saw is a new hazard: the override does not cover it.
+// A DANGER without critical findings is only covered when it is the same call the supervisor
+// reviewed (no critical findings there either, same headline); anything else voids the override.
+const findingKey = (f) => `${f.category}:${String(f.label).trim().toLowerCase()}`;
+const sameText = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+export const overrideCovers = (request, verdict) => {
+  const reviewed = request.verdict;
+  const critical = verdict.findings.filter((f) => f.severity === "critical");
+  if (!critical.length) {
+    return (
+      verdict.status === reviewed.status &&
+      sameText(verdict.headline, reviewed.headline) &&
+      !reviewed.findings.some((f) => f.severity === "critical")
+    );
+  }
+  const seen = new Set(reviewed.findings.map(findingKey));
+  return critical.every((f) => seen.has(findingKey(f)));
+};
@@ -0,0 +1,41 @@
+/* =========================
+  USER PREFERENCES
+========================= */
+// Per-user settings live in artifacts/{appId}/users/{uid}/settings/preferences
+// so they follow the technician across devices. localStorage keeps the last
+// value for an instant first paint and for sessions without Firestore.
+import { doc, getDoc, setDoc } from "firebase/firestore";
+
+const LOCAL_KEY = "omnitech.preferences";
+
+const preferencesDoc = (db, appId, uid) => doc(db, "artifacts", appId, "users", uid, "settings", "preferences");
+
+export const loadLocalPreferences = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const saveLocalPreferences = (prefs) => {
+  try {
+    localStorage.setItem(LOCAL_KEY, JSON.stringify({ ...loadLocalPreferences(), ...prefs }));
+  } catch (e) {
+    console.warn("Preferences not cached locally:", e);
+  }
+};
+
+export const fetchPreferences = async (db, appId, uid) => {
+  const snap = await getDoc(preferencesDoc(db, appId, uid));
+  const prefs = snap.exists() ? snap.data() : {};
+  saveLocalPreferences(prefs);
+  return prefs;
+};
+
+// Local copy is written first so an offline change still sticks on this device
+export const savePreferences = async (db, appId, uid, prefs) => {
+  saveLocalPreferences(prefs);
+  if (!db || !uid) return;
+  await setDoc(preferencesDoc(db, appId, uid), { ...prefs, updatedAt: Date.now() }, { merge: true });
+};
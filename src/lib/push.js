@@ -0,0 +1,70 @@
+/* =========================
+  WEB PUSH SUBSCRIPTIONS
+========================= */
+// Supervisors opt in per device to be paged when an incident opens, even with
+// the app closed. The subscription is kept in the team's push_subscriptions
+// collection, which /api/escalate reads when an incident opens; the proxy holds
+// the VAPID private key (server/webpush.js). public/sw.js shows the notification.
+import { collection, doc, setDoc, deleteDoc } from "firebase/firestore";
+
+const SW_URL = "/sw.js";
+
+const subscriptionsCollection = (db, appId, teamId) =>
+  collection(db, "artifacts", appId, "teams", teamId, "push_subscriptions");
+
+export const pushSupported = () =>
+  "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+const keyBytes = (base64url) => {
+  const base64 = base64url.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(base64url.length / 4) * 4, "=");
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+};
+
+// Endpoints are long URLs; the document id only has to be stable per device
+const subscriptionId = async (endpoint) => {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(endpoint));
+  return Array.from(new Uint8Array(digest).slice(0, 16), (b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+export const currentPushSubscription = async () => {
+  if (!pushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SW_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// author: authorOf(account); vapidKey: VITE_VAPID_PUBLIC_KEY
+export const enablePush = async (db, appId, teamId, author, vapidKey) => {
+  if ((await Notification.requestPermission()) !== "granted") return null;
+
+  const registration = await navigator.serviceWorker.register(SW_URL);
+  await navigator.serviceWorker.ready;
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(vapidKey) }));
+
+  const { endpoint, keys } = subscription.toJSON();
+  await setDoc(doc(subscriptionsCollection(db, appId, teamId), await subscriptionId(endpoint)), {
+    uid: author.uid,
+    name: author.name,
+    role: author.role,
+    endpoint,
+    keys,
+    userAgent: navigator.userAgent.slice(0, 200),
+    createdAt: Date.now(),
+  });
+  return subscription;
+};
+
+export const disablePush = async (db, appId, teamId) => {
+  const subscription = await currentPushSubscription();
+  if (!subscription) return;
+  await deleteDoc(doc(subscriptionsCollection(db, appId, teamId), await subscriptionId(subscription.endpoint)));
+  await subscription.unsubscribe();
+};
+
+// The push service reported these endpoints as gone (HTTP 404 / 410)
+export const forgetPushTargets = async (db, appId, teamId, endpoints) => {
+  for (const endpoint of endpoints) {
+    await deleteDoc(doc(subscriptionsCollection(db, appId, teamId), await subscriptionId(endpoint)));
+  }
+};
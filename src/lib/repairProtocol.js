@@ -0,0 +1,73 @@
+/* =========================
+  REPAIR PROTOCOL RUNNER
+========================= */
+// Turns the model's repair_steps into a walkthrough the technician confirms
+// step by step. Steps that energise equipment or carry other risk need a fresh
+// SAFE safety_check before they can be marked done, and any DANGER verdict
+// aborts the whole protocol. All helpers are pure: they return a new protocol.
+
+export const STEP_OUTCOMES = ["done", "skipped", "failed"];
+
+// The prompt asks the model to tag risky steps; keywords catch untagged ones
+const TAG_RX = /^\s*\[(ENERGI[SZ]E|HAZARD)\]\s*/i;
+const ENERGISE_RX = /\b(re-?energi[sz]e|power (it )?(back )?on|switch (it )?(back )?on|turn (it )?(back )?on|restore power|plug (it )?(back )?in|close the breaker)\b/i;
+const HAZARD_RX = /\b(live|energi[sz]ed|high voltage|capacitor|discharge|solder|hot surface|rotating|under load)\b/i;
+
+// "energising" | "hazardous" | null
+export const classifyStep = (text) => {
+  const tag = TAG_RX.exec(text)?.[1]?.toUpperCase();
+  const clean = text.replace(TAG_RX, "");
+  if (tag?.startsWith("ENERGI") || ENERGISE_RX.test(clean)) return { text: clean, flag: "energising" };
+  if (tag === "HAZARD" || HAZARD_RX.test(clean)) return { text: clean, flag: "hazardous" };
+  return { text: clean, flag: null };
+};
+
+// status: "active" | "complete" | "aborted"
+export const createProtocol = (repairSteps, now = Date.now()) => ({
+  id: crypto.randomUUID(),
+  startedAt: now,
+  endedAt: null,
+  status: "active",
+  abortReason: null,
+  current: 0,
+  verifiedAt: null, // last SAFE safety_check since the current step began
+  steps: repairSteps.map((text) => ({ ...classifyStep(text), outcome: null, at: null, verifiedAt: null })),
+});
+
+export const currentStep = (protocol) =>
+  protocol?.status === "active" ? protocol.steps[protocol.current] || null : null;
+
+// A flagged step can only be completed after a SAFE scan taken while it was current
+export const needsVerification = (protocol) => {
+  const step = currentStep(protocol);
+  return Boolean(step?.flag) && !protocol.verifiedAt;
+};
+
+export const markVerified = (protocol, now = Date.now()) =>
+  currentStep(protocol) ? { ...protocol, verifiedAt: now } : protocol;
+
+// outcome: one of STEP_OUTCOMES; a failed step stops the protocol
+export const recordStep = (protocol, outcome, now = Date.now()) => {
+  const step = currentStep(protocol);
+  if (!step || !STEP_OUTCOMES.includes(outcome)) return protocol;
+  if (outcome === "done" && needsVerification(protocol)) return protocol;
+
+  const steps = protocol.steps.map((s, i) =>
+    i === protocol.current ? { ...s, outcome, at: now, verifiedAt: protocol.verifiedAt } : s
+  );
+  const next = protocol.current + 1;
+
+  if (outcome === "failed") {
+    return { ...protocol, steps, status: "aborted", abortReason: `Step ${next} failed`, endedAt: now };
+  }
+  if (next >= steps.length) {
+    return { ...protocol, steps, current: next, status: "complete", endedAt: now };
+  }
+  return { ...protocol, steps, current: next, verifiedAt: null };
+};
+
+export const abortProtocol = (protocol, reason, now = Date.now()) =>
+  protocol?.status === "active" ? { ...protocol, status: "aborted", abortReason: reason, endedAt: now } : protocol;
+
+export const describeStep = (protocol, step = currentStep(protocol)) =>
+  step ? `Step ${protocol.steps.indexOf(step) + 1} of ${protocol.steps.length}. ${step.text}` : "";
@@ -0,0 +1,492 @@
+/* =========================
+  FIELD REPORT
+========================= */
+// One structured model per report, built deterministically from session
+// data, then rendered to printable HTML, PDF and JSON. The LLM prose summary
+// is an optional section, never the source of truth.
+
+export const REPORT_SCHEMA = "omnitech.field_report/v1";
+
+const STATUS_RANK = { SAFE: 0, UNCERTAIN: 1, DANGER: 2 };
+
+const byTime = (a, b) => a.at - b.at;
+const formatTime = (ms) => new Date(ms).toLocaleString();
+// "Jane Doe (supervisor)"; demo / unnamed use shows just the name
+const withRole = ({ name, role }) => (name && role && role !== "demo" ? `${name} (${role})` : name || "");
+
+/*
+  session:   { id, startedAt, endedAt }
+  events:    [{ eventId, at, mode, status, headline, reasoning, action_required, findings, repair_steps, evidenceSrc, equipment, assetId, author }]
+  logs:      [{ at, source, message }]
+  protocols: repair protocol runs (see repairProtocol.js)
+  lotos:     lockout / tagout runs (see loto.js); untouched runs are left out
+  site / signOff: free text captured in the report dialog
+  technician: { name, unit, role } — the signed-in account, or the typed name in demo use
+  summary:   { text, provider } | null
+*/
+export const buildReportModel = ({
+  session,
+  events = [],
+  logs = [],
+  protocols = [],
+  lotos = [],
+  site = {},
+  technician = {},
+  signOff = null,
+  summary = null,
+  generatedAt = Date.now(),
+}) => {
+  const timeline = [...logs].sort(byTime).map((l) => ({ at: l.at, source: l.source, message: l.message }));
+  const verdicts = [...events].sort(byTime);
+
+  const worstStatus = verdicts.reduce(
+    (worst, e) => (STATUS_RANK[e.status] > STATUS_RANK[worst] ? e.status : worst),
+    verdicts.length ? "SAFE" : "UNCERTAIN"
+  );
+
+  return {
+    schema: REPORT_SCHEMA,
+    reportId: `${session.id.slice(0, 8)}-${generatedAt}`,
+    generatedAt,
+    site: { name: site.name || "", location: site.location || "" },
+    technician: { name: technician.name || "", unit: technician.unit || "", role: technician.role || "" },
+    // Named accounts the scans were recorded under (asset history can mix technicians)
+    recordedBy: [...new Map(verdicts.filter((e) => e.author?.name).map((e) => [e.author.uid, e.author])).values()].map(
+      ({ name, role }) => ({ name, role: role || "" })
+    ),
+    // Distinct equipment profiles the scans were grounded in
+    equipment: [...new Map(verdicts.filter((e) => e.equipment).map((e) => [e.equipment.id, e.equipment])).values()].map(
+      ({ id, label }) => ({ id, label })
+    ),
+    assets: [...new Set(verdicts.map((e) => e.assetId).filter(Boolean))],
+    session: {
+      id: session.id,
+      startedAt: session.startedAt ?? verdicts[0]?.at ?? timeline[0]?.at ?? generatedAt,
+      endedAt: session.endedAt ?? verdicts.at(-1)?.at ?? timeline.at(-1)?.at ?? generatedAt,
+    },
+    outcome: {
+      finalStatus: verdicts.at(-1)?.status || "UNCERTAIN",
+      worstStatus,
+      scans: verdicts.length,
+    },
+    findings: verdicts.flatMap((e) =>
+      (e.findings || []).map((f) => ({
+        at: e.at,
+        eventId: e.eventId,
+        category: f.category,
+        severity: f.severity,
+        label: f.label,
+        evidence: f.evidence || "",
+      }))
+    ),
+    actions: verdicts.map((e) => ({
+      at: e.at,
+      eventId: e.eventId,
+      mode: e.mode,
+      status: e.status,
+      headline: e.headline,
+      action: e.action_required,
+      repairSteps: e.repair_steps || [],
+    })),
+    repairProtocols: [...protocols]
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .map((p) => ({
+        id: p.id,
+        startedAt: p.startedAt,
+        endedAt: p.endedAt,
+        status: p.status,
+        abortReason: p.abortReason,
+        steps: p.steps.map(({ text, flag, outcome, at, verifiedAt }) => ({ text, flag, outcome, at, verifiedAt })),
+      })),
+    lockouts: lotos
+      .filter((l) => l.steps.some((s) => s.confirmedAt))
+      .sort((a, b) => a.startedAt - b.startedAt)
+      .map((l) => ({
+        id: l.id,
+        startedAt: l.startedAt,
+        completedAt: l.completedAt,
+        status: l.status,
+        voidReason: l.voidReason,
+        assetId: l.assetId,
+        steps: l.steps.map(({ label, confirmedAt, eventId }) => ({ label, confirmedAt, eventId })),
+      })),
+    evidence: verdicts
+      .filter((e) => e.evidenceSrc)
+      .map((e) => ({ at: e.at, eventId: e.eventId, status: e.status, headline: e.headline, src: e.evidenceSrc })),
+    timeline,
+    summary: summary?.text ? { text: summary.text, provider: summary.provider || "" } : null,
+    signOff: {
+      technician: signOff?.technician || "",
+      supervisor: signOff?.supervisor || "",
+      signedAt: signOff?.signedAt || null,
+    },
+  };
+};
+
+/* -------------------------
+  JSON
+------------------------- */
+export const renderReportJson = (model) => JSON.stringify(model, null, 2);
+
+// Firestore copy: inline images would blow the 1 MB doc limit, keep references only
+export const reportForStorage = (model) => ({
+  ...model,
+  evidence: model.evidence.map(({ src, ...rest }) => (src?.startsWith("data:") ? rest : { ...rest, src })),
+});
+
+// Plain "[time] SOURCE: message" lines for the optional LLM summary
+export const reportLogText = (model) =>
+  model.timeline.map((t) => `[${new Date(t.at).toLocaleTimeString()}] ${t.source}: ${t.message}`).join("\n");
+
+/* -------------------------
+  HTML
+------------------------- */
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const STATUS_COLORS = { SAFE: "#059669", DANGER: "#dc2626", UNCERTAIN: "#d97706" };
+const SEVERITY_COLORS = { critical: "#dc2626", caution: "#d97706", info: "#0891b2" };
+
+const badge = (text, color) =>
+  `<span class="badge" style="background:${color}">${escapeHtml(text)}</span>`;
+
+export const renderReportHtml = (model) => {
+  const e = escapeHtml;
+  const section = (title, body) => `<section><h2>${e(title)}</h2>${body}</section>`;
+  const empty = (text) => `<p class="muted">${e(text)}</p>`;
+
+  const header = `
+    <header>
+      <h1>Field Incident Report</h1>
+      <table class="meta">
+        <tr><th>Report ID</th><td>${e(model.reportId)}</td><th>Generated</th><td>${e(formatTime(model.generatedAt))}</td></tr>
+        <tr><th>Site</th><td>${e(model.site.name) || "—"}</td><th>Location</th><td>${e(model.site.location) || "—"}</td></tr>
+        <tr><th>Technician</th><td>${e(withRole(model.technician)) || "—"}</td><th>Unit</th><td>${e(model.technician.unit) || "—"}</td></tr>
+        <tr><th>Recorded by</th><td colspan="3">${e(model.recordedBy.map(withRole).join(", ")) || "—"}</td></tr>
+        <tr><th>Equipment</th><td>${e(model.equipment.map((q) => q.label).join(", ")) || "—"}</td><th>Asset tag</th><td>${e(model.assets.join(", ")) || "—"}</td></tr>
+        <tr><th>Session</th><td>${e(model.session.id.slice(0, 8))}</td><th>Window</th><td>${e(formatTime(model.session.startedAt))} → ${e(formatTime(model.session.endedAt))}</td></tr>
+        <tr><th>Final status</th><td>${badge(model.outcome.finalStatus, STATUS_COLORS[model.outcome.finalStatus])}</td><th>Worst status</th><td>${badge(model.outcome.worstStatus, STATUS_COLORS[model.outcome.worstStatus])} over ${model.outcome.scans} scan(s)</td></tr>
+      </table>
+    </header>`;
+
+  const summary = model.summary
+    ? section("Summary", `<p class="prose">${e(model.summary.text)}</p><p class="muted">AI-generated (${e(model.summary.provider)}). Verify against the timeline below.</p>`)
+    : "";
+
+  const findings = section(
+    "Findings",
+    model.findings.length
+      ? `<table><tr><th>Time</th><th>Severity</th><th>Category</th><th>Finding</th><th>Evidence</th></tr>${model.findings
+          .map(
+            (f) =>
+              `<tr><td>${e(new Date(f.at).toLocaleTimeString())}</td><td>${badge(f.severity, SEVERITY_COLORS[f.severity])}</td><td>${e(f.category)}</td><td>${e(f.label)}</td><td>${e(f.evidence)}</td></tr>`
+          )
+          .join("")}</table>`
+      : empty("No findings recorded.")
+  );
+
+  const actions = section(
+    "Actions & Recommendations",
+    model.actions.length
+      ? `<table><tr><th>Time</th><th>Mode</th><th>Status</th><th>Verdict</th><th>Action</th></tr>${model.actions
+          .map(
+            (a) =>
+              `<tr><td>${e(new Date(a.at).toLocaleTimeString())}</td><td>${e(a.mode)}</td><td>${badge(a.status, STATUS_COLORS[a.status])}</td><td>${e(a.headline)}</td><td>${e(a.action)}${
+                a.repairSteps.length ? `<ol>${a.repairSteps.map((s) => `<li>${e(s)}</li>`).join("")}</ol>` : ""
+              }</td></tr>`
+          )
+          .join("")}</table>`
+      : empty("No scans recorded.")
+  );
+
+  const OUTCOME_COLORS = { done: "#059669", skipped: "#64748b", failed: "#dc2626" };
+  const protocols = model.repairProtocols.length
+    ? section(
+        "Repair Protocol",
+        model.repairProtocols
+          .map(
+            (p) =>
+              `<p><strong>Started ${e(formatTime(p.startedAt))}</strong> — ${badge(p.status, p.status === "aborted" ? "#dc2626" : p.status === "complete" ? "#059669" : "#d97706")}${
+                p.abortReason ? ` ${e(p.abortReason)}` : ""
+              }</p><table><tr><th>#</th><th>Step</th><th>Outcome</th><th>Time</th><th>Re-verified</th></tr>${p.steps
+                .map(
+                  (st, i) =>
+                    `<tr><td>${i + 1}</td><td>${e(st.text)}${st.flag ? ` ${badge(st.flag, "#d97706")}` : ""}</td><td>${
+                      st.outcome ? badge(st.outcome, OUTCOME_COLORS[st.outcome]) : "—"
+                    }</td><td>${st.at ? e(new Date(st.at).toLocaleTimeString()) : "—"}</td><td>${
+                      st.verifiedAt ? e(new Date(st.verifiedAt).toLocaleTimeString()) : st.flag ? "not verified" : "n/a"
+                    }</td></tr>`
+                )
+                .join("")}</table>`
+          )
+          .join("")
+      )
+    : "";
+
+  const lockouts = model.lockouts.length
+    ? section(
+        "Lockout / Tagout",
+        model.lockouts
+          .map(
+            (l) =>
+              `<p><strong>Started ${e(formatTime(l.startedAt))}</strong> — ${badge(l.status, l.status === "void" ? "#dc2626" : l.status === "complete" ? "#059669" : "#d97706")}${
+                l.voidReason ? ` ${e(l.voidReason)}` : ""
+              }</p><table><tr><th>#</th><th>Step</th><th>Photo-confirmed</th></tr>${l.steps
+                .map(
+                  (st, i) =>
+                    `<tr><td>${i + 1}</td><td>${e(st.label)}</td><td>${st.confirmedAt ? e(new Date(st.confirmedAt).toLocaleTimeString()) : "—"}</td></tr>`
+                )
+                .join("")}</table>`
+          )
+          .join("")
+      )
+    : "";
+
+  const evidence = section(
+    "Evidence Frames",
+    model.evidence.length
+      ? `<div class="evidence">${model.evidence
+          .map(
+            (ev) =>
+              `<figure><img src="${e(ev.src)}" alt="${e(ev.headline)}"/><figcaption>[${e(new Date(ev.at).toLocaleTimeString())}] ${e(ev.status)}: ${e(ev.headline)}</figcaption></figure>`
+          )
+          .join("")}</div>`
+      : empty("No evidence frames captured.")
+  );
+
+  const timeline = section(
+    "Timeline",
+    model.timeline.length
+      ? `<table class="timeline">${model.timeline
+          .map((t) => `<tr><td>${e(new Date(t.at).toLocaleTimeString())}</td><td>${e(t.source)}</td><td>${e(t.message)}</td></tr>`)
+          .join("")}</table>`
+      : empty("No log entries.")
+  );
+
+  const signOff = section(
+    "Sign-off",
+    `<div class="signoff">
+      <div><span>${e(model.signOff.technician) || "&nbsp;"}</span><label>Technician</label></div>
+      <div><span>${e(model.signOff.supervisor) || "&nbsp;"}</span><label>Supervisor</label></div>
+      <div><span>${model.signOff.signedAt ? e(formatTime(model.signOff.signedAt)) : "&nbsp;"}</span><label>Date</label></div>
+    </div>`
+  );
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>Field Incident Report ${e(model.reportId)}</title>
+<style>
+  body { font: 12px/1.45 -apple-system, "Segoe UI", Roboto, sans-serif; color: #0f172a; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 12px; letter-spacing: .05em; text-transform: uppercase; }
+  h2 { font-size: 13px; margin: 20px 0 6px; padding-bottom: 4px; border-bottom: 2px solid #0f172a; text-transform: uppercase; letter-spacing: .08em; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; vertical-align: top; padding: 4px 6px; border-bottom: 1px solid #e2e8f0; }
+  th { font-size: 10px; text-transform: uppercase; color: #475569; }
+  .meta th { width: 14%; }
+  .badge { display: inline-block; padding: 1px 6px; border-radius: 3px; color: #fff; font-size: 10px; font-weight: 700; text-transform: uppercase; }
+  .muted { color: #64748b; font-style: italic; }
+  .prose { white-space: pre-wrap; }
+  .timeline td:first-child { white-space: nowrap; color: #64748b; }
+  .evidence { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; }
+  figure { margin: 0; break-inside: avoid; }
+  figure img { width: 100%; border: 1px solid #cbd5e1; border-radius: 3px; }
+  figcaption { font-size: 10px; color: #334155; }
+  ol { margin: 4px 0 0 16px; padding: 0; }
+  .signoff { display: grid; grid-template-columns: repeat(3, 1fr); gap: 24px; margin-top: 24px; }
+  .signoff span { display: block; border-bottom: 1px solid #0f172a; min-height: 18px; }
+  .signoff label { font-size: 10px; text-transform: uppercase; color: #475569; }
+  @media print { body { margin: 0; } section { break-inside: avoid-page; } }
+</style>
+</head>
+<body>
+${header}
+${summary}
+${findings}
+${actions}
+${lockouts}
+${protocols}
+${evidence}
+${timeline}
+${signOff}
+</body>
+</html>`;
+};
+
+/* -------------------------
+  PDF
+------------------------- */
+// jsPDF's built-in Helvetica only encodes WinAnsi: Latin-1 plus these marks.
+// Anything else (Japanese answers, notes in other scripts) comes out garbled.
+const WIN_ANSI_EXTRAS = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+
+const winAnsiOnly = (value) =>
+  [...value].every((ch) => {
+    const code = ch.codePointAt(0);
+    return (
+      code === 9 ||
+      code === 10 ||
+      code === 13 ||
+      (code >= 0x20 && code <= 0x7e) ||
+      (code >= 0xa0 && code <= 0xff) ||
+      WIN_ANSI_EXTRAS.includes(ch)
+    );
+  });
+
+// False when the PDF font can't show the report; the app then doesn't offer PDF
+export const canRenderPdf = (model) =>
+  winAnsiOnly(JSON.stringify({ ...model, evidence: model.evidence.map((ev) => ({ ...ev, src: "" })) })) &&
+  winAnsiOnly(formatTime(model.generatedAt));
+
+// jsPDF is loaded on demand so the main bundle doesn't carry it.
+export const renderReportPdf = async (model) => {
+  const { jsPDF } = await import("jspdf");
+  const pdf = new jsPDF({ unit: "pt", format: "a4" });
+
+  const margin = 40;
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const width = pageWidth - margin * 2;
+  let y = margin;
+
+  const ensureSpace = (needed) => {
+    if (y + needed > pageHeight - margin) {
+      pdf.addPage();
+      y = margin;
+    }
+  };
+
+  const text = (value, { size = 9, bold = false, indent = 0 } = {}) => {
+    pdf.setFont("helvetica", bold ? "bold" : "normal");
+    pdf.setFontSize(size);
+    const lines = pdf.splitTextToSize(String(value ?? ""), width - indent);
+    for (const line of lines) {
+      ensureSpace(size * 1.4);
+      pdf.text(line, margin + indent, y + size);
+      y += size * 1.4;
+    }
+  };
+
+  const heading = (title) => {
+    ensureSpace(30);
+    y += 10;
+    text(title.toUpperCase(), { size: 11, bold: true });
+    pdf.setLineWidth(1);
+    pdf.line(margin, y, pageWidth - margin, y);
+    y += 6;
+  };
+
+  const t = (ms) => new Date(ms).toLocaleTimeString();
+
+  text("FIELD INCIDENT REPORT", { size: 16, bold: true });
+  y += 4;
+  text(`Report ID: ${model.reportId}    Generated: ${formatTime(model.generatedAt)}`);
+  text(`Site: ${model.site.name || "—"}    Location: ${model.site.location || "—"}`);
+  text(`Technician: ${withRole(model.technician) || "—"}    Unit: ${model.technician.unit || "—"}`);
+  text(`Recorded by: ${model.recordedBy.map(withRole).join(", ") || "—"}`);
+  text(`Equipment: ${model.equipment.map((q) => q.label).join(", ") || "—"}    Asset tag: ${model.assets.join(", ") || "—"}`);
+  text(`Session: ${model.session.id.slice(0, 8)}    ${formatTime(model.session.startedAt)} - ${formatTime(model.session.endedAt)}`);
+  text(`Final status: ${model.outcome.finalStatus}    Worst status: ${model.outcome.worstStatus} over ${model.outcome.scans} scan(s)`, { bold: true });
+
+  if (model.summary) {
+    heading("Summary");
+    text(model.summary.text);
+    text(`AI-generated (${model.summary.provider}). Verify against the timeline.`, { size: 8 });
+  }
+
+  heading("Findings");
+  if (!model.findings.length) text("No findings recorded.");
+  model.findings.forEach((f) => {
+    text(`[${t(f.at)}] ${f.severity.toUpperCase()} / ${f.category}: ${f.label}`, { bold: true });
+    if (f.evidence) text(f.evidence, { indent: 12 });
+  });
+
+  heading("Actions & Recommendations");
+  if (!model.actions.length) text("No scans recorded.");
+  model.actions.forEach((a) => {
+    text(`[${t(a.at)}] ${a.mode} — ${a.status}: ${a.headline}`, { bold: true });
+    text(a.action, { indent: 12 });
+    a.repairSteps.forEach((s, i) => text(`${i + 1}. ${s}`, { indent: 24 }));
+  });
+
+  model.lockouts.forEach((l) => {
+    heading("Lockout / Tagout");
+    text(`Started ${formatTime(l.startedAt)} — ${l.status.toUpperCase()}${l.voidReason ? `: ${l.voidReason}` : ""}`, { bold: true });
+    l.steps.forEach((st, i) =>
+      text(`${i + 1}. ${st.label} — ${st.confirmedAt ? `photo-confirmed ${t(st.confirmedAt)}` : "not confirmed"}`, { indent: 12 })
+    );
+  });
+
+  model.repairProtocols.forEach((p) => {
+    heading("Repair Protocol");
+    text(`Started ${formatTime(p.startedAt)} — ${p.status.toUpperCase()}${p.abortReason ? `: ${p.abortReason}` : ""}`, { bold: true });
+    p.steps.forEach((st, i) => {
+      const flag = st.flag ? ` [${st.flag}]` : "";
+      const verified = st.verifiedAt ? `, re-verified ${t(st.verifiedAt)}` : "";
+      text(`${i + 1}. ${st.text}${flag} — ${st.outcome ? `${st.outcome.toUpperCase()} ${t(st.at)}${verified}` : "not reached"}`, { indent: 12 });
+    });
+  });
+
+  heading("Evidence Frames");
+  if (!model.evidence.length) text("No evidence frames captured.");
+  const imgWidth = (width - 20) / 3;
+  let col = 0;
+  for (const ev of model.evidence) {
+    const imgHeight = imgWidth * 0.5625;
+    if (col === 0) ensureSpace(imgHeight + 24);
+    const x = margin + col * (imgWidth + 10);
+    try {
+      // Remote (Storage) URLs would need CORS fetches; only inline frames are embedded
+      if (ev.src.startsWith("data:")) pdf.addImage(ev.src, "JPEG", x, y, imgWidth, imgHeight);
+      else pdf.text("[frame stored online]", x, y + imgHeight / 2);
+    } catch (err) {
+      console.warn("Evidence image skipped in PDF:", err);
+    }
+    pdf.setFontSize(7);
+    pdf.text(pdf.splitTextToSize(`[${t(ev.at)}] ${ev.status}: ${ev.headline}`, imgWidth), x, y + imgHeight + 9);
+    col = (col + 1) % 3;
+    if (col === 0) y += imgHeight + 24;
+  }
+  if (col !== 0) {
+    const imgHeight = imgWidth * 0.5625;
+    y += imgHeight + 24;
+  }
+
+  heading("Timeline");
+  if (!model.timeline.length) text("No log entries.");
+  model.timeline.forEach((l) => text(`[${t(l.at)}] ${l.source}: ${l.message}`, { size: 8 }));
+
+  heading("Sign-off");
+  y += 24;
+  ensureSpace(40);
+  const colWidth = (width - 40) / 3;
+  [
+    ["Technician", model.signOff.technician],
+    ["Supervisor", model.signOff.supervisor],
+    ["Date", model.signOff.signedAt ? formatTime(model.signOff.signedAt) : ""],
+  ].forEach(([label, value], i) => {
+    const x = margin + i * (colWidth + 20);
+    pdf.setFontSize(9);
+    if (value) pdf.text(String(value), x, y - 4);
+    pdf.line(x, y, x + colWidth, y);
+    pdf.setFontSize(7);
+    pdf.text(label.toUpperCase(), x, y + 10);
+  });
+
+  return pdf.output("blob");
+};
+
+/* -------------------------
+  DOWNLOAD
+------------------------- */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const reportFilename = (model, ext) => `omnitech-report-${model.reportId}.${ext}`;
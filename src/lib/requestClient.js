@@ -0,0 +1,126 @@
+/* =========================
+  REQUEST CLIENT
+========================= */
+// The one path from the browser to the /api proxy. Each attempt has its own
+// timeout; a dropped connection, or a 429 / 503 whose Retry-After is short,
+// is retried with exponential backoff. 502 / 504 are not: the proxy has
+// already retried the provider and moved to its fallback. Every failure comes
+// out as an ApiError whose `category` the session log shows as a badge.
+// Analysis calls also take a token from a bucket first, so taps and watch
+// re-scans are paced before they ever cost quota.
+
+// auth | quota | rate_limit | circuit_open | timeout | network | provider
+// rejected | bad_response, from the proxy's body or else the HTTP status
+export const categoryFor = (status) => {
+  if (status === 0) return "network";
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "quota";
+  if (status === 503) return "circuit_open";
+  if (status === 504) return "timeout";
+  return status >= 500 ? "provider" : "rejected";
+};
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, detail = "", retryAfter = 0, category = "" } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.detail = detail;
+    this.retryAfter = retryAfter; // seconds
+    this.category = category || categoryFor(status);
+  }
+}
+
+// Fetch and parse failures as ApiErrors; a caller's abort stays an AbortError
+export const toApiError = (e) => {
+  if (e instanceof ApiError || e?.name === "AbortError") return e;
+  if (e?.name === "TimeoutError") return new ApiError("OmniTech API did not answer in time.", { category: "timeout" });
+  if (e instanceof SyntaxError) {
+    return new ApiError("Unreadable response from OmniTech API.", { status: 502, category: "bad_response" });
+  }
+  return new ApiError("Connection to OmniTech Core failed. Check network.", { detail: e?.message || "" });
+};
+
+// capacity: calls allowed back to back; perMinute: sustained rate.
+// take() -> { ok, waitMs } (waitMs: until the next token, when refused)
+export const createTokenBucket = ({ capacity, perMinute }) => {
+  const refillMs = 60_000 / perMinute;
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  return {
+    take: (now = Date.now()) => {
+      tokens = Math.min(capacity, tokens + (now - updatedAt) / refillMs);
+      updatedAt = now;
+      if (tokens < 1) return { ok: false, waitMs: Math.ceil((1 - tokens) * refillMs) };
+      tokens -= 1;
+      return { ok: true, waitMs: 0 };
+    },
+  };
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+const retryable = (error, maxDelayMs) =>
+  error.category === "network" ||
+  ([429, 503].includes(error.status) && error.retryAfter > 0 && error.retryAfter * 1000 <= maxDelayMs);
+
+// bucket: see createTokenBucket; analysis requests take from it via acquire()
+export const createRequestClient = ({ bucket = null, baseDelayMs = 500, maxDelayMs = 5_000 } = {}) => {
+  const attempt = async (path, body, { idToken, signal, timeoutMs }) => {
+    const headers = { "Content-Type": "application/json" };
+    if (idToken) headers.Authorization = `Bearer ${idToken}`;
+
+    // The timeout also covers reading the body, streamed or not
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(path, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw new ApiError(data?.error || `OmniTech API HTTP ${response.status}`, {
+        status: response.status,
+        detail: data?.detail || "",
+        retryAfter: Number(response.headers.get("Retry-After")) || data?.retryAfter || 0,
+        category: data?.category,
+      });
+    }
+    return response;
+  };
+
+  return {
+    acquire: (now) => (bucket ? bucket.take(now) : { ok: true, waitMs: 0 }),
+
+    // -> the ok Response. onRetry(error, attempt, delayMs) before each retry.
+    request: async (path, body, { idToken, signal, timeoutMs = 30_000, retries = 1, onRetry } = {}) => {
+      for (let n = 0; ; n++) {
+        try {
+          return await attempt(path, body, { idToken, signal, timeoutMs });
+        } catch (e) {
+          const error = toApiError(e);
+          if (signal?.aborted || !(error instanceof ApiError)) throw error;
+          if (n >= retries || !retryable(error, maxDelayMs)) throw error;
+
+          const delay = Math.max(Math.min(maxDelayMs, baseDelayMs * 2 ** n) * (0.5 + Math.random() / 2), error.retryAfter * 1000);
+          onRetry?.(error, n + 1, delay);
+          await sleep(delay, signal);
+        }
+      }
+    },
+  };
+};
@@ -0,0 +1,88 @@
+/* =========================
+  DIAGNOSTIC THREAD
+========================= */
+// Manual scans in a session form one conversation: each turn the technician
+// sends (a frame, optionally with a message) is answered by the model, and
+// the earlier turns travel with the next request so a follow-up like "still
+// clicking after I reseated it" is read against what was already said.
+// Earlier frames are not re-sent, only their verdicts. The model can ask for
+// another view or a fact in `question`; the open question is shown as a
+// prompt until the next answer arrives. Helpers are pure and return a new
+// thread. Watch-mode re-scans and cached verdicts are not turns.
+
+// Prior exchanges (technician turn + answer) sent with a request; the proxy caps them again (see routes.js)
+export const MAX_HISTORY_EXCHANGES = 6;
+
+export const createThread = (now = Date.now()) => ({ id: crypto.randomUUID(), startedAt: now, turns: [] });
+
+// state: "pending" until answered, "failed" if the request never got a verdict
+export const techTurn = ({ mode, text = "", frameSrc = null }, now = Date.now()) => ({
+  id: crypto.randomUUID(),
+  role: "tech",
+  at: now,
+  mode,
+  text: text.trim(),
+  frameSrc,
+  state: "pending",
+});
+
+// verdict: validated (see validateVerdict)
+export const modelTurn = (verdict, mode, now = Date.now()) => ({
+  id: crypto.randomUUID(),
+  role: "model",
+  at: now,
+  mode,
+  status: verdict.status,
+  headline: verdict.headline,
+  reasoning: verdict.reasoning,
+  action_required: verdict.action_required,
+  question: verdict.question || "",
+  findings: verdict.findings.map((f) => f.label),
+});
+
+// ref: { threadId, turnId } of the tech turn; answers for a thread that was
+// closed while the request was in flight are dropped
+export const addTechTurn = (thread, turn) => ({ ...thread, turns: [...thread.turns, turn] });
+
+export const answerTurn = (thread, ref, answer) => {
+  if (thread.id !== ref.threadId || !thread.turns.some((turn) => turn.id === ref.turnId)) return thread;
+  return {
+    ...thread,
+    turns: [...thread.turns.map((turn) => (turn.id === ref.turnId ? { ...turn, state: "answered" } : turn)), answer],
+  };
+};
+
+export const failTurn = (thread, ref) =>
+  thread.id === ref.threadId
+    ? { ...thread, turns: thread.turns.map((turn) => (turn.id === ref.turnId ? { ...turn, state: "failed" } : turn)) }
+    : thread;
+
+// The question still waiting for the technician, or null once anything newer was sent
+export const openQuestion = (thread) => {
+  const last = thread.turns.at(-1);
+  return last?.role === "model" && last.question ? last : null;
+};
+
+const techText = (turn) => `[${turn.mode} scan] ${turn.text || "(new frame, no message)"}`;
+
+// Model turns go back as the JSON the model wrote, minus the parts only the UI needs
+const modelText = (turn) =>
+  JSON.stringify({
+    status: turn.status,
+    headline: turn.headline,
+    reasoning: turn.reasoning,
+    action_required: turn.action_required,
+    question: turn.question,
+    findings: turn.findings,
+  });
+
+// -> [{ role: "user" | "model", text }], oldest first: answered exchanges only
+export const historyForRequest = (thread) => {
+  const history = [];
+  thread.turns.forEach((turn, i) => {
+    const answer = thread.turns[i + 1];
+    if (turn.role !== "tech" || turn.state !== "answered" || answer?.role !== "model") return;
+    history.push({ role: "user", text: techText(turn) }, { role: "model", text: modelText(answer) });
+  });
+  return history.slice(-MAX_HISTORY_EXCHANGES * 2);
+};
@@ -0,0 +1,63 @@
+/* =========================
+  TEAM UNIT ROSTER
+========================= */
+// Live status of every device in a team, one document per unit keyed by the
+// same uid the header shows as "UNIT" (artifacts/{appId}/teams/{teamId}/units/{uid}).
+// Each device rewrites its own document whenever its state changes and on a
+// heartbeat; supervisors subscribe to the collection for the dashboard. A unit
+// that stops heartbeating while in the foreground has gone silent: it may have
+// lost power or connectivity, or the technician may need help.
+import { collection, doc, setDoc, onSnapshot, query, where } from "firebase/firestore";
+
+export const HEARTBEAT_MS = 30_000;
+export const SILENT_AFTER_MS = 2 * 60_000; // four missed heartbeats
+const ROSTER_MAX_AGE_MS = 12 * 60 * 60_000; // older "active" units were abandoned, not silent
+
+const unitsCollection = (db, appId, teamId) => collection(db, "artifacts", appId, "teams", teamId, "units");
+
+// status: { author, sessionId, systemState, headline, lastScanAt, assetId, equipment, camera, overridden, foreground }
+export const publishUnit = (db, appId, teamId, uid, status) =>
+  setDoc(doc(unitsCollection(db, appId, teamId), uid), { ...status, uid, teamId, active: true, heartbeatAt: Date.now() });
+
+// Leaving on purpose (sign-out, closing the app) is not going silent
+export const leaveRoster = (db, appId, teamId, uid) =>
+  setDoc(doc(unitsCollection(db, appId, teamId), uid), { active: false, heartbeatAt: Date.now() }, { merge: true });
+
+export const unitSilent = (unit, now = Date.now()) => Boolean(unit.foreground) && now - unit.heartbeatAt > SILENT_AFTER_MS;
+
+const unitRank = (unit, now) => (unit.systemState === "DANGER" ? 0 : unitSilent(unit, now) ? 1 : 2);
+
+// Units needing attention first, then by name
+export const sortUnits = (units, now = Date.now()) =>
+  [...units].sort(
+    (a, b) =>
+      unitRank(a, now) - unitRank(b, now) || (a.author?.name || a.uid).localeCompare(b.author?.name || b.uid)
+  );
+
+// onChange(units); returns the unsubscribe function
+export const watchUnits = (db, appId, teamId, onChange, onError) =>
+  onSnapshot(
+    query(unitsCollection(db, appId, teamId), where("active", "==", true)),
+    (snap) => {
+      const now = Date.now();
+      onChange(snap.docs.map((d) => d.data()).filter((u) => now - u.heartbeatAt < ROSTER_MAX_AGE_MS));
+    },
+    onError
+  );
+
+// Alerts fire once per episode: on entering DANGER or going silent, not on
+// every snapshot while the unit stays that way.
+// seen: { [uid]: { danger, silent } } from the previous pass
+export const unitAlerts = (units, seen, now = Date.now()) => {
+  const next = {};
+  const alerts = [];
+  for (const unit of units) {
+    const state = { danger: unit.systemState === "DANGER", silent: unitSilent(unit, now) };
+    if (state.danger && !seen[unit.uid]?.danger) alerts.push({ kind: "danger", unit });
+    if (state.silent && !seen[unit.uid]?.silent) alerts.push({ kind: "silent", unit });
+    next[unit.uid] = state;
+  }
+  return { alerts, seen: next };
+};
+
+export const unitName = (unit) => unit.author?.name || unit.uid.slice(0, 6);
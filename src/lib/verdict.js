@@ -0,0 +1,246 @@
+/* =========================
+  VERDICT VALIDATION
+========================= */
+// Every model payload passes through here before it can touch systemState or
+// the DIAGNOSE lock. The validator never throws: anything it cannot trust
+// degrades to UNCERTAIN, and each fix is reported back so it can be logged.
+
+export const VERDICT_STATUSES = ["SAFE", "DANGER", "UNCERTAIN"];
+
+const STATUS_ALIASES = {
+  OK: "SAFE",
+  CLEAR: "SAFE",
+  SECURE: "SAFE",
+  HAZARD: "DANGER",
+  UNSAFE: "DANGER",
+  DANGEROUS: "DANGER",
+  UNKNOWN: "UNCERTAIN",
+  INCONCLUSIVE: "UNCERTAIN",
+};
+
+const FALLBACK_TEXT = {
+  headline: "Analysis Incomplete",
+  reasoning: "No reasoning returned.",
+  action_required: "Re-scan the area before proceeding.",
+};
+
+const toText = (value) => {
+  if (value == null) return "";
+  if (typeof value === "string") return value.trim();
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(" ");
+  return "";
+};
+
+// A status the validator would accept as-is or via an alias, else null.
+// Streamed partial verdicts use it to read the status before the payload is complete.
+export const matchStatus = (raw) => {
+  const text = toText(raw).toUpperCase();
+  return VERDICT_STATUSES.includes(text) ? text : STATUS_ALIASES[text] || null;
+};
+
+const normaliseStatus = (raw, repairs) => {
+  const text = toText(raw).toUpperCase();
+
+  if (VERDICT_STATUSES.includes(text)) {
+    if (raw !== text) repairs.push(`status "${raw}" normalised to ${text}`);
+    return text;
+  }
+
+  if (STATUS_ALIASES[text]) {
+    repairs.push(`status "${raw}" mapped to ${STATUS_ALIASES[text]}`);
+    return STATUS_ALIASES[text];
+  }
+
+  repairs.push(raw == null ? "missing status set to UNCERTAIN" : `unknown status "${raw}" set to UNCERTAIN`);
+  return "UNCERTAIN";
+};
+
+// "1. Unplug\n2. Reseat" -> ["Unplug", "Reseat"]
+const splitStepText = (text) =>
+  text
+    .split(/\r?\n|;\s*/)
+    .map((s) => s.replace(/^\s*(?:step\s*)?\d+[.):-]?\s*/i, "").replace(/^[-*•]\s*/, "").trim())
+    .filter(Boolean);
+
+const normaliseSteps = (raw, repairs) => {
+  if (raw == null) return [];
+
+  if (typeof raw === "string") {
+    repairs.push("repair_steps string split into list");
+    return splitStepText(raw);
+  }
+
+  if (!Array.isArray(raw)) {
+    repairs.push("repair_steps of wrong type dropped");
+    return [];
+  }
+
+  const steps = raw.map((step) => toText(typeof step === "object" && step ? step.text ?? step.step : step));
+  const kept = steps.filter(Boolean);
+  if (kept.length !== raw.length || raw.some((s) => typeof s !== "string")) {
+    repairs.push("repair_steps entries coerced to text");
+  }
+  return kept;
+};
+
+export const FINDING_SEVERITIES = ["info", "caution", "critical"];
+export const FINDING_CATEGORIES = ["electrical", "water", "fire", "mechanical", "chemical", "ppe", "other"];
+
+const SEVERITY_ALIASES = {
+  low: "info",
+  minor: "info",
+  medium: "caution",
+  moderate: "caution",
+  warning: "caution",
+  high: "critical",
+  severe: "critical",
+  danger: "critical",
+};
+
+const CATEGORY_ALIASES = {
+  electric: "electrical",
+  wiring: "electrical",
+  shock: "electrical",
+  liquid: "water",
+  moisture: "water",
+  flood: "water",
+  heat: "fire",
+  smoke: "fire",
+  thermal: "fire",
+  moving_parts: "mechanical",
+  pinch: "mechanical",
+  chemicals: "chemical",
+  gas: "chemical",
+  protective_equipment: "ppe",
+  "personal protective equipment": "ppe",
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// Accepts { x, y, w, h } or [x, y, w, h]; values on a 0-1000 grid are rescaled.
+const normaliseBox = (raw) => {
+  if (raw == null) return null;
+  const parts = Array.isArray(raw) ? raw : [raw.x, raw.y, raw.w ?? raw.width, raw.h ?? raw.height];
+  const nums = parts.map(Number);
+  if (nums.length !== 4 || nums.some((n) => !Number.isFinite(n) || n < 0)) return null;
+
+  const scale = nums.some((n) => n > 1) ? 1000 : 1;
+  const [x, y] = nums.map((n) => clamp01(n / scale));
+  const w = Math.min(nums[2] / scale, 1 - x);
+  const h = Math.min(nums[3] / scale, 1 - y);
+  if (w <= 0 || h <= 0) return null;
+
+  return { x, y, w, h };
+};
+
+const pickEnum = (raw, allowed, aliases, fallback, what, repairs) => {
+  const key = toText(raw).toLowerCase();
+  const value = allowed.includes(key) ? key : aliases[key];
+  if (value && value !== raw) repairs.push(`${what} "${raw}" normalised to ${value}`);
+  if (!value) repairs.push(`${what} "${raw ?? ""}" set to ${fallback}`);
+  return value || fallback;
+};
+
+const SEVERITY_RANK = { info: 0, caution: 1, critical: 2 };
+
+// Older payloads (and some models) still send `hazards`; both feed one list.
+const normaliseFindings = (raw, repairs) => {
+  const source = raw.findings ?? raw.hazards;
+  if (source == null) return [];
+  if (!Array.isArray(source)) {
+    repairs.push("findings of wrong type dropped");
+    return [];
+  }
+  if (raw.findings == null) repairs.push("legacy hazards list read as findings");
+
+  const findings = [];
+  source.forEach((item, i) => {
+    const label = toText(item?.label ?? item?.name ?? item?.title);
+    if (!label) {
+      repairs.push(`finding #${i + 1} dropped (no label)`);
+      return;
+    }
+
+    const finding = {
+      category: pickEnum(item.category, FINDING_CATEGORIES, CATEGORY_ALIASES, "other", `finding "${label}" category`, repairs),
+      severity: pickEnum(item.severity, FINDING_SEVERITIES, SEVERITY_ALIASES, "caution", `finding "${label}" severity`, repairs),
+      label,
+      evidence: toText(item.evidence),
+    };
+
+    const rawBox = item.box ?? item.bbox;
+    const box = normaliseBox(rawBox);
+    if (box) finding.box = box;
+    else if (rawBox != null) repairs.push(`finding "${label}" box invalid, dropped`);
+
+    findings.push(finding);
+  });
+
+  // Most severe first; stable so equal severities keep the model's order
+  return findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+};
+
+/* -------------------------
+  STATUS DERIVATION
+------------------------- */
+// Deterministic rule, strictest wins (SAFE < UNCERTAIN < DANGER):
+//   - any critical finding          -> DANGER
+//   - caution / info findings       -> no escalation on their own
+//   - the model's own status can only make the result stricter, never looser
+const STATUS_RANK = { SAFE: 0, UNCERTAIN: 1, DANGER: 2 };
+
+export const deriveStatus = (findings, modelStatus) => {
+  const fromFindings = findings.some((f) => f.severity === "critical") ? "DANGER" : "SAFE";
+  return STATUS_RANK[fromFindings] > STATUS_RANK[modelStatus] ? fromFindings : modelStatus;
+};
+
+// The finding a DANGER lock points at: first critical one, else the first listed.
+export const lockFindingIndex = (findings = []) => {
+  if (!findings.length) return -1;
+  const critical = findings.findIndex((f) => f.severity === "critical");
+  return critical === -1 ? 0 : critical;
+};
+
+export const validateVerdict = (raw) => {
+  const repairs = [];
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    repairs.push("payload was not an object; replaced with UNCERTAIN");
+    return {
+      verdict: { status: "UNCERTAIN", ...FALLBACK_TEXT, question: "", repair_steps: [], findings: [] },
+      repairs,
+    };
+  }
+
+  const findings = normaliseFindings(raw, repairs);
+  const modelStatus = normaliseStatus(raw.status, repairs);
+  const status = deriveStatus(findings, modelStatus);
+  if (status !== modelStatus) {
+    repairs.push(`status ${modelStatus} escalated to ${status} by critical finding`);
+  }
+
+  const text = {};
+  for (const field of ["headline", "reasoning", "action_required"]) {
+    const value = toText(raw[field]);
+    if (!value) repairs.push(`missing ${field} filled with default`);
+    else if (typeof raw[field] !== "string") repairs.push(`${field} coerced to text`);
+    text[field] = value || FALLBACK_TEXT[field];
+  }
+
+  // Optional: what the model needs to see or know next ("Show me the rear panel.")
+  const question = toText(raw.question);
+
+  let repairSteps = normaliseSteps(raw.repair_steps, repairs);
+
+  // Refusal authority: repair guidance is only ever shown for SAFE scenes.
+  if (status !== "SAFE" && repairSteps.length) {
+    repairs.push(`repair_steps removed for ${status} verdict`);
+    repairSteps = [];
+  }
+
+  return {
+    verdict: { status, ...text, question, repair_steps: repairSteps, findings },
+    repairs,
+  };
+};
@@ -0,0 +1,122 @@
+/* =========================
+  VOICE COMMANDS
+========================= */
+// Maps recognised speech onto the app's existing actions. In hands-free mode
+// an utterance only counts when it starts with (or contains) the wake phrase,
+// so conversation on site doesn't trigger scans.
+
+// "omnitech" also matches "omni tech"; speech engines often hear "omnitek",
+// and Japanese recognition writes it in katakana
+const DEFAULT_WAKE_PHRASES = ["omnitech", "omnitek", "オムニテック"];
+
+// Phrases per locale, spoken after the wake phrase. English always works too.
+const PHRASES = {
+  en: {
+    safety_check: ["run a safety check", "run safety check", "safety check", "safety scan", "check safety", "safety"],
+    diagnose: ["diagnose", "diagnosis"],
+    next_step: ["next step", "step done", "next", "done"],
+    repeat: ["say that again", "say it again", "repeat", "again"],
+    report: ["generate the report", "generate report", "create report", "make report", "open report", "field report", "report"],
+    stop: ["stop listening", "stop", "cancel", "quiet"],
+  },
+  fr: {
+    safety_check: ["vérification de sécurité", "contrôle de sécurité", "vérifier la sécurité", "sécurité"],
+    diagnose: ["diagnostiquer", "diagnostique", "diagnostic"],
+    next_step: ["étape suivante", "suivante", "suivant", "terminé"],
+    repeat: ["répéter", "répète", "encore"],
+    report: ["générer le rapport", "générer rapport", "rapport"],
+    stop: ["arrêter", "arrête", "annuler", "stop"],
+  },
+  pt: {
+    safety_check: ["verificação de segurança", "checagem de segurança", "verificar segurança", "segurança"],
+    diagnose: ["diagnosticar", "diagnostique", "diagnóstico"],
+    next_step: ["próximo passo", "próxima etapa", "próximo", "pronto", "feito"],
+    repeat: ["repetir", "repita", "de novo"],
+    report: ["gerar o relatório", "gerar relatório", "relatório"],
+    stop: ["cancelar", "parar", "pare"],
+  },
+  sw: {
+    safety_check: ["ukaguzi wa usalama", "kagua usalama", "usalama"],
+    diagnose: ["tambua tatizo", "chunguza", "uchunguzi"],
+    next_step: ["hatua inayofuata", "inayofuata", "nimemaliza", "tayari"],
+    repeat: ["sema tena", "rudia"],
+    report: ["tengeneza ripoti", "toa ripoti", "ripoti"],
+    stop: ["sitisha", "simama", "acha"],
+  },
+  ja: {
+    safety_check: ["安全確認", "安全チェック", "安全点検"],
+    diagnose: ["診断して", "診断"],
+    next_step: ["次のステップ", "次へ", "完了", "次"],
+    repeat: ["もう一度", "繰り返して", "繰り返し"],
+    report: ["レポートを作成", "レポート作成", "報告書作成", "レポート", "報告書"],
+    stop: ["ストップ", "止めて", "キャンセル", "停止"],
+  },
+};
+
+const escapeRx = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Japanese has no word spacing, so phrases there only need to be a prefix
+const compileCommands = (locale) =>
+  Object.entries(PHRASES[locale]).map(([command, phrases]) => {
+    const end = locale === "ja" ? "" : "(?=\\s|$)";
+    const alternatives = [...phrases].sort((a, b) => b.length - a.length).map(escapeRx).join("|");
+    return { command, rx: new RegExp(`^(?:${alternatives})${end}\\s*(?<argument>.*)$`, "u") };
+  });
+
+const COMMANDS = Object.fromEntries(Object.keys(PHRASES).map((locale) => [locale, compileCommands(locale)]));
+
+export const VOICE_COMMANDS = Object.keys(PHRASES.en);
+
+const normalise = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s'-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// "omni tech" -> /o\s?m\s?n\s?i\s?t\s?e\s?c\s?h/ so spacing variants still wake. No word
+// boundaries: Japanese transcripts run the wake phrase straight into the command.
+const wakeRegex = (phrases) =>
+  new RegExp(
+    `(${phrases.map((p) => [...normalise(p).replace(/\s+/g, "")].map(escapeRx).join("\\s?")).join("|")})`,
+    "u"
+  );
+
+export const parseWakePhrases = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((p) => p.trim())
+        .filter(Boolean)
+    : DEFAULT_WAKE_PHRASES;
+
+/*
+  -> { woke, command, argument }
+  command: one of VOICE_COMMANDS, "context" for free-form speech, or null when
+  requireWake is set and the wake phrase wasn't heard (or was heard alone).
+*/
+export const parseVoiceCommand = (
+  transcript,
+  { requireWake = false, wakePhrases = DEFAULT_WAKE_PHRASES, locale = "en" } = {}
+) => {
+  let text = normalise(transcript);
+  let woke = false;
+
+  const wake = wakeRegex(wakePhrases).exec(text);
+  if (wake) {
+    woke = true;
+    text = text.slice(wake.index + wake[0].length).trim();
+  } else if (requireWake) {
+    return { woke: false, command: null, argument: "" };
+  }
+
+  if (!text) return { woke, command: null, argument: "" };
+
+  const candidates = locale !== "en" && COMMANDS[locale] ? [...COMMANDS[locale], ...COMMANDS.en] : COMMANDS.en;
+  for (const { command, rx } of candidates) {
+    const match = rx.exec(text);
+    if (match) return { woke, command, argument: (match.groups?.argument || "").trim() };
+  }
+
+  return { woke, command: "context", argument: text };
+};
@@ -0,0 +1,369 @@
+/* =========================
+  UI STRINGS — English (reference catalog)
+========================= */
+// Every key used by the UI must exist here; other catalogs fall back to it.
+export default {
+  "status.SAFE": "SYSTEM SECURE",
+  "status.DANGER": "HAZARD DETECTED",
+  "status.UNCERTAIN": "ANALYSIS INCONCLUSIVE",
+  "status.IDLE": "STANDBY",
+
+  "header.unit": "UNIT",
+  "header.offline": "OFFLINE",
+  "header.watch": "WATCH",
+  "header.syncPending": "SYNC: {count} PENDING",
+  "header.syncDone": "SYNC: UP TO DATE",
+  "header.syncTitle": "Events stored on this device until Firestore confirms them",
+  "header.history": "HISTORY",
+  "header.equipment": "EQUIPMENT",
+  "header.assetHistory": "Maintenance history for this asset",
+  "header.assetClear": "Detach asset tag",
+  "header.override": "OVERRIDE UNTIL {time}",
+  "header.approvals": "APPROVALS ({count})",
+  "header.team": "TEAM ({count})",
+  "header.incidents": "INCIDENTS ({count})",
+  "header.thread": "THREAD ({count})",
+  "header.signIn": "SIGN IN",
+  "header.language": "Language",
+
+  "camera.start": "Initialize Optics",
+  "camera.waiting": "Waiting for visual input...",
+  "camera.analyzing": "ANALYZING",
+  "camera.cancel": "CANCEL ANALYSIS",
+
+  "roi.drag": "DRAG TO SELECT REGION OF INTEREST",
+  "roi.region": "REGION",
+  "roi.cancel": "CANCEL",
+  "roi.fullFrame": "FULL FRAME",
+
+  "result.title": "ANALYSIS RESULT",
+  "result.cached": "CACHED",
+  "result.streaming": "LIVE",
+  "result.safePending": "SAFE? — pending validation",
+  "result.cachedSince": "Scene unchanged since {time}",
+  "result.action": "Recommended Action",
+  "result.viewRepair": "✨ View Repair Steps",
+  "result.completeLoto": "Complete LOTO to unlock repair steps",
+  "result.resumeRepair": "Resume Repair Protocol",
+
+  "category.electrical": "electrical",
+  "category.water": "water",
+  "category.fire": "fire",
+  "category.mechanical": "mechanical",
+  "category.chemical": "chemical",
+  "category.ppe": "PPE",
+  "category.other": "other",
+
+  "logs.title": "SESSION LOGS",
+  "logs.report": "Report",
+  "logs.viewEvidence": "View evidence frame",
+  "evidence.alt": "Evidence frame",
+
+  "thread.title": "DIAGNOSTIC THREAD",
+  "thread.new": "NEW",
+  "thread.newHint": "Close this conversation and start a new one",
+  "thread.close": "Hide thread",
+  "thread.empty": "Scan or ask a question to start the conversation.",
+  "thread.frameOnly": "Frame only",
+  "thread.failed": "not sent",
+  "thread.placeholder": "Reply or describe what changed...",
+  "thread.send": "Send",
+  "thread.asks": "OMNITECH ASKS",
+  "thread.showNow": "SHOW IT NOW",
+  "thread.answer": "ANSWER",
+  "thread.dismiss": "Dismiss question",
+
+  "controls.safety": "SAFETY",
+  "controls.diagnose": "DIAGNOSE",
+  "controls.watchOn": "WATCH MODE: ON",
+  "controls.watchOff": "WATCH MODE: OFF",
+  "controls.handsFreeOn": 'HANDS-FREE: "{wake}"',
+  "controls.handsFreeOff": "HANDS-FREE: OFF",
+  "controls.handsFreeHint": 'Say "{wake}" then: safety check, diagnose …, next step, repeat, generate report, stop',
+  "controls.placeholder": "Describe issue (or use voice)...",
+  "controls.listening": "Listening...",
+  "controls.voiceInput": "Voice input",
+
+  "metrics.inference": "INFERENCE",
+  "metrics.live": "LIVE REAL-TIME",
+  "metrics.protection": "PROTECTION",
+  "metrics.watching": "WATCHING",
+  "metrics.guard": "ACTIVE GUARD",
+  "metrics.voice": "VOICE",
+  "metrics.handsFree": "HANDS-FREE",
+  "metrics.listening": "LISTENING",
+  "metrics.ready": "READY",
+
+  "banner.locked": "PROTOCOL LOCKED: {action}",
+  "banner.overridden": "LOCK OVERRIDDEN by {name} until {time}",
+  "banner.resolve": "Resolve hazard before proceeding.",
+  "banner.seeBox": "SEE BOX",
+  "banner.finding": "FINDING",
+
+  "protocol.title": "Repair Protocol",
+  "protocol.aborted": "PROTOCOL ABORTED — {reason}",
+  "protocol.complete": "PROTOCOL COMPLETE — RUN A FINAL SAFETY CHECK",
+  "protocol.flag.energising": "ENERGISING",
+  "protocol.flag.hazardous": "HAZARDOUS",
+  "protocol.outcome.done": "DONE",
+  "protocol.outcome.skipped": "SKIPPED",
+  "protocol.outcome.failed": "FAILED",
+  "protocol.verified": "SCENE RE-VERIFIED",
+  "protocol.verifyRequired": "SAFETY CHECK REQUIRED",
+  "protocol.read": "Read",
+  "protocol.verify": "Verify",
+  "protocol.done": "Done",
+  "protocol.skip": "Skip",
+  "protocol.failed": "Failed",
+  "protocol.footer": "GENERATED BY OMNITECH CORE // VERIFY BEFORE ACTING",
+
+  "loto.title": "Lockout / Tagout",
+  "loto.intro": "Confirm each step in order. The camera takes a photo of every confirmation for the audit trail. Repair steps unlock when all steps are done.",
+  "loto.confirm": "Photo-confirm this step",
+  "loto.confirmedAt": "Photo-confirmed {time}",
+  "loto.restart": "Start over",
+  "loto.voided": "Voided: {reason}. Start over before repair work.",
+  "loto.needsCamera": "Start the camera to photo-confirm steps.",
+  "loto.configure": "Configure team checklist",
+  "loto.configureHint": "Team checklist (one step per line; empty restores the defaults)",
+  "loto.resetDefaults": "Restore defaults",
+  "loto.save": "Save",
+  "loto.cancel": "Cancel",
+  "loto.step.isolate": "Isolate every energy source (electrical, stored, mechanical, hydraulic)",
+  "loto.step.lock": "Apply a personal lock to each isolation point",
+  "loto.step.tag": "Attach a danger tag with name, date and reason",
+  "loto.step.verify_zero": "Verify zero energy: test before touch and try to start",
+  "loto.step.ppe": "Wear the PPE required for the voltage class",
+
+  "override.title": "Override Approvals",
+  "override.intro": "A technician is asking you to release a DANGER / UNCERTAIN lock. Check the frame and findings; your decision and reason are recorded.",
+  "override.empty": "No pending override requests.",
+  "dashboard.title": "Team Dashboard",
+  "dashboard.intro": "Live status of every unit in team {team}. Units in DANGER or that stop reporting are listed first and announced.",
+  "dashboard.empty": "No active units.",
+  "dashboard.you": "(this device)",
+  "dashboard.lastScan": "Last scan {time}",
+  "dashboard.noScan": "No scan yet",
+  "dashboard.camera": "Camera on",
+  "dashboard.overridden": "Override active",
+  "dashboard.silent": "SILENT",
+  "dashboard.background": "In background",
+  "dashboard.seen": "Seen {ago}",
+  "dashboard.secondsAgo": "{count}s ago",
+  "dashboard.minutesAgo": "{count} min ago",
+  "incident.title": "Incidents",
+  "incident.intro": "Verdicts that match the team's escalation rules open an incident here and page supervisors. Acknowledge to tell the technician you're on it; resolve with a note once the site is safe.",
+  "incident.empty": "No open incidents.",
+  "incident.status.open": "Open",
+  "incident.status.acknowledged": "Acknowledged",
+  "incident.openedBy": "Opened by {name} at {time}",
+  "incident.acknowledgedBy": "Acknowledged by {name} at {time}",
+  "incident.acknowledge": "Acknowledge",
+  "incident.resolution": "Resolution",
+  "incident.resolve": "Resolve",
+  "incident.resolutionRequired": "Describe how the incident was resolved.",
+  "incident.notifying": "Notifying…",
+  "incident.deliveryFailed": "Notification failed — contact supervisors directly.",
+  "incident.webhookOk": "Webhook delivered",
+  "incident.webhookFailed": "Webhook failed ({status})",
+  "incident.pushed": "Push sent to {count}",
+  "incident.noChannels": "No notification channel configured",
+  "incident.pushOn": "PUSH ON",
+  "incident.pushOff": "PUSH OFF",
+  "incident.pushHint": "Page this device when an incident opens, even with the app closed",
+  "incident.pushDenied": "Notifications are blocked in this browser.",
+  "incident.pushFailed": "Could not change push notifications.",
+  "escalation.title": "Escalation Rules",
+  "escalation.hint": "An incident opens when a verdict has the chosen status and, if categories are picked, a finding in one of them — and that happened the given number of times within the window (0 minutes: the verdict alone).",
+  "escalation.name": "Rule name",
+  "escalation.remove": "Remove rule",
+  "escalation.status": "Verdict",
+  "escalation.count": "Times",
+  "escalation.window": "Within (min)",
+  "escalation.categories": "Categories",
+  "escalation.add": "Add rule",
+  "escalation.rule.electrical_fire": "Electrical or fire hazard",
+  "escalation.rule.repeated_uncertain": "Repeated UNCERTAIN verdicts",
+  "override.reason": "Reason (required)",
+  "override.reasonRequired": "Give a reason for the decision.",
+  "override.duration": "Valid for",
+  "override.minutes": "{count} min",
+  "override.approve": "Approve",
+  "override.reject": "Reject",
+  "override.requestedBy": "Requested by {name} at {time}",
+  "override.request": "Request supervisor override",
+  "override.waiting": "Waiting for a supervisor…",
+  "override.cancel": "Cancel",
+  "override.active": "Override by {name} until {time}",
+  "override.end": "End",
+
+  "role.technician": "Technician",
+  "role.supervisor": "Supervisor",
+  "role.admin": "Admin",
+  "role.demo": "Demo",
+  "account.title": "Account",
+  "account.unavailable": "Sign-in needs Firebase to be configured.",
+  "account.demoIntro": "You are using OmniTech as an anonymous demo user. Sign in so your work is recorded under your name and your team's roles apply.",
+  "account.ssoButton": "Continue with {provider}",
+  "account.sso": "single sign-on",
+  "account.or": "or",
+  "account.name": "Full name",
+  "account.email": "Email",
+  "account.password": "Password",
+  "account.signIn": "Sign in",
+  "account.create": "Create account",
+  "account.sendReset": "Send reset link",
+  "account.toCreate": "New here? Create an account",
+  "account.toSignIn": "Back to sign in",
+  "account.forgot": "Forgot password?",
+  "account.resetSent": "Password reset link sent to {email}.",
+  "account.demoTeam": "Not on a team yet — working in your own demo sandbox",
+  "account.membership": "{role} · team {team}",
+  "account.verifyEmail": "Open the link we sent to {email} to verify it, then check again.",
+  "account.notInvited": "{email} has not been invited to a team. Ask your team admin to invite this address; until then you work in your own demo sandbox.",
+  "account.resendVerification": "Resend link",
+  "account.checkAgain": "Check again",
+  "account.verificationSent": "Verification email sent.",
+  "account.signOut": "Sign out",
+  "account.error.credentials": "Email or password is incorrect.",
+  "account.error.email": "Enter a valid email address.",
+  "account.error.exists": "An account with this email already exists. Sign in instead.",
+  "account.error.weakPassword": "Password must be at least 6 characters.",
+  "account.error.cancelled": "Sign-in was cancelled.",
+  "account.error.popup": "Allow pop-ups to sign in.",
+  "account.error.tooMany": "Too many attempts. Try again later.",
+  "account.error.network": "No connection. Sign-in needs to be online.",
+  "account.error.generic": "Sign-in failed. Try again.",
+  "team.title": "Team {team}",
+  "team.you": "(you)",
+  "team.remove": "Remove from team",
+  "team.confirmRemove": "Remove {name} from the team?",
+  "team.invited": "invited as {role}",
+  "team.cancelInvite": "Cancel invite",
+  "team.inviteEmail": "Invite by email",
+  "team.invite": "Invite",
+  "team.loadFailed": "Could not load the team.",
+  "team.saveFailed": "Could not update the team.",
+
+  "report.title": "Incident Report Preview",
+  "report.previewTitle": "Field report preview",
+  "report.site": "Site",
+  "report.location": "Location",
+  "report.technician": "Technician",
+  "report.addSummary": "Add AI summary",
+  "report.refreshSummary": "Refresh AI summary",
+  "report.summaryEmpty": "The model returned no summary.",
+  "report.summaryQuota": "AI summary unavailable (quota). The report is complete without it.",
+  "report.summaryFailed": "AI summary failed. The report is complete without it.",
+  "report.close": "Close",
+  "report.print": "Print",
+  "report.pdfUnavailable": "PDF cannot show this language — use Print to save a PDF.",
+  "report.signOff": "Sign Off & Save",
+  "report.signedOff": "Signed Off",
+  "report.signOffHint": "Enter the technician name to sign off",
+
+  "history.title": "Session History",
+  "history.needsSignIn": "History needs a signed-in, online session.",
+  "history.from": "FROM",
+  "history.to": "TO",
+  "history.status": "STATUS",
+  "history.mode": "MODE",
+  "history.all": "ALL",
+  "history.search": "Search",
+  "history.empty": "No events match these filters.",
+  "history.loadFailed": "Could not load history. Check your connection.",
+  "history.session": "SESSION {id}",
+  "history.events": "{count} EVENTS",
+  "history.regenerate": "Regenerate Report",
+  "history.asset": "ASSET",
+  "history.assetHint": "asset ID",
+
+  "equipment.title": "Equipment Profiles",
+  "equipment.needsSignIn": "Equipment profiles need a signed-in, online session.",
+  "equipment.readOnly": "Only supervisors can add or edit the team's profiles.",
+  "equipment.loadFailed": "Could not load equipment profiles. Check your connection.",
+  "equipment.saveFailed": "Could not save the equipment profile.",
+  "equipment.nameRequired": "Enter at least a type or a model.",
+  "equipment.confirmDelete": "Delete the profile \"{name}\" for the whole team?",
+  "equipment.empty": "No equipment profiles for this team yet.",
+  "equipment.new": "New Profile",
+  "equipment.edit": "Edit",
+  "equipment.delete": "Delete",
+  "equipment.select": "Use",
+  "equipment.selected": "In Use",
+  "equipment.save": "Save",
+  "equipment.cancel": "Cancel",
+  "equipment.type": "Type",
+  "equipment.typeHint": "e.g. 48V rectifier",
+  "equipment.manufacturer": "Manufacturer",
+  "equipment.model": "Model",
+  "equipment.voltageClass": "Voltage class",
+  "equipment.failureModes": "Known failure modes (one per line)",
+  "equipment.lockoutProcedure": "Manufacturer lockout procedure (one step per line)",
+  "equipment.lockoutSteps": "{count} lockout steps",
+
+  "voltage.none": "De-energised / no electrical supply",
+  "voltage.elv": "Extra-low voltage (≤50V AC / ≤120V DC)",
+  "voltage.lv": "Low voltage (≤1kV AC)",
+  "voltage.mv": "Medium voltage (1–35kV)",
+  "voltage.hv": "High voltage (>35kV)",
+
+  "mode.safety_check": "safety check",
+  "mode.diagnosis": "diagnosis",
+  "mode.repair_guide": "repair guide",
+
+  "toast.voiceUnsupported": "Voice input not supported in this browser.",
+  "toast.voiceFailed": "Voice input failed. Try again.",
+  "toast.heard": 'Heard: "{text}"',
+  "toast.micDenied": "Microphone permission denied.",
+  "toast.inProgress": "Request in progress...",
+  "toast.blurry": "Frame looks blurry — hold still. Tap again to send anyway.",
+  "toast.lotoRequired": "Complete the lockout / tagout checklist first.",
+  "toast.repairNeedsSafe": "Repair steps need a SAFE verdict. Run a safety check first.",
+  "toast.lotoBlurry": "Photo is blurry — hold still and confirm again.",
+  "toast.lotoConfigFailed": "Could not save the LOTO checklist.",
+  "toast.overrideFailed": "Could not send the override request.",
+  "toast.overrideApproved": "Override approved by {name}.",
+  "toast.overridePending": "{name} is requesting a supervisor override.",
+  "toast.unitDanger": "{name}: DANGER — {headline}",
+  "toast.unitSilent": "{name} has stopped reporting.",
+  "toast.incidentOpened": "Incident opened — supervisors are being notified.",
+  "toast.incidentFailed": "Could not open the incident.",
+  "toast.incidentAlert": "Incident from {name}: {headline}",
+  "toast.incidentAcknowledged": "{name} acknowledged your incident.",
+  "toast.escalationConfigFailed": "Could not save the escalation rules.",
+  "toast.signedOut": "Signed out. Continuing as demo user.",
+  "toast.assetTagged": "Asset {id} attached to this session.",
+  "toast.providerFallback": "Vision provider unavailable — answered by {provider}.",
+  "toast.verifyFirst": "Run a fresh safety check before completing this step.",
+  "toast.popups": "Allow pop-ups to print the report.",
+  "toast.exported": "Report exported as {format}.",
+  "toast.contextSent": "Context sent.",
+  "toast.cooldown": "Cooldown: wait {seconds}s",
+
+  "speech.step": "Step {n} of {total}. {text}",
+  "speech.verifyBeforeStep": "Run a safety check before you start this step.",
+  "speech.sceneVerified": "Scene verified.",
+  "speech.verifyFirst": "Run a safety check first.",
+  "speech.protocolComplete": "Repair protocol complete. Run a final safety check before leaving the site.",
+  "speech.lotoStep": "Lockout step {n} of {total}. {text}",
+  "speech.lotoComplete": "Lockout and tagout complete. Repair guidance unlocked.",
+  "speech.overrideRequested": "Override requested. Waiting for a supervisor.",
+  "speech.overrideApproved": "Override approved by {name}. Proceed with caution.",
+  "speech.overrideRejected": "Override rejected by {name}.",
+  "speech.overrideExpired": "Supervisor override expired. Locks apply again.",
+  "speech.overrideVoided": "New hazard detected. Supervisor override cancelled.",
+  "speech.unitDanger": "Alert. {name} has a hazard.",
+  "speech.unitSilent": "{name} has stopped reporting.",
+  "speech.incidentAlert": "Incident. {name} needs a supervisor.",
+  "speech.incidentAcknowledged": "{name} acknowledged the incident.",
+  "speech.protocolAborted": "Repair protocol aborted. Make the area safe before continuing.",
+  "speech.dangerAbort": "Repair protocol aborted.",
+  "speech.noProtocol": "No repair protocol is running.",
+  "speech.nothingToRepeat": "Nothing to repeat yet.",
+  "speech.noReport": "Not enough activity for a report yet.",
+  "speech.noted": "Noted.",
+  "speech.diagnoseLocked": "Diagnosis is locked until the scene is safe. Running a safety check instead.",
+  "speech.dangerEarly": "Danger. Stop work and stand clear.",
+  "speech.listening": "Listening.",
+};
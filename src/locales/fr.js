@@ -0,0 +1,369 @@
+/* =========================
+  UI STRINGS — Français
+========================= */
+export default {
+  "status.SAFE": "SYSTÈME SÉCURISÉ",
+  "status.DANGER": "DANGER DÉTECTÉ",
+  "status.UNCERTAIN": "ANALYSE NON CONCLUANTE",
+  "status.IDLE": "EN ATTENTE",
+
+  "header.unit": "UNITÉ",
+  "header.offline": "HORS LIGNE",
+  "header.watch": "SURVEILLANCE",
+  "header.syncPending": "SYNCHRO : {count} EN ATTENTE",
+  "header.syncDone": "SYNCHRO : À JOUR",
+  "header.syncTitle": "Événements conservés sur cet appareil jusqu'à confirmation par Firestore",
+  "header.history": "HISTORIQUE",
+  "header.equipment": "ÉQUIPEMENT",
+  "header.assetHistory": "Historique de maintenance de cet équipement",
+  "header.assetClear": "Retirer l'étiquette d'équipement",
+  "header.override": "DÉROGATION JUSQU'À {time}",
+  "header.approvals": "APPROBATIONS ({count})",
+  "header.team": "ÉQUIPE ({count})",
+  "header.incidents": "INCIDENTS ({count})",
+  "header.thread": "FIL ({count})",
+  "header.signIn": "CONNEXION",
+  "header.language": "Langue",
+
+  "camera.start": "Activer la caméra",
+  "camera.waiting": "En attente du flux vidéo...",
+  "camera.analyzing": "ANALYSE",
+  "camera.cancel": "ANNULER L'ANALYSE",
+
+  "roi.drag": "FAITES GLISSER POUR SÉLECTIONNER LA ZONE D'INTÉRÊT",
+  "roi.region": "ZONE",
+  "roi.cancel": "ANNULER",
+  "roi.fullFrame": "IMAGE ENTIÈRE",
+
+  "result.title": "RÉSULTAT D'ANALYSE",
+  "result.cached": "EN CACHE",
+  "result.streaming": "EN DIRECT",
+  "result.safePending": "SÛR ? — validation en cours",
+  "result.cachedSince": "Scène inchangée depuis {time}",
+  "result.action": "Action recommandée",
+  "result.viewRepair": "✨ Voir les étapes de réparation",
+  "result.completeLoto": "Terminez la consignation pour débloquer la réparation",
+  "result.resumeRepair": "Reprendre la procédure de réparation",
+
+  "category.electrical": "électrique",
+  "category.water": "eau",
+  "category.fire": "incendie",
+  "category.mechanical": "mécanique",
+  "category.chemical": "chimique",
+  "category.ppe": "EPI",
+  "category.other": "autre",
+
+  "logs.title": "JOURNAL DE SESSION",
+  "logs.report": "Rapport",
+  "logs.viewEvidence": "Voir l'image de preuve",
+  "evidence.alt": "Image de preuve",
+
+  "thread.title": "FIL DE DIAGNOSTIC",
+  "thread.new": "NOUVEAU",
+  "thread.newHint": "Clore cette conversation et en commencer une nouvelle",
+  "thread.close": "Masquer le fil",
+  "thread.empty": "Lancez un scan ou posez une question pour commencer la conversation.",
+  "thread.frameOnly": "Image seule",
+  "thread.failed": "non envoyé",
+  "thread.placeholder": "Répondez ou décrivez ce qui a changé...",
+  "thread.send": "Envoyer",
+  "thread.asks": "OMNITECH DEMANDE",
+  "thread.showNow": "MONTRER MAINTENANT",
+  "thread.answer": "RÉPONDRE",
+  "thread.dismiss": "Ignorer la question",
+
+  "controls.safety": "SÉCURITÉ",
+  "controls.diagnose": "DIAGNOSTIC",
+  "controls.watchOn": "SURVEILLANCE : ACTIVE",
+  "controls.watchOff": "SURVEILLANCE : INACTIVE",
+  "controls.handsFreeOn": "MAINS LIBRES : « {wake} »",
+  "controls.handsFreeOff": "MAINS LIBRES : INACTIF",
+  "controls.handsFreeHint":
+    "Dites « {wake} » puis : vérification de sécurité, diagnostique …, étape suivante, répète, générer le rapport, arrête",
+  "controls.placeholder": "Décrivez le problème (ou utilisez la voix)...",
+  "controls.listening": "Écoute...",
+  "controls.voiceInput": "Saisie vocale",
+
+  "metrics.inference": "INFÉRENCE",
+  "metrics.live": "TEMPS RÉEL",
+  "metrics.protection": "PROTECTION",
+  "metrics.watching": "SURVEILLANCE",
+  "metrics.guard": "GARDE ACTIVE",
+  "metrics.voice": "VOIX",
+  "metrics.handsFree": "MAINS LIBRES",
+  "metrics.listening": "ÉCOUTE",
+  "metrics.ready": "PRÊT",
+
+  "banner.locked": "PROCÉDURE BLOQUÉE : {action}",
+  "banner.overridden": "VERROU LEVÉ par {name} jusqu'à {time}",
+  "banner.resolve": "Éliminez le danger avant de continuer.",
+  "banner.seeBox": "VOIR CADRE",
+  "banner.finding": "CONSTAT",
+
+  "protocol.title": "Procédure de réparation",
+  "protocol.aborted": "PROCÉDURE INTERROMPUE — {reason}",
+  "protocol.complete": "PROCÉDURE TERMINÉE — EFFECTUEZ UNE VÉRIFICATION FINALE",
+  "protocol.flag.energising": "MISE SOUS TENSION",
+  "protocol.flag.hazardous": "DANGEREUX",
+  "protocol.outcome.done": "FAIT",
+  "protocol.outcome.skipped": "IGNORÉ",
+  "protocol.outcome.failed": "ÉCHEC",
+  "protocol.verified": "SCÈNE REVÉRIFIÉE",
+  "protocol.verifyRequired": "VÉRIFICATION REQUISE",
+  "protocol.read": "Lire",
+  "protocol.verify": "Vérifier",
+  "protocol.done": "Fait",
+  "protocol.skip": "Passer",
+  "protocol.failed": "Échec",
+  "protocol.footer": "GÉNÉRÉ PAR OMNITECH CORE // VÉRIFIEZ AVANT D'AGIR",
+
+  "loto.title": "Consignation (LOTO)",
+  "loto.intro": "Confirmez chaque étape dans l'ordre. La caméra photographie chaque confirmation pour l'audit. Les étapes de réparation sont débloquées une fois toutes les étapes faites.",
+  "loto.confirm": "Confirmer cette étape par photo",
+  "loto.confirmedAt": "Confirmé par photo à {time}",
+  "loto.restart": "Recommencer",
+  "loto.voided": "Annulée : {reason}. Recommencez avant toute réparation.",
+  "loto.needsCamera": "Démarrez la caméra pour confirmer les étapes par photo.",
+  "loto.configure": "Configurer la liste de l'équipe",
+  "loto.configureHint": "Liste de l'équipe (une étape par ligne ; vide = valeurs par défaut)",
+  "loto.resetDefaults": "Rétablir les valeurs par défaut",
+  "loto.save": "Enregistrer",
+  "loto.cancel": "Annuler",
+  "loto.step.isolate": "Isoler toutes les sources d'énergie (électrique, stockée, mécanique, hydraulique)",
+  "loto.step.lock": "Poser un cadenas personnel sur chaque point d'isolement",
+  "loto.step.tag": "Apposer une étiquette de danger avec nom, date et motif",
+  "loto.step.verify_zero": "Vérifier l'absence d'énergie : tester avant de toucher et essayer de démarrer",
+  "loto.step.ppe": "Porter les EPI requis pour la classe de tension",
+
+  "override.title": "Approbations de dérogation",
+  "override.intro": "Un technicien vous demande de lever un verrou DANGER / UNCERTAIN. Vérifiez l'image et les constats ; votre décision et son motif sont enregistrés.",
+  "override.empty": "Aucune demande de dérogation en attente.",
+  "dashboard.title": "Tableau de bord de l'équipe",
+  "dashboard.intro": "État en direct de chaque unité de l'équipe {team}. Les unités en DANGER ou qui ne répondent plus sont listées en premier et annoncées.",
+  "dashboard.empty": "Aucune unité active.",
+  "dashboard.you": "(cet appareil)",
+  "dashboard.lastScan": "Dernière analyse {time}",
+  "dashboard.noScan": "Aucune analyse",
+  "dashboard.camera": "Caméra active",
+  "dashboard.overridden": "Dérogation active",
+  "dashboard.silent": "SILENCIEUSE",
+  "dashboard.background": "En arrière-plan",
+  "dashboard.seen": "Vue {ago}",
+  "dashboard.secondsAgo": "il y a {count} s",
+  "dashboard.minutesAgo": "il y a {count} min",
+  "incident.title": "Incidents",
+  "incident.intro": "Les verdicts qui correspondent aux règles d'escalade de l'équipe ouvrent ici un incident et alertent les superviseurs. Accusez réception pour prévenir le technicien que vous prenez la main ; clôturez avec une note une fois le site sécurisé.",
+  "incident.empty": "Aucun incident ouvert.",
+  "incident.status.open": "Ouvert",
+  "incident.status.acknowledged": "Pris en charge",
+  "incident.openedBy": "Ouvert par {name} à {time}",
+  "incident.acknowledgedBy": "Pris en charge par {name} à {time}",
+  "incident.acknowledge": "Prendre en charge",
+  "incident.resolution": "Résolution",
+  "incident.resolve": "Clôturer",
+  "incident.resolutionRequired": "Décrivez comment l'incident a été résolu.",
+  "incident.notifying": "Notification en cours…",
+  "incident.deliveryFailed": "Échec de la notification — contactez directement les superviseurs.",
+  "incident.webhookOk": "Webhook livré",
+  "incident.webhookFailed": "Échec du webhook ({status})",
+  "incident.pushed": "Notification envoyée à {count}",
+  "incident.noChannels": "Aucun canal de notification configuré",
+  "incident.pushOn": "PUSH ACTIVÉ",
+  "incident.pushOff": "PUSH DÉSACTIVÉ",
+  "incident.pushHint": "Alerter cet appareil à l'ouverture d'un incident, même application fermée",
+  "incident.pushDenied": "Les notifications sont bloquées dans ce navigateur.",
+  "incident.pushFailed": "Impossible de modifier les notifications push.",
+  "escalation.title": "Règles d'escalade",
+  "escalation.hint": "Un incident s'ouvre quand un verdict a le statut choisi et, si des catégories sont cochées, un constat dans l'une d'elles — et que cela s'est produit le nombre de fois indiqué dans la fenêtre (0 minute : le verdict seul).",
+  "escalation.name": "Nom de la règle",
+  "escalation.remove": "Supprimer la règle",
+  "escalation.status": "Verdict",
+  "escalation.count": "Fois",
+  "escalation.window": "En (min)",
+  "escalation.categories": "Catégories",
+  "escalation.add": "Ajouter une règle",
+  "escalation.rule.electrical_fire": "Danger électrique ou incendie",
+  "escalation.rule.repeated_uncertain": "Verdicts INCERTAINS répétés",
+  "override.reason": "Motif (obligatoire)",
+  "override.reasonRequired": "Indiquez le motif de la décision.",
+  "override.duration": "Valable",
+  "override.minutes": "{count} min",
+  "override.approve": "Approuver",
+  "override.reject": "Refuser",
+  "override.requestedBy": "Demandée par {name} à {time}",
+  "override.request": "Demander une dérogation au superviseur",
+  "override.waiting": "En attente d'un superviseur…",
+  "override.cancel": "Annuler",
+  "override.active": "Dérogation de {name} jusqu'à {time}",
+  "override.end": "Terminer",
+
+  "role.technician": "Technicien",
+  "role.supervisor": "Superviseur",
+  "role.admin": "Admin",
+  "role.demo": "Démo",
+  "account.title": "Compte",
+  "account.unavailable": "La connexion nécessite une configuration Firebase.",
+  "account.demoIntro": "Vous utilisez OmniTech en tant qu'utilisateur de démo anonyme. Connectez-vous pour que votre travail soit enregistré à votre nom et que les rôles de votre équipe s'appliquent.",
+  "account.ssoButton": "Continuer avec {provider}",
+  "account.sso": "l'authentification unique",
+  "account.or": "ou",
+  "account.name": "Nom complet",
+  "account.email": "E-mail",
+  "account.password": "Mot de passe",
+  "account.signIn": "Se connecter",
+  "account.create": "Créer un compte",
+  "account.sendReset": "Envoyer le lien",
+  "account.toCreate": "Nouveau ? Créez un compte",
+  "account.toSignIn": "Retour à la connexion",
+  "account.forgot": "Mot de passe oublié ?",
+  "account.resetSent": "Lien de réinitialisation envoyé à {email}.",
+  "account.demoTeam": "Pas encore dans une équipe — vous travaillez dans votre propre bac à sable de démo",
+  "account.membership": "{role} · équipe {team}",
+  "account.verifyEmail": "Ouvrez le lien envoyé à {email} pour le vérifier, puis vérifiez à nouveau.",
+  "account.notInvited": "{email} n'a été invité dans aucune équipe. Demandez à l'administrateur de votre équipe d'inviter cette adresse ; en attendant, vous travaillez dans votre propre bac à sable de démo.",
+  "account.resendVerification": "Renvoyer le lien",
+  "account.checkAgain": "Vérifier à nouveau",
+  "account.verificationSent": "E-mail de vérification envoyé.",
+  "account.signOut": "Se déconnecter",
+  "account.error.credentials": "E-mail ou mot de passe incorrect.",
+  "account.error.email": "Saisissez une adresse e-mail valide.",
+  "account.error.exists": "Un compte existe déjà pour cet e-mail. Connectez-vous.",
+  "account.error.weakPassword": "Le mot de passe doit contenir au moins 6 caractères.",
+  "account.error.cancelled": "Connexion annulée.",
+  "account.error.popup": "Autorisez les fenêtres pop-up pour vous connecter.",
+  "account.error.tooMany": "Trop de tentatives. Réessayez plus tard.",
+  "account.error.network": "Pas de connexion. La connexion nécessite d'être en ligne.",
+  "account.error.generic": "Échec de la connexion. Réessayez.",
+  "team.title": "Équipe {team}",
+  "team.you": "(vous)",
+  "team.remove": "Retirer de l'équipe",
+  "team.confirmRemove": "Retirer {name} de l'équipe ?",
+  "team.invited": "invité comme {role}",
+  "team.cancelInvite": "Annuler l'invitation",
+  "team.inviteEmail": "Inviter par e-mail",
+  "team.invite": "Inviter",
+  "team.loadFailed": "Impossible de charger l'équipe.",
+  "team.saveFailed": "Impossible de mettre à jour l'équipe.",
+
+  "report.title": "Aperçu du rapport d'incident",
+  "report.previewTitle": "Aperçu du rapport d'intervention",
+  "report.site": "Site",
+  "report.location": "Emplacement",
+  "report.technician": "Technicien",
+  "report.addSummary": "Ajouter un résumé IA",
+  "report.refreshSummary": "Actualiser le résumé IA",
+  "report.summaryEmpty": "Le modèle n'a renvoyé aucun résumé.",
+  "report.summaryQuota": "Résumé IA indisponible (quota). Le rapport est complet sans lui.",
+  "report.summaryFailed": "Échec du résumé IA. Le rapport est complet sans lui.",
+  "report.close": "Fermer",
+  "report.print": "Imprimer",
+  "report.pdfUnavailable": "Le PDF ne peut pas afficher cette langue — utilisez Imprimer pour enregistrer un PDF.",
+  "report.signOff": "Signer et enregistrer",
+  "report.signedOff": "Signé",
+  "report.signOffHint": "Saisissez le nom du technicien pour signer",
+
+  "history.title": "Historique des sessions",
+  "history.needsSignIn": "L'historique nécessite une session connectée et en ligne.",
+  "history.from": "DU",
+  "history.to": "AU",
+  "history.status": "STATUT",
+  "history.mode": "MODE",
+  "history.all": "TOUS",
+  "history.search": "Rechercher",
+  "history.empty": "Aucun événement ne correspond à ces filtres.",
+  "history.loadFailed": "Impossible de charger l'historique. Vérifiez votre connexion.",
+  "history.session": "SESSION {id}",
+  "history.events": "{count} ÉVÉNEMENTS",
+  "history.regenerate": "Régénérer le rapport",
+  "history.asset": "ÉQUIPEMENT",
+  "history.assetHint": "ID d'équipement",
+
+  "equipment.title": "Profils d'équipement",
+  "equipment.needsSignIn": "Les profils d'équipement nécessitent une session connectée en ligne.",
+  "equipment.readOnly": "Seuls les superviseurs peuvent ajouter ou modifier les profils de l'équipe.",
+  "equipment.loadFailed": "Impossible de charger les profils d'équipement. Vérifiez votre connexion.",
+  "equipment.saveFailed": "Impossible d'enregistrer le profil d'équipement.",
+  "equipment.nameRequired": "Indiquez au moins un type ou un modèle.",
+  "equipment.confirmDelete": "Supprimer le profil « {name} » pour toute l'équipe ?",
+  "equipment.empty": "Aucun profil d'équipement pour cette équipe.",
+  "equipment.new": "Nouveau profil",
+  "equipment.edit": "Modifier",
+  "equipment.delete": "Supprimer",
+  "equipment.select": "Utiliser",
+  "equipment.selected": "Utilisé",
+  "equipment.save": "Enregistrer",
+  "equipment.cancel": "Annuler",
+  "equipment.type": "Type",
+  "equipment.typeHint": "ex. redresseur 48V",
+  "equipment.manufacturer": "Fabricant",
+  "equipment.model": "Modèle",
+  "equipment.voltageClass": "Classe de tension",
+  "equipment.failureModes": "Défaillances connues (une par ligne)",
+  "equipment.lockoutProcedure": "Procédure de consignation du fabricant (une étape par ligne)",
+  "equipment.lockoutSteps": "{count} étapes de consignation",
+
+  "voltage.none": "Hors tension / sans alimentation électrique",
+  "voltage.elv": "Très basse tension (≤50V CA / ≤120V CC)",
+  "voltage.lv": "Basse tension (≤1kV CA)",
+  "voltage.mv": "Moyenne tension (1–35kV)",
+  "voltage.hv": "Haute tension (>35kV)",
+
+  "mode.safety_check": "vérification de sécurité",
+  "mode.diagnosis": "diagnostic",
+  "mode.repair_guide": "guide de réparation",
+
+  "toast.voiceUnsupported": "Saisie vocale non prise en charge par ce navigateur.",
+  "toast.voiceFailed": "Échec de la saisie vocale. Réessayez.",
+  "toast.heard": "Entendu : « {text} »",
+  "toast.micDenied": "Accès au microphone refusé.",
+  "toast.inProgress": "Requête en cours...",
+  "toast.blurry": "Image floue — ne bougez plus. Touchez à nouveau pour l'envoyer quand même.",
+  "toast.lotoRequired": "Terminez d'abord la liste de consignation.",
+  "toast.repairNeedsSafe": "Les étapes de réparation exigent un verdict SÛR. Lancez d'abord un contrôle de sécurité.",
+  "toast.lotoBlurry": "Photo floue — ne bougez pas et confirmez à nouveau.",
+  "toast.lotoConfigFailed": "Impossible d'enregistrer la liste de consignation.",
+  "toast.overrideFailed": "Impossible d'envoyer la demande de dérogation.",
+  "toast.overrideApproved": "Dérogation approuvée par {name}.",
+  "toast.overridePending": "{name} demande une dérogation au superviseur.",
+  "toast.unitDanger": "{name} : DANGER — {headline}",
+  "toast.unitSilent": "{name} ne répond plus.",
+  "toast.incidentOpened": "Incident ouvert — les superviseurs sont alertés.",
+  "toast.incidentFailed": "Impossible d'ouvrir l'incident.",
+  "toast.incidentAlert": "Incident de {name} : {headline}",
+  "toast.incidentAcknowledged": "{name} a pris en charge votre incident.",
+  "toast.escalationConfigFailed": "Impossible d'enregistrer les règles d'escalade.",
+  "toast.signedOut": "Déconnecté. Vous continuez en utilisateur de démo.",
+  "toast.assetTagged": "Équipement {id} associé à cette session.",
+  "toast.providerFallback": "Fournisseur de vision indisponible — réponse de {provider}.",
+  "toast.verifyFirst": "Effectuez une nouvelle vérification de sécurité avant de terminer cette étape.",
+  "toast.popups": "Autorisez les fenêtres pop-up pour imprimer le rapport.",
+  "toast.exported": "Rapport exporté en {format}.",
+  "toast.contextSent": "Contexte envoyé.",
+  "toast.cooldown": "Patientez {seconds} s",
+
+  "speech.step": "Étape {n} sur {total}. {text}",
+  "speech.verifyBeforeStep": "Effectuez une vérification de sécurité avant de commencer cette étape.",
+  "speech.sceneVerified": "Scène vérifiée.",
+  "speech.verifyFirst": "Effectuez d'abord une vérification de sécurité.",
+  "speech.protocolComplete": "Procédure de réparation terminée. Effectuez une vérification finale avant de quitter le site.",
+  "speech.lotoStep": "Consignation, étape {n} sur {total}. {text}",
+  "speech.lotoComplete": "Consignation terminée. Les instructions de réparation sont débloquées.",
+  "speech.overrideRequested": "Dérogation demandée. En attente d'un superviseur.",
+  "speech.overrideApproved": "Dérogation approuvée par {name}. Procédez avec prudence.",
+  "speech.overrideRejected": "Dérogation refusée par {name}.",
+  "speech.overrideExpired": "La dérogation a expiré. Les verrous s'appliquent de nouveau.",
+  "speech.overrideVoided": "Nouveau danger détecté. Dérogation annulée.",
+  "speech.unitDanger": "Alerte. Danger signalé par {name}.",
+  "speech.unitSilent": "{name} ne répond plus.",
+  "speech.incidentAlert": "Incident. {name} a besoin d'un superviseur.",
+  "speech.incidentAcknowledged": "{name} a pris en charge l'incident.",
+  "speech.protocolAborted": "Procédure de réparation interrompue. Sécurisez la zone avant de continuer.",
+  "speech.dangerAbort": "Procédure de réparation interrompue.",
+  "speech.noProtocol": "Aucune procédure de réparation en cours.",
+  "speech.nothingToRepeat": "Rien à répéter pour l'instant.",
+  "speech.noReport": "Pas encore assez d'activité pour un rapport.",
+  "speech.noted": "Noté.",
+  "speech.diagnoseLocked": "Le diagnostic est verrouillé tant que la zone n'est pas sûre. Vérification de sécurité à la place.",
+  "speech.dangerEarly": "Danger. Arrêtez le travail et éloignez-vous.",
+  "speech.listening": "J'écoute.",
+};
@@ -0,0 +1,368 @@
+/* =========================
+  UI STRINGS — 日本語
+========================= */
+export default {
+  "status.SAFE": "安全確認済み",
+  "status.DANGER": "危険を検出",
+  "status.UNCERTAIN": "判定不能",
+  "status.IDLE": "待機中",
+
+  "header.unit": "ユニット",
+  "header.offline": "オフライン",
+  "header.watch": "監視中",
+  "header.syncPending": "同期: 保留 {count} 件",
+  "header.syncDone": "同期: 最新",
+  "header.syncTitle": "Firestore が確認するまでこの端末に保存されているイベント",
+  "header.history": "履歴",
+  "header.equipment": "機器",
+  "header.assetHistory": "この資産の保守履歴",
+  "header.assetClear": "資産タグを解除",
+  "header.override": "解除中 {time} まで",
+  "header.approvals": "承認待ち ({count})",
+  "header.team": "チーム ({count})",
+  "header.incidents": "インシデント ({count})",
+  "header.thread": "会話 ({count})",
+  "header.signIn": "ログイン",
+  "header.language": "言語",
+
+  "camera.start": "カメラを起動",
+  "camera.waiting": "映像を待っています...",
+  "camera.analyzing": "解析中",
+  "camera.cancel": "解析を中止",
+
+  "roi.drag": "ドラッグして注目範囲を選択",
+  "roi.region": "範囲指定",
+  "roi.cancel": "キャンセル",
+  "roi.fullFrame": "全体",
+
+  "result.title": "解析結果",
+  "result.cached": "キャッシュ",
+  "result.streaming": "受信中",
+  "result.safePending": "安全? — 検証待ち",
+  "result.cachedSince": "{time} から変化なし",
+  "result.action": "推奨される対応",
+  "result.viewRepair": "✨ 修理手順を見る",
+  "result.completeLoto": "修理手順の前にLOTOを完了してください",
+  "result.resumeRepair": "修理手順を再開",
+
+  "category.electrical": "電気",
+  "category.water": "水",
+  "category.fire": "火災",
+  "category.mechanical": "機械",
+  "category.chemical": "化学物質",
+  "category.ppe": "保護具",
+  "category.other": "その他",
+
+  "logs.title": "セッションログ",
+  "logs.report": "報告書",
+  "logs.viewEvidence": "証拠画像を表示",
+  "evidence.alt": "証拠画像",
+
+  "thread.title": "診断の会話",
+  "thread.new": "新規",
+  "thread.newHint": "この会話を閉じて新しい会話を始める",
+  "thread.close": "会話を隠す",
+  "thread.empty": "スキャンするか質問して会話を始めてください。",
+  "thread.frameOnly": "画像のみ",
+  "thread.failed": "未送信",
+  "thread.placeholder": "返答するか、変わった点を入力...",
+  "thread.send": "送信",
+  "thread.asks": "OMNITECH からの質問",
+  "thread.showNow": "今すぐ見せる",
+  "thread.answer": "回答する",
+  "thread.dismiss": "質問を閉じる",
+
+  "controls.safety": "安全確認",
+  "controls.diagnose": "診断",
+  "controls.watchOn": "監視モード: オン",
+  "controls.watchOff": "監視モード: オフ",
+  "controls.handsFreeOn": "ハンズフリー:「{wake}」",
+  "controls.handsFreeOff": "ハンズフリー: オフ",
+  "controls.handsFreeHint": "「{wake}」の後に: 安全確認、診断 …、次のステップ、もう一度、レポート作成、停止",
+  "controls.placeholder": "症状を入力（または音声）...",
+  "controls.listening": "聞き取り中...",
+  "controls.voiceInput": "音声入力",
+
+  "metrics.inference": "推論",
+  "metrics.live": "リアルタイム",
+  "metrics.protection": "保護",
+  "metrics.watching": "監視中",
+  "metrics.guard": "保護有効",
+  "metrics.voice": "音声",
+  "metrics.handsFree": "ハンズフリー",
+  "metrics.listening": "聞き取り中",
+  "metrics.ready": "待機",
+
+  "banner.locked": "作業ロック中: {action}",
+  "banner.overridden": "{name} によりロック解除中（{time} まで）",
+  "banner.resolve": "危険を取り除いてから作業してください。",
+  "banner.seeBox": "枠を確認",
+  "banner.finding": "指摘",
+
+  "protocol.title": "修理手順",
+  "protocol.aborted": "手順を中止 — {reason}",
+  "protocol.complete": "手順完了 — 最終の安全確認を行ってください",
+  "protocol.flag.energising": "通電",
+  "protocol.flag.hazardous": "危険作業",
+  "protocol.outcome.done": "完了",
+  "protocol.outcome.skipped": "スキップ",
+  "protocol.outcome.failed": "失敗",
+  "protocol.verified": "再確認済み",
+  "protocol.verifyRequired": "安全確認が必要",
+  "protocol.read": "読み上げ",
+  "protocol.verify": "確認",
+  "protocol.done": "完了",
+  "protocol.skip": "スキップ",
+  "protocol.failed": "失敗",
+  "protocol.footer": "OMNITECH CORE が生成 // 作業前に必ず確認",
+
+  "loto.title": "ロックアウト / タグアウト",
+  "loto.intro": "各手順を順番に確認してください。確認ごとにカメラで写真を撮り、監査記録に残します。すべて完了すると修理手順が解除されます。",
+  "loto.confirm": "写真でこの手順を確認",
+  "loto.confirmedAt": "{time} に写真で確認済み",
+  "loto.restart": "やり直す",
+  "loto.voided": "無効: {reason}。修理作業の前にやり直してください。",
+  "loto.needsCamera": "写真で確認するにはカメラを起動してください。",
+  "loto.configure": "チームのチェックリストを設定",
+  "loto.configureHint": "チームのチェックリスト（1行に1手順、空欄で既定に戻す）",
+  "loto.resetDefaults": "既定に戻す",
+  "loto.save": "保存",
+  "loto.cancel": "キャンセル",
+  "loto.step.isolate": "すべてのエネルギー源を遮断する（電気・蓄積・機械・油圧）",
+  "loto.step.lock": "各遮断点に個人用の錠を掛ける",
+  "loto.step.tag": "氏名・日付・理由を記入した危険札を取り付ける",
+  "loto.step.verify_zero": "ゼロエネルギーを確認する（触る前に検電し、起動を試みる）",
+  "loto.step.ppe": "電圧区分に応じた保護具を着用する",
+
+  "override.title": "ロック解除の承認",
+  "override.intro": "技術者が DANGER / UNCERTAIN ロックの解除を求めています。画像と所見を確認してください。判断と理由は記録されます。",
+  "override.empty": "保留中の解除依頼はありません。",
+  "dashboard.title": "チームダッシュボード",
+  "dashboard.intro": "チーム {team} の全ユニットのライブ状況です。DANGER のユニットや応答が途絶えたユニットは先頭に表示され、音声で通知されます。",
+  "dashboard.empty": "稼働中のユニットはありません。",
+  "dashboard.you": "（この端末）",
+  "dashboard.lastScan": "最終スキャン {time}",
+  "dashboard.noScan": "スキャンなし",
+  "dashboard.camera": "カメラ作動中",
+  "dashboard.overridden": "解除中",
+  "dashboard.silent": "応答なし",
+  "dashboard.background": "バックグラウンド",
+  "dashboard.seen": "最終応答 {ago}",
+  "dashboard.secondsAgo": "{count} 秒前",
+  "dashboard.minutesAgo": "{count} 分前",
+  "incident.title": "インシデント",
+  "incident.intro": "チームのエスカレーションルールに該当した判定はここでインシデントとなり、監督者に通知されます。対応を始めたら確認済みにして技術者に知らせ、現場の安全を確保したらメモを添えて解決してください。",
+  "incident.empty": "未解決のインシデントはありません。",
+  "incident.status.open": "未対応",
+  "incident.status.acknowledged": "確認済み",
+  "incident.openedBy": "{name} が {time} に起票",
+  "incident.acknowledgedBy": "{name} が {time} に確認",
+  "incident.acknowledge": "確認",
+  "incident.resolution": "対応内容",
+  "incident.resolve": "解決",
+  "incident.resolutionRequired": "どのように解決したかを記入してください。",
+  "incident.notifying": "通知中…",
+  "incident.deliveryFailed": "通知に失敗しました。監督者に直接連絡してください。",
+  "incident.webhookOk": "Webhook 送信済み",
+  "incident.webhookFailed": "Webhook 失敗 ({status})",
+  "incident.pushed": "{count} 件にプッシュ送信",
+  "incident.noChannels": "通知チャネルが設定されていません",
+  "incident.pushOn": "プッシュ オン",
+  "incident.pushOff": "プッシュ オフ",
+  "incident.pushHint": "アプリを閉じていても、インシデント発生時にこの端末へ通知します",
+  "incident.pushDenied": "このブラウザでは通知がブロックされています。",
+  "incident.pushFailed": "プッシュ通知の設定を変更できませんでした。",
+  "escalation.title": "エスカレーションルール",
+  "escalation.hint": "判定が選択したステータスで、カテゴリを選んだ場合はそのいずれかの所見を含み、それが期間内に指定回数起きたときにインシデントを起票します（0 分：その判定のみ）。",
+  "escalation.name": "ルール名",
+  "escalation.remove": "ルールを削除",
+  "escalation.status": "判定",
+  "escalation.count": "回数",
+  "escalation.window": "期間 (分)",
+  "escalation.categories": "カテゴリ",
+  "escalation.add": "ルールを追加",
+  "escalation.rule.electrical_fire": "電気・火災の危険",
+  "escalation.rule.repeated_uncertain": "UNCERTAIN 判定の繰り返し",
+  "override.reason": "理由（必須）",
+  "override.reasonRequired": "判断の理由を入力してください。",
+  "override.duration": "有効時間",
+  "override.minutes": "{count} 分",
+  "override.approve": "承認",
+  "override.reject": "却下",
+  "override.requestedBy": "{name} が {time} に依頼",
+  "override.request": "監督者にロック解除を依頼",
+  "override.waiting": "監督者の判断を待っています…",
+  "override.cancel": "取り消し",
+  "override.active": "{name} による解除（{time} まで）",
+  "override.end": "終了",
+
+  "role.technician": "技術者",
+  "role.supervisor": "監督者",
+  "role.admin": "管理者",
+  "role.demo": "デモ",
+  "account.title": "アカウント",
+  "account.unavailable": "ログインには Firebase の設定が必要です。",
+  "account.demoIntro": "匿名のデモユーザーとして OmniTech を使用しています。ログインすると作業があなたの名前で記録され、チームの役割が適用されます。",
+  "account.ssoButton": "{provider} で続行",
+  "account.sso": "シングルサインオン",
+  "account.or": "または",
+  "account.name": "氏名",
+  "account.email": "メールアドレス",
+  "account.password": "パスワード",
+  "account.signIn": "ログイン",
+  "account.create": "アカウントを作成",
+  "account.sendReset": "リセット用リンクを送信",
+  "account.toCreate": "初めての方はアカウントを作成",
+  "account.toSignIn": "ログインに戻る",
+  "account.forgot": "パスワードをお忘れですか？",
+  "account.resetSent": "パスワード再設定用のリンクを {email} に送信しました。",
+  "account.demoTeam": "チーム未所属 — 自分専用のデモ環境で作業中",
+  "account.membership": "{role} · チーム {team}",
+  "account.verifyEmail": "{email} に送信したリンクを開いて確認してから、もう一度確認してください。",
+  "account.notInvited": "{email} はどのチームにも招待されていません。チームの管理者にこのアドレスの招待を依頼してください。それまでは自分専用のデモ環境で作業します。",
+  "account.resendVerification": "リンクを再送信",
+  "account.checkAgain": "もう一度確認",
+  "account.verificationSent": "確認メールを送信しました。",
+  "account.signOut": "ログアウト",
+  "account.error.credentials": "メールアドレスまたはパスワードが正しくありません。",
+  "account.error.email": "有効なメールアドレスを入力してください。",
+  "account.error.exists": "このメールアドレスのアカウントは既にあります。ログインしてください。",
+  "account.error.weakPassword": "パスワードは 6 文字以上にしてください。",
+  "account.error.cancelled": "ログインがキャンセルされました。",
+  "account.error.popup": "ログインするにはポップアップを許可してください。",
+  "account.error.tooMany": "試行回数が多すぎます。しばらくしてから再試行してください。",
+  "account.error.network": "接続がありません。ログインにはオンライン接続が必要です。",
+  "account.error.generic": "ログインに失敗しました。もう一度お試しください。",
+  "team.title": "チーム {team}",
+  "team.you": "（あなた）",
+  "team.remove": "チームから外す",
+  "team.confirmRemove": "{name} をチームから外しますか？",
+  "team.invited": "{role} として招待済み",
+  "team.cancelInvite": "招待を取り消す",
+  "team.inviteEmail": "メールで招待",
+  "team.invite": "招待",
+  "team.loadFailed": "チームを読み込めませんでした。",
+  "team.saveFailed": "チームを更新できませんでした。",
+
+  "report.title": "事故報告書プレビュー",
+  "report.previewTitle": "作業報告書プレビュー",
+  "report.site": "現場",
+  "report.location": "場所",
+  "report.technician": "作業者",
+  "report.addSummary": "AI 要約を追加",
+  "report.refreshSummary": "AI 要約を更新",
+  "report.summaryEmpty": "モデルから要約が返されませんでした。",
+  "report.summaryQuota": "AI 要約は利用できません（上限）。報告書は要約なしでも完結しています。",
+  "report.summaryFailed": "AI 要約に失敗しました。報告書は要約なしでも完結しています。",
+  "report.close": "閉じる",
+  "report.print": "印刷",
+  "report.pdfUnavailable": "PDF ではこの言語を表示できません。印刷から PDF として保存してください。",
+  "report.signOff": "署名して保存",
+  "report.signedOff": "署名済み",
+  "report.signOffHint": "署名するには作業者名を入力してください",
+
+  "history.title": "セッション履歴",
+  "history.needsSignIn": "履歴を見るにはサインインしてオンラインである必要があります。",
+  "history.from": "開始日",
+  "history.to": "終了日",
+  "history.status": "状態",
+  "history.mode": "モード",
+  "history.all": "すべて",
+  "history.search": "検索",
+  "history.empty": "条件に一致するイベントはありません。",
+  "history.loadFailed": "履歴を読み込めませんでした。接続を確認してください。",
+  "history.session": "セッション {id}",
+  "history.events": "{count} 件",
+  "history.regenerate": "報告書を再作成",
+  "history.asset": "資産",
+  "history.assetHint": "資産ID",
+
+  "equipment.title": "機器プロファイル",
+  "equipment.needsSignIn": "機器プロファイルにはオンラインでのサインインが必要です。",
+  "equipment.readOnly": "チームのプロファイルを追加・編集できるのは監督者のみです。",
+  "equipment.loadFailed": "機器プロファイルを読み込めませんでした。接続を確認してください。",
+  "equipment.saveFailed": "機器プロファイルを保存できませんでした。",
+  "equipment.nameRequired": "種類または型式を入力してください。",
+  "equipment.confirmDelete": "チーム全体からプロファイル「{name}」を削除しますか？",
+  "equipment.empty": "このチームの機器プロファイルはまだありません。",
+  "equipment.new": "新規プロファイル",
+  "equipment.edit": "編集",
+  "equipment.delete": "削除",
+  "equipment.select": "使用",
+  "equipment.selected": "使用中",
+  "equipment.save": "保存",
+  "equipment.cancel": "キャンセル",
+  "equipment.type": "種類",
+  "equipment.typeHint": "例: 48V整流器",
+  "equipment.manufacturer": "メーカー",
+  "equipment.model": "型式",
+  "equipment.voltageClass": "電圧区分",
+  "equipment.failureModes": "既知の故障モード（1行に1件）",
+  "equipment.lockoutProcedure": "メーカーのロックアウト手順（1行に1手順）",
+  "equipment.lockoutSteps": "ロックアウト手順 {count} 件",
+
+  "voltage.none": "無電圧 / 電源なし",
+  "voltage.elv": "特別低電圧（AC 50V以下 / DC 120V以下）",
+  "voltage.lv": "低圧（AC 1kV以下）",
+  "voltage.mv": "中圧（1〜35kV）",
+  "voltage.hv": "高圧（35kV超）",
+
+  "mode.safety_check": "安全確認",
+  "mode.diagnosis": "診断",
+  "mode.repair_guide": "修理ガイド",
+
+  "toast.voiceUnsupported": "このブラウザは音声入力に対応していません。",
+  "toast.voiceFailed": "音声入力に失敗しました。もう一度お試しください。",
+  "toast.heard": "認識:「{text}」",
+  "toast.micDenied": "マイクの使用が許可されていません。",
+  "toast.inProgress": "処理中です...",
+  "toast.blurry": "画像がぶれています。静止してください。もう一度タップすると送信します。",
+  "toast.lotoRequired": "先にロックアウト / タグアウトのチェックリストを完了してください。",
+  "toast.repairNeedsSafe": "修理手順には SAFE の判定が必要です。先に安全チェックを行ってください。",
+  "toast.lotoBlurry": "写真がぶれています。静止してもう一度確認してください。",
+  "toast.lotoConfigFailed": "LOTOチェックリストを保存できませんでした。",
+  "toast.overrideFailed": "解除依頼を送信できませんでした。",
+  "toast.overrideApproved": "{name} が解除を承認しました。",
+  "toast.overridePending": "{name} が監督者の解除承認を求めています。",
+  "toast.unitDanger": "{name}：危険 — {headline}",
+  "toast.unitSilent": "{name} からの応答が途絶えました。",
+  "toast.incidentOpened": "インシデントを起票しました。監督者に通知しています。",
+  "toast.incidentFailed": "インシデントを起票できませんでした。",
+  "toast.incidentAlert": "{name} からのインシデント：{headline}",
+  "toast.incidentAcknowledged": "{name} がインシデントを確認しました。",
+  "toast.escalationConfigFailed": "エスカレーションルールを保存できませんでした。",
+  "toast.signedOut": "ログアウトしました。デモユーザーとして続行します。",
+  "toast.assetTagged": "資産 {id} をこのセッションに関連付けました。",
+  "toast.providerFallback": "ビジョンプロバイダーが利用できません — {provider} が応答しました。",
+  "toast.verifyFirst": "この手順を完了する前に、新たに安全確認を行ってください。",
+  "toast.popups": "報告書を印刷するにはポップアップを許可してください。",
+  "toast.exported": "報告書を {format} で出力しました。",
+  "toast.contextSent": "状況を送信しました。",
+  "toast.cooldown": "{seconds} 秒お待ちください",
+
+  "speech.step": "手順 {n}、全 {total}。{text}",
+  "speech.verifyBeforeStep": "この手順を始める前に安全確認を行ってください。",
+  "speech.sceneVerified": "安全を確認しました。",
+  "speech.verifyFirst": "先に安全確認を行ってください。",
+  "speech.protocolComplete": "修理手順が完了しました。現場を離れる前に最終の安全確認を行ってください。",
+  "speech.lotoStep": "ロックアウト手順 {n}、全 {total}。{text}",
+  "speech.lotoComplete": "ロックアウトとタグアウトが完了しました。修理手順が解除されました。",
+  "speech.overrideRequested": "解除を依頼しました。監督者の判断を待っています。",
+  "speech.overrideApproved": "{name} が解除を承認しました。注意して作業してください。",
+  "speech.overrideRejected": "{name} が解除を却下しました。",
+  "speech.overrideExpired": "監督者による解除の期限が切れました。ロックが再び有効です。",
+  "speech.overrideVoided": "新たな危険を検出しました。解除を取り消しました。",
+  "speech.unitDanger": "警告。{name} が危険を検出しました。",
+  "speech.unitSilent": "{name} からの応答が途絶えました。",
+  "speech.incidentAlert": "インシデントです。{name} が監督者を必要としています。",
+  "speech.incidentAcknowledged": "{name} がインシデントを確認しました。",
+  "speech.protocolAborted": "修理手順を中止しました。作業を続ける前に周囲を安全にしてください。",
+  "speech.dangerAbort": "修理手順を中止しました。",
+  "speech.noProtocol": "実行中の修理手順はありません。",
+  "speech.nothingToRepeat": "まだ繰り返す内容がありません。",
+  "speech.noReport": "報告書を作成するにはまだ記録が足りません。",
+  "speech.noted": "記録しました。",
+  "speech.diagnoseLocked": "現場が安全になるまで診断はロックされています。代わりに安全確認を行います。",
+  "speech.dangerEarly": "危険です。作業を止めて離れてください。",
+  "speech.listening": "どうぞ。",
+};
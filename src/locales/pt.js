@@ -0,0 +1,369 @@
+/* =========================
+  UI STRINGS — Português
+========================= */
+export default {
+  "status.SAFE": "SISTEMA SEGURO",
+  "status.DANGER": "PERIGO DETECTADO",
+  "status.UNCERTAIN": "ANÁLISE INCONCLUSIVA",
+  "status.IDLE": "EM ESPERA",
+
+  "header.unit": "UNIDADE",
+  "header.offline": "OFFLINE",
+  "header.watch": "VIGILÂNCIA",
+  "header.syncPending": "SINCRONIZAÇÃO: {count} PENDENTES",
+  "header.syncDone": "SINCRONIZAÇÃO: EM DIA",
+  "header.syncTitle": "Eventos guardados neste dispositivo até o Firestore confirmar",
+  "header.history": "HISTÓRICO",
+  "header.equipment": "EQUIPAMENTO",
+  "header.assetHistory": "Histórico de manutenção deste ativo",
+  "header.assetClear": "Remover etiqueta do ativo",
+  "header.override": "LIBERAÇÃO ATÉ {time}",
+  "header.approvals": "APROVAÇÕES ({count})",
+  "header.team": "EQUIPE ({count})",
+  "header.incidents": "INCIDENTES ({count})",
+  "header.thread": "CONVERSA ({count})",
+  "header.signIn": "ENTRAR",
+  "header.language": "Idioma",
+
+  "camera.start": "Ativar câmera",
+  "camera.waiting": "Aguardando imagem...",
+  "camera.analyzing": "ANALISANDO",
+  "camera.cancel": "CANCELAR ANÁLISE",
+
+  "roi.drag": "ARRASTE PARA SELECIONAR A ÁREA DE INTERESSE",
+  "roi.region": "ÁREA",
+  "roi.cancel": "CANCELAR",
+  "roi.fullFrame": "QUADRO INTEIRO",
+
+  "result.title": "RESULTADO DA ANÁLISE",
+  "result.cached": "EM CACHE",
+  "result.streaming": "AO VIVO",
+  "result.safePending": "SEGURO? — validação pendente",
+  "result.cachedSince": "Cena inalterada desde {time}",
+  "result.action": "Ação recomendada",
+  "result.viewRepair": "✨ Ver passos de reparo",
+  "result.completeLoto": "Conclua o bloqueio (LOTO) para liberar o reparo",
+  "result.resumeRepair": "Retomar protocolo de reparo",
+
+  "category.electrical": "elétrico",
+  "category.water": "água",
+  "category.fire": "fogo",
+  "category.mechanical": "mecânico",
+  "category.chemical": "químico",
+  "category.ppe": "EPI",
+  "category.other": "outro",
+
+  "logs.title": "REGISTRO DA SESSÃO",
+  "logs.report": "Relatório",
+  "logs.viewEvidence": "Ver imagem de evidência",
+  "evidence.alt": "Imagem de evidência",
+
+  "thread.title": "CONVERSA DE DIAGNÓSTICO",
+  "thread.new": "NOVA",
+  "thread.newHint": "Encerrar esta conversa e começar outra",
+  "thread.close": "Ocultar conversa",
+  "thread.empty": "Faça uma leitura ou uma pergunta para iniciar a conversa.",
+  "thread.frameOnly": "Só a imagem",
+  "thread.failed": "não enviado",
+  "thread.placeholder": "Responda ou descreva o que mudou...",
+  "thread.send": "Enviar",
+  "thread.asks": "OMNITECH PERGUNTA",
+  "thread.showNow": "MOSTRAR AGORA",
+  "thread.answer": "RESPONDER",
+  "thread.dismiss": "Dispensar pergunta",
+
+  "controls.safety": "SEGURANÇA",
+  "controls.diagnose": "DIAGNÓSTICO",
+  "controls.watchOn": "VIGILÂNCIA: LIGADA",
+  "controls.watchOff": "VIGILÂNCIA: DESLIGADA",
+  "controls.handsFreeOn": "MÃOS LIVRES: “{wake}”",
+  "controls.handsFreeOff": "MÃOS LIVRES: DESLIGADO",
+  "controls.handsFreeHint":
+    "Diga “{wake}” e depois: verificação de segurança, diagnosticar …, próximo passo, repetir, gerar relatório, parar",
+  "controls.placeholder": "Descreva o problema (ou use a voz)...",
+  "controls.listening": "Ouvindo...",
+  "controls.voiceInput": "Entrada de voz",
+
+  "metrics.inference": "INFERÊNCIA",
+  "metrics.live": "TEMPO REAL",
+  "metrics.protection": "PROTEÇÃO",
+  "metrics.watching": "VIGIANDO",
+  "metrics.guard": "GUARDA ATIVA",
+  "metrics.voice": "VOZ",
+  "metrics.handsFree": "MÃOS LIVRES",
+  "metrics.listening": "OUVINDO",
+  "metrics.ready": "PRONTO",
+
+  "banner.locked": "PROTOCOLO BLOQUEADO: {action}",
+  "banner.overridden": "BLOQUEIO LIBERADO por {name} até {time}",
+  "banner.resolve": "Elimine o perigo antes de continuar.",
+  "banner.seeBox": "VER QUADRO",
+  "banner.finding": "ACHADO",
+
+  "protocol.title": "Protocolo de reparo",
+  "protocol.aborted": "PROTOCOLO INTERROMPIDO — {reason}",
+  "protocol.complete": "PROTOCOLO CONCLUÍDO — FAÇA UMA VERIFICAÇÃO FINAL",
+  "protocol.flag.energising": "ENERGIZAÇÃO",
+  "protocol.flag.hazardous": "PERIGOSO",
+  "protocol.outcome.done": "FEITO",
+  "protocol.outcome.skipped": "PULADO",
+  "protocol.outcome.failed": "FALHOU",
+  "protocol.verified": "CENA REVERIFICADA",
+  "protocol.verifyRequired": "VERIFICAÇÃO NECESSÁRIA",
+  "protocol.read": "Ler",
+  "protocol.verify": "Verificar",
+  "protocol.done": "Feito",
+  "protocol.skip": "Pular",
+  "protocol.failed": "Falhou",
+  "protocol.footer": "GERADO PELO OMNITECH CORE // VERIFIQUE ANTES DE AGIR",
+
+  "loto.title": "Bloqueio e etiquetagem (LOTO)",
+  "loto.intro": "Confirme cada passo em ordem. A câmera fotografa cada confirmação para auditoria. Os passos de reparo são liberados quando todos estiverem concluídos.",
+  "loto.confirm": "Confirmar este passo com foto",
+  "loto.confirmedAt": "Confirmado com foto às {time}",
+  "loto.restart": "Recomeçar",
+  "loto.voided": "Anulado: {reason}. Recomece antes do reparo.",
+  "loto.needsCamera": "Inicie a câmera para confirmar os passos com foto.",
+  "loto.configure": "Configurar a lista da equipe",
+  "loto.configureHint": "Lista da equipe (um passo por linha; vazio restaura o padrão)",
+  "loto.resetDefaults": "Restaurar padrão",
+  "loto.save": "Salvar",
+  "loto.cancel": "Cancelar",
+  "loto.step.isolate": "Isolar todas as fontes de energia (elétrica, armazenada, mecânica, hidráulica)",
+  "loto.step.lock": "Colocar um cadeado pessoal em cada ponto de isolamento",
+  "loto.step.tag": "Fixar uma etiqueta de perigo com nome, data e motivo",
+  "loto.step.verify_zero": "Verificar energia zero: testar antes de tocar e tentar ligar",
+  "loto.step.ppe": "Usar o EPI exigido para a classe de tensão",
+
+  "override.title": "Aprovações de liberação",
+  "override.intro": "Um técnico está pedindo que você libere um bloqueio DANGER / UNCERTAIN. Confira a imagem e as constatações; sua decisão e o motivo ficam registrados.",
+  "override.empty": "Nenhum pedido de liberação pendente.",
+  "dashboard.title": "Painel da equipe",
+  "dashboard.intro": "Status ao vivo de cada unidade da equipe {team}. Unidades em PERIGO ou que pararam de responder aparecem primeiro e são anunciadas.",
+  "dashboard.empty": "Nenhuma unidade ativa.",
+  "dashboard.you": "(este dispositivo)",
+  "dashboard.lastScan": "Última análise {time}",
+  "dashboard.noScan": "Nenhuma análise ainda",
+  "dashboard.camera": "Câmera ligada",
+  "dashboard.overridden": "Liberação ativa",
+  "dashboard.silent": "SEM SINAL",
+  "dashboard.background": "Em segundo plano",
+  "dashboard.seen": "Visto {ago}",
+  "dashboard.secondsAgo": "há {count} s",
+  "dashboard.minutesAgo": "há {count} min",
+  "incident.title": "Incidentes",
+  "incident.intro": "Veredictos que atendem às regras de escalonamento da equipe abrem um incidente aqui e acionam os supervisores. Confirme para avisar o técnico que você assumiu; resolva com uma nota quando o local estiver seguro.",
+  "incident.empty": "Nenhum incidente aberto.",
+  "incident.status.open": "Aberto",
+  "incident.status.acknowledged": "Confirmado",
+  "incident.openedBy": "Aberto por {name} às {time}",
+  "incident.acknowledgedBy": "Confirmado por {name} às {time}",
+  "incident.acknowledge": "Confirmar",
+  "incident.resolution": "Resolução",
+  "incident.resolve": "Resolver",
+  "incident.resolutionRequired": "Descreva como o incidente foi resolvido.",
+  "incident.notifying": "Notificando…",
+  "incident.deliveryFailed": "Falha na notificação — contate os supervisores diretamente.",
+  "incident.webhookOk": "Webhook entregue",
+  "incident.webhookFailed": "Falha no webhook ({status})",
+  "incident.pushed": "Push enviado para {count}",
+  "incident.noChannels": "Nenhum canal de notificação configurado",
+  "incident.pushOn": "PUSH LIGADO",
+  "incident.pushOff": "PUSH DESLIGADO",
+  "incident.pushHint": "Acionar este dispositivo quando um incidente abrir, mesmo com o app fechado",
+  "incident.pushDenied": "As notificações estão bloqueadas neste navegador.",
+  "incident.pushFailed": "Não foi possível alterar as notificações push.",
+  "escalation.title": "Regras de escalonamento",
+  "escalation.hint": "Um incidente abre quando um veredicto tem o status escolhido e, se houver categorias marcadas, um achado em uma delas — e isso ocorreu o número de vezes indicado dentro da janela (0 minutos: só o veredicto).",
+  "escalation.name": "Nome da regra",
+  "escalation.remove": "Remover regra",
+  "escalation.status": "Veredicto",
+  "escalation.count": "Vezes",
+  "escalation.window": "Em (min)",
+  "escalation.categories": "Categorias",
+  "escalation.add": "Adicionar regra",
+  "escalation.rule.electrical_fire": "Perigo elétrico ou de incêndio",
+  "escalation.rule.repeated_uncertain": "Veredictos INCERTOS repetidos",
+  "override.reason": "Motivo (obrigatório)",
+  "override.reasonRequired": "Informe o motivo da decisão.",
+  "override.duration": "Válido por",
+  "override.minutes": "{count} min",
+  "override.approve": "Aprovar",
+  "override.reject": "Rejeitar",
+  "override.requestedBy": "Pedido por {name} às {time}",
+  "override.request": "Pedir liberação ao supervisor",
+  "override.waiting": "Aguardando um supervisor…",
+  "override.cancel": "Cancelar",
+  "override.active": "Liberação de {name} até {time}",
+  "override.end": "Encerrar",
+
+  "role.technician": "Técnico",
+  "role.supervisor": "Supervisor",
+  "role.admin": "Admin",
+  "role.demo": "Demo",
+  "account.title": "Conta",
+  "account.unavailable": "O login exige que o Firebase esteja configurado.",
+  "account.demoIntro": "Você está usando o OmniTech como usuário de demonstração anônimo. Entre para que seu trabalho fique registrado no seu nome e as funções da sua equipe sejam aplicadas.",
+  "account.ssoButton": "Continuar com {provider}",
+  "account.sso": "login único (SSO)",
+  "account.or": "ou",
+  "account.name": "Nome completo",
+  "account.email": "E-mail",
+  "account.password": "Senha",
+  "account.signIn": "Entrar",
+  "account.create": "Criar conta",
+  "account.sendReset": "Enviar link",
+  "account.toCreate": "Primeira vez? Crie uma conta",
+  "account.toSignIn": "Voltar para o login",
+  "account.forgot": "Esqueceu a senha?",
+  "account.resetSent": "Link para redefinir a senha enviado para {email}.",
+  "account.demoTeam": "Ainda sem equipe — trabalhando no seu próprio ambiente de demonstração",
+  "account.membership": "{role} · equipe {team}",
+  "account.verifyEmail": "Abra o link que enviamos para {email} para confirmá-lo e depois verifique de novo.",
+  "account.notInvited": "{email} não foi convidado para nenhuma equipe. Peça ao administrador da sua equipe para convidar este endereço; até lá você trabalha no seu próprio ambiente de demonstração.",
+  "account.resendVerification": "Reenviar link",
+  "account.checkAgain": "Verificar de novo",
+  "account.verificationSent": "E-mail de verificação enviado.",
+  "account.signOut": "Sair",
+  "account.error.credentials": "E-mail ou senha incorretos.",
+  "account.error.email": "Informe um e-mail válido.",
+  "account.error.exists": "Já existe uma conta com este e-mail. Entre com ela.",
+  "account.error.weakPassword": "A senha precisa ter pelo menos 6 caracteres.",
+  "account.error.cancelled": "Login cancelado.",
+  "account.error.popup": "Permita pop-ups para entrar.",
+  "account.error.tooMany": "Muitas tentativas. Tente mais tarde.",
+  "account.error.network": "Sem conexão. O login precisa de internet.",
+  "account.error.generic": "Não foi possível entrar. Tente de novo.",
+  "team.title": "Equipe {team}",
+  "team.you": "(você)",
+  "team.remove": "Remover da equipe",
+  "team.confirmRemove": "Remover {name} da equipe?",
+  "team.invited": "convidado como {role}",
+  "team.cancelInvite": "Cancelar convite",
+  "team.inviteEmail": "Convidar por e-mail",
+  "team.invite": "Convidar",
+  "team.loadFailed": "Não foi possível carregar a equipe.",
+  "team.saveFailed": "Não foi possível atualizar a equipe.",
+
+  "report.title": "Prévia do relatório de incidente",
+  "report.previewTitle": "Prévia do relatório de campo",
+  "report.site": "Local",
+  "report.location": "Localização",
+  "report.technician": "Técnico",
+  "report.addSummary": "Adicionar resumo de IA",
+  "report.refreshSummary": "Atualizar resumo de IA",
+  "report.summaryEmpty": "O modelo não retornou nenhum resumo.",
+  "report.summaryQuota": "Resumo de IA indisponível (cota). O relatório está completo sem ele.",
+  "report.summaryFailed": "Falha no resumo de IA. O relatório está completo sem ele.",
+  "report.close": "Fechar",
+  "report.print": "Imprimir",
+  "report.pdfUnavailable": "O PDF não consegue mostrar este idioma — use Imprimir para salvar um PDF.",
+  "report.signOff": "Assinar e salvar",
+  "report.signedOff": "Assinado",
+  "report.signOffHint": "Informe o nome do técnico para assinar",
+
+  "history.title": "Histórico de sessões",
+  "history.needsSignIn": "O histórico exige uma sessão conectada e online.",
+  "history.from": "DE",
+  "history.to": "ATÉ",
+  "history.status": "STATUS",
+  "history.mode": "MODO",
+  "history.all": "TODOS",
+  "history.search": "Buscar",
+  "history.empty": "Nenhum evento corresponde a estes filtros.",
+  "history.loadFailed": "Não foi possível carregar o histórico. Verifique sua conexão.",
+  "history.session": "SESSÃO {id}",
+  "history.events": "{count} EVENTOS",
+  "history.regenerate": "Gerar relatório novamente",
+  "history.asset": "ATIVO",
+  "history.assetHint": "ID do ativo",
+
+  "equipment.title": "Perfis de equipamento",
+  "equipment.needsSignIn": "Os perfis de equipamento exigem uma sessão iniciada e online.",
+  "equipment.readOnly": "Somente supervisores podem adicionar ou editar os perfis da equipe.",
+  "equipment.loadFailed": "Não foi possível carregar os perfis de equipamento. Verifique sua conexão.",
+  "equipment.saveFailed": "Não foi possível salvar o perfil de equipamento.",
+  "equipment.nameRequired": "Indique pelo menos um tipo ou um modelo.",
+  "equipment.confirmDelete": "Excluir o perfil \"{name}\" para toda a equipe?",
+  "equipment.empty": "Esta equipe ainda não tem perfis de equipamento.",
+  "equipment.new": "Novo perfil",
+  "equipment.edit": "Editar",
+  "equipment.delete": "Excluir",
+  "equipment.select": "Usar",
+  "equipment.selected": "Em uso",
+  "equipment.save": "Salvar",
+  "equipment.cancel": "Cancelar",
+  "equipment.type": "Tipo",
+  "equipment.typeHint": "ex. retificador 48V",
+  "equipment.manufacturer": "Fabricante",
+  "equipment.model": "Modelo",
+  "equipment.voltageClass": "Classe de tensão",
+  "equipment.failureModes": "Modos de falha conhecidos (um por linha)",
+  "equipment.lockoutProcedure": "Procedimento de bloqueio do fabricante (um passo por linha)",
+  "equipment.lockoutSteps": "{count} passos de bloqueio",
+
+  "voltage.none": "Desenergizado / sem alimentação elétrica",
+  "voltage.elv": "Extra-baixa tensão (≤50V CA / ≤120V CC)",
+  "voltage.lv": "Baixa tensão (≤1kV CA)",
+  "voltage.mv": "Média tensão (1–35kV)",
+  "voltage.hv": "Alta tensão (>35kV)",
+
+  "mode.safety_check": "verificação de segurança",
+  "mode.diagnosis": "diagnóstico",
+  "mode.repair_guide": "guia de reparo",
+
+  "toast.voiceUnsupported": "Entrada de voz não suportada neste navegador.",
+  "toast.voiceFailed": "Falha na entrada de voz. Tente novamente.",
+  "toast.heard": "Ouvido: “{text}”",
+  "toast.micDenied": "Permissão do microfone negada.",
+  "toast.inProgress": "Solicitação em andamento...",
+  "toast.blurry": "Imagem borrada — fique parado. Toque de novo para enviar mesmo assim.",
+  "toast.lotoRequired": "Conclua primeiro a lista de bloqueio e etiquetagem.",
+  "toast.repairNeedsSafe": "Os passos de reparo exigem um veredito SEGURO. Faça primeiro uma verificação de segurança.",
+  "toast.lotoBlurry": "Foto desfocada — fique parado e confirme novamente.",
+  "toast.lotoConfigFailed": "Não foi possível salvar a lista LOTO.",
+  "toast.overrideFailed": "Não foi possível enviar o pedido de liberação.",
+  "toast.overrideApproved": "Liberação aprovada por {name}.",
+  "toast.overridePending": "{name} está pedindo uma liberação ao supervisor.",
+  "toast.unitDanger": "{name}: PERIGO — {headline}",
+  "toast.unitSilent": "{name} parou de responder.",
+  "toast.incidentOpened": "Incidente aberto — os supervisores estão sendo avisados.",
+  "toast.incidentFailed": "Não foi possível abrir o incidente.",
+  "toast.incidentAlert": "Incidente de {name}: {headline}",
+  "toast.incidentAcknowledged": "{name} confirmou seu incidente.",
+  "toast.escalationConfigFailed": "Não foi possível salvar as regras de escalonamento.",
+  "toast.signedOut": "Você saiu. Continuando como usuário de demonstração.",
+  "toast.assetTagged": "Ativo {id} associado a esta sessão.",
+  "toast.providerFallback": "Provedor de visão indisponível — respondido por {provider}.",
+  "toast.verifyFirst": "Faça uma nova verificação de segurança antes de concluir este passo.",
+  "toast.popups": "Permita pop-ups para imprimir o relatório.",
+  "toast.exported": "Relatório exportado como {format}.",
+  "toast.contextSent": "Contexto enviado.",
+  "toast.cooldown": "Aguarde {seconds} s",
+
+  "speech.step": "Passo {n} de {total}. {text}",
+  "speech.verifyBeforeStep": "Faça uma verificação de segurança antes de iniciar este passo.",
+  "speech.sceneVerified": "Cena verificada.",
+  "speech.verifyFirst": "Faça primeiro uma verificação de segurança.",
+  "speech.protocolComplete": "Protocolo de reparo concluído. Faça uma verificação final antes de deixar o local.",
+  "speech.lotoStep": "Bloqueio, passo {n} de {total}. {text}",
+  "speech.lotoComplete": "Bloqueio e etiquetagem concluídos. Instruções de reparo liberadas.",
+  "speech.overrideRequested": "Liberação pedida. Aguardando um supervisor.",
+  "speech.overrideApproved": "Liberação aprovada por {name}. Prossiga com cuidado.",
+  "speech.overrideRejected": "Liberação rejeitada por {name}.",
+  "speech.overrideExpired": "A liberação do supervisor expirou. Os bloqueios voltam a valer.",
+  "speech.overrideVoided": "Novo perigo detectado. Liberação cancelada.",
+  "speech.unitDanger": "Alerta. {name} detectou um perigo.",
+  "speech.unitSilent": "{name} parou de responder.",
+  "speech.incidentAlert": "Incidente. {name} precisa de um supervisor.",
+  "speech.incidentAcknowledged": "{name} confirmou o incidente.",
+  "speech.protocolAborted": "Protocolo de reparo interrompido. Deixe a área segura antes de continuar.",
+  "speech.dangerAbort": "Protocolo de reparo interrompido.",
+  "speech.noProtocol": "Nenhum protocolo de reparo em andamento.",
+  "speech.nothingToRepeat": "Nada para repetir ainda.",
+  "speech.noReport": "Ainda não há atividade suficiente para um relatório.",
+  "speech.noted": "Anotado.",
+  "speech.diagnoseLocked": "O diagnóstico fica bloqueado até a área estar segura. Fazendo uma verificação de segurança.",
+  "speech.dangerEarly": "Perigo. Pare o trabalho e afaste-se.",
+  "speech.listening": "Estou ouvindo.",
+};
@@ -0,0 +1,369 @@
+/* =========================
+  UI STRINGS — Kiswahili
+========================= */
+export default {
+  "status.SAFE": "MFUMO NI SALAMA",
+  "status.DANGER": "HATARI IMEGUNDULIWA",
+  "status.UNCERTAIN": "UCHAMBUZI HAUJAKAMILIKA",
+  "status.IDLE": "TAYARI KUSUBIRI",
+
+  "header.unit": "KITENGO",
+  "header.offline": "NJE YA MTANDAO",
+  "header.watch": "ULINZI",
+  "header.syncPending": "USAWAZISHAJI: {count} ZINASUBIRI",
+  "header.syncDone": "USAWAZISHAJI: IMEKAMILIKA",
+  "header.syncTitle": "Matukio yamehifadhiwa kwenye kifaa hiki hadi Firestore ithibitishe",
+  "header.history": "HISTORIA",
+  "header.equipment": "KIFAA",
+  "header.assetHistory": "Historia ya matengenezo ya kifaa hiki",
+  "header.assetClear": "Ondoa lebo ya kifaa",
+  "header.override": "RUHUSA HADI {time}",
+  "header.approvals": "IDHINI ({count})",
+  "header.team": "TIMU ({count})",
+  "header.incidents": "MATUKIO ({count})",
+  "header.thread": "MAZUNGUMZO ({count})",
+  "header.signIn": "INGIA",
+  "header.language": "Lugha",
+
+  "camera.start": "Washa kamera",
+  "camera.waiting": "Inasubiri picha...",
+  "camera.analyzing": "INACHAMBUA",
+  "camera.cancel": "GHAIRI UCHAMBUZI",
+
+  "roi.drag": "BURUTA KUCHAGUA ENEO LA KUCHUNGUZA",
+  "roi.region": "ENEO",
+  "roi.cancel": "GHAIRI",
+  "roi.fullFrame": "PICHA NZIMA",
+
+  "result.title": "MATOKEO YA UCHAMBUZI",
+  "result.cached": "ILIYOHIFADHIWA",
+  "result.streaming": "MOJA KWA MOJA",
+  "result.safePending": "SALAMA? — inasubiri uthibitisho",
+  "result.cachedSince": "Mandhari hayajabadilika tangu {time}",
+  "result.action": "Hatua inayopendekezwa",
+  "result.viewRepair": "✨ Ona hatua za matengenezo",
+  "result.completeLoto": "Kamilisha LOTO ili kufungua hatua za matengenezo",
+  "result.resumeRepair": "Endelea na utaratibu wa matengenezo",
+
+  "category.electrical": "umeme",
+  "category.water": "maji",
+  "category.fire": "moto",
+  "category.mechanical": "mitambo",
+  "category.chemical": "kemikali",
+  "category.ppe": "vifaa vya kinga",
+  "category.other": "nyingine",
+
+  "logs.title": "KUMBUKUMBU ZA KIKAO",
+  "logs.report": "Ripoti",
+  "logs.viewEvidence": "Ona picha ya ushahidi",
+  "evidence.alt": "Picha ya ushahidi",
+
+  "thread.title": "MAZUNGUMZO YA UCHUNGUZI",
+  "thread.new": "MAPYA",
+  "thread.newHint": "Funga mazungumzo haya na uanze mapya",
+  "thread.close": "Ficha mazungumzo",
+  "thread.empty": "Changanua au uliza swali ili kuanza mazungumzo.",
+  "thread.frameOnly": "Picha pekee",
+  "thread.failed": "haijatumwa",
+  "thread.placeholder": "Jibu au eleza kilichobadilika...",
+  "thread.send": "Tuma",
+  "thread.asks": "OMNITECH INAULIZA",
+  "thread.showNow": "ONYESHA SASA",
+  "thread.answer": "JIBU",
+  "thread.dismiss": "Puuza swali",
+
+  "controls.safety": "USALAMA",
+  "controls.diagnose": "CHUNGUZA",
+  "controls.watchOn": "ULINZI: UMEWASHWA",
+  "controls.watchOff": "ULINZI: UMEZIMWA",
+  "controls.handsFreeOn": "BILA MIKONO: \"{wake}\"",
+  "controls.handsFreeOff": "BILA MIKONO: IMEZIMWA",
+  "controls.handsFreeHint":
+    "Sema \"{wake}\" kisha: ukaguzi wa usalama, chunguza …, hatua inayofuata, rudia, tengeneza ripoti, simama",
+  "controls.placeholder": "Eleza tatizo (au tumia sauti)...",
+  "controls.listening": "Inasikiliza...",
+  "controls.voiceInput": "Ingizo la sauti",
+
+  "metrics.inference": "UCHAKATAJI",
+  "metrics.live": "MUDA HALISI",
+  "metrics.protection": "KINGA",
+  "metrics.watching": "INALINDA",
+  "metrics.guard": "ULINZI HAI",
+  "metrics.voice": "SAUTI",
+  "metrics.handsFree": "BILA MIKONO",
+  "metrics.listening": "INASIKILIZA",
+  "metrics.ready": "TAYARI",
+
+  "banner.locked": "UTARATIBU UMEFUNGWA: {action}",
+  "banner.overridden": "KUFULI IMEONDOLEWA na {name} hadi {time}",
+  "banner.resolve": "Ondoa hatari kabla ya kuendelea.",
+  "banner.seeBox": "ONA KISANDUKU",
+  "banner.finding": "UGUNDUZI",
+
+  "protocol.title": "Utaratibu wa matengenezo",
+  "protocol.aborted": "UTARATIBU UMESITISHWA — {reason}",
+  "protocol.complete": "UTARATIBU UMEKAMILIKA — FANYA UKAGUZI WA MWISHO WA USALAMA",
+  "protocol.flag.energising": "KUWASHA UMEME",
+  "protocol.flag.hazardous": "HATARI",
+  "protocol.outcome.done": "IMEFANYWA",
+  "protocol.outcome.skipped": "IMERUKWA",
+  "protocol.outcome.failed": "IMESHINDWA",
+  "protocol.verified": "MANDHARI YAMEHAKIKIWA UPYA",
+  "protocol.verifyRequired": "UKAGUZI WA USALAMA UNAHITAJIKA",
+  "protocol.read": "Soma",
+  "protocol.verify": "Hakiki",
+  "protocol.done": "Imefanywa",
+  "protocol.skip": "Ruka",
+  "protocol.failed": "Imeshindwa",
+  "protocol.footer": "IMETOLEWA NA OMNITECH CORE // HAKIKI KABLA YA KUTENDA",
+
+  "loto.title": "Kufunga na Kuweka Lebo (LOTO)",
+  "loto.intro": "Thibitisha kila hatua kwa mpangilio. Kamera inapiga picha kila uthibitisho kwa ajili ya ukaguzi. Hatua za matengenezo zinafunguliwa hatua zote zikikamilika.",
+  "loto.confirm": "Thibitisha hatua hii kwa picha",
+  "loto.confirmedAt": "Imethibitishwa kwa picha saa {time}",
+  "loto.restart": "Anza upya",
+  "loto.voided": "Imebatilishwa: {reason}. Anza upya kabla ya matengenezo.",
+  "loto.needsCamera": "Washa kamera ili kuthibitisha hatua kwa picha.",
+  "loto.configure": "Sanidi orodha ya timu",
+  "loto.configureHint": "Orodha ya timu (hatua moja kwa kila mstari; tupu hurejesha chaguo-msingi)",
+  "loto.resetDefaults": "Rejesha chaguo-msingi",
+  "loto.save": "Hifadhi",
+  "loto.cancel": "Ghairi",
+  "loto.step.isolate": "Tenganisha kila chanzo cha nishati (umeme, iliyohifadhiwa, mitambo, haidroli)",
+  "loto.step.lock": "Weka kufuli yako binafsi kwenye kila kituo cha kutenganisha",
+  "loto.step.tag": "Weka lebo ya hatari yenye jina, tarehe na sababu",
+  "loto.step.verify_zero": "Thibitisha hakuna nishati: pima kabla ya kugusa na jaribu kuwasha",
+  "loto.step.ppe": "Vaa vifaa vya kujikinga vinavyohitajika kwa daraja la voltage",
+
+  "override.title": "Idhini za Kuondoa Kufuli",
+  "override.intro": "Fundi anakuomba uondoe kufuli ya DANGER / UNCERTAIN. Kagua picha na matokeo; uamuzi wako na sababu vinahifadhiwa.",
+  "override.empty": "Hakuna maombi yanayosubiri.",
+  "dashboard.title": "Dashibodi ya Timu",
+  "dashboard.intro": "Hali ya moja kwa moja ya kila kifaa katika timu {team}. Vifaa vilivyo HATARINI au vilivyoacha kuripoti vinaonyeshwa kwanza na kutangazwa.",
+  "dashboard.empty": "Hakuna vifaa vinavyotumika.",
+  "dashboard.you": "(kifaa hiki)",
+  "dashboard.lastScan": "Uchunguzi wa mwisho {time}",
+  "dashboard.noScan": "Bado hakuna uchunguzi",
+  "dashboard.camera": "Kamera imewashwa",
+  "dashboard.overridden": "Ruhusa inatumika",
+  "dashboard.silent": "KIMYA",
+  "dashboard.background": "Nyuma",
+  "dashboard.seen": "Kilionekana {ago}",
+  "dashboard.secondsAgo": "sekunde {count} zilizopita",
+  "dashboard.minutesAgo": "dakika {count} zilizopita",
+  "incident.title": "Matukio",
+  "incident.intro": "Maamuzi yanayolingana na kanuni za kupandisha za timu hufungua tukio hapa na kuwaarifu wasimamizi. Thibitisha ili fundi ajue umelishughulikia; litatue kwa maelezo eneo likishakuwa salama.",
+  "incident.empty": "Hakuna matukio yaliyo wazi.",
+  "incident.status.open": "Wazi",
+  "incident.status.acknowledged": "Limethibitishwa",
+  "incident.openedBy": "Limefunguliwa na {name} saa {time}",
+  "incident.acknowledgedBy": "Limethibitishwa na {name} saa {time}",
+  "incident.acknowledge": "Thibitisha",
+  "incident.resolution": "Utatuzi",
+  "incident.resolve": "Tatua",
+  "incident.resolutionRequired": "Eleza jinsi tukio lilivyotatuliwa.",
+  "incident.notifying": "Inaarifu…",
+  "incident.deliveryFailed": "Arifa imeshindwa — wasiliana na wasimamizi moja kwa moja.",
+  "incident.webhookOk": "Webhook imewasilishwa",
+  "incident.webhookFailed": "Webhook imeshindwa ({status})",
+  "incident.pushed": "Arifa imetumwa kwa {count}",
+  "incident.noChannels": "Hakuna njia ya arifa iliyowekwa",
+  "incident.pushOn": "ARIFA ZIMEWASHWA",
+  "incident.pushOff": "ARIFA ZIMEZIMWA",
+  "incident.pushHint": "Arifu kifaa hiki tukio linapofunguliwa, hata programu ikiwa imefungwa",
+  "incident.pushDenied": "Arifa zimezuiwa kwenye kivinjari hiki.",
+  "incident.pushFailed": "Imeshindwa kubadilisha arifa.",
+  "escalation.title": "Kanuni za Kupandisha",
+  "escalation.hint": "Tukio hufunguliwa uamuzi unapokuwa na hali iliyochaguliwa na, kama aina zimechaguliwa, ugunduzi katika mojawapo — na hilo limetokea idadi iliyotajwa ya mara ndani ya muda (dakika 0: uamuzi peke yake).",
+  "escalation.name": "Jina la kanuni",
+  "escalation.remove": "Ondoa kanuni",
+  "escalation.status": "Uamuzi",
+  "escalation.count": "Mara",
+  "escalation.window": "Ndani ya (dak)",
+  "escalation.categories": "Aina",
+  "escalation.add": "Ongeza kanuni",
+  "escalation.rule.electrical_fire": "Hatari ya umeme au moto",
+  "escalation.rule.repeated_uncertain": "Maamuzi ya SHAKA yanayorudiwa",
+  "override.reason": "Sababu (lazima)",
+  "override.reasonRequired": "Toa sababu ya uamuzi.",
+  "override.duration": "Halali kwa",
+  "override.minutes": "dakika {count}",
+  "override.approve": "Idhinisha",
+  "override.reject": "Kataa",
+  "override.requestedBy": "Imeombwa na {name} saa {time}",
+  "override.request": "Omba msimamizi aondoe kufuli",
+  "override.waiting": "Inasubiri msimamizi…",
+  "override.cancel": "Ghairi",
+  "override.active": "Ruhusa ya {name} hadi {time}",
+  "override.end": "Maliza",
+
+  "role.technician": "Fundi",
+  "role.supervisor": "Msimamizi",
+  "role.admin": "Msimamizi mkuu",
+  "role.demo": "Majaribio",
+  "account.title": "Akaunti",
+  "account.unavailable": "Kuingia kunahitaji Firebase iwe imesanidiwa.",
+  "account.demoIntro": "Unatumia OmniTech kama mtumiaji wa majaribio asiyejulikana. Ingia ili kazi yako irekodiwe kwa jina lako na majukumu ya timu yako yatumike.",
+  "account.ssoButton": "Endelea na {provider}",
+  "account.sso": "kuingia kwa pamoja (SSO)",
+  "account.or": "au",
+  "account.name": "Jina kamili",
+  "account.email": "Barua pepe",
+  "account.password": "Nenosiri",
+  "account.signIn": "Ingia",
+  "account.create": "Fungua akaunti",
+  "account.sendReset": "Tuma kiungo",
+  "account.toCreate": "Mgeni? Fungua akaunti",
+  "account.toSignIn": "Rudi kwenye kuingia",
+  "account.forgot": "Umesahau nenosiri?",
+  "account.resetSent": "Kiungo cha kubadilisha nenosiri kimetumwa kwa {email}.",
+  "account.demoTeam": "Bado huko kwenye timu — unafanya kazi kwenye eneo lako binafsi la majaribio",
+  "account.membership": "{role} · timu {team}",
+  "account.verifyEmail": "Fungua kiungo tulichotuma kwa {email} kuithibitisha, kisha angalia tena.",
+  "account.notInvited": "{email} haijaalikwa kwenye timu. Mwombe msimamizi mkuu wa timu yako aalike anwani hii; hadi hapo unafanya kazi kwenye eneo lako binafsi la majaribio.",
+  "account.resendVerification": "Tuma kiungo tena",
+  "account.checkAgain": "Angalia tena",
+  "account.verificationSent": "Barua pepe ya uthibitisho imetumwa.",
+  "account.signOut": "Toka",
+  "account.error.credentials": "Barua pepe au nenosiri si sahihi.",
+  "account.error.email": "Weka barua pepe sahihi.",
+  "account.error.exists": "Akaunti yenye barua pepe hii ipo tayari. Ingia badala yake.",
+  "account.error.weakPassword": "Nenosiri liwe na angalau herufi 6.",
+  "account.error.cancelled": "Kuingia kumeghairiwa.",
+  "account.error.popup": "Ruhusu madirisha ibukizi ili kuingia.",
+  "account.error.tooMany": "Majaribio mengi mno. Jaribu baadaye.",
+  "account.error.network": "Hakuna mtandao. Kuingia kunahitaji mtandao.",
+  "account.error.generic": "Imeshindwa kuingia. Jaribu tena.",
+  "team.title": "Timu {team}",
+  "team.you": "(wewe)",
+  "team.remove": "Ondoa kwenye timu",
+  "team.confirmRemove": "Ondoa {name} kwenye timu?",
+  "team.invited": "amealikwa kama {role}",
+  "team.cancelInvite": "Ghairi mwaliko",
+  "team.inviteEmail": "Alika kwa barua pepe",
+  "team.invite": "Alika",
+  "team.loadFailed": "Imeshindwa kupakia timu.",
+  "team.saveFailed": "Imeshindwa kusasisha timu.",
+
+  "report.title": "Onyesho la ripoti ya tukio",
+  "report.previewTitle": "Onyesho la ripoti ya kazi",
+  "report.site": "Eneo la kazi",
+  "report.location": "Mahali",
+  "report.technician": "Fundi",
+  "report.addSummary": "Ongeza muhtasari wa AI",
+  "report.refreshSummary": "Sasisha muhtasari wa AI",
+  "report.summaryEmpty": "Modeli haikutoa muhtasari.",
+  "report.summaryQuota": "Muhtasari wa AI haupatikani (kikomo). Ripoti imekamilika bila huo.",
+  "report.summaryFailed": "Muhtasari wa AI umeshindwa. Ripoti imekamilika bila huo.",
+  "report.close": "Funga",
+  "report.print": "Chapisha",
+  "report.pdfUnavailable": "PDF haiwezi kuonyesha lugha hii — tumia Chapisha kuhifadhi PDF.",
+  "report.signOff": "Saini na uhifadhi",
+  "report.signedOff": "Imesainiwa",
+  "report.signOffHint": "Andika jina la fundi ili kusaini",
+
+  "history.title": "Historia ya vikao",
+  "history.needsSignIn": "Historia inahitaji kikao kilichoingia na kiko mtandaoni.",
+  "history.from": "KUTOKA",
+  "history.to": "HADI",
+  "history.status": "HALI",
+  "history.mode": "HALI YA KAZI",
+  "history.all": "ZOTE",
+  "history.search": "Tafuta",
+  "history.empty": "Hakuna matukio yanayolingana na vichujio hivi.",
+  "history.loadFailed": "Imeshindwa kupakia historia. Angalia muunganisho wako.",
+  "history.session": "KIKAO {id}",
+  "history.events": "MATUKIO {count}",
+  "history.regenerate": "Tengeneza ripoti upya",
+  "history.asset": "KIFAA",
+  "history.assetHint": "kitambulisho cha kifaa",
+
+  "equipment.title": "Wasifu wa Vifaa",
+  "equipment.needsSignIn": "Wasifu wa vifaa unahitaji kuingia na kuwa mtandaoni.",
+  "equipment.readOnly": "Wasimamizi pekee wanaweza kuongeza au kuhariri wasifu wa timu.",
+  "equipment.loadFailed": "Imeshindwa kupakia wasifu wa vifaa. Angalia muunganisho wako.",
+  "equipment.saveFailed": "Imeshindwa kuhifadhi wasifu wa kifaa.",
+  "equipment.nameRequired": "Weka angalau aina au modeli.",
+  "equipment.confirmDelete": "Futa wasifu \"{name}\" kwa timu nzima?",
+  "equipment.empty": "Timu hii bado haina wasifu wa vifaa.",
+  "equipment.new": "Wasifu Mpya",
+  "equipment.edit": "Hariri",
+  "equipment.delete": "Futa",
+  "equipment.select": "Tumia",
+  "equipment.selected": "Inatumika",
+  "equipment.save": "Hifadhi",
+  "equipment.cancel": "Ghairi",
+  "equipment.type": "Aina",
+  "equipment.typeHint": "mf. kirekebishaji cha 48V",
+  "equipment.manufacturer": "Mtengenezaji",
+  "equipment.model": "Modeli",
+  "equipment.voltageClass": "Daraja la voltage",
+  "equipment.failureModes": "Hitilafu zinazojulikana (moja kwa kila mstari)",
+  "equipment.lockoutProcedure": "Utaratibu wa kufunga wa mtengenezaji (hatua moja kwa kila mstari)",
+  "equipment.lockoutSteps": "Hatua {count} za kufunga",
+
+  "voltage.none": "Bila umeme / hakuna usambazaji",
+  "voltage.elv": "Voltage ya chini kabisa (≤50V AC / ≤120V DC)",
+  "voltage.lv": "Voltage ya chini (≤1kV AC)",
+  "voltage.mv": "Voltage ya kati (1–35kV)",
+  "voltage.hv": "Voltage ya juu (>35kV)",
+
+  "mode.safety_check": "ukaguzi wa usalama",
+  "mode.diagnosis": "uchunguzi",
+  "mode.repair_guide": "mwongozo wa matengenezo",
+
+  "toast.voiceUnsupported": "Ingizo la sauti halitumiki kwenye kivinjari hiki.",
+  "toast.voiceFailed": "Ingizo la sauti limeshindwa. Jaribu tena.",
+  "toast.heard": "Imesikika: \"{text}\"",
+  "toast.micDenied": "Ruhusa ya maikrofoni imekataliwa.",
+  "toast.inProgress": "Ombi linaendelea...",
+  "toast.blurry": "Picha haiko wazi — tulia. Gusa tena kutuma hata hivyo.",
+  "toast.lotoRequired": "Kamilisha kwanza orodha ya kufunga na kuweka lebo.",
+  "toast.repairNeedsSafe": "Hatua za ukarabati zinahitaji uamuzi wa SALAMA. Fanya ukaguzi wa usalama kwanza.",
+  "toast.lotoBlurry": "Picha haiko wazi — tulia na uthibitishe tena.",
+  "toast.lotoConfigFailed": "Imeshindwa kuhifadhi orodha ya LOTO.",
+  "toast.overrideFailed": "Imeshindwa kutuma ombi.",
+  "toast.overrideApproved": "Imeidhinishwa na {name}.",
+  "toast.overridePending": "{name} anaomba msimamizi aondoe kufuli.",
+  "toast.unitDanger": "{name}: HATARI — {headline}",
+  "toast.unitSilent": "{name} ameacha kuripoti.",
+  "toast.incidentOpened": "Tukio limefunguliwa — wasimamizi wanaarifiwa.",
+  "toast.incidentFailed": "Imeshindwa kufungua tukio.",
+  "toast.incidentAlert": "Tukio kutoka kwa {name}: {headline}",
+  "toast.incidentAcknowledged": "{name} amethibitisha tukio lako.",
+  "toast.escalationConfigFailed": "Imeshindwa kuhifadhi kanuni za kupandisha.",
+  "toast.signedOut": "Umetoka. Unaendelea kama mtumiaji wa majaribio.",
+  "toast.assetTagged": "Kifaa {id} kimeunganishwa na kipindi hiki.",
+  "toast.providerFallback": "Mtoa huduma ya maono hapatikani — jibu limetoka kwa {provider}.",
+  "toast.verifyFirst": "Fanya ukaguzi mpya wa usalama kabla ya kukamilisha hatua hii.",
+  "toast.popups": "Ruhusu madirisha ibukizi ili kuchapisha ripoti.",
+  "toast.exported": "Ripoti imehamishwa kama {format}.",
+  "toast.contextSent": "Maelezo yametumwa.",
+  "toast.cooldown": "Subiri sekunde {seconds}",
+
+  "speech.step": "Hatua {n} kati ya {total}. {text}",
+  "speech.verifyBeforeStep": "Fanya ukaguzi wa usalama kabla ya kuanza hatua hii.",
+  "speech.sceneVerified": "Mandhari yamehakikiwa.",
+  "speech.verifyFirst": "Fanya ukaguzi wa usalama kwanza.",
+  "speech.protocolComplete": "Utaratibu wa matengenezo umekamilika. Fanya ukaguzi wa mwisho wa usalama kabla ya kuondoka.",
+  "speech.lotoStep": "Hatua ya kufunga {n} kati ya {total}. {text}",
+  "speech.lotoComplete": "Kufunga na kuweka lebo kumekamilika. Maelekezo ya matengenezo yamefunguliwa.",
+  "speech.overrideRequested": "Ombi limetumwa. Inasubiri msimamizi.",
+  "speech.overrideApproved": "Imeidhinishwa na {name}. Endelea kwa tahadhari.",
+  "speech.overrideRejected": "Imekataliwa na {name}.",
+  "speech.overrideExpired": "Ruhusa ya msimamizi imeisha. Kufuli zinatumika tena.",
+  "speech.overrideVoided": "Hatari mpya imegunduliwa. Ruhusa imefutwa.",
+  "speech.unitDanger": "Tahadhari. {name} amegundua hatari.",
+  "speech.unitSilent": "{name} ameacha kuripoti.",
+  "speech.incidentAlert": "Tukio. {name} anahitaji msimamizi.",
+  "speech.incidentAcknowledged": "{name} amethibitisha tukio.",
+  "speech.protocolAborted": "Utaratibu wa matengenezo umesitishwa. Hakikisha eneo ni salama kabla ya kuendelea.",
+  "speech.dangerAbort": "Utaratibu wa matengenezo umesitishwa.",
+  "speech.noProtocol": "Hakuna utaratibu wa matengenezo unaoendelea.",
+  "speech.nothingToRepeat": "Hakuna cha kurudia bado.",
+  "speech.noReport": "Bado hakuna shughuli za kutosha kwa ripoti.",
+  "speech.noted": "Nimeandika.",
+  "speech.diagnoseLocked": "Uchunguzi umefungwa hadi eneo liwe salama. Ninafanya ukaguzi wa usalama badala yake.",
+  "speech.dangerEarly": "Hatari. Acha kazi na ukae mbali.",
+  "speech.listening": "Ninasikiliza.",
+};
@@ -0,0 +1,79 @@
+// Asset tags: what counts as an asset ID and how a frame is scanned for one
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ASSET_FORMATS, ASSET_CONFIRM_SCANS, parseAssetId, confirmAssetScan, createAssetScanner } from "../src/lib/assetTag.js";
+
+afterEach(() => delete globalThis.window);
+
+test("bare IDs and ASSET: prefixes are read", () => {
+  assert.equal(parseAssetId(" PUMP-0042 "), "PUMP-0042");
+  assert.equal(parseAssetId("ASSET: hvac/roof.3"), "hvac/roof.3");
+  assert.equal(parseAssetId("asset#TX-9"), "TX-9");
+});
+
+test("URLs yield their asset or id parameter, else the last path segment", () => {
+  assert.equal(parseAssetId("https://assets.example.com/view?asset=GEN-7"), "GEN-7");
+  assert.equal(parseAssetId("https://assets.example.com/view?id=GEN-8"), "GEN-8");
+  assert.equal(parseAssetId("https://assets.example.com/units/GEN-9/"), "GEN-9");
+});
+
+test("anything that is not a usable ID is rejected", () => {
+  for (const raw of [null, "", "   ", "two words", "<script>", "https://assets.example.com/"]) {
+    assert.equal(parseAssetId(raw), null, String(raw));
+  }
+  assert.equal(parseAssetId("A".repeat(100)).length, 64);
+});
+
+// A BarcodeDetector that always sees the given codes
+const nativeDetector = (codes, formats = ASSET_FORMATS) => {
+  globalThis.window = {
+    BarcodeDetector: class {
+      static getSupportedFormats = async () => formats;
+      detect = async () => codes;
+    },
+  };
+};
+
+const video = { videoWidth: 1280, videoHeight: 720, readyState: 4 };
+
+test("the native detector is used and the first valid tag wins", async () => {
+  nativeDetector([
+    { rawValue: "not a tag!", format: "qr_code" },
+    { rawValue: "ASSET:PUMP-0042", format: "data_matrix" },
+  ]);
+  const scanner = await createAssetScanner();
+  assert.equal(scanner.engine, "native");
+  assert.deepEqual(await scanner.scan(video), { assetId: "PUMP-0042", format: "data_matrix", rawValue: "ASSET:PUMP-0042" });
+});
+
+test("a video that is not playing yet is not scanned", async () => {
+  nativeDetector([{ rawValue: "PUMP-0042", format: "qr_code" }]);
+  const scanner = await createAssetScanner();
+  assert.equal(await scanner.scan({ ...video, readyState: 1 }), null);
+  assert.equal(await scanner.scan(null), null);
+});
+
+const tag = (assetId) => ({ assetId, format: "qr_code", rawValue: assetId });
+
+// pending carried from scan to scan, as the app's scan loop does
+const scanAll = (reads, currentId = "PUMP-1") => {
+  let pending = null;
+  return reads.map((assetId) => {
+    const result = confirmAssetScan(pending, assetId ? tag(assetId) : null, currentId);
+    pending = result.pending;
+    return result.confirmed?.assetId || null;
+  });
+};
+
+test("a new tag takes over only after several scans in a row", () => {
+  const reads = Array(ASSET_CONFIRM_SCANS).fill("PUMP-2");
+  assert.deepEqual(scanAll(reads), [...Array(ASSET_CONFIRM_SCANS - 1).fill(null), "PUMP-2"]);
+});
+
+test("a tag glimpsed in passing, or interrupted by another read, does not", () => {
+  const glimpse = ["PUMP-2", ...Array(ASSET_CONFIRM_SCANS - 1).fill(null)];
+  assert.deepEqual(scanAll(glimpse).filter(Boolean), []);
+  const interrupted = ["PUMP-2", "PUMP-1", ...Array(ASSET_CONFIRM_SCANS - 1).fill("PUMP-2")];
+  assert.deepEqual(scanAll(interrupted).filter(Boolean), []);
+  assert.deepEqual(scanAll(Array(ASSET_CONFIRM_SCANS).fill("PUMP-1")).filter(Boolean), []);
+});
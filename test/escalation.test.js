@@ -0,0 +1,229 @@
+// Incident escalation: which verdicts page someone, and what leaves the proxy
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createDecipheriv, createECDH, createSign, generateKeyPairSync, hkdfSync, randomBytes } from "node:crypto";
+import { DEFAULT_ESCALATION_RULES, parseEscalationRules, recordVerdict, matchEscalation } from "../src/lib/incidents.js";
+import { sanitiseIncident } from "../server/escalation.js";
+import { encryptPayload, pushEndpointAllowed } from "../server/webpush.js";
+import { handleEscalate } from "../server/routes.js";
+import { loadServerConfig } from "../server/config.js";
+
+afterEach(() => mock.restoreAll());
+
+const verdict = (status, categories = []) => ({
+  status,
+  findings: categories.map((category) => ({ category, severity: "critical", label: category })),
+});
+
+const MIN = 60_000;
+const ruleIds = (rules) => rules.map((rule) => rule.id);
+
+test("one electrical or fire DANGER trips the default rule at once", () => {
+  const history = recordVerdict([], verdict("DANGER", ["fire"]), 0);
+  assert.deepEqual(ruleIds(matchEscalation(DEFAULT_ESCALATION_RULES, history, 0)), ["electrical_fire"]);
+});
+
+test("a DANGER in another category does not", () => {
+  const history = recordVerdict([], verdict("DANGER", ["water"]), 0);
+  assert.deepEqual(matchEscalation(DEFAULT_ESCALATION_RULES, history, 0), []);
+});
+
+test("repeated UNCERTAIN trips only with enough matches inside the window", () => {
+  let history = [];
+  history = recordVerdict(history, verdict("UNCERTAIN"), 0);
+  history = recordVerdict(history, verdict("UNCERTAIN"), 4 * MIN);
+  assert.deepEqual(matchEscalation(DEFAULT_ESCALATION_RULES, history, 4 * MIN), []);
+  history = recordVerdict(history, verdict("UNCERTAIN"), 8 * MIN);
+  assert.deepEqual(ruleIds(matchEscalation(DEFAULT_ESCALATION_RULES, history, 8 * MIN)), ["repeated_uncertain"]);
+
+  // The first one has fallen out of the 10 minute window
+  history = recordVerdict(history.slice(1), verdict("UNCERTAIN"), 15 * MIN);
+  assert.deepEqual(matchEscalation(DEFAULT_ESCALATION_RULES, history, 15 * MIN), []);
+});
+
+test("only the latest verdict can trip a rule", () => {
+  let history = recordVerdict([], verdict("DANGER", ["electrical"]), 0);
+  history = recordVerdict(history, verdict("SAFE"), MIN);
+  assert.deepEqual(matchEscalation(DEFAULT_ESCALATION_RULES, history, MIN), []);
+});
+
+test("disabled rules never match", () => {
+  const rules = DEFAULT_ESCALATION_RULES.map((rule) => ({ ...rule, enabled: false }));
+  assert.deepEqual(matchEscalation(rules, recordVerdict([], verdict("DANGER", ["fire"]), 0), 0), []);
+});
+
+test("stored rules are clamped and fall back to the defaults", () => {
+  assert.equal(parseEscalationRules(null), DEFAULT_ESCALATION_RULES);
+  assert.equal(parseEscalationRules([{ name: "   " }]), DEFAULT_ESCALATION_RULES);
+  const [rule] = parseEscalationRules([{ name: "Gas", status: "SAFE", categories: ["chemical", "bogus"], count: 99, windowMin: -5 }]);
+  assert.equal(rule.status, "DANGER");
+  assert.deepEqual(rule.categories, ["chemical"]);
+  assert.equal(rule.count, 20);
+  assert.equal(rule.windowMin, 0);
+});
+
+test("the proxy reshapes incidents instead of forwarding them", () => {
+  assert.equal(sanitiseIncident({ ruleId: "x" }), null);
+  const incident = sanitiseIncident({ id: "i1", secret: "drop me", verdict: { headline: "  Smoke\n near panel ", findings: "nope" } });
+  assert.equal(incident.secret, undefined);
+  assert.equal(incident.verdict.headline, "Smoke near panel");
+  assert.deepEqual(incident.verdict.findings, []);
+});
+
+test("push only goes to known push services over https", () => {
+  assert.equal(pushEndpointAllowed("https://fcm.googleapis.com/fcm/send/abc"), true);
+  assert.equal(pushEndpointAllowed("http://fcm.googleapis.com/fcm/send/abc"), false);
+  assert.equal(pushEndpointAllowed("https://evil.example.com/fcm.googleapis.com"), false);
+  assert.equal(pushEndpointAllowed("not a url"), false);
+});
+
+test("only the browsers' own push hosts are accepted", () => {
+  for (const endpoint of [
+    "https://updates.push.services.mozilla.com/wpush/v2/abc",
+    "https://web.push.apple.com/QGx",
+    "https://wns2-by3p.notify.windows.com/w/?token=abc",
+  ]) {
+    assert.equal(pushEndpointAllowed(endpoint), true, endpoint);
+  }
+  for (const endpoint of [
+    "https://storage.googleapis.com/bucket/hook",
+    "https://attacker.mozilla.com/push",
+    "https://push.apple.com.evil.example/x",
+    "https://notify.windows.com/x",
+  ]) {
+    assert.equal(pushEndpointAllowed(endpoint), false, endpoint);
+  }
+});
+
+// RFC 8291 decryption, as the browser does it
+const decrypt = (record, client, auth) => {
+  const salt = record.subarray(0, 16);
+  const idLength = record.readUInt8(20);
+  const serverKey = record.subarray(21, 21 + idLength);
+  const hkdf = (s, ikm, info, length) => Buffer.from(hkdfSync("sha256", ikm, s, info, length));
+  const ikm = hkdf(
+    auth,
+    client.computeSecret(serverKey),
+    Buffer.concat([Buffer.from("WebPush: info\0"), client.getPublicKey(), serverKey]),
+    32
+  );
+  const body = record.subarray(21 + idLength);
+  const decipher = createDecipheriv(
+    "aes-128-gcm",
+    hkdf(salt, ikm, Buffer.from("Content-Encoding: aes128gcm\0"), 16),
+    hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12)
+  );
+  decipher.setAuthTag(body.subarray(-16));
+  const plain = Buffer.concat([decipher.update(body.subarray(0, -16)), decipher.final()]);
+  assert.equal(plain.at(-1), 2); // last-record delimiter
+  return plain.subarray(0, -1).toString("utf8");
+};
+
+test("push payloads decrypt with the subscriber's keys", () => {
+  const client = createECDH("prime256v1");
+  client.generateKeys();
+  const auth = randomBytes(16);
+  const payload = JSON.stringify({ title: "DANGER", body: "Exposed conductor" });
+  const record = encryptPayload(payload, {
+    p256dh: client.getPublicKey().toString("base64url"),
+    auth: auth.toString("base64url"),
+  });
+  assert.equal(decrypt(record, client, auth), payload);
+});
+
+/* /api/escalate reads the incident itself */
+
+const PROJECT = "omnitech-test";
+const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+// A Firebase ID token signed with the key the stubbed cert endpoint serves
+const idToken = (uid) => {
+  const now = Math.floor(Date.now() / 1000);
+  const segment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${segment({ alg: "RS256", kid: "test" })}.${segment({
+    aud: PROJECT,
+    iss: `https://securetoken.google.com/${PROJECT}`,
+    sub: uid,
+    iat: now,
+    exp: now + 3600,
+  })}`;
+  return `${unsigned}.${createSign("RSA-SHA256").update(unsigned).sign(privateKey, "base64url")}`;
+};
+
+const reply = (body, headers = {}) =>
+  new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json", ...headers } });
+
+const restValue = (v) =>
+  typeof v === "string"
+    ? { stringValue: v }
+    : typeof v === "number"
+      ? { integerValue: String(v) }
+      : v === null
+        ? { nullValue: null }
+        : { mapValue: { fields: Object.fromEntries(Object.entries(v).map(([k, x]) => [k, restValue(x)])) } };
+
+// docs: path under documents/ -> fields; -> the webhook bodies the proxy sent
+const stubFirestore = (docs) => {
+  const webhooks = [];
+  mock.method(globalThis, "fetch", async (url, init) => {
+    url = String(url);
+    if (url.includes("securetoken")) {
+      return reply({ test: publicKey.export({ type: "spki", format: "pem" }) }, { "Cache-Control": "max-age=3600" });
+    }
+    if (url.startsWith("https://hooks.test")) {
+      webhooks.push(JSON.parse(init.body));
+      return new Response("", { status: 204 });
+    }
+    return reply(
+      JSON.parse(init.body).documents.map((name) => {
+        const fields = docs[name.split("/documents/")[1]];
+        return fields ? { found: { name, fields: restValue(fields).mapValue.fields } } : { missing: name };
+      })
+    );
+  });
+  return webhooks;
+};
+
+const storedIncident = {
+  id: "inc-1",
+  teamId: "plant-a",
+  ruleId: "electrical_fire",
+  ruleName: "Electrical or fire DANGER",
+  status: "open",
+  openedBy: { uid: "tech-1", name: "Ana", role: "technician" },
+  verdict: { status: "DANGER", headline: "Exposed conductor" },
+};
+
+const escalate = (uid, body) =>
+  handleEscalate(loadServerConfig({ FIREBASE_PROJECT_ID: PROJECT, ESCALATION_WEBHOOK_URL: "https://hooks.test/omnitech" }), {
+    body: { event: "opened", appId: "app", teamId: "plant-a", incidentId: "inc-1", ...body },
+    headers: { authorization: `Bearer ${idToken(uid)}` },
+  });
+
+test("the webhook carries the incident as stored in Firestore, not as the client sent it", async () => {
+  const webhooks = stubFirestore({
+    "artifacts/app/members/tech-1": { teamId: "plant-a", role: "technician" },
+    "artifacts/app/teams/plant-a/incidents/inc-1": storedIncident,
+  });
+  const response = await escalate("tech-1", { incident: { ...storedIncident, verdict: { headline: "Forged" } } });
+  assert.equal(response.status, 200);
+  assert.equal(webhooks[0].incident.verdict.headline, "Exposed conductor");
+  assert.equal(webhooks[0].actor, "tech-1");
+});
+
+test("callers outside the incident's team are refused", async () => {
+  const webhooks = stubFirestore({
+    "artifacts/app/members/outsider": { teamId: "plant-b", role: "supervisor" },
+    "artifacts/app/teams/plant-a/incidents/inc-1": storedIncident,
+  });
+  assert.equal((await escalate("outsider")).status, 403);
+  // Not a member at all: only their own sandbox team counts
+  assert.equal((await escalate("anonymous")).status, 403);
+  assert.deepEqual(webhooks, []);
+});
+
+test("an unknown incident or a malformed id is refused", async () => {
+  stubFirestore({ "artifacts/app/members/tech-1": { teamId: "plant-a", role: "technician" } });
+  assert.equal((await escalate("tech-1")).status, 404);
+  assert.equal((await escalate("tech-1", { incidentId: "../inc-1" })).status, 400);
+});
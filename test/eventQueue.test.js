@@ -0,0 +1,94 @@
+// Offline outbox: nothing is lost while Firestore is out of reach or refuses a write
+import "fake-indexeddb/auto";
+import { test, mock, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createEventQueue } from "../src/lib/eventQueue.js";
+
+// A store as IndexedDB holds it, read beside the queue's own connection
+const readStore = (name, mode = "readonly", fn = (store) => store.getAll()) =>
+  new Promise((resolve, reject) => {
+    const open = indexedDB.open("omnitech-offline");
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const idb = open.result;
+      const req = fn(idb.transaction(name, mode).objectStore(name));
+      req.onsuccess = () => {
+        idb.close();
+        resolve(req.result);
+      };
+    };
+  });
+
+const outbox = (...args) => readStore("outbox", ...args);
+const deadLetter = (...args) => readStore("dead_letter", ...args);
+
+// enqueue starts a flush it does not wait for
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+const event = { kind: "safety_event", collection: "safety_events", data: { status: "DANGER" }, sessionId: "s1" };
+
+beforeEach(async () => {
+  mock.restoreAll();
+  mock.method(console, "error", () => {});
+  await createEventQueue({ db: null, appId: "app", getUid: () => null }).count();
+  await outbox("readwrite", (store) => store.clear());
+  await deadLetter("readwrite", (store) => store.clear());
+});
+
+test("events wait in the outbox until someone is signed in", async () => {
+  const queue = createEventQueue({ db: null, appId: "app", getUid: () => null });
+  const id = await queue.enqueue(event);
+  await settle();
+  const [record] = await outbox();
+  assert.equal(record.id, id);
+  assert.equal(record.attempts, 0);
+  assert.deepEqual(record.data, event.data);
+  assert.equal(await queue.count(), 1);
+});
+
+test("subscribers hear the pending count", async () => {
+  const queue = createEventQueue({ db: null, appId: "app", getUid: () => null });
+  const counts = [];
+  const unsubscribe = queue.subscribe((n) => counts.push(n));
+  await queue.enqueue(event);
+  await settle();
+  unsubscribe();
+  await queue.enqueue(event);
+  await settle();
+  assert.equal(counts[0], 0);
+  assert.equal(counts.at(-1), 1);
+  assert.ok(!counts.includes(2));
+});
+
+test("a rejected write stays queued with its attempt count and reason", async () => {
+  // Not a Firestore instance: the SDK refuses the write outright, as it would a bad document
+  const queue = createEventQueue({ db: {}, appId: "app", getUid: () => "tech-1" });
+  await queue.enqueue(event);
+  await settle();
+  await queue.flush();
+  const [record] = await outbox();
+  assert.equal(record.attempts, 2);
+  assert.match(record.lastError, /doc\(\)/);
+});
+
+test("the evidence frame waits in the outbox under the event's own id", async () => {
+  const queue = createEventQueue({ db: null, appId: "app", getUid: () => null });
+  const attachment = { field: "evidence", dataUrl: "data:image/jpeg;base64,AAAA", width: 320, height: 180 };
+  const id = await queue.enqueue({ ...event, id: "event-1", attachment });
+  await settle();
+  const [record] = await outbox();
+  assert.equal(id, "event-1");
+  assert.deepEqual(record.attachment, attachment);
+});
+
+test("a write that keeps failing moves to the dead-letter store", async () => {
+  const queue = createEventQueue({ db: {}, appId: "app", getUid: () => "tech-1" });
+  const id = await queue.enqueue(event);
+  await settle();
+  for (let i = 0; i < 4; i++) await queue.flush();
+  assert.equal(await queue.count(), 0);
+  const [record] = await deadLetter();
+  assert.equal(record.id, id);
+  assert.equal(record.attempts, 5);
+  assert.ok(record.deadLetteredAt);
+});
@@ -0,0 +1,59 @@
+// Firestore REST reads: value decoding and batch results back in request order
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { decodeDocument, getDocuments, isDocumentId, FirestoreError } from "../server/firestore.js";
+
+afterEach(() => mock.restoreAll());
+
+const reply = (status, body) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+test("REST values decode to plain data, timestamps to epoch milliseconds", () => {
+  const doc = decodeDocument({
+    name: "projects/p/databases/(default)/documents/artifacts/app/teams/t1/incidents/inc-1",
+    fields: {
+      status: { stringValue: "open" },
+      occurrences: { integerValue: "3" },
+      openedAt: { timestampValue: "2026-01-02T03:04:05.000Z" },
+      acknowledgedBy: { nullValue: null },
+      verdict: {
+        mapValue: {
+          fields: { findings: { arrayValue: { values: [{ mapValue: { fields: { label: { stringValue: "Arc" } } } }] } } },
+        },
+      },
+    },
+  });
+  assert.deepEqual(doc, {
+    id: "inc-1",
+    status: "open",
+    occurrences: 3,
+    openedAt: Date.UTC(2026, 0, 2, 3, 4, 5),
+    acknowledgedBy: null,
+    verdict: { findings: [{ label: "Arc" }] },
+  });
+});
+
+test("a batch read answers in request order with null for missing documents", async () => {
+  const root = "projects/p/databases/(default)/documents";
+  mock.method(globalThis, "fetch", async () =>
+    reply(200, [{ found: { name: `${root}/c/b`, fields: { n: { integerValue: "2" } } } }, { missing: `${root}/c/a` }])
+  );
+  const docs = await getDocuments({ projectId: "p", idToken: "token" }, ["c/a", "c/b"]);
+  assert.deepEqual(docs, [null, { id: "b", n: 2 }]);
+});
+
+test("refusals keep Firestore's status", async () => {
+  mock.method(globalThis, "fetch", async () => reply(403, { error: { status: "PERMISSION_DENIED" } }));
+  await assert.rejects(getDocuments({ projectId: "p", idToken: "token" }, ["c/a"]), (e) => {
+    assert.ok(e instanceof FirestoreError);
+    assert.equal(e.status, 403);
+    return true;
+  });
+});
+
+test("document ids are single path segments", () => {
+  assert.equal(isDocumentId("event-1"), true);
+  assert.equal(isDocumentId("a/b"), false);
+  assert.equal(isDocumentId(".."), false);
+  assert.equal(isDocumentId(""), false);
+  assert.equal(isDocumentId(42), false);
+});
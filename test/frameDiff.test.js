@@ -0,0 +1,72 @@
+// Scene change detection that decides whether watch mode spends an API call
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { computeSignature, changedRatio, hashDistance, isSameScene } from "../src/lib/frameDiff.js";
+
+// Just enough canvas for readLuma: a "source" paints itself as paint(x, y, width, height) -> [r, g, b]
+globalThis.document = {
+  createElement: () => {
+    let source = null;
+    return {
+      getContext: () => ({
+        drawImage: (img) => (source = img),
+        getImageData: (x0, y0, width, height) => {
+          const data = new Uint8ClampedArray(width * height * 4);
+          for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) data.set([...source.paint(x, y, width, height), 255], (y * width + x) * 4);
+          }
+          return { data };
+        },
+      }),
+    };
+  },
+};
+after(() => delete globalThis.document);
+
+const flat = (value) => ({ paint: () => [value, value, value] });
+
+test("the signature is a grayscale grid plus a 64-bit difference hash", () => {
+  const { luma, hash } = computeSignature({ paint: () => [255, 0, 0] });
+  assert.equal(luma.length, 32 * 18);
+  assert.equal(luma[0], 76);
+  assert.equal(hash.length, 64);
+  assert.equal(computeSignature(null), null);
+});
+
+test("sensor noise is not a change", () => {
+  assert.equal(changedRatio(computeSignature(flat(100)), computeSignature(flat(120))), 0);
+});
+
+test("a small local change still counts", () => {
+  const spark = { paint: (x, y) => (x === 5 && y === 5 ? [255, 255, 255] : [100, 100, 100]) };
+  assert.equal(changedRatio(computeSignature(flat(100)), computeSignature(spark)), 1 / (32 * 18));
+});
+
+test("a missing or mismatched signature reads as fully changed", () => {
+  const signature = computeSignature(flat(100));
+  assert.equal(changedRatio(null, signature), 1);
+  assert.equal(changedRatio(signature, { ...signature, luma: signature.luma.slice(1) }), 1);
+  assert.equal(hashDistance(signature, {}), 64);
+});
+
+// Left half dark, right half bright, or the other way round
+const split = (leftDark, level = 0) => ({
+  paint: (x, y, width) => {
+    const dark = x < width / 2 === leftDark;
+    const v = dark ? 40 + level : 200 + level;
+    return [v, v, v];
+  },
+});
+
+test("an exposure shift keeps the hash, a new layout changes it", () => {
+  assert.equal(hashDistance(computeSignature(split(true)), computeSignature(split(true, 40))), 0);
+  assert.ok(hashDistance(computeSignature(split(true)), computeSignature(split(false))) > 6);
+});
+
+test("the scene is the same only when grid and hash both agree", () => {
+  const base = computeSignature(split(true));
+  assert.equal(isSameScene(base, computeSignature(split(true, 10)), 0.05), true);
+  // Exposure drift moves every cell: the hash agrees, the grid does not
+  assert.equal(isSameScene(base, computeSignature(split(true, 40)), 0.05), false);
+  assert.equal(isSameScene(base, computeSignature(split(false)), 0.05), false);
+});
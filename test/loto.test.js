@@ -0,0 +1,202 @@
+// Lockout / tagout: the checklist that gates repair guidance and what the proxy accepts from it
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync, createSign } from "node:crypto";
+import {
+  DEFAULT_LOTO_STEPS,
+  parseLotoSteps,
+  buildChecklist,
+  createLoto,
+  currentLotoStep,
+  confirmLotoStep,
+  lotoComplete,
+  lotoForRequest,
+  voidLoto,
+} from "../src/lib/loto.js";
+import { sanitiseLoto, handleAnalyze } from "../server/routes.js";
+import { loadServerConfig } from "../server/config.js";
+
+afterEach(() => mock.restoreAll());
+
+const completeRun = (start = Date.now() - 60_000) => {
+  let run = createLoto(DEFAULT_LOTO_STEPS, {}, start);
+  DEFAULT_LOTO_STEPS.forEach((_, i) => {
+    run = confirmLotoStep(run, `event-${i}`, start + (i + 1) * 1000);
+  });
+  return run;
+};
+
+test("a run completes only once every step is confirmed, in order", () => {
+  let run = createLoto(DEFAULT_LOTO_STEPS);
+  assert.equal(lotoForRequest(run), null);
+  for (let i = 0; i < DEFAULT_LOTO_STEPS.length - 1; i++) {
+    assert.equal(currentLotoStep(run).id, DEFAULT_LOTO_STEPS[i].id);
+    run = confirmLotoStep(run, `event-${i}`);
+  }
+  assert.equal(lotoComplete(run), false);
+  run = confirmLotoStep(run, "last");
+  assert.equal(lotoComplete(run), true);
+  assert.equal(currentLotoStep(run), null);
+  assert.equal(run.steps.at(-1).eventId, "last");
+});
+
+test("a voided run unlocks nothing and accepts no confirmations", () => {
+  const voided = voidLoto(completeRun(), "DANGER");
+  assert.equal(voided.voidReason, "DANGER");
+  assert.equal(lotoForRequest(voided), null);
+  const open = voidLoto(createLoto(DEFAULT_LOTO_STEPS), "Asset changed");
+  assert.equal(confirmLotoStep(open, "event"), open);
+  assert.equal(voidLoto(voided, "again"), voided);
+});
+
+test("a complete run is sent with each step's confirmation", () => {
+  const run = completeRun();
+  const sent = lotoForRequest(run);
+  assert.equal(sent.id, run.id);
+  assert.equal(sent.completedAt, run.completedAt);
+  assert.deepEqual(sent.steps[0], { id: "isolate", label: DEFAULT_LOTO_STEPS[0].label, confirmedAt: run.steps[0].confirmedAt, eventId: "event-0" });
+});
+
+test("team steps replace the defaults; unedited default lines stay translatable", () => {
+  assert.equal(parseLotoSteps([]), DEFAULT_LOTO_STEPS);
+  assert.equal(parseLotoSteps(null), DEFAULT_LOTO_STEPS);
+  const steps = parseLotoSteps([DEFAULT_LOTO_STEPS[0].label, "  Notify the control room  ", ""]);
+  assert.deepEqual(steps[0], DEFAULT_LOTO_STEPS[0]);
+  assert.deepEqual(steps[1], { id: "step-2", label: "Notify the control room", builtin: false });
+  assert.equal(steps.length, 2);
+});
+
+test("the manufacturer's procedure goes right after isolation", () => {
+  const steps = buildChecklist(DEFAULT_LOTO_STEPS, { lockoutProcedure: ["Open Q1", "Bleed the accumulator"] });
+  assert.deepEqual(
+    steps.slice(0, 4).map((s) => s.id),
+    ["isolate", "mfr-1", "mfr-2", "lock"]
+  );
+  assert.equal(buildChecklist(DEFAULT_LOTO_STEPS, null), DEFAULT_LOTO_STEPS);
+});
+
+test("the proxy accepts the checklist the client sends", () => {
+  const run = completeRun();
+  const loto = sanitiseLoto(lotoForRequest(run));
+  assert.equal(loto.id, run.id);
+  assert.deepEqual(loto.steps, DEFAULT_LOTO_STEPS.map((s) => s.label));
+  assert.deepEqual(loto.confirmations[1], { stepId: "lock", eventId: "event-1" });
+});
+
+test("the proxy rejects steps without a photo confirmation", () => {
+  const sent = lotoForRequest(completeRun());
+  assert.equal(sanitiseLoto({ ...sent, steps: sent.steps.map((s, i) => (i === 2 ? { ...s, eventId: null } : s)) }), null);
+  assert.equal(sanitiseLoto({ ...sent, steps: sent.steps.map((s, i) => (i === 2 ? { ...s, confirmedAt: null } : s)) }), null);
+});
+
+test("the proxy rejects the old label-only shape", () => {
+  const sent = lotoForRequest(completeRun());
+  assert.equal(sanitiseLoto({ ...sent, steps: sent.steps.map((s) => s.label) }), null);
+});
+
+test("the proxy rejects out-of-order and after-completion confirmations", () => {
+  const sent = lotoForRequest(completeRun());
+  const swapped = [...sent.steps];
+  [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+  assert.equal(sanitiseLoto({ ...sent, steps: swapped }), null);
+  assert.equal(sanitiseLoto({ ...sent, completedAt: sent.steps[0].confirmedAt }), null);
+});
+
+test("the proxy rejects stale, future and empty runs", () => {
+  const sent = lotoForRequest(completeRun());
+  assert.equal(sanitiseLoto(sent, sent.completedAt + 13 * 60 * 60 * 1000), null);
+  assert.equal(sanitiseLoto(sent, sent.completedAt - 60 * 60 * 1000), null);
+  assert.equal(sanitiseLoto({ ...sent, steps: [] }), null);
+  assert.equal(sanitiseLoto(null), null);
+});
+
+/* The proxy's Firestore lookup */
+
+const PROJECT = "omnitech-test";
+const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+// A Firebase ID token signed with the key the stubbed cert endpoint serves
+const idToken = (uid) => {
+  const now = Math.floor(Date.now() / 1000);
+  const segment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${segment({ alg: "RS256", kid: "test" })}.${segment({
+    aud: PROJECT,
+    iss: `https://securetoken.google.com/${PROJECT}`,
+    sub: uid,
+    iat: now,
+    exp: now + 3600,
+  })}`;
+  return `${unsigned}.${createSign("RSA-SHA256").update(unsigned).sign(privateKey, "base64url")}`;
+};
+
+const reply = (body, headers = {}) =>
+  new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json", ...headers } });
+
+// events: eventId -> loto_events fields; -> the batchGet request bodies
+const stubFirestore = (events) => {
+  const reads = [];
+  mock.method(globalThis, "fetch", async (url, init) => {
+    if (String(url).includes("securetoken")) {
+      return reply({ test: publicKey.export({ type: "spki", format: "pem" }) }, { "Cache-Control": "max-age=3600" });
+    }
+    const { documents } = JSON.parse(init.body);
+    reads.push(documents);
+    return reply(
+      documents.map((name) => {
+        const event = events[name.split("/").pop()];
+        if (!event) return { missing: name };
+        const fields = {
+          lotoId: { stringValue: event.lotoId },
+          stepId: { stringValue: event.stepId },
+          timestamp: { timestampValue: new Date(event.at).toISOString() },
+        };
+        return { found: { name, fields } };
+      })
+    );
+  });
+  return reads;
+};
+
+const savedEvents = (run, at = Date.now() - 30_000) =>
+  Object.fromEntries(run.steps.map((s) => [s.eventId, { lotoId: run.id, stepId: s.id, at }]));
+
+const repairGuide = (uid, loto) =>
+  handleAnalyze(loadServerConfig({ VISION_PROVIDER: "demo", FIREBASE_PROJECT_ID: PROJECT }), {
+    body: { mode: "repair_guide", appId: "app", loto },
+    headers: { authorization: `Bearer ${idToken(uid)}` },
+  });
+
+test("repair guidance is served once every confirmation is in the caller's loto_events", async () => {
+  const run = completeRun();
+  const reads = stubFirestore(savedEvents(run));
+  const response = await repairGuide("tech-1", lotoForRequest(run));
+  assert.equal(response.status, 200);
+  assert.equal(reads[0][0], `projects/${PROJECT}/databases/(default)/documents/artifacts/app/users/tech-1/loto_events/event-0`);
+});
+
+test("a confirmation missing from Firestore, or filed for another run or step, is refused", async () => {
+  const run = completeRun();
+  const events = savedEvents(run);
+  const cases = [
+    { ...events, "event-2": undefined },
+    { ...events, "event-2": { ...events["event-2"], lotoId: "another-run" } },
+    { ...events, "event-2": { ...events["event-2"], stepId: "lock" } },
+    savedEvents(run, Date.now() - 13 * 60 * 60 * 1000),
+  ];
+  for (const saved of cases) {
+    stubFirestore(saved);
+    const response = await repairGuide("tech-1", lotoForRequest(run));
+    assert.equal(response.status, 428);
+    mock.restoreAll();
+  }
+});
+
+test("an appId is required to look the confirmations up", async () => {
+  const run = completeRun();
+  stubFirestore(savedEvents(run));
+  const response = await handleAnalyze(loadServerConfig({ VISION_PROVIDER: "demo", FIREBASE_PROJECT_ID: PROJECT }), {
+    body: { mode: "repair_guide", appId: "../x", loto: lotoForRequest(run) },
+    headers: { authorization: `Bearer ${idToken("tech-1")}` },
+  });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,55 @@
+// Supervisor overrides: which later verdicts an approval still covers
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { OverrideError, decideOverride, overrideActive, overrideCovers } from "../src/lib/overrides.js";
+
+const finding = (severity, label, category = "electrical") => ({ category, severity, label });
+
+const approved = (verdict, expiresAt = Date.now() + 60_000) => ({ status: "approved", expiresAt, verdict });
+
+const reviewed = approved({
+  status: "DANGER",
+  headline: "Exposed conductor",
+  findings: [finding("critical", "Exposed conductor"), finding("caution", "Loose cover")],
+});
+
+test("an override is active only while approved and unexpired", () => {
+  assert.equal(overrideActive(reviewed), true);
+  assert.equal(overrideActive({ ...reviewed, expiresAt: Date.now() - 1 }), false);
+  assert.equal(overrideActive({ ...reviewed, status: "pending" }), false);
+  assert.equal(overrideActive(null), false);
+});
+
+test("the same critical findings stay covered", () => {
+  const verdict = { status: "DANGER", headline: "Conductor still exposed", findings: [finding("critical", " exposed CONDUCTOR ")] };
+  assert.equal(overrideCovers(reviewed, verdict), true);
+});
+
+test("a critical finding the supervisor never saw voids it", () => {
+  const verdict = {
+    status: "DANGER",
+    headline: "Exposed conductor",
+    findings: [finding("critical", "Exposed conductor"), finding("critical", "Standing water", "water")],
+  };
+  assert.equal(overrideCovers(reviewed, verdict), false);
+});
+
+test("a decision needs a reason before anything is written", async () => {
+  await assert.rejects(decideOverride(null, "app", "team", "id", { approve: true, reason: "  ", uid: "sup" }), OverrideError);
+});
+
+test("a DANGER with no critical findings is not covered by an override for other hazards", () => {
+  const verdict = { status: "DANGER", headline: "Smoke near the panel", findings: [] };
+  assert.equal(overrideCovers(reviewed, verdict), false);
+});
+
+test("a DANGER with no critical findings is covered only when it is the call that was reviewed", () => {
+  const modelOnly = approved({ status: "DANGER", headline: "Panel door open", findings: [finding("caution", "Door ajar")] });
+  assert.equal(overrideCovers(modelOnly, { status: "DANGER", headline: "panel door open", findings: [] }), true);
+  assert.equal(overrideCovers(modelOnly, { status: "DANGER", headline: "Arc flash risk", findings: [] }), false);
+});
+
+test("an override approved for UNCERTAIN does not cover a DANGER", () => {
+  const uncertain = approved({ status: "UNCERTAIN", headline: "Image too dark", findings: [] });
+  assert.equal(overrideCovers(uncertain, { status: "DANGER", headline: "Image too dark", findings: [] }), false);
+});
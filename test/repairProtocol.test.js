@@ -0,0 +1,67 @@
+// Repair walkthrough: risky steps need a fresh SAFE scan and failures stop the run
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  classifyStep,
+  createProtocol,
+  currentStep,
+  needsVerification,
+  markVerified,
+  recordStep,
+  abortProtocol,
+  describeStep,
+} from "../src/lib/repairProtocol.js";
+
+test("tagged and keyword steps are flagged, plain ones are not", () => {
+  assert.deepEqual(classifyStep("[ENERGIZE] Turn the unit on"), { text: "Turn the unit on", flag: "energising" });
+  assert.deepEqual(classifyStep("[HAZARD] Check the board"), { text: "Check the board", flag: "hazardous" });
+  assert.equal(classifyStep("Restore power at the panel").flag, "energising");
+  assert.equal(classifyStep("Discharge the capacitor").flag, "hazardous");
+  assert.equal(classifyStep("Remove the four screws").flag, null);
+});
+
+test("plain steps advance to completion", () => {
+  let protocol = createProtocol(["Remove the cover", "Reseat the connector"], 0);
+  assert.equal(describeStep(protocol), "Step 1 of 2. Remove the cover");
+  protocol = recordStep(protocol, "done", 1);
+  protocol = recordStep(protocol, "skipped", 2);
+  assert.equal(protocol.status, "complete");
+  assert.equal(protocol.endedAt, 2);
+  assert.equal(currentStep(protocol), null);
+  assert.deepEqual(protocol.steps.map((s) => s.outcome), ["done", "skipped"]);
+});
+
+test("a flagged step cannot be done until a SAFE scan verifies it", () => {
+  let protocol = createProtocol(["[ENERGISE] Power it back on"], 0);
+  assert.equal(needsVerification(protocol), true);
+  assert.equal(recordStep(protocol, "done", 1), protocol);
+
+  protocol = markVerified(protocol, 5);
+  assert.equal(needsVerification(protocol), false);
+  protocol = recordStep(protocol, "done", 6);
+  assert.equal(protocol.status, "complete");
+  assert.equal(protocol.steps[0].verifiedAt, 5);
+});
+
+test("verification does not carry over to the next step", () => {
+  let protocol = createProtocol(["[HAZARD] Discharge", "[HAZARD] Desolder"], 0);
+  protocol = recordStep(markVerified(protocol, 1), "done", 2);
+  assert.equal(needsVerification(protocol), true);
+});
+
+test("a failed step or an abort ends the protocol", () => {
+  const failed = recordStep(createProtocol(["a", "b"], 0), "failed", 1);
+  assert.equal(failed.status, "aborted");
+  assert.equal(failed.abortReason, "Step 1 failed");
+
+  const aborted = abortProtocol(createProtocol(["a"], 0), "DANGER verdict", 3);
+  assert.equal(aborted.status, "aborted");
+  assert.equal(aborted.abortReason, "DANGER verdict");
+  assert.equal(abortProtocol(aborted, "again", 4), aborted);
+  assert.equal(recordStep(aborted, "done", 5), aborted);
+});
+
+test("unknown outcomes are ignored", () => {
+  const protocol = createProtocol(["a"], 0);
+  assert.equal(recordStep(protocol, "maybe", 1), protocol);
+});
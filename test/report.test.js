@@ -0,0 +1,127 @@
+// Field report: the model is built from session data alone and every format renders it
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createProtocol, recordStep } from "../src/lib/repairProtocol.js";
+import { DEFAULT_LOTO_STEPS, createLoto, confirmLotoStep, voidLoto } from "../src/lib/loto.js";
+import { buildReportModel, canRenderPdf, renderReportHtml, renderReportJson, renderReportPdf, reportForStorage, reportLogText } from "../src/lib/report.js";
+
+const T0 = Date.parse("2026-03-01T09:00:00Z");
+
+const scan = (at, status, extra = {}) => ({
+  eventId: `event-${at}`,
+  at: T0 + at,
+  mode: "safety_check",
+  status,
+  headline: `${status} scan`,
+  action_required: "Carry on",
+  findings: [],
+  repair_steps: [],
+  ...extra,
+});
+
+const session = { id: "0123456789abcdef", startedAt: T0 };
+
+const sample = () =>
+  buildReportModel({
+    session,
+    // Out of order on purpose: the model sorts by time
+    events: [
+      scan(2000, "SAFE", { evidenceSrc: "https://storage.example/frame.jpg", assetId: "PUMP-0042" }),
+      scan(1000, "DANGER", {
+        findings: [{ category: "electrical", severity: "critical", label: "Exposed <live> conductor", evidence: "Bare copper" }],
+        evidenceSrc: "data:image/jpeg;base64,AAAA",
+      }),
+    ],
+    logs: [
+      { at: T0 + 1500, source: "SYSTEM", message: "Lock engaged" },
+      { at: T0 + 500, source: "USER", message: "Scan requested" },
+    ],
+    site: { name: "Plant 3" },
+    technician: { name: "Sam" },
+    generatedAt: T0 + 3000,
+  });
+
+test("final and worst status come from the scans, in time order", () => {
+  const model = sample();
+  assert.equal(model.outcome.finalStatus, "SAFE");
+  assert.equal(model.outcome.worstStatus, "DANGER");
+  assert.equal(model.outcome.scans, 2);
+  assert.deepEqual(model.timeline.map((t) => t.source), ["USER", "SYSTEM"]);
+  assert.equal(model.findings[0].eventId, `event-1000`);
+  assert.equal(model.reportId, `01234567-${T0 + 3000}`);
+  assert.deepEqual(model.assets, ["PUMP-0042"]);
+});
+
+test("a report without scans is UNCERTAIN, not SAFE", () => {
+  const model = buildReportModel({ session, generatedAt: T0 });
+  assert.equal(model.outcome.finalStatus, "UNCERTAIN");
+  assert.equal(model.outcome.worstStatus, "UNCERTAIN");
+  assert.equal(model.summary, null);
+});
+
+test("the Firestore copy drops inline frames and keeps stored ones", () => {
+  const stored = reportForStorage(sample());
+  assert.equal(stored.evidence[0].src, undefined);
+  assert.equal(stored.evidence[1].src, "https://storage.example/frame.jpg");
+});
+
+test("repair protocol runs are reported in start order with their outcomes", () => {
+  const later = recordStep(createProtocol(["Reseat"], T0 + 2000), "done", T0 + 2500);
+  const earlier = recordStep(createProtocol(["[HAZARD] Discharge", "Reseat"], T0 + 1000), "failed", T0 + 1200);
+  const model = buildReportModel({ session, protocols: [later, earlier], generatedAt: T0 + 3000 });
+  assert.deepEqual(model.repairProtocols.map((p) => p.status), ["aborted", "complete"]);
+  assert.deepEqual(model.repairProtocols[0].steps[0], { text: "Discharge", flag: "hazardous", outcome: "failed", at: T0 + 1200, verifiedAt: null });
+});
+
+test("lockouts are reported once a step was confirmed", () => {
+  const untouched = createLoto(DEFAULT_LOTO_STEPS, {}, T0);
+  const voided = voidLoto(confirmLotoStep(createLoto(DEFAULT_LOTO_STEPS, {}, T0 + 100), "event-1", T0 + 200), "DANGER", T0 + 300);
+  const model = buildReportModel({ session, lotos: [untouched, voided], generatedAt: T0 + 3000 });
+  assert.equal(model.lockouts.length, 1);
+  assert.equal(model.lockouts[0].status, "void");
+  assert.deepEqual(model.lockouts[0].steps[0], { label: DEFAULT_LOTO_STEPS[0].label, confirmedAt: T0 + 200, eventId: "event-1" });
+});
+
+test("named accounts behind the scans are listed once each", () => {
+  const sam = { uid: "u1", name: "Sam", role: "technician" };
+  const model = buildReportModel({
+    session,
+    events: [scan(1000, "SAFE", { author: sam }), scan(2000, "SAFE", { author: sam }), scan(3000, "SAFE")],
+    technician: { name: "Sam", role: "technician" },
+    generatedAt: T0 + 4000,
+  });
+  assert.deepEqual(model.recordedBy, [{ name: "Sam", role: "technician" }]);
+  assert.ok(renderReportHtml(model).includes("Sam (technician)"));
+});
+
+test("JSON round-trips the model", () => {
+  const model = sample();
+  assert.deepEqual(JSON.parse(renderReportJson(model)), model);
+});
+
+test("HTML escapes everything the model or technician wrote", () => {
+  const html = renderReportHtml(sample());
+  assert.ok(html.includes("Exposed &lt;live&gt; conductor"));
+  assert.ok(!html.includes("<live>"));
+  assert.ok(html.includes("Plant 3"));
+});
+
+test("the log text lists every entry for the summary prompt", () => {
+  assert.equal(reportLogText(sample()).split("\n").length, 2);
+});
+
+test("only reports the built-in PDF font can show are offered as PDF", () => {
+  assert.equal(canRenderPdf(sample()), true);
+  const french = buildReportModel({ session, site: { name: "Usine Sud — bâtiment É" }, generatedAt: T0 });
+  assert.equal(canRenderPdf(french), true);
+  const japanese = buildReportModel({ session, events: [scan(1000, "SAFE", { headline: "安全です" })], generatedAt: T0 + 2000 });
+  assert.equal(canRenderPdf(japanese), false);
+});
+
+test("the PDF renders", async () => {
+  // The placeholder frame is not a decodable JPEG; the PDF skips it with a warning
+  mock.method(console, "warn", () => {});
+  const pdf = await renderReportPdf(sample());
+  assert.equal(await pdf.slice(0, 5).text(), "%PDF-");
+  mock.restoreAll();
+});
@@ -0,0 +1,287 @@
+// Shared request path: browser client, upstream retries, circuit breaker and quota order
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ApiError, categoryFor, toApiError, createTokenBucket, createRequestClient } from "../src/lib/requestClient.js";
+import { requestUpstream, parseRetryAfter, backoffDelay } from "../server/providers/request.js";
+import { createCircuitBreaker, isOutage } from "../server/providers/breaker.js";
+import { ProviderError } from "../server/providers/errors.js";
+import { createProvider } from "../server/providers/index.js";
+import { loadServerConfig } from "../server/config.js";
+import { handleAnalyze } from "../server/routes.js";
+
+afterEach(() => mock.restoreAll());
+
+const reply = (status, body = {}, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+// fetch answers from the list in order, the last one repeating
+const stubFetch = (...answers) => {
+  let calls = 0;
+  mock.method(globalThis, "fetch", async () => {
+    const answer = answers[Math.min(calls++, answers.length - 1)];
+    if (answer instanceof Error) throw answer;
+    return answer();
+  });
+  return () => calls;
+};
+
+/* Browser client */
+
+test("statuses map to log categories", () => {
+  assert.equal(categoryFor(0), "network");
+  assert.equal(categoryFor(401), "auth");
+  assert.equal(categoryFor(429), "quota");
+  assert.equal(categoryFor(503), "circuit_open");
+  assert.equal(categoryFor(504), "timeout");
+  assert.equal(categoryFor(502), "provider");
+  assert.equal(categoryFor(400), "rejected");
+});
+
+test("fetch failures become categorised ApiErrors, aborts stay aborts", () => {
+  assert.equal(toApiError(new DOMException("t", "TimeoutError")).category, "timeout");
+  assert.equal(toApiError(new TypeError("Failed to fetch")).category, "network");
+  assert.equal(toApiError(new SyntaxError("bad")).category, "bad_response");
+  const abort = new DOMException("a", "AbortError");
+  assert.equal(toApiError(abort), abort);
+});
+
+test("the token bucket allows a burst, then paces to the rate", () => {
+  const bucket = createTokenBucket({ capacity: 2, perMinute: 6 });
+  const now = Date.now();
+  assert.equal(bucket.take(now).ok, true);
+  assert.equal(bucket.take(now).ok, true);
+  const refused = bucket.take(now);
+  assert.equal(refused.ok, false);
+  assert.ok(refused.waitMs > 9_000 && refused.waitMs <= 10_000);
+  assert.equal(bucket.take(now + 10_000).ok, true);
+});
+
+test("a dropped connection is retried", async () => {
+  const calls = stubFetch(new TypeError("Failed to fetch"), () => reply(200, { ok: true }));
+  const retries = [];
+  const client = createRequestClient({ baseDelayMs: 1 });
+  const response = await client.request("/api/x", {}, { onRetry: (e, n) => retries.push([e.category, n]) });
+  assert.equal(response.status, 200);
+  assert.equal(calls(), 2);
+  assert.deepEqual(retries, [["network", 1]]);
+});
+
+test("proxy 502 / 504 are not retried and keep the proxy's category", async () => {
+  const calls = stubFetch(() => reply(504, { error: "Gemini timed out after 30s", category: "timeout" }));
+  const client = createRequestClient({ baseDelayMs: 1 });
+  await assert.rejects(client.request("/api/x", {}, { retries: 3 }), (e) => e instanceof ApiError && e.category === "timeout");
+  assert.equal(calls(), 1);
+});
+
+test("a long Retry-After is not waited out", async () => {
+  const calls = stubFetch(() => reply(429, { error: "Quota", category: "quota" }, { "Retry-After": "60" }));
+  const client = createRequestClient({ baseDelayMs: 1, maxDelayMs: 50 });
+  await assert.rejects(client.request("/api/x", {}, { retries: 2 }), (e) => e.retryAfter === 60 && e.category === "quota");
+  assert.equal(calls(), 1);
+});
+
+test("watch scans can turn retries off", async () => {
+  const calls = stubFetch(new TypeError("Failed to fetch"));
+  const client = createRequestClient({ baseDelayMs: 1 });
+  await assert.rejects(client.request("/api/x", {}, { retries: 0 }), (e) => e.category === "network");
+  assert.equal(calls(), 1);
+});
+
+/* Upstream requests */
+
+const POLICY = { timeoutMs: 1_000, retries: 2, baseDelayMs: 1, maxDelayMs: 50 };
+const upstream = (policy = POLICY) => requestUpstream("http://upstream.test", {}, { provider: "mock", label: "Mock", policy });
+
+test("Retry-After is read as seconds or an HTTP date", () => {
+  const now = Date.parse("2026-01-01T00:00:00Z");
+  assert.equal(parseRetryAfter("3", now), 3);
+  assert.equal(parseRetryAfter("Thu, 01 Jan 2026 00:00:10 GMT", now), 10);
+  assert.equal(parseRetryAfter("", now), 0);
+  assert.equal(parseRetryAfter("soon", now), 0);
+});
+
+test("backoff grows, stays capped and honours Retry-After", () => {
+  const policy = { baseDelayMs: 100, maxDelayMs: 1_000 };
+  assert.ok(backoffDelay(0, 0, policy) <= 100);
+  assert.ok(backoffDelay(10, 0, policy) <= 1_000);
+  assert.equal(backoffDelay(0, 5, policy), 5_000);
+});
+
+test("upstream 5xx is retried, then surfaces as a provider error", async () => {
+  mock.method(console, "warn", () => {});
+  const calls = stubFetch(() => reply(503, {}));
+  await assert.rejects(upstream(), (e) => e instanceof ProviderError && e.category === "provider" && e.status === 503);
+  assert.equal(calls(), 3);
+});
+
+test("upstream 4xx is not retried", async () => {
+  const calls = stubFetch(() => reply(400, {}));
+  await assert.rejects(upstream(), (e) => e.category === "rejected");
+  assert.equal(calls(), 1);
+});
+
+test("a hung upstream times out without a retry", async () => {
+  // AbortSignal.timeout does not hold the event loop open, so the stub does
+  mock.method(globalThis, "fetch", (url, { signal }) => new Promise((_, reject) => {
+    const alive = setTimeout(() => {}, 5_000);
+    signal.addEventListener("abort", () => {
+      clearTimeout(alive);
+      reject(signal.reason);
+    });
+  }));
+  await assert.rejects(upstream({ ...POLICY, timeoutMs: 20 }), (e) => e.category === "timeout");
+  assert.equal(globalThis.fetch.mock.callCount(), 1);
+});
+
+const sse = (...events) => () =>
+  new Response(events.map((data) => `data: ${data}\n\n`).join(""), { headers: { "Content-Type": "text/event-stream" } });
+
+test("a garbled stream chunk is a bad response, not an outage", async () => {
+  const providers = { gemini: { apiKey: "key", model: "m" }, openai: { baseUrl: "http://upstream.test", model: "m" } };
+  for (const name of ["gemini", "openai"]) {
+    stubFetch(sse('{"choices":[{"delta":{"content":"{\\"status\\""}}]}', "{not json"));
+    const provider = createProvider(name, providers, POLICY);
+    await assert.rejects(provider.analyze({ prompt: "p", imageBase64: "frame", onText: () => {} }), (e) => {
+      assert.ok(e instanceof ProviderError, name);
+      assert.equal(e.category, "bad_response");
+      assert.equal(isOutage(e), false);
+      return true;
+    });
+    mock.restoreAll();
+  }
+});
+
+/* Circuit breaker */
+
+test("the breaker opens after repeated outages and half-opens after the cooldown", () => {
+  const breaker = createCircuitBreaker({ failures: 2, cooldownMs: 1_000 });
+  breaker.failure(0);
+  assert.equal(breaker.allows(1), true);
+  breaker.failure(10);
+  assert.equal(breaker.state(20), "open");
+  assert.equal(breaker.retryAfter(20), 1);
+  assert.equal(breaker.state(1_010), "half_open");
+  breaker.failure(1_020);
+  assert.equal(breaker.state(1_030), "open");
+  breaker.success();
+  assert.equal(breaker.state(1_040), "closed");
+});
+
+test("half-open lets one trial through until it reports back", () => {
+  const breaker = createCircuitBreaker({ failures: 1, cooldownMs: 1_000 });
+  breaker.failure(0);
+  assert.equal(breaker.allows(1_000), true);
+  assert.equal(breaker.allows(1_001), false);
+  assert.equal(breaker.retryAfter(1_001), 1);
+  breaker.success();
+  assert.equal(breaker.allows(1_002), true);
+  assert.equal(breaker.allows(1_003), true);
+});
+
+test("a failed trial re-opens the circuit, an inconclusive one frees the slot", () => {
+  const breaker = createCircuitBreaker({ failures: 1, cooldownMs: 1_000 });
+  breaker.failure(0);
+  assert.equal(breaker.allows(1_000), true);
+  breaker.failure(1_010);
+  assert.equal(breaker.allows(1_020), false);
+  assert.equal(breaker.state(1_020), "open");
+
+  assert.equal(breaker.allows(2_010), true);
+  breaker.release();
+  assert.equal(breaker.allows(2_020), true);
+  // A trial that never reports back stops blocking after another cooldown
+  assert.equal(breaker.allows(2_500), false);
+  assert.equal(breaker.allows(3_020), true);
+});
+
+test("only outages count against the breaker", () => {
+  assert.equal(isOutage(new ProviderError("x", { status: 503 })), true);
+  assert.equal(isOutage(new ProviderError("x", { status: 429 })), true);
+  assert.equal(isOutage(new ProviderError("x", { category: "timeout" })), true);
+  assert.equal(isOutage(new ProviderError("x", { status: 400 })), false);
+  assert.equal(isOutage(new ProviderError("x", { category: "bad_response" })), false);
+});
+
+/* Routes */
+
+const analyze = (config, body, ip) => handleAnalyze(config, { body, headers: {}, ip });
+
+test("rejected requests do not use up quota", async () => {
+  const config = loadServerConfig({ VISION_PROVIDER: "demo", QUOTA_PER_MINUTE: "1" });
+  assert.equal((await analyze(config, { mode: "bogus" }, "quota-test")).status, 400);
+  assert.equal((await analyze(config, { mode: "repair_guide" }, "quota-test")).status, 428);
+  assert.equal((await analyze(config, { mode: "safety_check" }, "quota-test")).status, 200);
+  assert.equal((await analyze(config, { mode: "safety_check" }, "quota-test")).status, 429);
+});
+
+test("an open circuit moves analysis to the fallback provider", async () => {
+  mock.method(console, "warn", () => {});
+  const calls = stubFetch(() => reply(503, {}));
+  const config = loadServerConfig({
+    VISION_PROVIDER: "mock",
+    MOCK_VISION_URL: "http://upstream.test",
+    VISION_FALLBACK_PROVIDER: "demo",
+    VISION_RETRIES: "0",
+    BREAKER_FAILURES: "1",
+  });
+  const body = { mode: "safety_check", imageBase64: "frame" };
+
+  const first = await analyze(config, body, "breaker-1");
+  assert.equal(first.body.provider, "demo");
+  assert.equal(first.body.fallback, true);
+  assert.equal(calls(), 1);
+
+  // Circuit now open: the primary is skipped entirely
+  const second = await analyze(config, body, "breaker-2");
+  assert.equal(second.body.provider, "demo");
+  assert.equal(calls(), 1);
+});
+
+test("without a fallback an open circuit fails fast with 503 and Retry-After", async () => {
+  mock.method(console, "warn", () => {});
+  stubFetch(() => reply(502, {}));
+  const config = loadServerConfig({
+    VISION_PROVIDER: "mock",
+    MOCK_VISION_URL: "http://upstream.test",
+    VISION_RETRIES: "0",
+    BREAKER_FAILURES: "1",
+  });
+  const body = { mode: "safety_check", imageBase64: "frame" };
+  assert.equal((await analyze(config, body, "open-1")).status, 502);
+  const open = await analyze(config, body, "open-2");
+  assert.equal(open.status, 503);
+  assert.equal(open.body.category, "circuit_open");
+  assert.ok(Number(open.headers["Retry-After"]) > 0);
+});
+
+test("while half-open, concurrent analyses stay on the fallback during the trial", async () => {
+  mock.method(console, "warn", () => {});
+  const verdict = () => reply(200, { status: "SAFE", headline: "ok" });
+  let release;
+  const calls = stubFetch(
+    () => reply(503, {}),
+    () => new Promise((resolve) => (release = () => resolve(verdict()))),
+    verdict
+  );
+  const config = loadServerConfig({
+    VISION_PROVIDER: "mock",
+    MOCK_VISION_URL: "http://upstream.test",
+    VISION_FALLBACK_PROVIDER: "demo",
+    VISION_RETRIES: "0",
+    BREAKER_FAILURES: "1",
+    BREAKER_COOLDOWN_MS: "20",
+  });
+  const body = { mode: "safety_check", imageBase64: "frame" };
+
+  assert.equal((await analyze(config, body, "trial-1")).body.fallback, true);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+
+  const trial = analyze(config, body, "trial-2");
+  const others = await Promise.all([analyze(config, body, "trial-3"), analyze(config, body, "trial-4")]);
+  assert.deepEqual(others.map((r) => r.body.provider), ["demo", "demo"]);
+  assert.equal(calls(), 2);
+
+  release();
+  assert.equal((await trial).body.provider, "mock");
+  assert.equal((await analyze(config, body, "trial-5")).body.provider, "mock");
+});
@@ -0,0 +1,68 @@
+// Diagnostic thread: which turns travel with the next request and which question is open
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_HISTORY_EXCHANGES,
+  createThread,
+  techTurn,
+  modelTurn,
+  addTechTurn,
+  answerTurn,
+  failTurn,
+  openQuestion,
+  historyForRequest,
+} from "../src/lib/thread.js";
+import { validateVerdict } from "../src/lib/verdict.js";
+
+const answer = (extra = {}) =>
+  modelTurn(validateVerdict({ status: "SAFE", headline: "Fan seized", reasoning: "r", action_required: "a", ...extra }).verdict, "diagnosis");
+
+// One sent-and-answered exchange
+const exchange = (thread, text, extra) => {
+  const turn = techTurn({ mode: "diagnosis", text });
+  const next = addTechTurn(thread, turn);
+  return answerTurn(next, { threadId: thread.id, turnId: turn.id }, answer(extra));
+};
+
+test("answered exchanges go back as history, oldest first", () => {
+  let thread = exchange(createThread(), "  it clicks  ");
+  thread = exchange(thread, "");
+  const history = historyForRequest(thread);
+  assert.deepEqual(history.map((h) => h.role), ["user", "model", "user", "model"]);
+  assert.equal(history[0].text, "[diagnosis scan] it clicks");
+  assert.equal(history[2].text, "[diagnosis scan] (new frame, no message)");
+  assert.equal(JSON.parse(history[1].text).headline, "Fan seized");
+});
+
+test("pending and failed turns are not history", () => {
+  const thread = createThread();
+  const pending = techTurn({ mode: "diagnosis", text: "a" });
+  const failed = techTurn({ mode: "diagnosis", text: "b" });
+  let next = addTechTurn(addTechTurn(thread, pending), failed);
+  next = failTurn(next, { threadId: thread.id, turnId: failed.id });
+  assert.equal(next.turns[1].state, "failed");
+  assert.deepEqual(historyForRequest(next), []);
+});
+
+test("an answer for a closed thread is dropped", () => {
+  const old = createThread();
+  const turn = techTurn({ mode: "diagnosis" });
+  const current = createThread();
+  assert.equal(answerTurn(current, { threadId: old.id, turnId: turn.id }, answer()), current);
+});
+
+test("history is capped to the latest exchanges", () => {
+  let thread = createThread();
+  for (let i = 0; i < MAX_HISTORY_EXCHANGES + 2; i++) thread = exchange(thread, `turn ${i}`);
+  const history = historyForRequest(thread);
+  assert.equal(history.length, MAX_HISTORY_EXCHANGES * 2);
+  assert.equal(history[0].text, "[diagnosis scan] turn 2");
+});
+
+test("the model's question stays open until something newer is sent", () => {
+  let thread = exchange(createThread(), "it clicks", { question: "Show me the rear panel." });
+  assert.equal(openQuestion(thread).question, "Show me the rear panel.");
+  thread = addTechTurn(thread, techTurn({ mode: "diagnosis" }));
+  assert.equal(openQuestion(thread), null);
+  assert.equal(openQuestion(exchange(createThread(), "x")), null);
+});
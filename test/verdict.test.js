@@ -0,0 +1,105 @@
+// Verdict validation: the last line of defence before a model payload drives systemState
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateVerdict, deriveStatus, matchStatus, lockFindingIndex } from "../src/lib/verdict.js";
+
+const finding = (severity, category = "electrical", label = "Exposed conductor") => ({ category, severity, label });
+
+test("anything that is not an object degrades to UNCERTAIN", () => {
+  for (const raw of [null, undefined, "DANGER", 42, ["SAFE"]]) {
+    const { verdict, repairs } = validateVerdict(raw);
+    assert.equal(verdict.status, "UNCERTAIN");
+    assert.deepEqual(verdict.findings, []);
+    assert.equal(repairs.length, 1);
+  }
+});
+
+test("unknown or missing status becomes UNCERTAIN, aliases are mapped", () => {
+  assert.equal(validateVerdict({ status: "maybe" }).verdict.status, "UNCERTAIN");
+  assert.equal(validateVerdict({}).verdict.status, "UNCERTAIN");
+  assert.equal(validateVerdict({ status: "hazard" }).verdict.status, "DANGER");
+  assert.equal(validateVerdict({ status: " safe " }).verdict.status, "SAFE");
+});
+
+test("every repair is reported", () => {
+  const { repairs } = validateVerdict({ status: "ok", headline: 42 });
+  assert.ok(repairs.some((r) => r.includes('"ok" mapped to SAFE')));
+  assert.ok(repairs.some((r) => r.includes("headline coerced")));
+  assert.ok(repairs.some((r) => r.includes("missing reasoning")));
+  assert.deepEqual(validateVerdict({ status: "SAFE", headline: "a", reasoning: "b", action_required: "c" }).repairs, []);
+});
+
+test("a critical finding forces DANGER over a SAFE model status", () => {
+  const { verdict, repairs } = validateVerdict({ status: "SAFE", findings: [finding("critical")] });
+  assert.equal(verdict.status, "DANGER");
+  assert.ok(repairs.some((r) => r.includes("escalated to DANGER")));
+});
+
+test("severity aliases count: 'high' is critical", () => {
+  assert.equal(validateVerdict({ status: "SAFE", findings: [finding("high")] }).verdict.status, "DANGER");
+});
+
+test("unknown categories and severities fall back, findings sort most severe first", () => {
+  const { verdict } = validateVerdict({ status: "UNCERTAIN", findings: [finding("odd", "weird", "a"), finding("critical", "wiring", "b")] });
+  assert.deepEqual(
+    verdict.findings.map((f) => [f.label, f.category, f.severity]),
+    [["b", "electrical", "critical"], ["a", "other", "caution"]]
+  );
+});
+
+test("legacy hazards are read as findings", () => {
+  const { verdict } = validateVerdict({ status: "SAFE", hazards: [{ name: "Frayed cable", severity: "critical" }] });
+  assert.equal(verdict.status, "DANGER");
+  assert.equal(verdict.findings[0].label, "Frayed cable");
+});
+
+test("the model's follow-up question is kept as text", () => {
+  assert.equal(validateVerdict({ status: "UNCERTAIN", question: " Show me the rear panel. " }).verdict.question, "Show me the rear panel.");
+  assert.equal(validateVerdict({ status: "SAFE" }).verdict.question, "");
+  assert.equal(validateVerdict(null).verdict.question, "");
+});
+
+test("repair steps are stripped from anything but SAFE", () => {
+  for (const status of ["DANGER", "UNCERTAIN"]) {
+    const { verdict } = validateVerdict({ status, repair_steps: ["Open the panel"] });
+    assert.deepEqual(verdict.repair_steps, []);
+  }
+  const { verdict } = validateVerdict({ status: "SAFE", repair_steps: "1. Unplug\n2. Reseat" });
+  assert.deepEqual(verdict.repair_steps, ["Unplug", "Reseat"]);
+});
+
+test("missing text fields are filled and invalid boxes dropped", () => {
+  const { verdict } = validateVerdict({
+    status: "SAFE",
+    findings: [{ ...finding("info"), box: [-1, 0, 10, 10] }],
+  });
+  assert.ok(verdict.headline);
+  assert.ok(verdict.reasoning);
+  assert.ok(verdict.action_required);
+  assert.equal(verdict.findings[0].box, undefined);
+});
+
+test("boxes on a 0-1000 grid are rescaled", () => {
+  const { verdict } = validateVerdict({ status: "DANGER", findings: [{ ...finding("critical"), box: [100, 200, 300, 400] }] });
+  assert.deepEqual(verdict.findings[0].box, { x: 0.1, y: 0.2, w: 0.3, h: 0.4 });
+});
+
+
+test("deriveStatus never loosens the model's status", () => {
+  assert.equal(deriveStatus([], "DANGER"), "DANGER");
+  assert.equal(deriveStatus([finding("caution")], "UNCERTAIN"), "UNCERTAIN");
+  assert.equal(deriveStatus([finding("info")], "SAFE"), "SAFE");
+  assert.equal(deriveStatus([finding("critical")], "UNCERTAIN"), "DANGER");
+});
+
+test("matchStatus reads only accepted statuses", () => {
+  assert.equal(matchStatus("unsafe"), "DANGER");
+  assert.equal(matchStatus("safe"), "SAFE");
+  assert.equal(matchStatus("DANG"), null);
+});
+
+test("the lock points at the first critical finding", () => {
+  assert.equal(lockFindingIndex([finding("info"), finding("critical")]), 1);
+  assert.equal(lockFindingIndex([finding("info")]), 0);
+  assert.equal(lockFindingIndex([]), -1);
+});
@@ -0,0 +1,72 @@
+// Voice commands: hands-free mode must only act on speech addressed to it
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseVoiceCommand, parseWakePhrases } from "../src/lib/voiceCommands.js";
+
+const handsFree = { requireWake: true };
+
+test("without the wake phrase hands-free mode ignores speech", () => {
+  assert.deepEqual(parseVoiceCommand("run a safety check", handsFree), { woke: false, command: null, argument: "" });
+  assert.equal(parseVoiceCommand("omnitech", handsFree).command, null);
+});
+
+test("the wake phrase survives spacing and punctuation variants", () => {
+  for (const heard of ["Omnitech, safety check.", "omni tech safety check", "hey omnitek safety scan"]) {
+    assert.equal(parseVoiceCommand(heard, handsFree).command, "safety_check", heard);
+  }
+});
+
+test("each command is recognised after the wake phrase", () => {
+  const said = {
+    "run a safety check": "safety_check",
+    "next step": "next_step",
+    "say that again": "repeat",
+    "generate the report": "report",
+    "stop listening": "stop",
+  };
+  for (const [phrase, command] of Object.entries(said)) {
+    assert.equal(parseVoiceCommand(`omnitech ${phrase}`, handsFree).command, command, phrase);
+  }
+});
+
+test("diagnose keeps what follows as its argument", () => {
+  assert.deepEqual(parseVoiceCommand("omnitech diagnose it keeps clicking", handsFree), {
+    woke: true,
+    command: "diagnose",
+    argument: "it keeps clicking",
+  });
+});
+
+test("anything else is free-form context", () => {
+  assert.deepEqual(parseVoiceCommand("omnitech the fan is louder than usual", handsFree), {
+    woke: true,
+    command: "context",
+    argument: "the fan is louder than usual",
+  });
+});
+
+test("push-to-talk needs no wake phrase", () => {
+  assert.equal(parseVoiceCommand("safety check").command, "safety_check");
+});
+
+test("custom wake phrases come from a comma-separated setting", () => {
+  assert.deepEqual(parseWakePhrases(" hey unit , unit seven "), ["hey unit", "unit seven"]);
+  assert.ok(parseWakePhrases("").includes("omnitech"));
+  assert.equal(parseVoiceCommand("hey unit next", { requireWake: true, wakePhrases: ["hey unit"] }).command, "next_step");
+});
+
+test("commands are heard in the chosen locale, English still works", () => {
+  assert.equal(parseVoiceCommand("omnitech vérification de sécurité", { ...handsFree, locale: "fr" }).command, "safety_check");
+  assert.equal(parseVoiceCommand("omnitech próximo passo", { ...handsFree, locale: "pt" }).command, "next_step");
+  assert.equal(parseVoiceCommand("omnitech rudia", { ...handsFree, locale: "sw" }).command, "repeat");
+  assert.equal(parseVoiceCommand("omnitech next step", { ...handsFree, locale: "fr" }).command, "next_step");
+});
+
+test("Japanese transcripts run the wake phrase into the command", () => {
+  assert.equal(parseVoiceCommand("オムニテック安全確認", { ...handsFree, locale: "ja" }).command, "safety_check");
+  assert.deepEqual(parseVoiceCommand("オムニテック診断して異音がする", { ...handsFree, locale: "ja" }), {
+    woke: true,
+    command: "diagnose",
+    argument: "異音がする",
+  });
+});